@@ -0,0 +1,389 @@
+/**
+ * Alerts - Motor de Alertas por Regras - ZingSignals
+ *
+ * Avalia regras do usuário depois de cada análise (ex.: "5m e 15m em COMPRA com confiança > 70",
+ * "RSI 1h < 25", "pressão de baleias > 65%", "erros consecutivos ≥ 4") e entrega os alertas nas
+ * notificações do navegador, em webhooks genéricos, no Telegram e no Discord. Uma regra só dispara
+ * na transição falso → verdadeiro e respeita o cooldown; os endpoints são configuráveis para testar
+ * contra um servidor HTTP local.
+ */
+
+const Alerts = (() => {
+    // =========================================================================
+    // CONFIGURAÇÃO
+    // =========================================================================
+    const DEFAULT_OPTIONS = {
+        cooldownMs: 5 * 60 * 1000,   // Intervalo mínimo entre disparos da mesma regra (por símbolo)
+        maxHistory: 100,             // Alertas mantidos no histórico
+        timeoutMs: 10000             // Timeout de cada entrega HTTP
+    };
+
+    const DEFAULT_CHANNELS = {
+        browser: { enabled: true },
+        webhook: { enabled: false, url: '', headers: {} },
+        telegram: { enabled: false, botToken: '', chatId: '', apiBaseUrl: 'https://api.telegram.org' },
+        discord: { enabled: false, webhookUrl: '' }
+    };
+
+    const OPERATORS = {
+        '>': (a, b) => a > b,
+        '>=': (a, b) => a >= b,
+        '<': (a, b) => a < b,
+        '<=': (a, b) => a <= b,
+        '=': (a, b) => a === b,
+        '==': (a, b) => a === b,
+        '!=': (a, b) => a !== b
+    };
+
+    const CONDITION_PATTERN = /^\s*([\w.]+)\s*(>=|<=|==|!=|>|<|=)\s*(.+?)\s*$/;
+
+    // =========================================================================
+    // DEPENDÊNCIAS
+    // =========================================================================
+    const resolveEngine = () => {
+        if (typeof window !== 'undefined' && window.MarketAnalysisEngine) return window.MarketAnalysisEngine;
+        if (typeof require === 'function') return require('./engine.js');
+        throw new Error('MarketAnalysisEngine indisponível');
+    };
+
+    // =========================================================================
+    // FUNÇÕES PRIVADAS
+    // =========================================================================
+
+    const parseValue = (raw) => {
+        const unquoted = raw.replace(/^['"]|['"]$/g, '');
+        const number = Number(unquoted);
+        return unquoted !== '' && Number.isFinite(number) ? number : unquoted.toUpperCase();
+    };
+
+    /**
+     * Lê uma métrica do contexto da análise
+     * - <timeframe>.<campo>: direction, confidence, score, trend, regime ou id de indicador (rsi, mfi, adx, ...)
+     * - whale.<campo>, system.<campo>, overall.<campo>, price
+     * @returns {*} Valor da métrica ou undefined
+     */
+    const resolveMetric = (context, path) => {
+        const [root, ...rest] = path.split('.');
+        const field = rest.join('.');
+
+        if (resolveEngine().timeframeToMs(root) !== null) {
+            const analysis = context.analyses && context.analyses[root];
+            if (!analysis) return undefined;
+            if (field in analysis) return analysis[field];
+            const indicator = analysis.indicators && analysis.indicators[field];
+            return indicator && typeof indicator === 'object' ? indicator.value : indicator;
+        }
+        if (root === 'price') return context.price;
+
+        const source = context[root];
+        return source ? source[field] : undefined;
+    };
+
+    const evaluateCondition = (context, condition) => {
+        const actual = resolveMetric(context, condition.metric);
+        if (actual === undefined || actual === null) return false;
+        const compare = OPERATORS[condition.op];
+        const expected = typeof condition.value === 'string' ? condition.value : Number(condition.value);
+        const value = typeof expected === 'string' && typeof actual === 'string' ? actual.toUpperCase() : actual;
+        return compare(value, expected);
+    };
+
+    const formatCondition = (condition, context) => {
+        const actual = resolveMetric(context, condition.metric);
+        const shown = typeof actual === 'number' ? actual.toFixed(2).replace(/\.?0+$/, '') : actual;
+        return `${condition.metric} ${condition.op} ${condition.value} (atual: ${shown})`;
+    };
+
+    const withTimeout = (fetchFn, url, init, timeoutMs) => {
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+        return fetchFn(url, controller ? { ...init, signal: controller.signal } : init)
+            .finally(() => timer && clearTimeout(timer));
+    };
+
+    const postJson = async (fetchFn, url, body, headers, timeoutMs) => {
+        const response = await withTimeout(fetchFn, url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(headers || {}) },
+            body: JSON.stringify(body)
+        }, timeoutMs);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.status;
+    };
+
+    // =========================================================================
+    // API PÚBLICA
+    // =========================================================================
+
+    /**
+     * Converte uma expressão em condições (todas precisam ser verdadeiras)
+     * Ex.: "5m.direction = COMPRA && 15m.direction = COMPRA && 5m.confidence > 70"
+     * @param {string} expression - Condições separadas por && (ou "e")
+     * @returns {Array<Object>} [{ metric, op, value }]
+     */
+    const parseConditions = (expression) => {
+        const clauses = String(expression || '').split(/\s*&&\s*|\s+e\s+/i).filter(clause => clause.trim());
+        if (clauses.length === 0) throw new Error('Regra sem condições');
+
+        return clauses.map(clause => {
+            const match = CONDITION_PATTERN.exec(clause);
+            if (!match) throw new Error(`Condição inválida: "${clause.trim()}"`);
+            return { metric: match[1], op: match[2], value: parseValue(match[3]) };
+        });
+    };
+
+    /**
+     * Normaliza uma regra (aceita conditions prontas ou uma expression)
+     * @param {Object} rule - { id, name, expression|conditions, cooldownMs, channels, enabled }
+     * @returns {Object} Regra normalizada
+     */
+    const normalizeRule = (rule) => {
+        const conditions = Array.isArray(rule.conditions) && rule.conditions.length > 0
+            ? rule.conditions
+            : parseConditions(rule.expression);
+        conditions.forEach(condition => {
+            if (!OPERATORS[condition.op]) throw new Error(`Operador inválido: "${condition.op}"`);
+        });
+
+        return {
+            id: rule.id || `rule_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            name: rule.name || rule.expression || conditions.map(c => `${c.metric} ${c.op} ${c.value}`).join(' && '),
+            expression: rule.expression || conditions.map(c => `${c.metric} ${c.op} ${c.value}`).join(' && '),
+            conditions,
+            cooldownMs: Number.isFinite(rule.cooldownMs) ? rule.cooldownMs : null,
+            channels: Array.isArray(rule.channels) ? rule.channels : null, // null = todos os canais ativos
+            enabled: rule.enabled !== false
+        };
+    };
+
+    /**
+     * Cria um motor de alertas
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.rules] - Regras iniciais
+     * @param {Object} [options.channels] - { browser, webhook: { url, headers }, telegram: { botToken, chatId, apiBaseUrl }, discord: { webhookUrl } }
+     * @param {number} [options.cooldownMs] - Cooldown padrão das regras
+     * @param {Function} [options.fetch] - Implementação de fetch (padrão: fetch global)
+     * @param {Function} [options.onAlert] - Chamado com cada alerta disparado (ex.: toast no dashboard)
+     * @returns {Object} Motor { evaluate, addRule, removeRule, setRuleEnabled, getRules, setChannels, sendTest, getHistory, reset }
+     */
+    const create = (options = {}) => {
+        const settings = { ...DEFAULT_OPTIONS, ...options };
+        const fetchFn = options.fetch || (typeof fetch === 'function' ? fetch : null);
+
+        let rules = [];
+        let channels = {};
+        let history = [];
+        const ruleState = new Map(); // `${ruleId}_${symbol}` → { active, lastFired }
+
+        const setChannels = (config = {}) => {
+            channels = Object.fromEntries(Object.entries(DEFAULT_CHANNELS).map(([name, defaults]) => [
+                name,
+                { ...defaults, ...(config[name] || {}) }
+            ]));
+        };
+
+        const addRule = (rule) => {
+            const normalized = normalizeRule(rule);
+            rules = [...rules.filter(r => r.id !== normalized.id), normalized];
+            return normalized;
+        };
+
+        const removeRule = (id) => {
+            rules = rules.filter(rule => rule.id !== id);
+            [...ruleState.keys()].filter(key => key.startsWith(`${id}_`)).forEach(key => ruleState.delete(key));
+        };
+
+        const setRuleEnabled = (id, enabled) => {
+            rules = rules.map(rule => (rule.id === id ? { ...rule, enabled } : rule));
+        };
+
+        // =====================================================================
+        // ENTREGA
+        // =====================================================================
+
+        const deliverBrowser = async (alert) => {
+            if (typeof Notification === 'undefined') throw new Error('Notification indisponível');
+            if (Notification.permission === 'default') await Notification.requestPermission();
+            if (Notification.permission !== 'granted') throw new Error('permissão de notificação negada');
+            new Notification(alert.title, { body: alert.message, tag: alert.key });
+        };
+
+        const deliverWebhook = (alert) => {
+            if (!channels.webhook.url) throw new Error('URL do webhook não configurada');
+            return postJson(fetchFn, channels.webhook.url, {
+                title: alert.title,
+                message: alert.message,
+                rule: { id: alert.ruleId, name: alert.ruleName, expression: alert.expression },
+                symbol: alert.symbol,
+                price: alert.price,
+                timestamp: alert.timestamp
+            }, channels.webhook.headers, settings.timeoutMs);
+        };
+
+        const deliverTelegram = (alert) => {
+            const { botToken, chatId, apiBaseUrl } = channels.telegram;
+            if (!botToken || !chatId) throw new Error('bot token ou chat id do Telegram não configurados');
+            return postJson(fetchFn, `${apiBaseUrl.replace(/\/$/, '')}/bot${botToken}/sendMessage`, {
+                chat_id: chatId,
+                text: `${alert.title}\n${alert.message}`
+            }, null, settings.timeoutMs);
+        };
+
+        const deliverDiscord = (alert) => {
+            if (!channels.discord.webhookUrl) throw new Error('webhook do Discord não configurado');
+            return postJson(fetchFn, channels.discord.webhookUrl, {
+                content: `**${alert.title}**\n${alert.message}`
+            }, null, settings.timeoutMs);
+        };
+
+        const DELIVERERS = {
+            browser: deliverBrowser,
+            webhook: deliverWebhook,
+            telegram: deliverTelegram,
+            discord: deliverDiscord
+        };
+
+        /**
+         * Entrega um alerta nos canais ativos (falhas ficam em alert.deliveries, sem interromper os outros canais)
+         */
+        const deliver = async (alert, channelNames) => {
+            const targets = (channelNames || Object.keys(DELIVERERS)).filter(name => channels[name] && channels[name].enabled);
+
+            alert.deliveries = await Promise.all(targets.map(async (name) => {
+                try {
+                    if (name !== 'browser' && !fetchFn) throw new Error('fetch indisponível: informe options.fetch');
+                    await DELIVERERS[name](alert);
+                    return { channel: name, ok: true };
+                } catch (error) {
+                    console.warn(`⚠️ Alerts: falha ao entregar em ${name}:`, error.message);
+                    return { channel: name, ok: false, error: error.message };
+                }
+            }));
+            return alert;
+        };
+
+        // =====================================================================
+        // AVALIAÇÃO
+        // =====================================================================
+
+        /**
+         * Avalia as regras contra o contexto da última análise
+         * @param {Object} context
+         * @param {string} context.symbol - Símbolo analisado
+         * @param {number} [context.price] - Preço atual
+         * @param {Object} context.analyses - Por timeframe: { direction, confidence, score, trend, regime, indicators: { rsi: { value }, ... } }
+         * @param {Object} [context.overall] - { direction, confidence }
+         * @param {Object} [context.whale] - { buyPressure, sellPressure } em %
+         * @param {Object} [context.system] - Métricas do SystemState (consecutiveErrors, recentAccuracy, ...)
+         * @param {number} [context.timestamp] - Momento da análise (padrão: agora)
+         * @returns {Promise<Array<Object>>} Alertas disparados (com o resultado das entregas)
+         */
+        const evaluate = async (context) => {
+            const now = Number.isFinite(context.timestamp) ? context.timestamp : Date.now();
+            const fired = [];
+
+            rules.filter(rule => rule.enabled).forEach(rule => {
+                const key = `${rule.id}_${context.symbol || ''}`;
+                const previous = ruleState.get(key) || { active: false, lastFired: -Infinity };
+                const matched = rule.conditions.every(condition => evaluateCondition(context, condition));
+                const cooldownMs = rule.cooldownMs ?? settings.cooldownMs;
+
+                // Dispara só na transição (sem repetir enquanto a condição segue verdadeira) e fora do cooldown
+                const shouldFire = matched && !previous.active && now - previous.lastFired >= cooldownMs;
+                ruleState.set(key, { active: matched, lastFired: shouldFire ? now : previous.lastFired });
+                if (!shouldFire) return;
+
+                fired.push({
+                    key,
+                    ruleId: rule.id,
+                    ruleName: rule.name,
+                    expression: rule.expression,
+                    channels: rule.channels,
+                    symbol: context.symbol || null,
+                    price: Number.isFinite(context.price) ? context.price : null,
+                    title: `🔔 ${context.symbol ? context.symbol + ': ' : ''}${rule.name}`,
+                    message: rule.conditions.map(condition => formatCondition(condition, context)).join(' • '),
+                    timestamp: now
+                });
+            });
+
+            const delivered = await Promise.all(fired.map(alert => deliver(alert, alert.channels)));
+            delivered.forEach(alert => {
+                console.log(`🔔 Alerta: ${alert.title} - ${alert.message}`);
+                if (settings.onAlert) settings.onAlert(alert);
+            });
+
+            history = [...history, ...delivered].slice(-settings.maxHistory);
+            return delivered;
+        };
+
+        /**
+         * Envia um alerta de teste (ignora regras e cooldown)
+         * @param {string} [channel] - Canal específico (padrão: todos os ativos)
+         * @returns {Promise<Object>} Alerta com o resultado das entregas
+         */
+        const sendTest = (channel) => deliver({
+            key: 'test',
+            ruleId: 'test',
+            ruleName: 'Teste',
+            expression: '',
+            symbol: null,
+            price: null,
+            title: '🔔 ZingSignals: alerta de teste',
+            message: 'Canal de alertas configurado corretamente.',
+            timestamp: Date.now()
+        }, channel ? [channel] : null);
+
+        const getRules = () => rules.map(rule => ({ ...rule, conditions: rule.conditions.map(c => ({ ...c })) }));
+
+        const getChannels = () => JSON.parse(JSON.stringify(channels));
+
+        const getHistory = (limit = settings.maxHistory) => history.slice(-limit);
+
+        // Esquece o estado das regras (ex.: ao trocar de símbolo), mantendo regras e canais
+        const reset = () => {
+            ruleState.clear();
+        };
+
+        setChannels(options.channels);
+        (options.rules || []).forEach(rule => {
+            try {
+                addRule(rule);
+            } catch (error) {
+                console.warn('⚠️ Alerts: regra ignorada:', error.message);
+            }
+        });
+
+        return {
+            evaluate,
+            addRule,
+            removeRule,
+            setRuleEnabled,
+            getRules,
+            setChannels,
+            getChannels,
+            sendTest,
+            getHistory,
+            reset
+        };
+    };
+
+    // =========================================================================
+    // EXPORTAR API
+    // =========================================================================
+    return {
+        create,
+        parseConditions,
+        getDefaults: () => ({ ...DEFAULT_OPTIONS, channels: JSON.parse(JSON.stringify(DEFAULT_CHANNELS)) })
+    };
+})();
+
+// Exportar para uso no Node (CommonJS/ESM: import Alerts from './alerts.js')
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Alerts;
+}
+
+// Expor globalmente
+if (typeof window !== 'undefined') {
+    window.Alerts = Alerts;
+}
@@ -0,0 +1,626 @@
+/**
+ * Backtester - ZingSignals
+ *
+ * Motor de backtest orientado a eventos: reproduz as velas uma a uma, decide com o engine
+ * usando apenas velas fechadas, entra na abertura da vela seguinte e preenche TP/SL dentro
+ * da vela (high/low), com horizonte de permanência, taxas maker/taker, slippage, funding
+ * e liquidação por alavancagem. O ledger usa os mesmos campos de trackTrade/validateTrades.
+ */
+
+const Backtester = (() => {
+    // =========================================================================
+    // CONFIGURAÇÃO
+    // =========================================================================
+    const DEFAULTS = {
+        initialCapital: 10000,
+        leverage: 1,
+        positionSize: 1,          // Fração do capital disponível usada como margem por posição
+        maxOpenPositions: 1,      // Posições simultâneas permitidas
+        minSignalStrength: 50,    // |score| mínimo para abrir posição (mesmo filtro de trackTrade)
+        requireDirection: false,  // Exigir direção BUY/SELL do engine (thresholds do modo e filtro de tendência)
+        takeProfitATR: 3,         // TP = 3×ATR (igual ao live)
+        stopLossATR: 1.5,         // SL = 1.5×ATR (igual ao live)
+        horizonCandles: 1,        // Velas até fechar a mercado (1 = validação do live); 0 = só TP/SL
+        makerFee: 0.0002,         // Taxa em ordens limite (TP)
+        takerFee: 0.0004,         // Taxa em ordens a mercado (entrada, SL, horizonte)
+        slippage: 0.0005,         // Slippage em ordens a mercado (fração do preço)
+        fundingRate: 0,           // Taxa de funding por intervalo (positiva: comprados pagam)
+        fundingIntervalMs: 8 * 60 * 60 * 1000,
+        maintenanceMargin: 0.005, // Margem de manutenção para o preço de liquidação
+        warmup: 200,              // Velas fechadas antes da primeira decisão
+        higherTimeframeWarmup: 50 // Velas fechadas de cada timeframe maior antes de entrarem na confluência
+    };
+
+    const YEAR_MS = 365 * 24 * 60 * 60 * 1000; // Cripto negocia 24/7
+
+    // =========================================================================
+    // DEPENDÊNCIAS
+    // =========================================================================
+    const resolveEngine = () => {
+        if (typeof window !== 'undefined' && window.MarketAnalysisEngine) return window.MarketAnalysisEngine;
+        if (typeof require === 'function') return require('./engine.js');
+        throw new Error('MarketAnalysisEngine indisponível');
+    };
+
+    // =========================================================================
+    // FUNÇÕES PRIVADAS - PREÇOS E TAXAS
+    // =========================================================================
+
+    const parseBar = (kline) => ({
+        time: parseInt(kline[0]),
+        open: parseFloat(kline[1]),
+        high: parseFloat(kline[2]),
+        low: parseFloat(kline[3]),
+        close: parseFloat(kline[4])
+    });
+
+    // Ordens a mercado pagam o spread: compra mais caro, vende mais barato
+    const applySlippage = (price, side, slippage) => price * (1 + side * slippage);
+
+    // Preço de liquidação em margem isolada
+    const liquidationPrice = (entryPrice, direction, leverage, maintenanceMargin) => {
+        if (leverage <= 1) return direction > 0 ? 0 : Infinity;
+        return direction > 0
+            ? entryPrice * (1 - 1 / leverage + maintenanceMargin)
+            : entryPrice * (1 + 1 / leverage - maintenanceMargin);
+    };
+
+    // Média dos scores dos indicadores (mesmo cálculo de avgIndicatorScore em trackTrade)
+    const averageIndicatorScore = (analysis) => {
+        const keys = Object.keys(analysis.contributions);
+        if (keys.length === 0) return 0;
+        const avg = keys.reduce((sum, key) => sum + analysis.scores[key].score, 0) / keys.length;
+        return Math.max(-100, Math.min(100, avg));
+    };
+
+    const unrealizedPnl = (position, price) => position.direction * position.quantity * (price - position.entryPrice);
+
+    // =========================================================================
+    // FUNÇÕES PRIVADAS - POSIÇÕES
+    // =========================================================================
+
+    const openPosition = (analysis, bar, index, account, settings) => {
+        const atr = analysis.indicators.atr;
+        const direction = analysis.totalScore > 0 ? 1 : -1;
+        const entryPrice = applySlippage(bar.open, direction, settings.slippage);
+
+        const available = account.capital - account.positions.reduce((sum, p) => sum + p.margin, 0);
+        const margin = available * settings.positionSize;
+        if (!(margin > 0)) return null;
+
+        const notional = margin * settings.leverage;
+        const entryFee = notional * settings.takerFee;
+        account.capital -= entryFee;
+
+        return {
+            prediction: direction > 0 ? 'COMPRA' : 'VENDA',
+            direction,
+            entryPrice,
+            takeProfit: entryPrice + direction * settings.takeProfitATR * atr,
+            stopLoss: entryPrice - direction * settings.stopLossATR * atr,
+            liquidationPrice: liquidationPrice(entryPrice, direction, settings.leverage, settings.maintenanceMargin),
+            timestamp: bar.time,
+            entryIndex: index,
+            score: analysis.totalScore,
+            avgIndicatorScore: averageIndicatorScore(analysis),
+            indicators: analysis.indicators,
+            margin,
+            quantity: notional / entryPrice,
+            initialRisk: (notional / entryPrice) * settings.stopLossATR * atr, // 1R = perda até o stop
+            fees: entryFee,
+            funding: 0,
+            lastFundingTime: bar.time
+        };
+    };
+
+    /**
+     * Procura a saída da posição nesta vela
+     * Ordem: gap na abertura, liquidação, stop (prioritário quando TP e SL cabem na mesma vela), TP
+     * @returns {Object|null} { reason, price } ou null se a posição continua aberta
+     */
+    const findIntrabarExit = (position, bar, isEntryBar) => {
+        const dir = position.direction;
+        const reached = (price, level) => (dir > 0 ? price <= level : price >= level);  // Movimento adverso
+        const gained = (price, level) => (dir > 0 ? price >= level : price <= level);   // Movimento favorável
+        const adverseExtreme = dir > 0 ? bar.low : bar.high;
+        const favorableExtreme = dir > 0 ? bar.high : bar.low;
+
+        // Liquidação só ocorre antes do stop se estiver mais próxima da entrada
+        const liquidationFirst = dir > 0
+            ? position.liquidationPrice >= position.stopLoss
+            : position.liquidationPrice <= position.stopLoss;
+
+        if (!isEntryBar) {
+            // Gap além do preço de liquidação liquida a posição mesmo com stop mais próximo
+            if (reached(bar.open, position.liquidationPrice)) {
+                return { reason: 'LIQUIDATION', price: position.liquidationPrice };
+            }
+            if (reached(bar.open, position.stopLoss)) return { reason: 'SL', price: bar.open };
+            if (gained(bar.open, position.takeProfit)) return { reason: 'TP', price: bar.open };
+        }
+
+        if (liquidationFirst && reached(adverseExtreme, position.liquidationPrice)) {
+            return { reason: 'LIQUIDATION', price: position.liquidationPrice };
+        }
+        if (reached(adverseExtreme, position.stopLoss)) return { reason: 'SL', price: position.stopLoss };
+        if (gained(favorableExtreme, position.takeProfit)) return { reason: 'TP', price: position.takeProfit };
+
+        return null;
+    };
+
+    // Aplica funding a cada fronteira de intervalo cruzada desde a última cobrança
+    const applyFunding = (position, bar, account, settings) => {
+        if (!settings.fundingRate) return;
+
+        const interval = settings.fundingIntervalMs;
+        const boundaries = Math.floor(bar.time / interval) - Math.floor(position.lastFundingTime / interval);
+        position.lastFundingTime = bar.time;
+        if (boundaries <= 0) return;
+
+        const cost = boundaries * position.direction * position.quantity * bar.open * settings.fundingRate;
+        position.funding += cost;
+        account.capital -= cost;
+    };
+
+    const closePosition = (position, exit, bar, index, account, settings) => {
+        const dir = position.direction;
+        let exitPrice = exit.price;
+        let exitFee = 0;
+        let grossPnl;
+
+        if (exit.reason === 'LIQUIDATION') {
+            grossPnl = -position.margin; // Margem isolada inteira perdida
+        } else {
+            // TP é ordem limite (maker, sem slippage); demais saídas são a mercado
+            if (exit.reason !== 'TP') exitPrice = applySlippage(exitPrice, -dir, settings.slippage);
+            grossPnl = dir * position.quantity * (exitPrice - position.entryPrice);
+            exitFee = position.quantity * exitPrice * (exit.reason === 'TP' ? settings.makerFee : settings.takerFee);
+        }
+
+        account.capital += grossPnl - exitFee;
+
+        // Mesmos campos e regras de validateTrades
+        const priceChange = ((exitPrice - position.entryPrice) / position.entryPrice) * 100;
+        const baseReturn = dir > 0 ? priceChange : -priceChange;
+        let result;
+        let success;
+        if (exit.reason === 'LIQUIDATION') {
+            result = 'LIQUIDATED';
+            success = false;
+        } else if (exit.reason === 'TP') {
+            result = 'TP_HIT';
+            success = true;
+        } else if (exit.reason === 'SL') {
+            result = 'SL_HIT';
+            success = false;
+        } else {
+            success = baseReturn > 0;
+            result = success ? 'PROFIT' : 'LOSS';
+        }
+
+        const fees = position.fees + exitFee;
+        const netPnl = grossPnl - fees - position.funding;
+
+        return {
+            prediction: position.prediction,
+            entryPrice: position.entryPrice,
+            takeProfit: position.takeProfit,
+            stopLoss: position.stopLoss,
+            timestamp: position.timestamp,
+            avgIndicatorScore: position.avgIndicatorScore,
+            indicators: position.indicators,
+            validated: true,
+            endPrice: exitPrice,
+            result,
+            success,
+            isManual: false,
+            priceChange,
+            baseReturn,
+            realReturn: baseReturn * settings.leverage,
+            profitWithLeverage: baseReturn * settings.leverage,
+            // Campos exclusivos do backtest
+            exitReason: exit.reason,
+            exitTimestamp: bar.time,
+            candlesHeld: index - position.entryIndex + 1,
+            score: position.score,
+            liquidationPrice: position.liquidationPrice,
+            margin: position.margin,
+            quantity: position.quantity,
+            fees,
+            funding: position.funding,
+            grossPnl,
+            netPnl,
+            netReturn: (netPnl / position.margin) * 100,
+            initialRisk: position.initialRisk,
+            rMultiple: position.initialRisk > 0 ? netPnl / position.initialRisk : 0,
+            capitalAfter: account.capital
+        };
+    };
+
+    // =========================================================================
+    // FUNÇÕES PRIVADAS - FONTE DE INDICADORES
+    // =========================================================================
+
+    /**
+     * Avança um pipeline incremental vela a vela: na vela i os indicadores usam as velas
+     * fechadas até i-1 e o preço atual é a abertura de i
+     * @returns {Function} (i, bar) => pipeline
+     */
+    const createPipelineStepper = (klines, settings, engine) => {
+        // Semente: velas fechadas [0, warmup) + vela "aberta" warmup
+        const pipeline = engine.createIndicatorPipeline({ timeframe: settings.timeframe })
+            .seed(klines.slice(0, settings.warmup + 1));
+
+        return (i, bar) => {
+            if (i > settings.warmup && !pipeline.pushCandle(klines[i - 1])) {
+                // Lacuna nos dados: ressemear com a janela de warmup
+                pipeline.seed(klines.slice(Math.max(0, i - settings.warmup), i + 1));
+            }
+            pipeline.updatePrice(bar.open);
+            return pipeline;
+        };
+    };
+
+    // Análise da vela i: recalculada pelo pipeline ou pontuada a partir de indicadores pré-calculados
+    const createAnalysisSource = (klines, settings, engine, engineConfig) => {
+        const analysisOptions = { config: engineConfig, weights: settings.weights };
+
+        if (settings.indicatorSeries) {
+            if (settings.indicatorSeries.length !== klines.length) {
+                throw new Error('indicatorSeries deve ter uma entrada por vela');
+            }
+            return (i) => {
+                const indicators = settings.indicatorSeries[i];
+                return indicators
+                    ? engine.analyzeIndicators(indicators, { timeframe: settings.timeframe, ...analysisOptions })
+                    : null;
+            };
+        }
+
+        const step = createPipelineStepper(klines, settings, engine);
+        return (i, bar) => step(i, bar).analyze(analysisOptions);
+    };
+
+    /**
+     * Análise de um timeframe maior no instante de uma vela do backtest
+     * Usa só as velas maiores já fechadas na abertura da vela e o preço atual é a abertura
+     * @returns {Function} (bar) => resultado do engine ou null durante o aquecimento
+     */
+    const createHigherTimeframeStepper = (klines, timeframe, settings, engine, analysisOptions) => {
+        const intervalMs = engine.timeframeToMs(timeframe);
+        if (!intervalMs) throw new Error(`Timeframe maior inválido: "${timeframe}"`);
+
+        const pipeline = engine.createIndicatorPipeline({ timeframe });
+        let closed = 0;
+        let seeded = false;
+
+        return (bar) => {
+            let target = closed;
+            while (target < klines.length && parseInt(klines[target][0]) + intervalMs <= bar.time) target++;
+            if (target < settings.higherTimeframeWarmup) return null;
+
+            if (!seeded) {
+                pipeline.seed(klines.slice(0, target + 1));
+                seeded = true;
+            } else {
+                for (let j = closed; j < target; j++) {
+                    if (!pipeline.pushCandle(klines[j])) {
+                        pipeline.seed(klines.slice(0, target + 1));
+                        break;
+                    }
+                }
+            }
+            closed = target;
+
+            // O fechamento da vela maior ainda aberta seria informação do futuro
+            pipeline.updatePrice(bar.open);
+            return pipeline.analyze(analysisOptions);
+        };
+    };
+
+    // Confluência da vela com os timeframes maiores (null sem settings.higherTimeframes)
+    const createConfluenceSource = (settings, engine, engineConfig) => {
+        const timeframes = Object.keys(settings.higherTimeframes || {});
+        if (timeframes.length === 0) return null;
+
+        const analysisOptions = { config: engineConfig, weights: settings.weights };
+        const steppers = timeframes.map(tf =>
+            createHigherTimeframeStepper(settings.higherTimeframes[tf], tf, settings, engine, analysisOptions));
+
+        return (bar, analysis) => {
+            const higher = steppers.map(step => step(bar)).filter(Boolean);
+            return engine.analyzeConfluence([analysis, ...higher], { ...(settings.confluence || {}), config: engineConfig });
+        };
+    };
+
+    // =========================================================================
+    // FUNÇÕES PRIVADAS - MÉTRICAS
+    // =========================================================================
+
+    const mean = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+    // Retornos por vela da curva de equity (o primeiro ponto parte do capital inicial)
+    const barReturns = (equityCurve, initialCapital) => {
+        const returns = [];
+        let previous = initialCapital;
+        equityCurve.forEach(point => {
+            returns.push(previous > 0 ? point.equity / previous - 1 : 0);
+            previous = point.equity;
+        });
+        return returns;
+    };
+
+    // Sharpe e Sortino anualizados (taxa livre de risco zero)
+    const riskAdjustedRatios = (returns, barsPerYear) => {
+        if (returns.length < 2) return { sharpe: 0, sortino: 0 };
+
+        const avg = mean(returns);
+        const variance = returns.reduce((sum, r) => sum + (r - avg) ** 2, 0) / (returns.length - 1);
+        const downside = Math.sqrt(returns.reduce((sum, r) => sum + Math.min(r, 0) ** 2, 0) / returns.length);
+        const annualize = Math.sqrt(barsPerYear);
+
+        return {
+            sharpe: variance > 0 ? (avg / Math.sqrt(variance)) * annualize : 0,
+            sortino: downside > 0 ? (avg / downside) * annualize : 0
+        };
+    };
+
+    /**
+     * Curva underwater e drawdown máximo (profundidade e maior tempo abaixo do topo)
+     * @returns {Object} { drawdownCurve, maxDrawdown, maxDrawdownDurationBars, maxDrawdownDurationMs }
+     */
+    const analyzeDrawdowns = (equityCurve, initialCapital, intervalMs) => {
+        let peak = initialCapital;
+        let peakIndex = -1;
+        let maxDrawdown = 0;
+        let maxDurationBars = 0;
+        const drawdownCurve = [];
+
+        equityCurve.forEach((point, i) => {
+            if (point.equity >= peak) {
+                peak = point.equity;
+                peakIndex = i;
+            }
+            const drawdown = peak > 0 ? (point.equity / peak - 1) * 100 : -100;
+            drawdownCurve.push({ time: point.time, drawdown });
+            maxDrawdown = Math.min(maxDrawdown, drawdown);
+            maxDurationBars = Math.max(maxDurationBars, i - peakIndex);
+        });
+
+        return {
+            drawdownCurve,
+            maxDrawdown,
+            maxDrawdownDurationBars: maxDurationBars,
+            maxDrawdownDurationMs: maxDurationBars * intervalMs
+        };
+    };
+
+    const longestLosingStreak = (trades) => {
+        let current = 0;
+        let longest = 0;
+        trades.forEach(trade => {
+            current = trade.success ? 0 : current + 1;
+            longest = Math.max(longest, current);
+        });
+        return longest;
+    };
+
+    // Intervalo das velas pelo timeframe ou, sem ele, pelo passo mais comum da curva
+    const resolveIntervalMs = (settings, equityCurve) => {
+        const engine = resolveEngine();
+        const fromTimeframe = settings.timeframe ? engine.timeframeToMs(settings.timeframe) : null;
+        if (fromTimeframe) return fromTimeframe;
+        if (equityCurve.length < 2) return 0;
+
+        const steps = equityCurve.slice(1).map((point, i) => point.time - equityCurve[i].time).sort((a, b) => a - b);
+        return steps[Math.floor(steps.length / 2)];
+    };
+
+    // =========================================================================
+    // API PÚBLICA
+    // =========================================================================
+
+    /**
+     * Executa o backtest vela a vela
+     * A decisão da vela i usa apenas as velas fechadas até i-1 e a entrada ocorre na abertura de i
+     * @param {Array} klines - Velas [timestamp, open, high, low, close, volume] em ordem cronológica
+     * @param {Object} [options] - Opções (ver DEFAULTS), mais:
+     * @param {string} options.timeframe - Timeframe das velas
+     * @param {Object} [options.config] - Configuração do engine (tradingMode, divergenceDetection, ...)
+     * @param {Object} [options.weights] - Pesos por indicador repassados ao engine
+     * @param {Array} [options.indicatorSeries] - Indicadores pré-calculados por vela (ver computeIndicatorSeries);
+     *   evita recalcular indicadores quando só pesos/thresholds mudam entre execuções
+     * @param {Object} [options.higherTimeframes] - Velas de timeframes maiores ({ '1h': klines, '4h': klines });
+     *   a decisão passa a ser a confluência (engine.analyzeConfluence) e entradas bloqueadas pelo viés são ignoradas
+     * @param {Object} [options.confluence] - Opções de analyzeConfluence (gateMode, hierarchyStep, minAgreement, anchorTimeframe)
+     * @returns {Object} { trades, equityCurve, drawdownCurve, stats, settings }
+     */
+    const run = (klines, options = {}) => {
+        const settings = { ...DEFAULTS, ...options };
+        const engine = resolveEngine();
+        const engineConfig = { tradingMode: 'balanced', divergenceDetection: true, trendFilter: false, ...(options.config || {}) };
+
+        if (!Array.isArray(klines) || klines.length < settings.warmup + 1) {
+            throw new Error(`Dados insuficientes para backtest: ${klines ? klines.length : 0} velas (mínimo ${settings.warmup + 1})`);
+        }
+
+        const account = { capital: settings.initialCapital, positions: [] };
+        const trades = [];
+        const equityCurve = [];
+        let exposedBars = 0;
+
+        const analyzeBar = createAnalysisSource(klines, settings, engine, engineConfig);
+        const confluenceAt = createConfluenceSource(settings, engine, engineConfig);
+
+        for (let i = settings.warmup; i < klines.length; i++) {
+            const bar = parseBar(klines[i]);
+
+            // 1) Funding das posições abertas
+            account.positions.forEach(position => applyFunding(position, bar, account, settings));
+
+            // 2) Nova entrada na abertura da vela (com timeframes maiores, a decisão é a confluência)
+            const baseAnalysis = analyzeBar(i, bar);
+            const confluence = baseAnalysis && confluenceAt ? confluenceAt(bar, baseAnalysis) : null;
+            const analysis = confluence
+                ? { ...baseAnalysis, direction: confluence.direction, totalScore: confluence.score, confluence }
+                : baseAnalysis;
+            const score = analysis ? analysis.totalScore : 0;
+            const directionAgrees = !settings.requireDirection ||
+                (analysis && ((analysis.direction === 'BUY' && score > 0) || (analysis.direction === 'SELL' && score < 0)));
+            const gated = confluence !== null && confluence.gated;
+            if (analysis && Math.abs(score) >= settings.minSignalStrength && Math.abs(score) > 0 && directionAgrees && !gated &&
+                account.positions.length < settings.maxOpenPositions) {
+                const position = openPosition(analysis, bar, i, account, settings);
+                if (position) account.positions.push(position);
+            }
+
+            // Vela com exposição: alguma posição aberta durante a vela
+            if (account.positions.length > 0) exposedBars++;
+
+            // 3) Saídas: TP/SL/liquidação dentro da vela, depois horizonte no fechamento
+            account.positions = account.positions.filter(position => {
+                let exit = findIntrabarExit(position, bar, position.entryIndex === i);
+                if (!exit && settings.horizonCandles > 0 && i - position.entryIndex + 1 >= settings.horizonCandles) {
+                    exit = { reason: 'HORIZON', price: bar.close };
+                }
+                if (!exit) return true;
+
+                trades.push(closePosition(position, exit, bar, i, account, settings));
+                return false;
+            });
+
+            // 4) Equity marcada a mercado no fechamento
+            const unrealized = account.positions.reduce((sum, p) => sum + unrealizedPnl(p, bar.close), 0);
+            equityCurve.push({ time: bar.time, equity: account.capital + unrealized });
+        }
+
+        // Posições remanescentes são encerradas no último fechamento
+        const lastIndex = klines.length - 1;
+        const lastBar = parseBar(klines[lastIndex]);
+        account.positions.forEach(position => {
+            trades.push(closePosition(position, { reason: 'END', price: lastBar.close }, lastBar, lastIndex, account, settings));
+        });
+        account.positions = [];
+        if (equityCurve.length > 0) equityCurve[equityCurve.length - 1].equity = account.capital;
+
+        const intervalMs = resolveIntervalMs(settings, equityCurve);
+        const drawdowns = analyzeDrawdowns(equityCurve, settings.initialCapital, intervalMs);
+
+        return {
+            trades,
+            equityCurve,
+            drawdownCurve: drawdowns.drawdownCurve,
+            stats: summarize(trades, settings, account.capital, klines, equityCurve, {
+                intervalMs,
+                exposedBars,
+                drawdowns
+            }),
+            settings
+        };
+    };
+
+    /**
+     * Resume o ledger e a curva de equity do backtest
+     * @returns {Object} Estatísticas agregadas
+     */
+    const summarize = (trades, settings, finalCapital, klines, equityCurve, context) => {
+        const { intervalMs, exposedBars, drawdowns } = context;
+        const wins = trades.filter(t => t.success).length;
+        const firstTime = equityCurve.length > 0 ? equityCurve[0].time : parseInt(klines[0][0]);
+        const lastTime = parseInt(klines[klines.length - 1][0]);
+        const totalHours = (lastTime - firstTime) / (1000 * 60 * 60);
+
+        // Resultado financeiro por trade (líquido de taxas e funding)
+        const winning = trades.filter(t => t.netPnl > 0);
+        const losing = trades.filter(t => t.netPnl < 0);
+        const grossProfit = winning.reduce((sum, t) => sum + t.netPnl, 0);
+        const grossLoss = Math.abs(losing.reduce((sum, t) => sum + t.netPnl, 0));
+
+        const barsPerYear = intervalMs > 0 ? YEAR_MS / intervalMs : 0;
+        const { sharpe, sortino } = riskAdjustedRatios(barReturns(equityCurve, settings.initialCapital), barsPerYear);
+
+        // CAGR sobre o período coberto pela curva (inclui a última vela)
+        const years = (equityCurve.length * intervalMs) / YEAR_MS;
+        const growth = finalCapital / settings.initialCapital;
+        const cagr = years > 0 ? (growth > 0 ? (Math.pow(growth, 1 / years) - 1) * 100 : -100) : 0;
+
+        return {
+            totalTrades: trades.length,
+            wins,
+            losses: trades.length - wins,
+            winRate: trades.length > 0 ? (wins / trades.length) * 100 : 0,
+            totalReturn: ((finalCapital - settings.initialCapital) / settings.initialCapital) * 100,
+            finalCapital,
+            totalFees: trades.reduce((sum, t) => sum + t.fees, 0),
+            totalFunding: trades.reduce((sum, t) => sum + t.funding, 0),
+            takeProfits: trades.filter(t => t.exitReason === 'TP').length,
+            stopLosses: trades.filter(t => t.exitReason === 'SL').length,
+            horizonExits: trades.filter(t => t.exitReason === 'HORIZON').length,
+            liquidations: trades.filter(t => t.exitReason === 'LIQUIDATION').length,
+            totalCandles: klines.length,
+            analyzedCandles: equityCurve.length,
+            realHours: totalHours,
+            realDays: totalHours / 24,
+            // Risco e qualidade
+            maxDrawdown: drawdowns.maxDrawdown,
+            maxDrawdownDurationBars: drawdowns.maxDrawdownDurationBars,
+            maxDrawdownDurationMs: drawdowns.maxDrawdownDurationMs,
+            sharpe,
+            sortino,
+            profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : 0),
+            expectancy: mean(trades.map(t => t.netPnl)),
+            expectancyR: mean(trades.map(t => t.rMultiple)),
+            avgWin: mean(winning.map(t => t.netPnl)),
+            avgLoss: mean(losing.map(t => t.netPnl)),
+            longestLosingStreak: longestLosingStreak(trades),
+            exposure: equityCurve.length > 0 ? (exposedBars / equityCurve.length) * 100 : 0,
+            cagr
+        };
+    };
+
+    /**
+     * Pré-calcula os indicadores de cada vela (null antes do warmup) para reutilizar em várias execuções
+     * Os indicadores não dependem de pesos, thresholds ou score mínimo, só das velas
+     * @param {Array} klines - Velas em ordem cronológica
+     * @param {Object} [options] - { timeframe, warmup }
+     * @returns {Array<Object|null>} Uma entrada por vela
+     */
+    const computeIndicatorSeries = (klines, options = {}) => {
+        const settings = { ...DEFAULTS, ...options };
+        const engine = resolveEngine();
+        if (klines.length < settings.warmup + 1) {
+            throw new Error(`Dados insuficientes: ${klines.length} velas (mínimo ${settings.warmup + 1})`);
+        }
+
+        const series = new Array(klines.length).fill(null);
+        const step = createPipelineStepper(klines, settings, engine);
+        for (let i = settings.warmup; i < klines.length; i++) {
+            series[i] = step(i, parseBar(klines[i])).getIndicators();
+        }
+        return series;
+    };
+
+    /**
+     * Retorna as opções padrão do backtest
+     */
+    const getDefaults = () => ({ ...DEFAULTS });
+
+    // =========================================================================
+    // EXPORTAR API
+    // =========================================================================
+    return {
+        run,
+        computeIndicatorSeries,
+        getDefaults
+    };
+})();
+
+// Exportar para uso no Node (CommonJS/ESM: import Backtester from './backtest.js')
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Backtester;
+}
+
+// Expor globalmente
+if (typeof window !== 'undefined') {
+    window.Backtester = Backtester;
+}
@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+/**
+ * CLI - ZingSignals
+ * Executa o engine de análise sem navegador a partir de arquivos de velas (CSV/JSON)
+ * e imprime as decisões como JSON lines (uma decisão por linha no stdout).
+ *
+ * Uso:
+ *   node cli.js --input 5m:dados/btc_5m.csv --input 1h:dados/btc_1h.json [opções]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MarketAnalysisEngine = require('./engine.js');
+
+// ============================================
+// CONFIGURAÇÃO PADRÃO
+// ============================================
+
+const DEFAULT_CONFIG = {
+    symbol: 'BTCUSDT',
+    tradingMode: 'balanced',
+    trendFilter: false,
+    divergenceDetection: true
+};
+
+// Mesmo tamanho da janela usada pelo dashboard (limit=200)
+const DEFAULT_WARMUP = 200;
+
+const USAGE = `Uso: node cli.js --input <timeframe>:<arquivo> [--input ...] [opções]
+
+Arquivos:
+  CSV   linhas "timestamp,open,high,low,close,volume" (cabeçalho opcional, colunas extras ignoradas)
+  JSON  array de velas [timestamp, open, high, low, close, volume] ou objetos
+        { timestamp|openTime|time, open, high, low, close, volume }
+
+  Como em prepareMarketData, a última vela do arquivo é tratada como a vela aberta (preço atual).
+
+Opções:
+  --input <tf>:<arquivo>   Timeframe e arquivo de velas (repetível)
+  --symbol <símbolo>       Símbolo informado na saída (padrão: ${DEFAULT_CONFIG.symbol})
+  --mode <modo>            aggressive | balanced | conservative (padrão: ${DEFAULT_CONFIG.tradingMode})
+  --trend-filter           Ativa o filtro de tendência
+  --no-divergence          Desativa o ajuste por divergência
+  --replay                 Emite uma decisão por vela (a partir do warmup), como se o arquivo fosse ao vivo
+  --warmup <n>             Velas mínimas antes da primeira decisão no replay (padrão: ${DEFAULT_WARMUP})
+  --confluence             Emite também a decisão combinada dos timeframes (analyzeConfluence; sem --replay)
+  --gate <modo>            off | veto | gate: viés do maior timeframe na confluência (padrão: ${MarketAnalysisEngine.getConfig().CONFLUENCE.gateMode})
+  --help                   Mostra esta ajuda`;
+
+// ============================================
+// ARGUMENTOS
+// ============================================
+
+/**
+ * Interpreta os argumentos da linha de comando
+ * @param {Array<string>} argv - Argumentos (sem node e o script)
+ * @returns {Object} Opções do CLI
+ */
+function parseArgs(argv) {
+    const options = {
+        inputs: [],
+        config: { ...DEFAULT_CONFIG },
+        replay: false,
+        warmup: DEFAULT_WARMUP,
+        confluence: false,
+        confluenceOptions: {},
+        help: false
+    };
+
+    const next = (i, flag) => {
+        if (i + 1 >= argv.length) throw new Error(`Valor ausente para ${flag}`);
+        return argv[i + 1];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--input': {
+                const value = next(i++, arg);
+                const separator = value.indexOf(':');
+                if (separator <= 0) throw new Error(`Formato inválido para --input: "${value}" (esperado <timeframe>:<arquivo>)`);
+                const timeframe = value.slice(0, separator);
+                if (MarketAnalysisEngine.timeframeToMs(timeframe) === null) throw new Error(`Timeframe inválido: "${timeframe}"`);
+                options.inputs.push({ timeframe, file: value.slice(separator + 1) });
+                break;
+            }
+            case '--symbol':
+                options.config.symbol = next(i++, arg).toUpperCase();
+                break;
+            case '--mode': {
+                const mode = next(i++, arg);
+                if (!(mode in MarketAnalysisEngine.getConfig().THRESHOLDS)) throw new Error(`Modo inválido: "${mode}"`);
+                options.config.tradingMode = mode;
+                break;
+            }
+            case '--trend-filter':
+                options.config.trendFilter = true;
+                break;
+            case '--no-divergence':
+                options.config.divergenceDetection = false;
+                break;
+            case '--replay':
+                options.replay = true;
+                break;
+            case '--warmup': {
+                const warmup = parseInt(next(i++, arg));
+                if (!Number.isInteger(warmup) || warmup < 2) throw new Error('--warmup deve ser um inteiro >= 2');
+                options.warmup = warmup;
+                break;
+            }
+            case '--confluence':
+                options.confluence = true;
+                break;
+            case '--gate': {
+                const gateMode = next(i++, arg);
+                if (!['off', 'veto', 'gate'].includes(gateMode)) throw new Error(`Modo de gate inválido: "${gateMode}"`);
+                options.confluenceOptions.gateMode = gateMode;
+                break;
+            }
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Argumento desconhecido: "${arg}"`);
+        }
+    }
+
+    if (options.confluence && options.replay) {
+        throw new Error('--confluence não é suportado com --replay');
+    }
+
+    return options;
+}
+
+// ============================================
+// LEITURA DE VELAS
+// ============================================
+
+/**
+ * Converte uma vela (array ou objeto) para o formato [timestamp, open, high, low, close, volume]
+ * @param {Array|Object} row - Vela bruta
+ * @returns {Array|null} Vela normalizada ou null se inválida
+ */
+function normalizeKline(row) {
+    const values = Array.isArray(row)
+        ? row.slice(0, 6)
+        : [row.timestamp ?? row.openTime ?? row.time, row.open, row.high, row.low, row.close, row.volume];
+
+    const numbers = values.map(Number);
+    if (numbers.length < 6 || numbers.some(v => !Number.isFinite(v))) return null;
+    return numbers;
+}
+
+/**
+ * Lê velas de um arquivo CSV ou JSON
+ * @param {string} file - Caminho do arquivo
+ * @returns {Array} Velas ordenadas por timestamp
+ */
+function loadKlines(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    const isJson = path.extname(file).toLowerCase() === '.json';
+
+    const rows = isJson
+        ? JSON.parse(content)
+        : content.split(/\r?\n/).filter(line => line.trim() !== '').map(line => line.split(','));
+
+    if (!Array.isArray(rows)) throw new Error(`${file}: o JSON deve ser um array de velas`);
+
+    const klines = [];
+    rows.forEach((row, index) => {
+        const kline = normalizeKline(row);
+        if (kline) {
+            klines.push(kline);
+        } else if (!(index === 0 && !isJson)) {
+            // Apenas a primeira linha do CSV (cabeçalho) pode ser ignorada silenciosamente
+            throw new Error(`${file}: vela inválida na linha ${index + 1}`);
+        }
+    });
+
+    if (klines.length < 2) throw new Error(`${file}: são necessárias pelo menos 2 velas`);
+    return klines.sort((a, b) => a[0] - b[0]);
+}
+
+// ============================================
+// ANÁLISE
+// ============================================
+
+/**
+ * Converte o resultado do engine em uma linha de saída
+ * @param {Object} result - Resultado de analyzeMarket / pipeline.analyze
+ * @param {Array} currentKline - Vela aberta (atual) no momento da decisão
+ * @param {Object} config - Configuração da análise
+ * @returns {Object} Decisão serializável
+ */
+function toDecisionLine(result, currentKline, config) {
+    return {
+        symbol: config.symbol,
+        timeframe: result.timeframe,
+        time: currentKline[0],
+        price: result.indicators.currentPrice,
+        direction: result.direction,
+        confidence: result.confidence,
+        score: result.totalScore,
+        trend: result.indicators.trend.value,
+        divergence: result.indicators.divergence.value,
+        atr: result.indicators.atr,
+        contributions: result.contributions,
+        explanation: result.explanation
+    };
+}
+
+/**
+ * Converte a confluência entre timeframes em uma linha de saída
+ * @param {Object} confluence - Resultado de analyzeConfluence
+ * @param {Object} config - Configuração da análise
+ * @returns {Object} Decisão combinada serializável
+ */
+function toConfluenceLine(confluence, config) {
+    return {
+        symbol: config.symbol,
+        timeframe: 'confluence',
+        direction: confluence.direction,
+        rawDirection: confluence.rawDirection,
+        confidence: confluence.confidence,
+        score: confluence.score,
+        agreement: confluence.agreement,
+        anchor: confluence.anchor,
+        gated: confluence.gated,
+        breakdown: confluence.breakdown,
+        explanation: confluence.explanation
+    };
+}
+
+/**
+ * Analisa as velas de um timeframe e emite as decisões
+ * @param {string} timeframe - Timeframe das velas
+ * @param {Array} klines - Velas ordenadas
+ * @param {Object} options - Opções do CLI
+ * @param {Function} emit - Recebe cada decisão
+ * @returns {Object|undefined} Resultado do engine (sem --replay)
+ */
+function runTimeframe(timeframe, klines, options, emit) {
+    const { config } = options;
+
+    if (!options.replay) {
+        const result = MarketAnalysisEngine.analyzeMarket({ klines, timeframe, config });
+        emit(toDecisionLine(result, klines[klines.length - 1], config));
+        return result;
+    }
+
+    // Replay: cada passo vê as velas até a atual, exatamente como a API retornaria naquele momento
+    const start = Math.min(options.warmup, klines.length);
+    const pipeline = MarketAnalysisEngine.createIndicatorPipeline({ timeframe }).seed(klines.slice(0, start));
+    emit(toDecisionLine(pipeline.analyze({ config }), klines[start - 1], config));
+
+    for (let i = start; i < klines.length; i++) {
+        if (!pipeline.sync([klines[i - 1], klines[i]])) {
+            console.error(`🔄 Lacuna de velas em ${timeframe} (${new Date(klines[i][0]).toISOString()}), ressemeando...`);
+            pipeline.seed(klines.slice(Math.max(0, i + 1 - options.warmup), i + 1));
+        }
+        emit(toDecisionLine(pipeline.analyze({ config }), klines[i], config));
+    }
+}
+
+function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(`❌ ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (options.help || options.inputs.length === 0) {
+        console.error(USAGE);
+        return options.help ? 0 : 2;
+    }
+
+    // stdout é reservado para as decisões (JSON lines); logs dos módulos vão para stderr
+    console.log = (...args) => console.error(...args);
+    const emit = (decision) => process.stdout.write(JSON.stringify(decision) + '\n');
+
+    try {
+        const results = options.inputs.map(({ timeframe, file }) => runTimeframe(timeframe, loadKlines(file), options, emit));
+        if (options.confluence) {
+            const confluence = MarketAnalysisEngine.analyzeConfluence(results, { ...options.confluenceOptions, config: options.config });
+            emit(toConfluenceLine(confluence, options.config));
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return 1;
+    }
+
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { parseArgs, loadKlines, runTimeframe, main };
@@ -0,0 +1,471 @@
+/**
+ * DecisionStore - Armazenamento Persistente - ZingSignals
+ *
+ * Persiste decisões (com suas avaliações) e trades por símbolo em IndexedDB no navegador
+ * ou em memória (Node e testes), com política de retenção por quantidade e idade,
+ * e exportação/importação de todo o conjunto em JSON ou CSV.
+ * O adaptador é plugável: qualquer objeto com getAll/put/remove/clear assíncronos.
+ */
+
+const DecisionStore = (() => {
+    // =========================================================================
+    // CONFIGURAÇÃO
+    // =========================================================================
+    const DB_NAME = 'zing-signals-store';
+    const COLLECTIONS = ['decisions', 'trades'];
+    const EXPORT_VERSION = 1;
+
+    const DEFAULT_RETENTION = {
+        maxRecords: 50000,                    // Por símbolo e coleção
+        maxAgeMs: 30 * 24 * 60 * 60 * 1000,   // 30 dias
+        checkEvery: 500                       // Aplicar retenção a cada N gravações
+    };
+
+    // =========================================================================
+    // ADAPTADORES
+    // =========================================================================
+
+    /**
+     * Adaptador em memória (Node, testes ou navegador sem IndexedDB)
+     * @returns {Object} Adaptador { getAll, put, remove, clear }
+     */
+    const createMemoryAdapter = () => {
+        const collections = new Map(COLLECTIONS.map(name => [name, new Map()]));
+        const clone = (record) => JSON.parse(JSON.stringify(record));
+
+        return {
+            async getAll(collection, symbol) {
+                const records = [...collections.get(collection).values()];
+                return (symbol === undefined ? records : records.filter(r => r.symbol === symbol)).map(clone);
+            },
+            async put(collection, records) {
+                const stored = collections.get(collection);
+                records.forEach(record => stored.set(record.id, clone(record)));
+            },
+            async remove(collection, ids) {
+                const stored = collections.get(collection);
+                ids.forEach(id => stored.delete(id));
+            },
+            async clear(collection) {
+                (collection ? [collection] : COLLECTIONS).forEach(name => collections.get(name).clear());
+            }
+        };
+    };
+
+    /**
+     * Adaptador IndexedDB (uma object store por coleção, chave id, índice por símbolo)
+     * @param {Object} [options]
+     * @param {string} [options.dbName] - Nome do banco
+     * @returns {Object} Adaptador { getAll, put, remove, clear }
+     */
+    const createIndexedDBAdapter = (options = {}) => {
+        const dbName = options.dbName || DB_NAME;
+        let dbPromise = null;
+
+        const openDB = () => {
+            if (!dbPromise) {
+                dbPromise = new Promise((resolve, reject) => {
+                    const request = indexedDB.open(dbName, 1);
+                    request.onupgradeneeded = () => {
+                        COLLECTIONS.forEach(name => {
+                            const store = request.result.createObjectStore(name, { keyPath: 'id' });
+                            store.createIndex('symbol', 'symbol');
+                        });
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            }
+            return dbPromise;
+        };
+
+        const runTransaction = async (collections, mode, action) => {
+            const db = await openDB();
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(collections, mode);
+                const result = action(tx);
+                tx.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        };
+
+        return {
+            async getAll(collection, symbol) {
+                const records = await runTransaction(collection, 'readonly', tx => {
+                    const store = tx.objectStore(collection);
+                    return symbol === undefined ? store.getAll() : store.index('symbol').getAll(IDBKeyRange.only(symbol));
+                });
+                return records || [];
+            },
+            async put(collection, records) {
+                await runTransaction(collection, 'readwrite', tx => {
+                    const store = tx.objectStore(collection);
+                    records.forEach(record => store.put(record));
+                });
+            },
+            async remove(collection, ids) {
+                await runTransaction(collection, 'readwrite', tx => {
+                    const store = tx.objectStore(collection);
+                    ids.forEach(id => store.delete(id));
+                });
+            },
+            async clear(collection) {
+                const names = collection ? [collection] : COLLECTIONS;
+                await runTransaction(names, 'readwrite', tx => {
+                    names.forEach(name => tx.objectStore(name).clear());
+                });
+            }
+        };
+    };
+
+    // =========================================================================
+    // FUNÇÕES PRIVADAS - REGISTROS
+    // =========================================================================
+
+    // Decisões são guardadas inteiras (inclusive evaluation e path) sem funções/referências
+    const toDecisionRecord = (decision) => ({ ...JSON.parse(JSON.stringify(decision)), symbol: decision.symbol || '' });
+
+    // Trades do live não têm id: símbolo + timeframe + timestamp (com sufixo em colisões)
+    const toTradeRecords = (symbol, tradeHistory) => {
+        const records = [];
+        Object.entries(tradeHistory || {}).forEach(([timeframe, trades]) => {
+            const seen = new Map();
+            (trades || []).forEach(trade => {
+                const baseId = `${symbol}_${timeframe}_${trade.timestamp}`;
+                const count = seen.get(baseId) || 0;
+                seen.set(baseId, count + 1);
+                records.push({
+                    id: count === 0 ? baseId : `${baseId}_${count}`,
+                    symbol,
+                    timeframe,
+                    timestamp: trade.timestamp,
+                    trade: JSON.parse(JSON.stringify(trade))
+                });
+            });
+        });
+        return records;
+    };
+
+    // =========================================================================
+    // FUNÇÕES PRIVADAS - CSV
+    // =========================================================================
+
+    // Números só em forma canônica ("1.50" e "007" continuam texto); textos entre aspas são JSON
+    const parseCell = (text) => {
+        if (text === 'null') return null;
+        if (text === '{}') return {};
+        if (text === '[]') return [];
+        if (text === 'true' || text === 'false') return text === 'true';
+        if (/^-?\d+(\.\d+)?(e[-+]?\d+)?$/i.test(text) && String(Number(text)) === text) return Number(text);
+        if (/^".*"$/s.test(text)) {
+            try { return JSON.parse(text); } catch (e) { return text; }
+        }
+        return text;
+    };
+
+    // Texto que seria lido como outro tipo ("123", "true", "null", "") é gravado entre aspas JSON
+    const encodeString = (text) => (text === '' || parseCell(text) !== text ? JSON.stringify(text) : text);
+
+    // Achata objetos em colunas com caminho "a.b.0"; null, {} e [] são gravados como texto
+    const flatten = (value, prefix, row) => {
+        if (value !== null && typeof value === 'object' && Object.keys(value).length === 0) {
+            row[prefix] = Array.isArray(value) ? '[]' : '{}';
+        } else if (value !== null && typeof value === 'object') {
+            Object.entries(value).forEach(([key, nested]) => flatten(nested, prefix ? `${prefix}.${key}` : key, row));
+        } else if (value !== undefined) {
+            row[prefix] = value === null ? 'null' : typeof value === 'string' ? encodeString(value) : String(value);
+        }
+        return row;
+    };
+
+    const unflatten = (row) => {
+        const result = {};
+        Object.entries(row).forEach(([path, text]) => {
+            if (text === '') return; // Coluna ausente neste registro
+            const keys = path.split('.');
+            let target = result;
+            keys.forEach((key, i) => {
+                if (i === keys.length - 1) {
+                    target[key] = parseCell(text);
+                } else {
+                    if (target[key] === undefined) target[key] = /^\d+$/.test(keys[i + 1]) ? [] : {};
+                    target = target[key];
+                }
+            });
+        });
+        return result;
+    };
+
+    const escapeCsv = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+    const toCsv = (rows) => {
+        const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        const lines = [columns.map(escapeCsv).join(',')];
+        rows.forEach(row => lines.push(columns.map(c => escapeCsv(row[c] ?? '')).join(',')));
+        return lines.join('\n');
+    };
+
+    // Parser de CSV com suporte a aspas, vírgulas e quebras de linha dentro de campos
+    const parseCsv = (text) => {
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+                else if (char === '"') quoted = false;
+                else field += char;
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        const [header, ...rows] = records.filter(r => r.length > 1 || r[0] !== '');
+        if (!header) return [];
+        return rows.map(values => Object.fromEntries(header.map((column, i) => [column, values[i] ?? ''])));
+    };
+
+    // =========================================================================
+    // API PÚBLICA
+    // =========================================================================
+
+    /**
+     * Cria um store de decisões e trades
+     * @param {Object} [options]
+     * @param {Object} [options.adapter] - Adaptador (padrão: IndexedDB no navegador, memória no Node)
+     * @param {Object} [options.retention] - { maxRecords, maxAgeMs, checkEvery } (ver DEFAULT_RETENTION)
+     * @returns {Object} Store
+     */
+    const create = (options = {}) => {
+        const adapter = options.adapter || (typeof indexedDB !== 'undefined' ? createIndexedDBAdapter() : createMemoryAdapter());
+        const retention = { ...DEFAULT_RETENTION, ...(options.retention || {}) };
+        let writesSinceRetention = 0;
+
+        const afterWrite = async (count) => {
+            writesSinceRetention += count;
+            if (writesSinceRetention >= retention.checkEvery) {
+                writesSinceRetention = 0;
+                await applyRetention();
+            }
+        };
+
+        /**
+         * Remove registros mais antigos que maxAgeMs e o excedente de maxRecords por símbolo
+         * Decisões ainda não avaliadas nunca são removidas por idade
+         * @param {number} [now] - Tempo atual (padrão: Date.now())
+         * @returns {Promise<Object>} Removidos por coleção
+         */
+        const applyRetention = async (now = Date.now()) => {
+            const removed = {};
+
+            for (const collection of COLLECTIONS) {
+                const records = await adapter.getAll(collection);
+                const bySymbol = new Map();
+                records.forEach(record => {
+                    if (!bySymbol.has(record.symbol)) bySymbol.set(record.symbol, []);
+                    bySymbol.get(record.symbol).push(record);
+                });
+
+                const ids = [];
+                bySymbol.forEach(symbolRecords => {
+                    symbolRecords.sort((a, b) => a.timestamp - b.timestamp);
+                    const excess = symbolRecords.length - retention.maxRecords;
+                    symbolRecords.forEach((record, i) => {
+                        const expired = now - record.timestamp > retention.maxAgeMs && record.status !== 'pending';
+                        if (i < excess || expired) ids.push(record.id);
+                    });
+                });
+
+                if (ids.length > 0) await adapter.remove(collection, ids);
+                removed[collection] = ids.length;
+            }
+
+            if (removed.decisions > 0 || removed.trades > 0) {
+                console.log(`🧹 Retenção aplicada: ${removed.decisions} decisões e ${removed.trades} trades removidos`);
+            }
+            return removed;
+        };
+
+        /**
+         * Grava (ou atualiza) decisões
+         * @param {Object|Array<Object>} decisions - Decisão ou lista de decisões de evaluation.js
+         */
+        const saveDecisions = async (decisions) => {
+            const list = Array.isArray(decisions) ? decisions : [decisions];
+            await adapter.put('decisions', list.map(toDecisionRecord));
+            await afterWrite(list.length);
+        };
+
+        /**
+         * Carrega as decisões de um símbolo em ordem cronológica
+         * @param {string} [symbol] - Símbolo (omitido: todos)
+         * @returns {Promise<Array<Object>>} Decisões
+         */
+        const loadDecisions = async (symbol) => {
+            const records = await adapter.getAll('decisions', symbol);
+            return records.sort((a, b) => a.timestamp - b.timestamp);
+        };
+
+        /**
+         * Grava (ou atualiza) os trades de um símbolo ({ '1m': [...], '5m': [...] })
+         * Trades ausentes do histórico informado continuam no store: o histórico em memória é limitado,
+         * e a remoção fica com a retenção (ou com removeTrades)
+         * @param {string} symbol - Símbolo
+         * @param {Object} tradeHistory - Trades por timeframe
+         */
+        const saveTrades = async (symbol, tradeHistory) => {
+            const records = toTradeRecords(symbol, tradeHistory);
+            await adapter.put('trades', records);
+            await afterWrite(records.length);
+        };
+
+        /**
+         * Remove os trades de um símbolo (ou só de um timeframe)
+         * @param {string} symbol - Símbolo
+         * @param {string} [timeframe] - Timeframe (omitido: todos)
+         * @returns {Promise<number>} Trades removidos
+         */
+        const removeTrades = async (symbol, timeframe) => {
+            const ids = (await adapter.getAll('trades', symbol))
+                .filter(r => timeframe === undefined || r.timeframe === timeframe)
+                .map(r => r.id);
+            if (ids.length > 0) await adapter.remove('trades', ids);
+            return ids.length;
+        };
+
+        /**
+         * Carrega os trades de um símbolo agrupados por timeframe
+         * @param {string} symbol - Símbolo
+         * @param {Object} [params] - { limit: últimos N trades por timeframe }
+         * @returns {Promise<Object>} Trades por timeframe ({} se não houver)
+         */
+        const loadTrades = async (symbol, { limit } = {}) => {
+            const records = await adapter.getAll('trades', symbol);
+            const tradeHistory = {};
+            records.sort((a, b) => a.timestamp - b.timestamp).forEach(record => {
+                if (!tradeHistory[record.timeframe]) tradeHistory[record.timeframe] = [];
+                tradeHistory[record.timeframe].push(record.trade);
+            });
+            if (limit) {
+                Object.keys(tradeHistory).forEach(tf => { tradeHistory[tf] = tradeHistory[tf].slice(-limit); });
+            }
+            return tradeHistory;
+        };
+
+        /**
+         * Exporta todo o conjunto (ou um símbolo)
+         * JSON: { version, exportedAt, decisions, trades }
+         * CSV: uma linha por registro, coluna "collection" e colunas achatadas ("evaluation.mfe", "trade.result", ...)
+         * @param {Object} [params] - { format: 'json' | 'csv', symbol }
+         * @returns {Promise<string>} Conteúdo exportado
+         */
+        const exportData = async ({ format = 'json', symbol } = {}) => {
+            const data = {};
+            for (const collection of COLLECTIONS) {
+                data[collection] = (await adapter.getAll(collection, symbol)).sort((a, b) => a.timestamp - b.timestamp);
+            }
+
+            if (format === 'csv') {
+                return toCsv(COLLECTIONS.flatMap(collection =>
+                    data[collection].map(record => ({ collection, ...flatten(record, '', {}) }))
+                ));
+            }
+            if (format !== 'json') throw new Error(`Formato de exportação inválido: "${format}"`);
+
+            return JSON.stringify({ version: EXPORT_VERSION, exportedAt: new Date().toISOString(), ...data }, null, 2);
+        };
+
+        /**
+         * Importa um conjunto exportado, mesclando com os registros existentes (mesmo id substitui)
+         * @param {string} content - Conteúdo JSON ou CSV
+         * @param {Object} [params] - { format: 'json' | 'csv' } (padrão: detectado pelo conteúdo)
+         * @returns {Promise<Object>} Importados por coleção
+         */
+        const importData = async (content, { format } = {}) => {
+            const detected = format || (content.trim().startsWith('{') ? 'json' : 'csv');
+            const data = Object.fromEntries(COLLECTIONS.map(c => [c, []]));
+
+            if (detected === 'json') {
+                const parsed = JSON.parse(content);
+                if (parsed.version !== EXPORT_VERSION) throw new Error('Arquivo de exportação de versão incompatível');
+                COLLECTIONS.forEach(c => { data[c] = parsed[c] || []; });
+            } else if (detected === 'csv') {
+                parseCsv(content).forEach(row => {
+                    const { collection, ...fields } = row;
+                    if (!data[collection]) throw new Error(`Coleção desconhecida no CSV: "${collection}"`);
+                    data[collection].push(unflatten(fields));
+                });
+            } else {
+                throw new Error(`Formato de importação inválido: "${detected}"`);
+            }
+
+            const imported = {};
+            for (const collection of COLLECTIONS) {
+                const valid = data[collection].filter(r => r && r.id !== undefined && Number.isFinite(r.timestamp));
+                if (valid.length > 0) await adapter.put(collection, valid);
+                imported[collection] = valid.length;
+            }
+
+            console.log(`📥 Importados ${imported.decisions} decisões e ${imported.trades} trades`);
+            return imported;
+        };
+
+        return {
+            saveDecisions,
+            loadDecisions,
+            saveTrades,
+            removeTrades,
+            loadTrades,
+            applyRetention,
+            exportData,
+            importData,
+            clear: () => adapter.clear()
+        };
+    };
+
+    // Store padrão compartilhado: IndexedDB quando disponível
+    let defaultStore = null;
+    const getDefault = () => {
+        if (!defaultStore) defaultStore = create();
+        return defaultStore;
+    };
+
+    // =========================================================================
+    // EXPORTAR API
+    // =========================================================================
+    return {
+        create,
+        getDefault,
+        createMemoryAdapter,
+        createIndexedDBAdapter
+    };
+})();
+
+// Exportar para uso no Node (CommonJS/ESM: import DecisionStore from './decisionStore.js')
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DecisionStore;
+}
+
+// Expor globalmente
+if (typeof window !== 'undefined') {
+    window.DecisionStore = DecisionStore;
+}
@@ -8,22 +8,151 @@
 // ============================================
 
 const ANALYSIS_CONFIG = {
-    INDICATOR_WEIGHTS: {
-        rsi: 1.0,
-        macd: 1.0,
-        stochRsi: 0.8,
-        mfi: 0.8,
-        trend: 1.2,
-        occ: 1.0,
-        stcCci: 1.0
-    },
+    // Peso padrão de cada indicador registrado (preenchido por registerIndicator, ver INDICADORES PADRÃO)
+    INDICATOR_WEIGHTS: {},
+    // Indicadores de fluxo de negócios: só pontuam quando a análise recebe orderFlow (TradeTape)
+    ORDER_FLOW_INDICATORS: [],
+    // Escala do score total: média ponderada dos scores × 7 (número de indicadores base),
+    // mantendo a mesma faixa usada pelos thresholds e pelo score mínimo do usuário
+    SCORE_SCALE: 7,
     THRESHOLDS: {
         aggressive: 10,
         balanced: 25,
         conservative: 40
+    },
+    // Divergências por pivôs de swing (preço × RSI, histograma do MACD e MFI)
+    DIVERGENCE: {
+        pivotLeft: 3,          // Velas à esquerda que o pivô precisa superar
+        pivotRight: 3,         // Velas à direita que confirmam o pivô
+        lookback: 60,          // Velas analisadas
+        minPivotDistance: 5,   // Distância mínima entre os dois pivôs comparados
+        maxPivotAge: 10,       // Velas máximas desde o pivô mais recente (divergência ainda acionável)
+        minStrength: 0.1,      // Força mínima (0-1) para a divergência contar
+        scoreBonus: 20,        // Ajuste máximo do score (força 1); proporcional à força
+        hiddenWeight: 0,       // Fração do ajuste para divergências ocultas (0 = só regulares pontuam)
+        strengthScale: { rsi: 10, mfi: 10, macd: 0.5 } // Diferença do oscilador para força 1 (MACD em ATRs)
+    },
+    // Regime de mercado: força da tendência (ADX_REGIME), percentil da volatilidade realizada e compressão das bandas
+    MARKET_REGIME: {
+        volatilityPeriod: 20,  // Retornos no desvio da volatilidade realizada
+        bandPeriod: 20,        // Bandas (2 desvios) da compressão
+        lookback: 100,         // Histórico dos percentis
+        minHistory: 30,        // Histórico mínimo para classificar
+        highVolatility: 80,    // Percentil de volatilidade (e de largura das bandas) do rompimento
+        squeezeCompression: 20, // Percentil máximo da largura das bandas no squeeze
+        squeezeVolatility: 50  // Percentil máximo de volatilidade no squeeze
+    },
+    // Regime pelo ADX: >= trending = mercado em tendência, < ranging = lateral, entre os dois = transição
+    ADX_REGIME: {
+        trending: 25,
+        ranging: 20
+    },
+    // Confluência entre timeframes (analyzeConfluence)
+    CONFLUENCE: {
+        hierarchyStep: 0.5,  // Peso = 1 + posição na hierarquia × step (1m=1, 5m=1.5, 15m=2, 1h=2.5 no conjunto padrão)
+        gateMode: 'veto',    // off | veto (viés contrário do maior timeframe bloqueia) | gate (exige viés a favor)
+        minAgreement: 0.5    // Fração ponderada mínima dos timeframes na direção combinada
     }
 };
 
+// Registro de indicadores: id → definição (ordem de registro = ordem de scores, explicações e cards)
+const INDICATOR_REGISTRY = new Map();
+
+// Chaves do objeto de indicadores usadas pela base compartilhada
+const RESERVED_INDICATOR_IDS = ['divergence', 'marketRegime', 'ema', 'atr', 'currentPrice', 'volume', 'avgVolume', 'candleCount', 'lastClose'];
+
+// ============================================
+// REGISTRO DE INDICADORES
+// ============================================
+
+/**
+ * Registra um indicador no engine
+ * O indicador passa a ser calculado (lote e pipeline), pontuado, ponderado e explicado em todas as análises
+ * @param {Object} definition - Definição do indicador
+ * @param {string} definition.id - Chave do indicador (em indicators, scores, weights e contributions)
+ * @param {string} [definition.label] - Nome exibido (cards e relatórios)
+ * @param {number} [definition.weight] - Peso padrão (padrão: 1)
+ * @param {Object} [definition.params] - Parâmetros repassados a compute/createStream
+ * @param {number} [definition.warmup] - Velas fechadas mínimas; antes disso o score é null (fora da média)
+ * @param {string} [definition.source] - 'candles' (padrão) ou 'orderFlow' (só com TradeTape.getOrderFlow)
+ * @param {Function} definition.compute - (marketInfo, params, base) => { value, ... }; com source 'orderFlow':
+ *   (orderFlow, params) => { value, ... }
+ * @param {Function} [definition.createStream] - (params) => { push(candle), value(base) } para o pipeline incremental;
+ *   sem ele o pipeline recalcula compute sobre as últimas definition.history velas (padrão: 500)
+ * @param {Function} definition.score - (indicator, indicators, config) => score de -100 a 100 ou null
+ * @param {Function} [definition.explain] - (indicator, indicators) => trecho da explicação ou null
+ * @returns {Object} Metadados do indicador registrado
+ */
+function registerIndicator(definition) {
+    const { id } = definition || {};
+    if (typeof id !== 'string' || id === '') throw new Error('registerIndicator: id obrigatório');
+    if (RESERVED_INDICATOR_IDS.includes(id)) throw new Error(`registerIndicator: id reservado "${id}"`);
+    if (INDICATOR_REGISTRY.has(id)) throw new Error(`registerIndicator: indicador "${id}" já registrado`);
+    if (typeof definition.compute !== 'function') throw new Error(`registerIndicator: ${id} sem compute`);
+    if (typeof definition.score !== 'function') throw new Error(`registerIndicator: ${id} sem score`);
+
+    const registered = {
+        label: id,
+        weight: 1,
+        params: {},
+        warmup: 0,
+        source: 'candles',
+        history: 500,
+        ...definition
+    };
+    if (!['candles', 'orderFlow'].includes(registered.source)) {
+        throw new Error(`registerIndicator: fonte inválida "${registered.source}" em ${id}`);
+    }
+
+    INDICATOR_REGISTRY.set(id, registered);
+    ANALYSIS_CONFIG.INDICATOR_WEIGHTS[id] = registered.weight;
+    if (registered.source === 'orderFlow') ANALYSIS_CONFIG.ORDER_FLOW_INDICATORS.push(id);
+
+    return describeIndicator(registered);
+}
+
+/**
+ * Lista os indicadores registrados (metadados, sem as funções)
+ * @returns {Array<Object>} [{ id, label, weight, params, warmup, source }]
+ */
+function getIndicators() {
+    return [...INDICATOR_REGISTRY.values()].map(describeIndicator);
+}
+
+function describeIndicator(definition) {
+    const { id, label, weight, params, warmup, source } = definition;
+    return { id, label, weight, params: { ...params }, warmup, source };
+}
+
+function getIndicatorDefinitions(source) {
+    return [...INDICATOR_REGISTRY.values()].filter(definition => definition.source === source);
+}
+
+/**
+ * Stream genérico para indicadores sem createStream: guarda as últimas velas e recalcula compute
+ * @param {Object} definition - Definição registrada
+ * @returns {Object} { push(candle), value(base) }
+ */
+function createRecomputeStream(definition) {
+    const candles = createRollingWindow(definition.history);
+    return {
+        push: (candle) => candles.push(candle),
+        value: (base) => {
+            const recent = candles.values();
+            const marketInfo = {
+                closes: recent.map(c => c.close),
+                opens: recent.map(c => c.open),
+                highs: recent.map(c => c.high),
+                lows: recent.map(c => c.low),
+                volumes: recent.map(c => c.volume),
+                timestamps: recent.map(c => c.time),
+                currentPrice: base.currentPrice
+            };
+            return definition.compute(marketInfo, definition.params, base);
+        }
+    };
+}
+
 // ============================================
 // FUNÇÕES DE ANÁLISE CORE
 // ============================================
@@ -32,8 +161,10 @@ const ANALYSIS_CONFIG = {
  * Função principal de análise de mercado
  * @param {Object} marketData - Dados brutos do mercado
  * @param {Array} marketData.klines - Array de velas [timestamp, open, high, low, close, volume]
- * @param {string} marketData.timeframe - Timeframe da análise ('1m', '5m', '15m', '1h')
+ * @param {string} marketData.timeframe - Timeframe da análise ('1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '1d', '1w')
  * @param {Object} marketData.config - Configurações de análise
+ * @param {Object} [marketData.weights] - Pesos por indicador para esta chamada (padrão: ANALYSIS_CONFIG.INDICATOR_WEIGHTS)
+ * @param {Object} [marketData.orderFlow] - Fluxo agressor do timeframe (TradeTape.getOrderFlow); ativa 'cvd' e 'flowImbalance'
  * @returns {Object} Resultado da análise
  */
 function analyzeMarket(marketData) {
@@ -45,8 +176,33 @@ function analyzeMarket(marketData) {
     // Calcular indicadores técnicos
     const indicators = calculateTechnicalIndicators(marketInfo);
 
+    return analyzeIndicators(indicators, { timeframe, config, weights: marketData.weights, orderFlow: marketData.orderFlow });
+}
+
+/**
+ * Pontua indicadores já calculados e determina a decisão
+ * Compartilhado entre a análise em lote (analyzeMarket) e o pipeline incremental
+ * @param {Object} indicators - Valores dos indicadores (formato de calculateTechnicalIndicators)
+ * @param {Object} options - Opções da análise
+ * @param {string} options.timeframe - Timeframe da análise
+ * @param {Object} options.config - Configurações de análise
+ * @param {Object} [options.weights] - Pesos por indicador (padrão: ANALYSIS_CONFIG.INDICATOR_WEIGHTS)
+ * @param {Object} [options.orderFlow] - Fluxo agressor do timeframe (TradeTape.getOrderFlow)
+ * @returns {Object} Resultado da análise
+ */
+function analyzeIndicators(baseIndicators, options) {
+    const { timeframe, config } = options;
+
+    // Indicadores de fluxo entram só quando há fita de negócios
+    const indicators = options.orderFlow
+        ? { ...baseIndicators, ...calculateOrderFlowIndicators(options.orderFlow) }
+        : baseIndicators;
+
+    // Resolver pesos desta chamada (fallback para os pesos padrão)
+    const weights = resolveWeights(options.weights);
+
     // Calcular scores dos indicadores
-    const indicatorScores = calculateIndicatorScores(indicators, config);
+    const indicatorScores = calculateIndicatorScores(indicators, config, weights);
 
     // Calcular score total
     const totalScore = calculateTotalScore(indicatorScores, config);
@@ -61,15 +217,37 @@ function analyzeMarket(marketData) {
         direction,
         confidence,
         indicators: indicators,
-        weights: ANALYSIS_CONFIG.INDICATOR_WEIGHTS,
+        weights: weights,
         scores: indicatorScores,
+        contributions: extractContributions(indicatorScores),
         totalScore,
         explanation,
+        regime: indicators.adx ? indicators.adx.regime : null,
+        marketRegime: indicators.marketRegime,
         timeframe,
         timestamp: Date.now()
     };
 }
 
+/**
+ * Combina os pesos informados com os pesos padrão
+ * @param {Object} [weights] - Pesos parciais ou completos por indicador
+ * @returns {Object} Pesos completos (valores inválidos ou negativos são ignorados)
+ */
+function resolveWeights(weights) {
+    const resolved = { ...ANALYSIS_CONFIG.INDICATOR_WEIGHTS };
+    if (!weights) return resolved;
+
+    Object.keys(resolved).forEach(key => {
+        const weight = weights[key];
+        if (Number.isFinite(weight) && weight >= 0) {
+            resolved[key] = weight;
+        }
+    });
+
+    return resolved;
+}
+
 /**
  * Prepara os dados das velas para análise
  * @param {Array} klines - Dados brutos das velas
@@ -99,125 +277,115 @@ function prepareMarketData(klines) {
 function calculateTechnicalIndicators(marketInfo) {
     const { closes, highs, lows, volumes } = marketInfo;
 
-    // Implementações simplificadas dos indicadores
-
-    // RSI simplificado
-    const rsi = calculateRSI(closes, 14);
-
-    // MACD simplificado
-    const macdHistogram = calculateMACD(closes);
-
-    // Stochastic RSI simplificado
-    const stochRsi = calculateStochasticRSI(closes, 14);
-
-    // MFI simplificado
-    const mfi = calculateMFI(highs, lows, closes, volumes, 14);
-
-    // EMAs simplificadas
+    // Base compartilhada (contexto dos indicadores registrados): EMAs, ATR e volume
     const ema20 = calculateEMA(closes, 20);
     const ema50 = calculateEMA(closes, 50);
     const ema200 = calculateEMA(closes, 200);
 
-    // ATR simplificado
-    const atr = calculateATR(highs, lows, closes, 14);
-
-    // Detectar tendência (verificar primeiro se temos dados suficientes)
-    let trend = 'sideways';
-    const analysisPrice = closes[closes.length - 1];
-    
-    // Tendência com EMAs longas (mais confiável)
-    if (closes.length >= 200) {
-        if (analysisPrice > ema20 && ema20 > ema50 && ema50 > ema200) {
-            trend = 'uptrend';
-        } else if (analysisPrice < ema20 && ema20 < ema50 && ema50 < ema200) {
-            trend = 'downtrend';
-        }
-    } 
-    // Tendência de curto prazo se não temos 200 velas
-    else if (closes.length >= 20) {
-        if (analysisPrice > ema20) {
-            trend = 'uptrend';
-        } else if (analysisPrice < ema20) {
-            trend = 'downtrend';
-        }
-    }
-
-    // Detectar divergências
-    const divergence = detectDivergence(closes, rsi);
-
-    // OCC - Open Close Cross
-    const occ = calculateOCC(marketInfo.opens, closes, 8);
-
-    // STC-CCI - Schaff Trend Cycle com CCI
-    const stcCci = calculateSTCCCI(highs, lows, closes, 20);
-
-    return {
-        rsi: { value: rsi },
-        macd: { value: macdHistogram, atr: atr },
-        stochRsi: { value: stochRsi },
-        mfi: { value: mfi },
-        trend: { value: trend },
-        divergence: { value: divergence },
-        occ: occ,
-        stcCci: stcCci,
+    const base = {
         ema: { ema20, ema50, ema200 },
-        atr: atr,
+        atr: calculateATR(highs, lows, closes, 14),
         currentPrice: marketInfo.currentPrice,
         volume: volumes[volumes.length - 1],
-        avgVolume: volumes.slice(0, -1).reduce((a, b) => a + b, 0) / (volumes.length - 1)
+        avgVolume: volumes.slice(0, -1).reduce((a, b) => a + b, 0) / (volumes.length - 1),
+        candleCount: closes.length,
+        lastClose: closes[closes.length - 1]
     };
+
+    // Indicadores registrados sobre as velas
+    const indicators = {};
+    getIndicatorDefinitions('candles').forEach(definition => {
+        indicators[definition.id] = definition.compute(marketInfo, definition.params, base);
+    });
+
+    // Divergências por pivôs de swing (preço × RSI, MACD e MFI)
+    const divergence = replayStream(createDivergenceStream(), marketInfo);
+
+    // Regime de mercado (tendência, volatilidade e compressão)
+    const marketRegime = replayStream(createMarketRegimeStream(), marketInfo);
+
+    return { ...indicators, divergence, marketRegime, ...base };
 }
 
 /**
  * Calcula os scores de cada indicador
  * @param {Object} indicators - Valores dos indicadores
  * @param {Object} config - Configurações
+ * @param {Object} [weights] - Pesos por indicador (padrão: ANALYSIS_CONFIG.INDICATOR_WEIGHTS)
  * @returns {Object} Scores calculados
  */
-function calculateIndicatorScores(indicators, config) {
-    const atrValue = Number.isFinite(indicators.atr) && indicators.atr > 0 ? indicators.atr : 0.0001;
-    
-    const rsiValue = Number.isFinite(indicators.rsi.value) ? indicators.rsi.value : 50;
-    const macdValue = Number.isFinite(indicators.macd.value) ? indicators.macd.value : 0;
-    const stochValue = Number.isFinite(indicators.stochRsi.value) ? indicators.stochRsi.value : 50;
-    const mfiValue = Number.isFinite(indicators.mfi.value) ? indicators.mfi.value : 50;
-    const occValue = Number.isFinite(indicators.occ?.value) ? indicators.occ.value : 0;
-    const stcCciValue = Number.isFinite(indicators.stcCci?.value) ? indicators.stcCci.value : 0;
-    
-    return {
-        rsi: {
-            score: calculateRSIScore(rsiValue),
-            weight: ANALYSIS_CONFIG.INDICATOR_WEIGHTS.rsi
-        },
-        macd: {
-            score: (macdValue / atrValue) * 50,
-            weight: ANALYSIS_CONFIG.INDICATOR_WEIGHTS.macd
-        },
-        stochRsi: {
-            score: (stochValue - 50) * 2,
-            weight: ANALYSIS_CONFIG.INDICATOR_WEIGHTS.stochRsi
-        },
-        mfi: {
-            score: (mfiValue - 50) * 2,
-            weight: ANALYSIS_CONFIG.INDICATOR_WEIGHTS.mfi
-        },
-        trend: {
-            score: indicators.trend.value === 'uptrend' ? 30 : indicators.trend.value === 'downtrend' ? -30 : 0,
-            weight: ANALYSIS_CONFIG.INDICATOR_WEIGHTS.trend
-        },
-        occ: {
-            score: occValue,
-            weight: ANALYSIS_CONFIG.INDICATOR_WEIGHTS.occ
-        },
-        stcCci: {
-            score: stcCciValue,
-            weight: ANALYSIS_CONFIG.INDICATOR_WEIGHTS.stcCci
-        },
-        divergence: {
-            value: indicators.divergence.value,
-            weight: 0
-        }
+function calculateIndicatorScores(indicators, config, weights = ANALYSIS_CONFIG.INDICATOR_WEIGHTS) {
+    const scores = {};
+
+    // Sem o indicador (ex.: fluxo sem orderFlow) ou antes do aquecimento o score fica null
+    // e o indicador não entra na média ponderada
+    INDICATOR_REGISTRY.forEach(definition => {
+        const indicator = indicators[definition.id];
+        const warmedUp = definition.source !== 'candles' || !(indicators.candleCount < definition.warmup);
+        const score = indicator && warmedUp ? definition.score(indicator, indicators, config) : null;
+
+        scores[definition.id] = {
+            score: Number.isFinite(score) ? score : null,
+            weight: weights[definition.id]
+        };
+    });
+
+    scores.divergence = {
+        value: indicators.divergence.value,
+        type: indicators.divergence.type,
+        strength: indicators.divergence.strength,
+        weight: 0
     };
+
+    return scores;
+}
+
+/**
+ * Converte o fluxo agressor (TradeTape.getOrderFlow) nos indicadores de fluxo registrados
+ * @param {Object} orderFlow - { cvd, cvdChange, cvdVolume, imbalance }
+ * @returns {Object} { cvd, flowImbalance, ... } no formato de calculateTechnicalIndicators
+ */
+function calculateOrderFlowIndicators(orderFlow) {
+    const indicators = {};
+    getIndicatorDefinitions('orderFlow').forEach(definition => {
+        indicators[definition.id] = definition.compute(orderFlow, definition.params);
+    });
+    return indicators;
+}
+
+/**
+ * Calcula a contribuição ponderada de cada indicador para o score total
+ * A soma das contribuições é a média ponderada dos scores normalizada por SCORE_SCALE,
+ * então o score não muda de escala quando os pesos crescem ou diminuem juntos
+ * @param {Object} indicatorScores - Scores dos indicadores (recebe o campo contribution)
+ */
+function applyWeightedContributions(indicatorScores) {
+    const isWeighted = indicator => Number.isFinite(indicator.score) && indicator.weight > 0;
+
+    const weightTotal = Object.values(indicatorScores)
+        .filter(isWeighted)
+        .reduce((sum, indicator) => sum + indicator.weight, 0);
+
+    Object.values(indicatorScores).forEach(indicator => {
+        indicator.contribution = weightTotal > 0 && isWeighted(indicator)
+            ? (indicator.score * indicator.weight / weightTotal) * ANALYSIS_CONFIG.SCORE_SCALE
+            : 0;
+    });
+}
+
+/**
+ * Extrai as contribuições ponderadas por indicador (apenas indicadores com score)
+ * @param {Object} indicatorScores - Scores dos indicadores
+ * @returns {Object} Mapa indicador → contribuição no score total
+ */
+function extractContributions(indicatorScores) {
+    const contributions = {};
+    Object.entries(indicatorScores).forEach(([key, indicator]) => {
+        if (Number.isFinite(indicator.score)) {
+            contributions[key] = indicator.contribution || 0;
+        }
+    });
+    return contributions;
 }
 
 /**
@@ -229,11 +397,10 @@ function calculateIndicatorScores(indicators, config) {
 function calculateTotalScore(indicatorScores, config) {
     let totalScore = 0;
 
-    // Somar scores diretamente (SEM pesos, apenas soma pura)
+    // Somar contribuições ponderadas (média ponderada na escala SCORE_SCALE)
+    applyWeightedContributions(indicatorScores);
     Object.values(indicatorScores).forEach(indicator => {
-        if (Number.isFinite(indicator.score)) {
-            totalScore += indicator.score;
-        }
+        totalScore += indicator.contribution;
     });
 
     // Garantir que totalScore é válido
@@ -245,25 +412,35 @@ function calculateTotalScore(indicatorScores, config) {
     totalScore = adjustScoreByMode(totalScore, config.tradingMode);
 
     // Ajustar por divergência
-    if (config.divergenceDetection && indicatorScores.divergence?.value === 'bullish') {
-        totalScore += 20;
-    }
-    if (config.divergenceDetection && indicatorScores.divergence?.value === 'bearish') {
-        totalScore -= 20;
+    if (config.divergenceDetection) {
+        totalScore += divergenceAdjustment(indicatorScores.divergence);
     }
 
     return totalScore;
 }
 
+/**
+ * Ajuste do score pela divergência principal: até ±scoreBonus, proporcional à força
+ * Divergências ocultas só contam com DIVERGENCE.hiddenWeight > 0
+ * @param {Object} divergence - { value, type, strength } (scores.divergence)
+ * @param {Object} [settings] - ANALYSIS_CONFIG.DIVERGENCE
+ * @returns {number} Ajuste (positivo na bullish, negativo na bearish)
+ */
+function divergenceAdjustment(divergence, settings = ANALYSIS_CONFIG.DIVERGENCE) {
+    if (!divergence || !divergence.value) return 0;
+    const typeWeight = divergence.type === 'hidden' ? settings.hiddenWeight : 1;
+    const sign = divergence.value === 'bullish' ? 1 : -1;
+    return sign * settings.scoreBonus * divergence.strength * typeWeight;
+}
+
 /**
  * Determina a direção e confiança da análise
  * @param {number} totalScore - Score total calculado
- * @param {Object} config - Configurações
+ * @param {Object} config - Configurações (config.thresholds sobrescreve ANALYSIS_CONFIG.THRESHOLDS)
  * @returns {Object} Direção e confiança
  */
 function determineDirection(totalScore, config, indicators) {
-    const defaultThreshold = ANALYSIS_CONFIG.THRESHOLDS[config.tradingMode] || ANALYSIS_CONFIG.THRESHOLDS.balanced;
-    const threshold = Number.isFinite(config.backtestThreshold) ? config.backtestThreshold : defaultThreshold;
+    const threshold = resolveThreshold(config);
 
     let direction = 'NEUTRAL';
     if (totalScore > threshold) direction = 'BUY';
@@ -283,6 +460,18 @@ function determineDirection(totalScore, config, indicators) {
     return { direction, confidence };
 }
 
+/**
+ * Threshold de direção do modo de trading
+ * Thresholds por modo podem ser sobrescritos pela config (ex.: perfil otimizado)
+ * @param {Object} config - Configurações (tradingMode, thresholds, backtestThreshold)
+ * @returns {number} Threshold do |score|
+ */
+function resolveThreshold(config) {
+    const thresholds = { ...ANALYSIS_CONFIG.THRESHOLDS, ...(config.thresholds || {}) };
+    const defaultThreshold = thresholds[config.tradingMode] || thresholds.balanced;
+    return Number.isFinite(config.backtestThreshold) ? config.backtestThreshold : defaultThreshold;
+}
+
 /**
  * Gera explicação textual da decisão
  * @param {Object} indicators - Valores dos indicadores
@@ -294,26 +483,159 @@ function determineDirection(totalScore, config, indicators) {
 function generateExplanation(indicators, scores, direction, config) {
     const explanations = [];
 
-    // RSI
-    if (indicators.rsi.value < 30) explanations.push(`RSI em ${indicators.rsi.value.toFixed(1)} (oversold)`);
-    else if (indicators.rsi.value > 70) explanations.push(`RSI em ${indicators.rsi.value.toFixed(1)} (overbought)`);
+    // Trechos dos indicadores registrados (RSI, MACD, Tendência, ...) na ordem de registro
+    INDICATOR_REGISTRY.forEach(definition => {
+        const indicator = indicators[definition.id];
+        if (!indicator || typeof definition.explain !== 'function') return;
+        const text = definition.explain(indicator, indicators);
+        if (text) explanations.push(text);
+    });
 
-    // MACD
-    if (indicators.macd.value > 0) explanations.push(`MACD positivo (${indicators.macd.value.toFixed(6)})`);
-    else explanations.push(`MACD negativo (${indicators.macd.value.toFixed(6)})`);
+    const directionText = direction === 'BUY' ? 'COMPRA' : direction === 'SELL' ? 'VENDA' : 'NEUTRO';
+    const mainReason = explanations.length > 0 ? explanations[0] : 'Análise técnica equilibrada';
 
-    // Tendência
-    explanations.push(`Tendência: ${indicators.trend.value}`);
+    // Divergência: cita os pivôs que divergiram
+    const divergenceText = describeDivergence(indicators.divergence);
+    const divergenceNote = divergenceText ? ` ${divergenceText}.` : '';
 
-    // Divergência
-    if (indicators.divergence.value) {
-        explanations.push(`Divergência ${indicators.divergence.value}`);
+    return `${directionText} baseado em ${mainReason}.${divergenceNote} Modo: ${config.tradingMode}`;
+}
+
+// ============================================
+// CONFLUÊNCIA ENTRE TIMEFRAMES
+// ============================================
+
+/**
+ * Combina análises de vários timeframes em uma decisão única
+ * Cada timeframe pesa pela posição na hierarquia (maiores pesam mais) e o maior timeframe
+ * (âncora) dá o viés: sua direção ou, se neutra, sua tendência. Conforme gateMode, um viés
+ * contrário veta (veto) ou a falta de viés a favor bloqueia (gate) a decisão combinada e as
+ * entradas dos timeframes menores.
+ * @param {Array|Object} analyses - Resultados de analyzeMarket/analyzeIndicators (array ou { timeframe: resultado })
+ * @param {Object} [options] - Opções da confluência (padrão: ANALYSIS_CONFIG.CONFLUENCE)
+ * @param {Object} [options.config] - Configurações de análise (tradingMode/thresholds definem o threshold)
+ * @param {string} [options.anchorTimeframe] - Timeframe que dá o viés (padrão: o maior analisado)
+ * @param {string} [options.gateMode] - off | veto | gate
+ * @param {number} [options.hierarchyStep] - Incremento de peso por nível da hierarquia
+ * @param {number} [options.minAgreement] - Concordância ponderada mínima (0-1)
+ * @returns {Object} { direction, rawDirection, score, confidence, agreement, threshold, anchor, gated, gateReason,
+ *          bullish, bearish, neutral, breakdown, explanation, timestamp }
+ */
+function analyzeConfluence(analyses, options = {}) {
+    const settings = { ...ANALYSIS_CONFIG.CONFLUENCE, ...options };
+    const config = options.config || {};
+
+    // Timeframes válidos em ordem crescente de duração
+    const entries = (Array.isArray(analyses) ? analyses : Object.values(analyses || {}))
+        .filter(analysis => analysis && timeframeToMs(analysis.timeframe) && Number.isFinite(analysis.totalScore))
+        .sort((a, b) => timeframeToMs(a.timeframe) - timeframeToMs(b.timeframe));
+    if (entries.length === 0) {
+        throw new Error('analyzeConfluence: nenhuma análise com timeframe e totalScore válidos');
     }
 
-    const directionText = direction === 'BUY' ? 'COMPRA' : direction === 'SELL' ? 'VENDA' : 'NEUTRO';
-    const mainReason = explanations.length > 0 ? explanations[0] : 'Análise técnica equilibrada';
+    const anchorEntry = entries.find(entry => entry.timeframe === settings.anchorTimeframe) || entries[entries.length - 1];
+    const anchor = { timeframe: anchorEntry.timeframe, ...resolveBias(anchorEntry) };
+    const anchorMs = timeframeToMs(anchor.timeframe);
+
+    // Score combinado: média ponderada pela hierarquia
+    const weighted = entries.map((entry, rank) => ({ entry, weight: 1 + rank * settings.hierarchyStep }));
+    const totalWeight = weighted.reduce((sum, item) => sum + item.weight, 0);
+    const score = weighted.reduce((sum, item) => sum + item.entry.totalScore * item.weight, 0) / totalWeight;
+
+    const threshold = resolveThreshold(config);
+    const rawDirection = score > threshold ? 'BUY' : score < -threshold ? 'SELL' : 'NEUTRAL';
+
+    // Concordância: peso dos timeframes na direção do sinal do score
+    const leaning = score > 0 ? 'BUY' : score < 0 ? 'SELL' : 'NEUTRAL';
+    const agreement = weighted
+        .filter(item => item.entry.direction === leaning)
+        .reduce((sum, item) => sum + item.weight, 0) / totalWeight;
+
+    // Viés do âncora bloqueia a direção? (off nunca bloqueia)
+    const blockedByAnchor = (direction) => {
+        if (direction === 'NEUTRAL' || settings.gateMode === 'off') return false;
+        if (settings.gateMode === 'gate') return anchor.bias !== direction;
+        return anchor.bias !== 'NEUTRAL' && anchor.bias !== direction;
+    };
 
-    return `${directionText} baseado em ${mainReason}. Modo: ${config.tradingMode}`;
+    let direction = rawDirection;
+    let gateReason = null;
+    if (rawDirection !== 'NEUTRAL' && agreement < settings.minAgreement) {
+        direction = 'NEUTRAL';
+        gateReason = `concordância de ${(agreement * 100).toFixed(0)}% abaixo do mínimo de ${(settings.minAgreement * 100).toFixed(0)}%`;
+    } else if (blockedByAnchor(rawDirection)) {
+        direction = 'NEUTRAL';
+        gateReason = `${anchor.timeframe} com viés ${anchor.bias} (${anchor.source || 'sem tendência'})`;
+    }
+
+    const breakdown = weighted.map(({ entry, weight }) => ({
+        timeframe: entry.timeframe,
+        direction: entry.direction,
+        score: entry.totalScore,
+        confidence: entry.confidence,
+        trend: entry.indicators?.trend?.value || null,
+        weight,
+        agrees: leaning !== 'NEUTRAL' && entry.direction === leaning,
+        // Entrada do timeframe menor bloqueada pelo viés do âncora
+        blocked: timeframeToMs(entry.timeframe) < anchorMs && blockedByAnchor(entry.direction)
+    }));
+
+    const byDirection = (dir) => breakdown.filter(item => item.direction === dir).map(item => item.timeframe);
+    const magnitude = Math.min(100, (Math.abs(score) / (threshold * 2)) * 100);
+
+    const result = {
+        direction,
+        rawDirection,
+        score,
+        confidence: magnitude * agreement,
+        agreement,
+        threshold,
+        anchor,
+        gated: gateReason !== null,
+        gateReason,
+        bullish: byDirection('BUY'),
+        bearish: byDirection('SELL'),
+        neutral: byDirection('NEUTRAL'),
+        breakdown,
+        timestamp: Date.now()
+    };
+    result.explanation = explainConfluence(result);
+    return result;
+}
+
+/**
+ * Viés de um timeframe: direção da análise ou, se neutra, a tendência das EMAs
+ * @param {Object} analysis - Resultado do engine
+ * @returns {Object} { bias: BUY|SELL|NEUTRAL, source: 'direction'|'trend'|null }
+ */
+function resolveBias(analysis) {
+    if (analysis.direction === 'BUY' || analysis.direction === 'SELL') {
+        return { bias: analysis.direction, source: 'direction' };
+    }
+    const trend = analysis.indicators?.trend?.value;
+    if (trend === 'uptrend') return { bias: 'BUY', source: 'trend' };
+    if (trend === 'downtrend') return { bias: 'SELL', source: 'trend' };
+    return { bias: 'NEUTRAL', source: null };
+}
+
+/**
+ * Gera explicação textual da confluência
+ * @param {Object} confluence - Resultado parcial de analyzeConfluence
+ * @returns {string} Explicação
+ */
+function explainConfluence(confluence) {
+    const directionText = (dir) => (dir === 'BUY' ? 'COMPRA' : dir === 'SELL' ? 'VENDA' : 'NEUTRO');
+    const total = confluence.breakdown.length;
+    const agreeing = confluence.breakdown.filter(item => item.agrees).map(item => item.timeframe);
+    const anchorText = `${confluence.anchor.timeframe} ${directionText(confluence.anchor.bias)}`;
+
+    if (confluence.gated) {
+        return `${directionText(confluence.rawDirection)} bloqueada: ${confluence.gateReason}`;
+    }
+    if (confluence.direction === 'NEUTRAL') {
+        return `NEUTRO: score combinado ${confluence.score.toFixed(1)} dentro do threshold (±${confluence.threshold}). Âncora: ${anchorText}`;
+    }
+    return `${directionText(confluence.direction)} com ${agreeing.length}/${total} timeframes a favor (${agreeing.join(', ')}). Âncora: ${anchorText}`;
 }
 
 // ============================================
@@ -336,27 +658,210 @@ function calculateRSIScore(rsi) {
 }
 
 /**
- * Detecta divergências entre preço e RSI
- * @param {Array} prices - Preços de fechamento
- * @param {number} rsi - Valor atual do RSI
- * @returns {string|null} Tipo de divergência ou null
+ * Encontra os pivôs de swing confirmados (máximas ou mínimas locais)
+ * @param {Array} points - Velas da janela ({ high, low, ... })
+ * @param {string} field - 'high' (topos) ou 'low' (fundos)
+ * @param {number} left - Velas à esquerda que o pivô precisa superar estritamente
+ * @param {number} right - Velas à direita que confirmam o pivô
+ * @returns {Array} Pontos que são pivôs, em ordem cronológica
  */
-function detectDivergence(prices, rsi) {
-    const recentPrices = prices.slice(-20);
-    const priceMax = Math.max(...recentPrices);
-    const priceMin = Math.min(...recentPrices);
+function findSwingPivots(points, field, left, right) {
+    const beats = field === 'high' ? (a, b) => a > b : (a, b) => a < b;
+    const beatsOrTies = field === 'high' ? (a, b) => a >= b : (a, b) => a <= b;
+    const pivots = [];
+
+    for (let i = left; i < points.length - right; i++) {
+        const value = points[i][field];
+        let isPivot = true;
+        for (let j = i - left; j < i && isPivot; j++) isPivot = beats(value, points[j][field]);
+        for (let j = i + 1; j <= i + right && isPivot; j++) isPivot = beatsOrTies(value, points[j][field]);
+        if (isPivot) pivots.push(points[i]);
+    }
 
-    // Bullish divergence: preço fazendo mínimas mais baixas, RSI fazendo mínimas mais altas
-    if (recentPrices[recentPrices.length - 1] <= priceMin && rsi > 35) {
-        return 'bullish';
+    return pivots;
+}
+
+/**
+ * Último par de pivôs comparável: o mais recente e o anterior a pelo menos minDistance velas
+ * @returns {Array|null} [anterior, recente] ou null
+ */
+function lastPivotPair(pivots, minDistance) {
+    if (pivots.length < 2) return null;
+    const recent = pivots[pivots.length - 1];
+    for (let i = pivots.length - 2; i >= 0; i--) {
+        if (recent.index - pivots[i].index >= minDistance) return [pivots[i], recent];
     }
+    return null;
+}
+
+/**
+ * Detecta divergências regulares e ocultas entre os pivôs de preço e os osciladores
+ * - Regular de alta: fundo mais baixo no preço, mais alto no oscilador (regular de baixa: o espelho nos topos)
+ * - Oculta de alta: fundo mais alto no preço, mais baixo no oscilador (oculta de baixa: o espelho nos topos)
+ * @param {Array} points - Janela { index, time, high, low, rsi, macd, mfi } em ordem cronológica
+ * @param {number} atr - ATR atual (escala da força no MACD)
+ * @param {Object} settings - ANALYSIS_CONFIG.DIVERGENCE
+ * @returns {Object} { value, type, oscillator, strength, divergences }
+ */
+function detectDivergences(points, atr, settings) {
+    const divergences = [];
+    const lastIndex = points.length > 0 ? points[points.length - 1].index : 0;
+    const oscillators = ['rsi', 'macd', 'mfi'];
+
+    const scaleOf = (oscillator) => (oscillator === 'macd'
+        ? settings.strengthScale.macd * (Number.isFinite(atr) && atr > 0 ? atr : 0.0001)
+        : settings.strengthScale[oscillator]);
+
+    const checkPair = (field, pair) => {
+        if (!pair) return;
+        const [older, recent] = pair;
+        if (lastIndex - recent.index > settings.maxPivotAge) return;
+
+        const priceRising = recent[field] > older[field];
+        const priceFalling = recent[field] < older[field];
+
+        oscillators.forEach(oscillator => {
+            const from = older[oscillator];
+            const to = recent[oscillator];
+            if (!Number.isFinite(from) || !Number.isFinite(to)) return;
+
+            let match = null;
+            if (field === 'low') {
+                if (priceFalling && to > from) match = { direction: 'bullish', type: 'regular' };
+                else if (priceRising && to < from) match = { direction: 'bullish', type: 'hidden' };
+            } else {
+                if (priceRising && to < from) match = { direction: 'bearish', type: 'regular' };
+                else if (priceFalling && to > from) match = { direction: 'bearish', type: 'hidden' };
+            }
+            if (!match) return;
+
+            const strength = Math.min(1, Math.abs(to - from) / scaleOf(oscillator));
+            if (strength < settings.minStrength) return;
+
+            divergences.push({
+                ...match,
+                oscillator,
+                strength,
+                pivots: [older, recent].map(point => ({
+                    index: point.index,
+                    time: point.time,
+                    barsAgo: lastIndex - point.index,
+                    price: point[field],
+                    oscillatorValue: point[oscillator]
+                }))
+            });
+        });
+    };
+
+    checkPair('low', lastPivotPair(findSwingPivots(points, 'low', settings.pivotLeft, settings.pivotRight), settings.minPivotDistance));
+    checkPair('high', lastPivotPair(findSwingPivots(points, 'high', settings.pivotLeft, settings.pivotRight), settings.minPivotDistance));
+
+    // Principal: regulares antes das ocultas, depois a mais forte
+    divergences.sort((a, b) => (a.type === b.type ? b.strength - a.strength : a.type === 'regular' ? -1 : 1));
+    const main = divergences[0] || null;
+
+    return {
+        value: main ? main.direction : null,
+        type: main ? main.type : null,
+        oscillator: main ? main.oscillator : null,
+        strength: main ? main.strength : 0,
+        divergences
+    };
+}
+
+/**
+ * Stream de divergências: guarda a janela de preço e osciladores vela a vela
+ * (o cálculo em lote reproduz o stream, como os indicadores de estado acumulado)
+ * @param {Object} [options] - Sobrescreve ANALYSIS_CONFIG.DIVERGENCE
+ * @returns {Object} { push(candle), value() }
+ */
+function createDivergenceStream(options = {}) {
+    const settings = { ...ANALYSIS_CONFIG.DIVERGENCE, ...options };
+    const rsi = createRSIStream(14);
+    const macd = createMACDStream();
+    const mfi = createMFIStream(14);
+    const atr = createATRStream(14);
+    const points = createRollingWindow(settings.lookback);
+    let count = 0;
+
+    return {
+        push(candle) {
+            rsi.push(candle.close);
+            macd.push(candle.close);
+            mfi.push(candle);
+            atr.push(candle);
+            count++;
+            points.push({
+                index: count - 1,   // Posição da vela na série
+                time: candle.time,
+                high: candle.high,
+                low: candle.low,
+                // Antes do aquecimento os streams devolvem valores neutros: fora da comparação
+                rsi: count > 14 ? rsi.value() : null,
+                macd: count >= 34 ? macd.value() : null,
+                mfi: count >= 14 ? mfi.value() : null
+            });
+        },
+        value: () => detectDivergences(points.values(), atr.value(), settings)
+    };
+}
 
-    // Bearish divergence: preço fazendo máximas mais altas, RSI fazendo máximas mais baixas
-    if (recentPrices[recentPrices.length - 1] >= priceMax && rsi < 65) {
-        return 'bearish';
+/**
+ * Texto da divergência principal (explicação e cards)
+ * @param {Object} divergence - Resultado de detectDivergences
+ * @returns {string|null} Ex.: "Divergência regular bullish no RSI (pivôs há 12 e 4 velas)"
+ */
+function describeDivergence(divergence) {
+    if (!divergence || !divergence.value) return null;
+    const main = divergence.divergences[0];
+    const labels = { rsi: 'RSI', macd: 'MACD', mfi: 'MFI' };
+    const type = main.type === 'regular' ? 'regular' : 'oculta';
+    return `Divergência ${type} ${main.direction} no ${labels[main.oscillator]} (pivôs há ${main.pivots[0].barsAgo} e ${main.pivots[1].barsAgo} velas)`;
+}
+
+/**
+ * Classifica a tendência pelo alinhamento das EMAs
+ * @param {number} candleCount - Número de velas fechadas disponíveis
+ * @param {number} analysisPrice - Último fechamento
+ * @param {number} ema20 - EMA 20
+ * @param {number} ema50 - EMA 50
+ * @param {number} ema200 - EMA 200
+ * @returns {string} 'uptrend', 'downtrend' ou 'sideways'
+ */
+function classifyTrend(candleCount, analysisPrice, ema20, ema50, ema200) {
+    // Tendência com EMAs longas (mais confiável)
+    if (candleCount >= 200) {
+        if (analysisPrice > ema20 && ema20 > ema50 && ema50 > ema200) return 'uptrend';
+        if (analysisPrice < ema20 && ema20 < ema50 && ema50 < ema200) return 'downtrend';
+    }
+    // Tendência de curto prazo se não temos 200 velas
+    else if (candleCount >= 20) {
+        if (analysisPrice > ema20) return 'uptrend';
+        if (analysisPrice < ema20) return 'downtrend';
     }
 
-    return null;
+    return 'sideways';
+}
+
+/**
+ * Retorna a configuração de análise do engine
+ * @returns {Object} ANALYSIS_CONFIG
+ */
+function getConfig() {
+    return ANALYSIS_CONFIG;
+}
+
+/**
+ * Converte um timeframe ('1m', '4h', '1d', '1w') em milissegundos
+ * @param {string} timeframe - Timeframe no formato <número><m|h|d|w>
+ * @returns {number|null} Duração em ms ou null se o formato for inválido
+ */
+function timeframeToMs(timeframe) {
+    const match = /^(\d+)([mhdw])$/.exec(timeframe);
+    if (!match) return null;
+
+    const unitMs = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+    return parseInt(match[1]) * unitMs[match[2]];
 }
 
 /**
@@ -463,7 +968,8 @@ function calculateMFI(highs, lows, closes, volumes, period = 14) {
     let positiveFlow = 0;
     let negativeFlow = 0;
 
-    for (let i = 1; i < Math.min(period + 1, typicalPrices.length); i++) {
+    // Fluxo das últimas 'period' variações (as mais recentes, não as primeiras velas do array)
+    for (let i = Math.max(1, typicalPrices.length - period); i < typicalPrices.length; i++) {
         if (typicalPrices[i] > typicalPrices[i - 1]) {
             positiveFlow += rawMoneyFlow[i];
         } else if (typicalPrices[i] < typicalPrices[i - 1]) {
@@ -578,6 +1084,10 @@ function calculateOCC(opens, closes, period = 8) {
     const prevOpenMA = openSMMAArray[openSMMAArray.length - 2];
     const prevCloseMA = closeSMMAArray[closeSMMAArray.length - 2];
 
+    return buildOCCResult(prevOpenMA, prevCloseMA, currentOpenMA, currentCloseMA);
+}
+
+function buildOCCResult(prevOpenMA, prevCloseMA, currentOpenMA, currentCloseMA) {
     // Detectar CRUZAMENTO (crossover)
     let signal = 'NEUTRAL';
     let crossover = false;
@@ -674,8 +1184,11 @@ function calculateSTCCCI(highs, lows, closes, period = 20) {
     // Calcular CCI
     const cci = calculateCCI(highs, lows, closes, period);
     
+    return buildSTCCCIResult(stc, cci, closes.slice(-5));
+}
+
+function buildSTCCCIResult(stc, cci, recentCloses) {
     // Detectar movimento do preço (últimas 5 velas)
-    const recentCloses = closes.slice(-5);
     const priceChange = ((recentCloses[recentCloses.length - 1] - recentCloses[0]) / recentCloses[0]) * 100;
     
     // STC > 50 = tendência de alta, STC < 50 = tendência de baixa
@@ -713,16 +1226,1212 @@ function calculateSTCCCI(highs, lows, closes, period = 20) {
     };
 }
 
+// ============================================
+// BOLLINGER, ADX/DMI, VWAP, ICHIMOKU, SUPERTREND E OBV
+// ============================================
+//
+// Indicadores com estado acumulado (médias de Wilder, sessões, bandas finais) são escritos
+// como streams; o cálculo em lote reproduz o stream vela a vela (replayStream), então lote
+// e pipeline dão exatamente o mesmo resultado.
+
+/**
+ * Reproduz um stream sobre as séries de marketInfo e retorna o valor final
+ * @param {Object} stream - { push(candle), value() }
+ * @param {Object} marketInfo - Séries de velas fechadas (formato de prepareMarketData)
+ * @returns {Object} Valor do stream após a última vela
+ */
+function replayStream(stream, marketInfo) {
+    const { opens, highs, lows, closes, volumes, timestamps } = marketInfo;
+    for (let i = 0; i < closes.length; i++) {
+        stream.push({ time: timestamps[i], open: opens[i], high: highs[i], low: lows[i], close: closes[i], volume: volumes[i] });
+    }
+    return stream.value();
+}
+
+const clampScore = (score) => Math.max(-100, Math.min(100, score));
+
+/**
+ * Classifica o regime pela força da tendência (ADX)
+ * @param {number|null} adx - Valor do ADX
+ * @returns {string|null} trending | ranging | transition (null sem ADX)
+ */
+function classifyADXRegime(adx) {
+    if (!Number.isFinite(adx)) return null;
+    if (adx >= ANALYSIS_CONFIG.ADX_REGIME.trending) return 'trending';
+    if (adx < ANALYSIS_CONFIG.ADX_REGIME.ranging) return 'ranging';
+    return 'transition';
+}
+
+// Bandas de Bollinger (SMA ± k desvios populacionais); squeeze = largura na mínima do lookback
+function createBollingerStream(period = 20, multiplier = 2, squeezeLookback = 120) {
+    const closes = createRollingWindow(period);
+    const bandwidths = createRollingWindow(squeezeLookback);
+    let bands = null;
+
+    return {
+        push(candle) {
+            closes.push(candle.close);
+            const window = closes.values();
+            if (window.length < period) return;
+
+            const middle = window.reduce((a, b) => a + b, 0) / period;
+            const stdDev = Math.sqrt(window.reduce((sum, close) => sum + (close - middle) ** 2, 0) / period);
+            const upper = middle + multiplier * stdDev;
+            const lower = middle - multiplier * stdDev;
+            const bandwidth = middle !== 0 ? (upper - lower) / middle : 0;
+            bandwidths.push(bandwidth);
+
+            bands = {
+                middle,
+                upper,
+                lower,
+                stdDev,
+                bandwidth,
+                percentB: upper > lower ? (candle.close - lower) / (upper - lower) : 0.5
+            };
+        },
+        value() {
+            if (!bands) return { value: null, squeeze: false };
+            const history = bandwidths.values();
+            // Tolerância de 5% sobre a menor largura; exige um período de histórico de larguras
+            const squeeze = history.length >= period && bands.bandwidth <= Math.min(...history) * 1.05;
+            return { value: bands.percentB, ...bands, squeeze };
+        }
+    };
+}
+
+// ADX com +DI/-DI (suavização de Wilder)
+function createADXStream(period = 14) {
+    let previous = null;
+    let trCount = 0;
+    let trSmooth = 0;
+    let plusSmooth = 0;
+    let minusSmooth = 0;
+    let plusDI = null;
+    let minusDI = null;
+    let dxCount = 0;
+    let dxSum = 0;
+    let adx = null;
+
+    return {
+        push(candle) {
+            if (previous) {
+                const up = candle.high - previous.high;
+                const down = previous.low - candle.low;
+                const plusDM = up > down && up > 0 ? up : 0;
+                const minusDM = down > up && down > 0 ? down : 0;
+                const tr = Math.max(
+                    candle.high - candle.low,
+                    Math.abs(candle.high - previous.close),
+                    Math.abs(candle.low - previous.close)
+                );
+
+                trCount++;
+                if (trCount <= period) {
+                    trSmooth += tr;
+                    plusSmooth += plusDM;
+                    minusSmooth += minusDM;
+                } else {
+                    trSmooth = trSmooth - trSmooth / period + tr;
+                    plusSmooth = plusSmooth - plusSmooth / period + plusDM;
+                    minusSmooth = minusSmooth - minusSmooth / period + minusDM;
+                }
+
+                if (trCount >= period) {
+                    plusDI = trSmooth > 0 ? (100 * plusSmooth) / trSmooth : 0;
+                    minusDI = trSmooth > 0 ? (100 * minusSmooth) / trSmooth : 0;
+                    const diSum = plusDI + minusDI;
+                    const dx = diSum > 0 ? (100 * Math.abs(plusDI - minusDI)) / diSum : 0;
+
+                    dxCount++;
+                    if (dxCount < period) {
+                        dxSum += dx;
+                    } else if (dxCount === period) {
+                        dxSum += dx;
+                        adx = dxSum / period;
+                    } else {
+                        adx = (adx * (period - 1) + dx) / period;
+                    }
+                }
+            }
+            previous = candle;
+        },
+        value: () => ({ value: adx, plusDI, minusDI, regime: classifyADXRegime(adx) })
+    };
+}
+
+// VWAP da sessão (reinicia a cada sessionMs, padrão dia UTC) com bandas de 1 e 2 desvios
+function createVWAPStream(sessionMs = 24 * 60 * 60 * 1000) {
+    let sessionStart = null;
+    let priceVolume = 0;
+    let priceSquaredVolume = 0;
+    let volume = 0;
+    let lastClose = null;
+
+    return {
+        push(candle) {
+            const start = Math.floor(candle.time / sessionMs) * sessionMs;
+            if (start !== sessionStart) {
+                sessionStart = start;
+                priceVolume = 0;
+                priceSquaredVolume = 0;
+                volume = 0;
+            }
+            const typical = (candle.high + candle.low + candle.close) / 3;
+            priceVolume += typical * candle.volume;
+            priceSquaredVolume += typical * typical * candle.volume;
+            volume += candle.volume;
+            lastClose = candle.close;
+        },
+        value() {
+            if (!(volume > 0)) return { value: null, deviation: null };
+            const vwap = priceVolume / volume;
+            const stdDev = Math.sqrt(Math.max(0, priceSquaredVolume / volume - vwap * vwap));
+            return {
+                value: vwap,
+                stdDev,
+                upper1: vwap + stdDev,
+                lower1: vwap - stdDev,
+                upper2: vwap + 2 * stdDev,
+                lower2: vwap - 2 * stdDev,
+                deviation: stdDev > 0 ? (lastClose - vwap) / stdDev : 0, // Distância do fechamento em desvios
+                sessionStart
+            };
+        }
+    };
+}
+
+// Ichimoku: nuvem atual = senkou A/B calculados há displacement velas
+function createIchimokuStream(tenkanPeriod = 9, kijunPeriod = 26, spanBPeriod = 52, displacement = 26) {
+    const highs = createRollingWindow(spanBPeriod);
+    const lows = createRollingWindow(spanBPeriod);
+    const spans = createRollingWindow(displacement + 1);
+    let tenkan = null;
+    let kijun = null;
+    let lastClose = null;
+
+    const midpoint = (length) => {
+        const h = highs.values().slice(-length);
+        const l = lows.values().slice(-length);
+        return (Math.max(...h) + Math.min(...l)) / 2;
+    };
+
+    return {
+        push(candle) {
+            highs.push(candle.high);
+            lows.push(candle.low);
+            lastClose = candle.close;
+
+            const count = highs.values().length;
+            if (count >= tenkanPeriod) tenkan = midpoint(tenkanPeriod);
+            if (count >= kijunPeriod) kijun = midpoint(kijunPeriod);
+            if (count >= spanBPeriod) spans.push({ a: (tenkan + kijun) / 2, b: midpoint(spanBPeriod) });
+        },
+        value() {
+            const projected = spans.values();
+            if (projected.length < displacement + 1) return { value: null, tenkan, kijun };
+
+            const cloud = projected[0];
+            const future = projected[projected.length - 1];
+            const cloudTop = Math.max(cloud.a, cloud.b);
+            const cloudBottom = Math.min(cloud.a, cloud.b);
+            return {
+                value: lastClose > cloudTop ? 'above' : lastClose < cloudBottom ? 'below' : 'inside',
+                tenkan,
+                kijun,
+                senkouA: cloud.a,
+                senkouB: cloud.b,
+                futureSenkouA: future.a,
+                futureSenkouB: future.b,
+                cloudTop,
+                cloudBottom
+            };
+        }
+    };
+}
+
+// SuperTrend: bandas finais hl2 ± k×ATR (Wilder); a direção vira quando o fechamento cruza a banda
+function createSuperTrendStream(period = 10, multiplier = 3) {
+    const atr = createATRStream(period);
+    let count = 0;
+    let previousClose = null;
+    let upper = null;
+    let lower = null;
+    let direction = null;
+    let flipped = false;
+
+    return {
+        push(candle) {
+            atr.push(candle);
+            count++;
+
+            if (count >= period + 1) {
+                const hl2 = (candle.high + candle.low) / 2;
+                const basicUpper = hl2 + multiplier * atr.value();
+                const basicLower = hl2 - multiplier * atr.value();
+                const finalUpper = upper === null || basicUpper < upper || previousClose > upper ? basicUpper : upper;
+                const finalLower = lower === null || basicLower > lower || previousClose < lower ? basicLower : lower;
+
+                const previousDirection = direction;
+                if (direction === null) direction = candle.close >= hl2 ? 'up' : 'down';
+                else if (direction === 'up' && candle.close < finalLower) direction = 'down';
+                else if (direction === 'down' && candle.close > finalUpper) direction = 'up';
+                flipped = previousDirection !== null && previousDirection !== direction;
+
+                upper = finalUpper;
+                lower = finalLower;
+            }
+            previousClose = candle.close;
+        },
+        value: () => ({
+            value: direction,
+            level: direction === 'up' ? lower : direction === 'down' ? upper : null,
+            upper,
+            lower,
+            flipped
+        })
+    };
+}
+
+// OBV com a variação no lookback normalizada pelo volume negociado (-1 a 1)
+function createOBVStream(lookback = 20) {
+    const history = createRollingWindow(lookback + 1);
+    const volumes = createRollingWindow(lookback);
+    let obv = 0;
+    let previousClose = null;
+
+    return {
+        push(candle) {
+            if (previousClose !== null) {
+                if (candle.close > previousClose) obv += candle.volume;
+                else if (candle.close < previousClose) obv -= candle.volume;
+            }
+            previousClose = candle.close;
+            history.push(obv);
+            volumes.push(candle.volume);
+        },
+        value() {
+            const values = history.values();
+            if (values.length < lookback + 1) return { value: obv, change: null, normalized: null };
+            const change = values[values.length - 1] - values[0];
+            const volume = volumes.values().reduce((a, b) => a + b, 0);
+            return { value: obv, change, normalized: volume > 0 ? change / volume : 0 };
+        }
+    };
+}
+
+// ============================================
+// REGIME DE MERCADO
+// ============================================
+
+const MARKET_REGIME_LABELS = {
+    strong_trend: 'Tendência forte',
+    weak_trend: 'Tendência fraca',
+    range: 'Lateral',
+    high_vol_breakout: 'Rompimento com alta volatilidade',
+    squeeze: 'Compressão (squeeze)'
+};
+
+// Percentil (0-100) de value dentro do histórico: fração dos valores menores ou iguais
+function percentileRank(history, value) {
+    if (history.length === 0) return null;
+    return (history.filter(item => item <= value).length / history.length) * 100;
+}
+
+/**
+ * Classifica o regime de mercado, na ordem de prioridade:
+ * 1. high_vol_breakout - volatilidade e largura das bandas nos percentis altos (expansão)
+ * 2. squeeze - bandas no percentil mais baixo com volatilidade contida
+ * 3. strong_trend / weak_trend - ADX acima dos limites de ADX_REGIME
+ * 4. range - nenhum dos anteriores
+ * @param {Object} context - { adx, volatilityPercentile, compressionPercentile }
+ * @returns {string} Chave do regime (MARKET_REGIME_LABELS)
+ */
+function classifyMarketRegime({ adx, volatilityPercentile, compressionPercentile }) {
+    const settings = ANALYSIS_CONFIG.MARKET_REGIME;
+    if (volatilityPercentile >= settings.highVolatility && compressionPercentile >= settings.highVolatility) {
+        return 'high_vol_breakout';
+    }
+    if (compressionPercentile <= settings.squeezeCompression && volatilityPercentile <= settings.squeezeVolatility) {
+        return 'squeeze';
+    }
+    if (adx >= ANALYSIS_CONFIG.ADX_REGIME.trending) return 'strong_trend';
+    if (adx >= ANALYSIS_CONFIG.ADX_REGIME.ranging) return 'weak_trend';
+    return 'range';
+}
+
+/**
+ * Stream do regime de mercado: ADX, volatilidade realizada (desvio dos retornos log, em %)
+ * e largura das bandas, com os percentis sobre as últimas MARKET_REGIME.lookback velas
+ * @returns {Object} { push(candle), value() } - value: { value, label, trendDirection, adx, volatility,
+ *          volatilityPercentile, bandwidth, compressionPercentile } (value null até haver histórico)
+ */
+function createMarketRegimeStream() {
+    const settings = ANALYSIS_CONFIG.MARKET_REGIME;
+    const adx = createADXStream(14);
+    const returns = createRollingWindow(settings.volatilityPeriod);
+    const closes = createRollingWindow(settings.bandPeriod);
+    const volatilities = createRollingWindow(settings.lookback);
+    const bandwidths = createRollingWindow(settings.lookback);
+    let previousClose = null;
+
+    return {
+        push(candle) {
+            adx.push(candle);
+            if (previousClose > 0 && candle.close > 0) returns.push(Math.log(candle.close / previousClose));
+            previousClose = candle.close;
+            closes.push(candle.close);
+
+            const recentReturns = returns.values();
+            if (recentReturns.length === settings.volatilityPeriod) {
+                const mean = recentReturns.reduce((a, b) => a + b, 0) / recentReturns.length;
+                const variance = recentReturns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / recentReturns.length;
+                volatilities.push(Math.sqrt(variance) * 100);
+            }
+
+            const recentCloses = closes.values();
+            if (recentCloses.length === settings.bandPeriod) {
+                const middle = recentCloses.reduce((a, b) => a + b, 0) / recentCloses.length;
+                const stdDev = Math.sqrt(recentCloses.reduce((sum, close) => sum + (close - middle) ** 2, 0) / recentCloses.length);
+                bandwidths.push(middle !== 0 ? (4 * stdDev) / middle : 0);
+            }
+        },
+        value() {
+            const { value: adxValue, plusDI, minusDI } = adx.value();
+            const volatilityHistory = volatilities.values();
+            const bandwidthHistory = bandwidths.values();
+            const volatility = volatilities.last();
+            const bandwidth = bandwidths.last();
+            const ready = adxValue !== null
+                && volatilityHistory.length >= settings.minHistory
+                && bandwidthHistory.length >= settings.minHistory;
+
+            const volatilityPercentile = ready ? percentileRank(volatilityHistory, volatility) : null;
+            const compressionPercentile = ready ? percentileRank(bandwidthHistory, bandwidth) : null;
+            const regime = ready ? classifyMarketRegime({ adx: adxValue, volatilityPercentile, compressionPercentile }) : null;
+
+            return {
+                value: regime,
+                label: regime ? MARKET_REGIME_LABELS[regime] : 'Indefinido',
+                trendDirection: plusDI === null ? null : plusDI > minusDI ? 'up' : plusDI < minusDI ? 'down' : null,
+                adx: adxValue,
+                volatility: volatility ?? null,
+                volatilityPercentile,
+                bandwidth: bandwidth ?? null,
+                compressionPercentile
+            };
+        }
+    };
+}
+
+/**
+ * Regimes de mercado reconhecidos pelo classificador
+ * @returns {Array<Object>} [{ id, label }]
+ */
+function getMarketRegimes() {
+    return Object.entries(MARKET_REGIME_LABELS).map(([id, label]) => ({ id, label }));
+}
+
+// ============================================
+// PIPELINE INCREMENTAL DE INDICADORES (STREAMING)
+// ============================================
+//
+// Cada stream mantém apenas o estado necessário para atualizar o indicador
+// com uma nova vela fechada em tempo constante (janelas de tamanho fixo),
+// reproduzindo exatamente as mesmas operações das funções em lote acima.
+
+function parseCandle(kline) {
+    return {
+        time: parseInt(kline[0]),
+        open: parseFloat(kline[1]),
+        high: parseFloat(kline[2]),
+        low: parseFloat(kline[3]),
+        close: parseFloat(kline[4]),
+        volume: parseFloat(kline[5])
+    };
+}
+
+function createRollingWindow(size) {
+    const items = [];
+    return {
+        push(value) {
+            items.push(value);
+            if (items.length > size) items.shift();
+        },
+        values: () => items,
+        last: () => items[items.length - 1]
+    };
+}
+
+// Mesma semântica de calculateEMA: último preço até completar o período, depois SMA + EMA
+function createEMAStream(period) {
+    const multiplier = 2 / (period + 1);
+    let count = 0;
+    let sum = 0;
+    let ema = null;
+    let value;
+
+    return {
+        push(price) {
+            count++;
+            if (count < period) {
+                sum += price;
+                value = price;
+            } else if (count === period) {
+                sum += price;
+                ema = sum / period;
+                value = ema;
+            } else {
+                ema = (price - ema) * multiplier + ema;
+                value = ema;
+            }
+            return value;
+        },
+        value: () => value,
+        count: () => count
+    };
+}
+
+// Mesma semântica de calculateSMMAArray (mantém valor atual e anterior para o OCC)
+function createSMMAStream(period) {
+    let count = 0;
+    let sum = 0;
+    let smma = null;
+    let previous = null;
+
+    return {
+        push(price) {
+            count++;
+            if (count < period) {
+                sum += price;
+            } else if (count === period) {
+                sum += price;
+                smma = sum / period;
+            } else {
+                previous = smma;
+                smma = (smma * (period - 1) + price) / period;
+            }
+        },
+        value: () => smma,
+        previous: () => previous
+    };
+}
+
+function createRSIStream(period = 14) {
+    let count = 0;
+    let previousPrice = null;
+    let gains = 0;
+    let losses = 0;
+    let avgGain = 0;
+    let avgLoss = 0;
+
+    const value = () => {
+        if (count < period + 1) return 50;
+        if (avgLoss === 0) return 100;
+        const rs = avgGain / avgLoss;
+        return 100 - (100 / (1 + rs));
+    };
+
+    return {
+        push(price) {
+            count++;
+            if (previousPrice !== null) {
+                const change = price - previousPrice;
+                if (count <= period + 1) {
+                    // Semente: média simples das primeiras 'period' variações
+                    if (change > 0) gains += change;
+                    else losses -= change;
+                    if (count === period + 1) {
+                        avgGain = gains / period;
+                        avgLoss = losses / period;
+                    }
+                } else if (change > 0) {
+                    avgGain = (avgGain * (period - 1) + change) / period;
+                    avgLoss = (avgLoss * (period - 1)) / period;
+                } else {
+                    avgGain = (avgGain * (period - 1)) / period;
+                    avgLoss = (avgLoss * (period - 1) - change) / period;
+                }
+            }
+            previousPrice = price;
+            return value();
+        },
+        value
+    };
+}
+
+function createStochasticRSIStream(period = 14) {
+    const stochPeriod = 14;
+    const kPeriod = 3;
+    const rsi = createRSIStream(period);
+    const rsiWindow = createRollingWindow(stochPeriod);
+    const stochWindow = createRollingWindow(kPeriod);
+    let count = 0;
+    let rsiCount = 0;
+
+    return {
+        push(price) {
+            count++;
+            const rsiValue = rsi.push(price);
+            if (count < period + 1) return;
+
+            rsiWindow.push(rsiValue);
+            rsiCount++;
+            if (rsiCount < stochPeriod) return;
+
+            const slice = rsiWindow.values();
+            const highest = Math.max(...slice);
+            const lowest = Math.min(...slice);
+            const range = highest - lowest;
+            stochWindow.push(range === 0 ? 50 : ((rsiValue - lowest) / range) * 100);
+        },
+        value() {
+            if (rsiCount < stochPeriod) return 50;
+            const kSum = stochWindow.values().reduce((a, b) => a + b, 0);
+            return kSum / kPeriod;
+        }
+    };
+}
+
+function createMACDStream() {
+    const ema12 = createEMAStream(12);
+    const ema26 = createEMAStream(26);
+    const signal = createEMAStream(9);
+    let count = 0;
+    let lastMacd = 0;
+
+    return {
+        push(price) {
+            count++;
+            ema12.push(price);
+            ema26.push(price);
+            if (count < 26) return;
+
+            lastMacd = ema12.value() - ema26.value();
+            signal.push(lastMacd);
+        },
+        value() {
+            if (count < 26 || signal.count() < 9) return 0;
+            return lastMacd - signal.value();
+        }
+    };
+}
+
+function createMFIStream(period = 14) {
+    const window = createRollingWindow(period + 1);
+    let count = 0;
+
+    return {
+        push(candle) {
+            count++;
+            const typicalPrice = (candle.high + candle.low + candle.close) / 3;
+            window.push({ typicalPrice, rawMoneyFlow: typicalPrice * candle.volume });
+        },
+        value() {
+            if (count < period) return 50;
+
+            const flows = window.values();
+            let positiveFlow = 0;
+            let negativeFlow = 0;
+            for (let i = 1; i < flows.length; i++) {
+                if (flows[i].typicalPrice > flows[i - 1].typicalPrice) {
+                    positiveFlow += flows[i].rawMoneyFlow;
+                } else if (flows[i].typicalPrice < flows[i - 1].typicalPrice) {
+                    negativeFlow += flows[i].rawMoneyFlow;
+                }
+            }
+
+            if (negativeFlow === 0) return 100;
+            const moneyFlowRatio = positiveFlow / negativeFlow;
+            return 100 - (100 / (1 + moneyFlowRatio));
+        }
+    };
+}
+
+function createATRStream(period = 14) {
+    let count = 0;
+    let previousClose = null;
+    let sum = 0;
+    let atr = null;
+
+    return {
+        push(candle) {
+            count++;
+            if (previousClose !== null) {
+                const tr = Math.max(
+                    candle.high - candle.low,
+                    Math.abs(candle.high - previousClose),
+                    Math.abs(candle.low - previousClose)
+                );
+                const trCount = count - 1;
+                if (trCount < period) {
+                    sum += tr;
+                } else if (trCount === period) {
+                    sum += tr;
+                    atr = sum / period;
+                } else {
+                    atr = (atr * (period - 1) + tr) / period;
+                }
+            }
+            previousClose = candle.close;
+        },
+        value: () => (count < period + 1 ? 0.0001 : atr)
+    };
+}
+
+function createOCCStream(period = 8) {
+    const openSMMA = createSMMAStream(period);
+    const closeSMMA = createSMMAStream(period);
+    let count = 0;
+
+    return {
+        push(candle) {
+            count++;
+            openSMMA.push(candle.open);
+            closeSMMA.push(candle.close);
+        },
+        value() {
+            if (count < period + 2) {
+                return { value: 0, signal: 'NEUTRAL', strength: 0, crossover: false };
+            }
+            return buildOCCResult(openSMMA.previous(), closeSMMA.previous(), openSMMA.value(), closeSMMA.value());
+        }
+    };
+}
+
+function createCCIStream(period = 20) {
+    const window = createRollingWindow(period);
+    let count = 0;
+
+    return {
+        push(candle) {
+            count++;
+            window.push((candle.high + candle.low + candle.close) / 3);
+        },
+        value() {
+            if (count < period) return 0;
+
+            const typicalPrices = window.values();
+            const sma = typicalPrices.reduce((a, b) => a + b, 0) / period;
+            const meanDev = typicalPrices.reduce((sum, tp) => sum + Math.abs(tp - sma), 0) / period;
+            if (meanDev === 0) return 0;
+
+            return (window.last() - sma) / (0.015 * meanDev);
+        }
+    };
+}
+
+function createSchaffTrendCycleStream(fastPeriod = 23, slowPeriod = 50, cyclePeriod = 10) {
+    const fastEMA = createEMAStream(fastPeriod);
+    const slowEMA = createEMAStream(slowPeriod);
+    const macdWindow = createRollingWindow(cyclePeriod);
+    let count = 0;
+
+    return {
+        push(price) {
+            count++;
+            macdWindow.push(fastEMA.push(price) - slowEMA.push(price));
+        },
+        value() {
+            if (count < slowPeriod + cyclePeriod) return 50;
+
+            const recentMACD = macdWindow.values();
+            const maxMACD = Math.max(...recentMACD);
+            const minMACD = Math.min(...recentMACD);
+            const range = maxMACD - minMACD;
+            if (range === 0) return 50;
+
+            return ((macdWindow.last() - minMACD) / range) * 100;
+        }
+    };
+}
+
+function createSTCCCIStream(period = 20) {
+    const stc = createSchaffTrendCycleStream(23, 50, 10);
+    const cci = createCCIStream(period);
+    const recentCloses = createRollingWindow(5);
+    let count = 0;
+
+    return {
+        push(candle) {
+            count++;
+            stc.push(candle.close);
+            cci.push(candle);
+            recentCloses.push(candle.close);
+        },
+        value() {
+            if (count < 50) {
+                return { value: 0, signal: 'NEUTRAL', strength: 0 };
+            }
+            return buildSTCCCIResult(stc.value(), cci.value(), recentCloses.values());
+        }
+    };
+}
+
+/**
+ * Cria um pipeline incremental de indicadores
+ * Semeado uma vez com o histórico e atualizado em tempo constante a cada vela fechada
+ * ou tick ao vivo. Os indicadores são idênticos aos de calculateTechnicalIndicators
+ * aplicado à mesma série completa de velas.
+ * @param {Object} [options] - Opções do pipeline
+ * @param {string} [options.timeframe] - Timeframe das velas (habilita detecção de lacunas)
+ * @returns {Object} API do pipeline
+ */
+function createIndicatorPipeline(options = {}) {
+    const timeframe = options.timeframe || null;
+    const intervalMs = timeframe ? timeframeToMs(timeframe) : null;
+
+    let streams = null;
+    let candleCount = 0;
+    let lastClosedTime = null;
+    let lastClose = null;
+    let lastVolume = null;
+    let previousVolumeSum = 0;
+    let currentPrice = null;
+
+    let indicatorStreams = [];
+
+    const reset = () => {
+        streams = {
+            ema20: createEMAStream(20),
+            ema50: createEMAStream(50),
+            ema200: createEMAStream(200),
+            atr: createATRStream(14),
+            divergence: createDivergenceStream(),
+            marketRegime: createMarketRegimeStream()
+        };
+        // Indicadores registrados (um stream próprio ou recálculo sobre uma janela de velas)
+        indicatorStreams = getIndicatorDefinitions('candles').map(definition => ({
+            id: definition.id,
+            stream: definition.createStream ? definition.createStream(definition.params) : createRecomputeStream(definition)
+        }));
+        candleCount = 0;
+        lastClosedTime = null;
+        lastClose = null;
+        lastVolume = null;
+        previousVolumeSum = 0;
+        currentPrice = null;
+    };
+
+    const commit = (candle) => {
+        candleCount++;
+        streams.ema20.push(candle.close);
+        streams.ema50.push(candle.close);
+        streams.ema200.push(candle.close);
+        streams.atr.push(candle);
+        streams.divergence.push(candle);
+        streams.marketRegime.push(candle);
+        indicatorStreams.forEach(({ stream }) => stream.push(candle));
+
+        // Volume médio = média de todas as velas fechadas exceto a última
+        if (lastVolume !== null) previousVolumeSum += lastVolume;
+        lastVolume = candle.volume;
+        lastClose = candle.close;
+        lastClosedTime = candle.time;
+    };
+
+    // Uma vela nova só é contínua se vier exatamente um intervalo após a última fechada
+    const hasGap = (time) => intervalMs !== null && lastClosedTime !== null && time - lastClosedTime > intervalMs;
+
+    /**
+     * Semeia o pipeline com velas históricas (última vela = vela aberta, como em prepareMarketData)
+     * @param {Array} klines - Velas [timestamp, open, high, low, close, volume]
+     */
+    const seed = (klines) => {
+        reset();
+        klines.slice(0, -1).forEach(kline => commit(parseCandle(kline)));
+        if (klines.length > 0) {
+            currentPrice = parseFloat(klines[klines.length - 1][4]);
+        }
+        return pipeline;
+    };
+
+    /**
+     * Registra uma vela FECHADA
+     * @param {Array} kline - Vela fechada
+     * @returns {boolean} false se houver lacuna em relação à última vela (requer novo seed)
+     */
+    const pushCandle = (kline) => {
+        const candle = parseCandle(kline);
+        if (lastClosedTime !== null && candle.time <= lastClosedTime) return true; // Já processada
+        if (hasGap(candle.time)) return false;
+        commit(candle);
+        return true;
+    };
+
+    /**
+     * Sincroniza com uma janela recente de velas (ex.: últimas 3 da API REST, última aberta)
+     * @param {Array} klines - Velas recentes
+     * @returns {boolean} false se houver lacuna (requer novo seed)
+     */
+    const sync = (klines) => {
+        if (klines.length === 0) return true;
+
+        const closedKlines = klines.slice(0, -1);
+        for (const kline of closedKlines) {
+            if (!pushCandle(kline)) return false;
+        }
+
+        const openCandle = parseCandle(klines[klines.length - 1]);
+        if (lastClosedTime !== null && openCandle.time <= lastClosedTime) return true; // Dados atrasados
+        if (hasGap(openCandle.time)) return false;
+
+        currentPrice = openCandle.close;
+        return true;
+    };
+
+    /**
+     * Atualiza o preço ao vivo (tick) sem recalcular indicadores
+     * @param {number} price - Último preço negociado
+     */
+    const updatePrice = (price) => {
+        if (Number.isFinite(price)) currentPrice = price;
+    };
+
+    /**
+     * Retorna os indicadores no mesmo formato de calculateTechnicalIndicators
+     * @returns {Object} Indicadores
+     */
+    const getIndicators = () => {
+        const base = {
+            ema: { ema20: streams.ema20.value(), ema50: streams.ema50.value(), ema200: streams.ema200.value() },
+            atr: streams.atr.value(),
+            currentPrice: currentPrice,
+            volume: lastVolume,
+            avgVolume: previousVolumeSum / (candleCount - 1),
+            candleCount: candleCount,
+            lastClose: lastClose
+        };
+
+        const indicators = {};
+        indicatorStreams.forEach(({ id, stream }) => {
+            indicators[id] = stream.value(base);
+        });
+
+        return {
+            ...indicators,
+            divergence: streams.divergence.value(),
+            marketRegime: streams.marketRegime.value(),
+            ...base
+        };
+    };
+
+    /**
+     * Analisa o estado atual (mesmo resultado de analyzeMarket)
+     * @param {Object} analysisOptions - { config, weights, orderFlow }
+     * @returns {Object} Resultado da análise
+     */
+    const analyze = (analysisOptions) => analyzeIndicators(getIndicators(), {
+        timeframe,
+        config: analysisOptions.config,
+        weights: analysisOptions.weights,
+        orderFlow: analysisOptions.orderFlow
+    });
+
+    const pipeline = {
+        seed,
+        pushCandle,
+        sync,
+        updatePrice,
+        getIndicators,
+        analyze,
+        getCandleCount: () => candleCount,
+        getLastClosedTime: () => lastClosedTime
+    };
+
+    reset();
+    return pipeline;
+}
+
+// ============================================
+// INDICADORES PADRÃO
+// ============================================
+//
+// Cada indicador declara cálculo em lote (compute), stream incremental (createStream),
+// pontuação e trecho da explicação. Novos indicadores usam a mesma API (registerIndicator).
+// Os indicadores padrão não declaram warmup: pontuam desde as primeiras velas com seus valores
+// de fallback (RSI 50, tendência pela EMA20 com menos de 200 velas), como antes do registro.
+
+registerIndicator({
+    id: 'rsi',
+    label: 'RSI',
+    weight: 1.0,
+    params: { period: 14 },
+    compute: (marketInfo, params) => ({ value: calculateRSI(marketInfo.closes, params.period) }),
+    createStream: (params) => {
+        const stream = createRSIStream(params.period);
+        return { push: (candle) => stream.push(candle.close), value: () => ({ value: stream.value() }) };
+    },
+    score: (indicator) => calculateRSIScore(Number.isFinite(indicator.value) ? indicator.value : 50),
+    explain: (indicator) => {
+        if (indicator.value < 30) return `RSI em ${indicator.value.toFixed(1)} (oversold)`;
+        if (indicator.value > 70) return `RSI em ${indicator.value.toFixed(1)} (overbought)`;
+        return null;
+    }
+});
+
+registerIndicator({
+    id: 'macd',
+    label: 'MACD',
+    weight: 1.0,
+    compute: (marketInfo, params, base) => ({ value: calculateMACD(marketInfo.closes), atr: base.atr }),
+    createStream: () => {
+        const stream = createMACDStream();
+        return { push: (candle) => stream.push(candle.close), value: (base) => ({ value: stream.value(), atr: base.atr }) };
+    },
+    // Histograma normalizado pelo ATR
+    score: (indicator, indicators) => {
+        const atrValue = Number.isFinite(indicators.atr) && indicators.atr > 0 ? indicators.atr : 0.0001;
+        const macdValue = Number.isFinite(indicator.value) ? indicator.value : 0;
+        return (macdValue / atrValue) * 50;
+    },
+    explain: (indicator) => (indicator.value > 0
+        ? `MACD positivo (${indicator.value.toFixed(6)})`
+        : `MACD negativo (${indicator.value.toFixed(6)})`)
+});
+
+registerIndicator({
+    id: 'stochRsi',
+    label: 'Stoch RSI',
+    weight: 0.8,
+    params: { period: 14 },
+    compute: (marketInfo, params) => ({ value: calculateStochasticRSI(marketInfo.closes, params.period) }),
+    createStream: (params) => {
+        const stream = createStochasticRSIStream(params.period);
+        return { push: (candle) => stream.push(candle.close), value: () => ({ value: stream.value() }) };
+    },
+    score: (indicator) => ((Number.isFinite(indicator.value) ? indicator.value : 50) - 50) * 2
+});
+
+registerIndicator({
+    id: 'mfi',
+    label: 'MFI',
+    weight: 0.8,
+    params: { period: 14 },
+    compute: (marketInfo, params) => ({
+        value: calculateMFI(marketInfo.highs, marketInfo.lows, marketInfo.closes, marketInfo.volumes, params.period)
+    }),
+    createStream: (params) => {
+        const stream = createMFIStream(params.period);
+        return { push: (candle) => stream.push(candle), value: () => ({ value: stream.value() }) };
+    },
+    score: (indicator) => ((Number.isFinite(indicator.value) ? indicator.value : 50) - 50) * 2
+});
+
+// Alinhamento das EMAs da base compartilhada
+registerIndicator({
+    id: 'trend',
+    label: 'Tendência',
+    weight: 1.2,
+    compute: (marketInfo, params, base) => ({
+        value: classifyTrend(base.candleCount, base.lastClose, base.ema.ema20, base.ema.ema50, base.ema.ema200)
+    }),
+    createStream: () => ({
+        push: () => {},
+        value: (base) => ({
+            value: classifyTrend(base.candleCount, base.lastClose, base.ema.ema20, base.ema.ema50, base.ema.ema200)
+        })
+    }),
+    score: (indicator) => (indicator.value === 'uptrend' ? 30 : indicator.value === 'downtrend' ? -30 : 0),
+    explain: (indicator) => `Tendência: ${indicator.value}`
+});
+
+registerIndicator({
+    id: 'occ',
+    label: 'OCC',
+    weight: 1.0,
+    params: { period: 8 },
+    compute: (marketInfo, params) => calculateOCC(marketInfo.opens, marketInfo.closes, params.period),
+    createStream: (params) => {
+        const stream = createOCCStream(params.period);
+        return { push: (candle) => stream.push(candle), value: () => stream.value() };
+    },
+    score: (indicator) => (Number.isFinite(indicator.value) ? indicator.value : 0)
+});
+
+registerIndicator({
+    id: 'stcCci',
+    label: 'STC-CCI',
+    weight: 1.0,
+    params: { period: 20 },
+    compute: (marketInfo, params) => calculateSTCCCI(marketInfo.highs, marketInfo.lows, marketInfo.closes, params.period),
+    createStream: (params) => {
+        const stream = createSTCCCIStream(params.period);
+        return { push: (candle) => stream.push(candle), value: () => stream.value() };
+    },
+    score: (indicator) => (Number.isFinite(indicator.value) ? indicator.value : 0)
+});
+
+// Bollinger, ADX, VWAP, Ichimoku, SuperTrend e OBV vêm com peso 0: são calculados e exibidos, mas só
+// entram no score quando recebem peso (marketData.weights ou config.indicatorWeights no dashboard)
+
+// Bandas de Bollinger: reversão à média pelo %B (banda inferior = +100); em squeeze o sinal cai pela metade
+registerIndicator({
+    id: 'bollinger',
+    label: 'Bollinger',
+    weight: 0,
+    params: { period: 20, multiplier: 2, squeezeLookback: 120 },
+    warmup: 20,
+    compute: (marketInfo, params) => replayStream(createBollingerStream(params.period, params.multiplier, params.squeezeLookback), marketInfo),
+    createStream: (params) => createBollingerStream(params.period, params.multiplier, params.squeezeLookback),
+    score: (indicator) => {
+        if (!Number.isFinite(indicator.value)) return null;
+        const score = clampScore((0.5 - indicator.value) * 200);
+        return indicator.squeeze ? score * 0.5 : score;
+    },
+    explain: (indicator) => (indicator.squeeze
+        ? `Bollinger em squeeze (largura ${(indicator.bandwidth * 100).toFixed(2)}%)`
+        : null)
+});
+
+// ADX/DMI: direção pelo spread +DI/-DI, intensidade pela força do ADX (cheia a partir de 40)
+registerIndicator({
+    id: 'adx',
+    label: 'ADX',
+    weight: 0,
+    params: { period: 14 },
+    warmup: 28,
+    compute: (marketInfo, params) => replayStream(createADXStream(params.period), marketInfo),
+    createStream: (params) => createADXStream(params.period),
+    score: (indicator) => {
+        if (!Number.isFinite(indicator.value)) return null;
+        const diSum = indicator.plusDI + indicator.minusDI;
+        const spread = diSum > 0 ? (indicator.plusDI - indicator.minusDI) / diSum : 0;
+        return spread * 100 * Math.min(1, indicator.value / 40);
+    },
+    explain: (indicator) => {
+        if (indicator.regime === 'trending') return `ADX em ${indicator.value.toFixed(1)} (tendência forte)`;
+        if (indicator.regime === 'ranging') return `ADX em ${indicator.value.toFixed(1)} (mercado lateral)`;
+        return null;
+    }
+});
+
+// VWAP da sessão: acima = comprador; além de 2 desvios o sinal some até 3 desvios (esticado)
+registerIndicator({
+    id: 'vwap',
+    label: 'VWAP',
+    weight: 0,
+    params: { sessionMs: 24 * 60 * 60 * 1000 },
+    warmup: 1,
+    compute: (marketInfo, params) => replayStream(createVWAPStream(params.sessionMs), marketInfo),
+    createStream: (params) => createVWAPStream(params.sessionMs),
+    score: (indicator) => {
+        const z = indicator.deviation;
+        if (!Number.isFinite(z)) return null;
+        if (Math.abs(z) <= 2) return z * 50;
+        return Math.sign(z) * Math.max(0, 100 * (3 - Math.abs(z)));
+    }
+});
+
+// Ichimoku: posição do preço na nuvem (±50), cruzamento tenkan/kijun (±25) e nuvem futura (±25)
+registerIndicator({
+    id: 'ichimoku',
+    label: 'Ichimoku',
+    weight: 0,
+    params: { tenkan: 9, kijun: 26, spanB: 52, displacement: 26 },
+    warmup: 78,
+    compute: (marketInfo, params) => replayStream(createIchimokuStream(params.tenkan, params.kijun, params.spanB, params.displacement), marketInfo),
+    createStream: (params) => createIchimokuStream(params.tenkan, params.kijun, params.spanB, params.displacement),
+    score: (indicator) => {
+        if (indicator.value === null) return null;
+        const position = indicator.value === 'above' ? 50 : indicator.value === 'below' ? -50 : 0;
+        const cross = indicator.tenkan > indicator.kijun ? 25 : indicator.tenkan < indicator.kijun ? -25 : 0;
+        const future = indicator.futureSenkouA > indicator.futureSenkouB ? 25 : indicator.futureSenkouA < indicator.futureSenkouB ? -25 : 0;
+        return position + cross + future;
+    },
+    explain: (indicator) => (indicator.value === 'above' || indicator.value === 'below'
+        ? `Preço ${indicator.value === 'above' ? 'acima' : 'abaixo'} da nuvem Ichimoku`
+        : null)
+});
+
+// SuperTrend: ±60 na direção, ±100 na vela em que a direção virou
+registerIndicator({
+    id: 'superTrend',
+    label: 'SuperTrend',
+    weight: 0,
+    params: { period: 10, multiplier: 3 },
+    warmup: 11,
+    compute: (marketInfo, params) => replayStream(createSuperTrendStream(params.period, params.multiplier), marketInfo),
+    createStream: (params) => createSuperTrendStream(params.period, params.multiplier),
+    score: (indicator) => {
+        if (indicator.value === null) return null;
+        const strength = indicator.flipped ? 100 : 60;
+        return indicator.value === 'up' ? strength : -strength;
+    },
+    explain: (indicator) => (indicator.flipped
+        ? `SuperTrend virou para ${indicator.value === 'up' ? 'alta' : 'baixa'}`
+        : null)
+});
+
+// OBV: mesma escala do CVD (variação normalizada × 200)
+registerIndicator({
+    id: 'obv',
+    label: 'OBV',
+    weight: 0,
+    params: { lookback: 20 },
+    warmup: 21,
+    compute: (marketInfo, params) => replayStream(createOBVStream(params.lookback), marketInfo),
+    createStream: (params) => createOBVStream(params.lookback),
+    score: (indicator) => (Number.isFinite(indicator.normalized) ? clampScore(indicator.normalized * 200) : null)
+});
+
+// Fluxo de negócios: variação do CVD no lookback normalizada pelo volume negociado (-1 a 1)
+registerIndicator({
+    id: 'cvd',
+    label: 'CVD',
+    weight: 0.8,
+    source: 'orderFlow',
+    compute: (orderFlow) => ({
+        value: orderFlow.cvd,
+        change: orderFlow.cvdChange,
+        normalized: orderFlow.cvdVolume > 0 ? orderFlow.cvdChange / orderFlow.cvdVolume : 0
+    }),
+    score: (indicator) => (Number.isFinite(indicator.normalized)
+        ? Math.max(-100, Math.min(100, indicator.normalized * 200))
+        : null)
+});
+
+// Fluxo de negócios: (compra - venda) / volume nas velas mais recentes (-1 a 1)
+registerIndicator({
+    id: 'flowImbalance',
+    label: 'Fluxo C/V',
+    weight: 0.6,
+    source: 'orderFlow',
+    compute: (orderFlow) => ({ value: orderFlow.imbalance }),
+    score: (indicator) => (Number.isFinite(indicator.value)
+        ? Math.max(-100, Math.min(100, indicator.value * 100))
+        : null)
+});
+
 // ============================================
 // EXPORTAÇÃO
 // ============================================
 
 // Exportar função principal para uso externo
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { analyzeMarket, getConfig: () => ANALYSIS_CONFIG };
+    module.exports = {
+        analyzeMarket,
+        analyzeIndicators,
+        analyzeConfluence,
+        describeDivergence,
+        getMarketRegimes,
+        createIndicatorPipeline,
+        registerIndicator,
+        getIndicators,
+        timeframeToMs,
+        getConfig
+    };
 } else if (typeof window !== 'undefined') {
     window.MarketAnalysisEngine = { 
         analyzeMarket,
-        getConfig: () => ANALYSIS_CONFIG
+        analyzeIndicators,
+        analyzeConfluence,
+        describeDivergence,
+        getMarketRegimes,
+        createIndicatorPipeline,
+        registerIndicator,
+        getIndicators,
+        timeframeToMs,
+        getConfig
     };
 }
\ No newline at end of file
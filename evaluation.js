@@ -3,6 +3,26 @@
  * Módulo para observar e avaliar o desempenho das decisões do engine de análise
  */
 
+// ============================================
+// CONFIGURAÇÃO
+// ============================================
+
+const EVALUATION_CONFIG = {
+    neutralThreshold: 0.1, // % mínima de mudança para considerar movimento significativo
+    takeProfitATR: 3,      // TP = 3×ATR (igual ao live e ao backtest)
+    stopLossATR: 1.5,      // SL = 1.5×ATR (igual ao live e ao backtest)
+    horizonCandles: 3      // Horizonte mínimo de avaliação em velas do timeframe
+};
+
+/**
+ * Políticas de amostragem de decisões
+ * - every: registra toda análise (comportamento original)
+ * - candle: uma decisão por vela de cada timeframe (a primeira após o fechamento da anterior)
+ * - direction: só quando a direção muda em relação à última decisão registrada do timeframe
+ * - gated: só decisões que passam pelos mesmos filtros do trackTrade (passedGates)
+ */
+const SAMPLING_POLICIES = ['every', 'candle', 'direction', 'gated'];
+
 // ============================================
 // ARMAZENAMENTO EM MEMÓRIA
 // ============================================
@@ -13,6 +33,170 @@
  */
 let decisionHistory = [];
 
+/**
+ * Store persistente opcional (DecisionStore) - sem store, o histórico vive só em memória
+ * @type {Object|null}
+ */
+let decisionStore = null;
+
+/**
+ * Política de amostragem ativa e última decisão registrada por símbolo/timeframe
+ */
+let samplingPolicy = 'every';
+let samplingState = new Map();
+
+// ============================================
+// DEPENDÊNCIAS
+// ============================================
+
+/**
+ * Resolve o SystemState no navegador (window) ou no Node (require)
+ * @returns {Object|null} API do SystemState ou null se indisponível
+ */
+function resolveSystemState() {
+    if (typeof window !== 'undefined' && window.SystemState) return window.SystemState;
+    if (typeof require === 'function') return require('./systemState.js');
+    return null;
+}
+
+/**
+ * Resolve o MarketAnalysisEngine no navegador (window) ou no Node (require)
+ * @returns {Object} API do engine
+ */
+function resolveMarketAnalysisEngine() {
+    if (typeof window !== 'undefined' && window.MarketAnalysisEngine) return window.MarketAnalysisEngine;
+    if (typeof require === 'function') return require('./engine.js');
+    throw new Error('MarketAnalysisEngine indisponível');
+}
+
+// ============================================
+// PERSISTÊNCIA
+// ============================================
+
+/**
+ * Define o store persistente usado para gravar decisões e avaliações
+ * @param {Object|null} store - Store criado por DecisionStore.create (null desativa)
+ */
+function setDecisionStore(store) {
+    decisionStore = store;
+}
+
+/**
+ * Grava a decisão no store em segundo plano (falhas não interrompem a análise)
+ * @param {Object} decision - Decisão
+ */
+function persistDecision(decision) {
+    if (!decisionStore) return;
+    decisionStore.saveDecisions(decision).catch(error => {
+        console.error('❌ Erro ao persistir decisão:', error);
+    });
+}
+
+/**
+ * Converte uma decisão avaliada no registro usado pelo SystemState
+ * @param {Object} decision - Decisão avaliada
+ * @returns {Object} Entrada do SystemState
+ */
+function toSystemStateEntry(decision) {
+    return {
+        timeframe: decision.timeframe,
+        direction: decision.direction,
+        success: decision.evaluation.result === 'correct',
+        return: decision.evaluation.priceChange,
+        confidence: decision.confidence,
+        timestamp: decision.evaluation.evaluatedAt
+    };
+}
+
+/**
+ * Recarrega do store as decisões de um símbolo (substitui o histórico em memória)
+ * e reconstrói a janela do SystemState com as avaliadas
+ * @param {string} symbol - Símbolo
+ * @returns {Promise<number>} Número de decisões carregadas
+ */
+async function restoreDecisions(symbol) {
+    if (!decisionStore) return 0;
+
+    const stored = await decisionStore.loadDecisions(symbol);
+    decisionHistory = stored.slice(-1000);
+    rebuildSamplingState();
+
+    const systemState = resolveSystemState();
+    if (systemState && systemState.restore) {
+        systemState.restore(decisionHistory.filter(d => d.status === 'evaluated' && d.evaluation).map(toSystemStateEntry));
+    }
+
+    console.log(`💾 ${decisionHistory.length} decisões restauradas para ${symbol}`);
+    return decisionHistory.length;
+}
+
+// ============================================
+// AMOSTRAGEM
+// ============================================
+
+/**
+ * Define a política de amostragem das decisões
+ * @param {string} policy - 'every' | 'candle' | 'direction' | 'gated'
+ */
+function setSamplingPolicy(policy) {
+    if (!SAMPLING_POLICIES.includes(policy)) {
+        throw new Error(`Política de amostragem inválida: "${policy}" (use ${SAMPLING_POLICIES.join(', ')})`);
+    }
+    samplingPolicy = policy;
+    console.log(`🗳️ Amostragem de decisões: ${policy}`);
+}
+
+/**
+ * Retorna a política de amostragem ativa
+ * @returns {string} Política
+ */
+function getSamplingPolicy() {
+    return samplingPolicy;
+}
+
+/**
+ * Início da vela à qual a decisão pertence (informado ou derivado do timestamp)
+ */
+function getDecisionCandleTime(decisionData, timestamp) {
+    if (Number.isFinite(decisionData.candleTime)) return decisionData.candleTime;
+    const intervalMs = timeframeToMilliseconds(decisionData.timeframe);
+    return intervalMs ? Math.floor(timestamp / intervalMs) * intervalMs : timestamp;
+}
+
+/**
+ * Decide se a decisão deve ser registrada pela política ativa
+ * @param {Object} decisionData - Dados da decisão (com candleTime e passedGates opcionais)
+ * @param {number} candleTime - Início da vela da decisão
+ * @returns {boolean} True se deve ser registrada
+ */
+function shouldSampleDecision(decisionData, candleTime) {
+    const last = samplingState.get(`${decisionData.symbol || ''}_${decisionData.timeframe}`);
+
+    switch (samplingPolicy) {
+        case 'candle':
+            return !last || candleTime > last.candleTime;
+        case 'direction':
+            return !last || decisionData.direction !== last.direction;
+        case 'gated':
+            return decisionData.passedGates === true;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Reconstrói o estado da amostragem a partir do histórico (após restaurar do store)
+ */
+function rebuildSamplingState() {
+    samplingState = new Map();
+    decisionHistory.forEach(decision => {
+        samplingState.set(`${decision.symbol || ''}_${decision.timeframe}`, {
+            candleTime: decision.candleTime ?? decision.timestamp,
+            direction: decision.direction
+        });
+    });
+}
+
 // ============================================
 // FUNÇÕES PRINCIPAIS
 // ============================================
@@ -28,18 +212,36 @@ let decisionHistory = [];
  * @param {string} decisionData.explanation - Explicação da decisão
  * @param {Object} decisionData.marketContext - Contexto de mercado no momento da decisão
  * @param {number} decisionData.marketContext.totalScore - Score total da análise
- * @param {string} decisionData.marketContext.marketRegime - Regime de mercado (uptrend/downtrend/sideways)
+ * @param {string} decisionData.marketContext.marketRegime - Regime de mercado (strong_trend/weak_trend/range/high_vol_breakout/squeeze)
+ * @param {string} [decisionData.marketContext.trend] - Tendência das EMAs (uptrend/downtrend/sideways)
  * @param {number} decisionData.marketContext.relativeVolatility - Volatilidade relativa (ATR %)
  * @param {number} [decisionData.evaluationHorizon] - Horizonte mínimo em ms (padrão: 5 minutos)
+ * @param {number} [decisionData.timestamp] - Momento da decisão em ms (padrão: agora; útil em replays)
+ * @param {string} [decisionData.symbol] - Símbolo (ticks de outros símbolos são ignorados no caminho)
+ * @param {number} [decisionData.takeProfit] - Nível de TP (padrão: 3×ATR a favor)
+ * @param {number} [decisionData.stopLoss] - Nível de SL (padrão: 1.5×ATR contra)
+ * @param {number} [decisionData.candleTime] - Início da vela atual (política 'candle'; padrão: derivado do timestamp)
+ * @param {boolean} [decisionData.passedGates] - Se passou pelos filtros do trackTrade (política 'gated')
+ * @returns {Object|null} Decisão registrada ou null se descartada pela política de amostragem
  */
 function recordDecision(decisionData) {
+    const timestamp = Number.isFinite(decisionData.timestamp) ? decisionData.timestamp : Date.now();
+    const candleTime = getDecisionCandleTime(decisionData, timestamp);
+    if (!shouldSampleDecision(decisionData, candleTime)) {
+        return null;
+    }
+
     // Definir horizonte de avaliação baseado no timeframe
     const horizonMinutes = getEvaluationHorizon(decisionData.timeframe);
     const evaluationHorizon = decisionData.evaluationHorizon || (horizonMinutes * 60 * 1000);
+    const levels = getDecisionLevels(decisionData);
 
     const decision = {
         id: Date.now() + Math.random(), // ID único
-        timestamp: Date.now(),
+        timestamp: timestamp,
+        candleTime: candleTime,
+        samplingPolicy: samplingPolicy, // Política ativa quando a decisão foi registrada
+        symbol: decisionData.symbol || null,
         direction: decisionData.direction,
         confidence: decisionData.confidence,
         currentPrice: decisionData.currentPrice,
@@ -48,11 +250,16 @@ function recordDecision(decisionData) {
         explanation: decisionData.explanation,
         marketContext: { ...decisionData.marketContext }, // Contexto de mercado
         evaluationHorizon: evaluationHorizon, // Horizonte mínimo para avaliação
+        takeProfit: levels.takeProfit,
+        stopLoss: levels.stopLoss,
+        path: createDecisionPath(decisionData.currentPrice, timestamp), // Caminho do preço até o horizonte
         status: 'pending', // pending, ready, evaluated
         evaluation: null // Resultado da avaliação (será preenchido depois)
     };
 
     decisionHistory.push(decision);
+    samplingState.set(`${decision.symbol || ''}_${decision.timeframe}`, { candleTime, direction: decision.direction });
+    persistDecision(decision);
 
     // Manter apenas as últimas 1000 decisões para não consumir muita memória
     if (decisionHistory.length > 1000) {
@@ -60,23 +267,208 @@ function recordDecision(decisionData) {
     }
 
     console.log(`📝 Decisão registrada: ${decision.direction} (${decision.confidence.toFixed(0)}% confiança) em ${decision.timeframe} - Horizonte: ${horizonMinutes}min`);
+    return decision;
 }
 
 /**
  * Define o horizonte mínimo de avaliação baseado no timeframe
+ * Pelo menos horizonCandles × o período (1m=3min, 5m=15min, 1h=3h, 4h=12h, 1d=3 dias, 1w=3 semanas)
  * @param {string} timeframe - Timeframe da decisão
  * @returns {number} Horizonte em minutos
  */
 function getEvaluationHorizon(timeframe) {
-    // Horizonte baseado no timeframe: pelo menos 3x o período
-    const horizonMap = {
-        '1m': 3,    // 3 minutos para 1m
-        '5m': 15,   // 15 minutos para 5m
-        '15m': 45,  // 45 minutos para 15m
-        '1h': 180   // 3 horas para 1h
+    const timeframeMs = timeframeToMilliseconds(timeframe);
+    if (!timeframeMs) return 5; // Padrão: 5 minutos
+
+    return (timeframeMs / 60000) * EVALUATION_CONFIG.horizonCandles;
+}
+
+/**
+ * Define os níveis de TP/SL da decisão (informados ou derivados do ATR, como no live)
+ * @param {Object} decisionData - Dados da decisão
+ * @returns {Object} { takeProfit, stopLoss } (null para NEUTRAL ou sem ATR)
+ */
+function getDecisionLevels(decisionData) {
+    if (Number.isFinite(decisionData.takeProfit) && Number.isFinite(decisionData.stopLoss)) {
+        return { takeProfit: decisionData.takeProfit, stopLoss: decisionData.stopLoss };
+    }
+
+    const side = decisionData.direction === 'BUY' ? 1 : decisionData.direction === 'SELL' ? -1 : 0;
+    const atr = decisionData.indicators?.atr;
+    if (side === 0 || !Number.isFinite(atr) || atr <= 0) {
+        return { takeProfit: null, stopLoss: null };
+    }
+
+    return {
+        takeProfit: decisionData.currentPrice + side * EVALUATION_CONFIG.takeProfitATR * atr,
+        stopLoss: decisionData.currentPrice - side * EVALUATION_CONFIG.stopLossATR * atr
+    };
+}
+
+// ============================================
+// CAMINHO DO PREÇO (MFE/MAE, HORIZONTE, TP/SL)
+// ============================================
+
+/**
+ * Cria o registro do caminho do preço de uma decisão
+ * @param {number} price - Preço no momento da decisão
+ * @param {number} timestamp - Momento da decisão
+ * @returns {Object} Caminho inicial
+ */
+function createDecisionPath(price, timestamp) {
+    return {
+        high: price,            // Máxima observada dentro do horizonte
+        low: price,             // Mínima observada dentro do horizonte
+        lastPrice: price,       // Último preço observado (vale até a próxima observação)
+        lastTime: timestamp,
+        lastSource: null,
+        samples: 0,             // Observações dentro do horizonte
+        firstHit: null,         // 'TP' | 'SL' | null
+        firstHitTime: null,
+        ambiguousHit: false,    // TP e SL na mesma vela: SL assumido primeiro (como no backtest)
+        horizonPrice: null,     // Preço vigente exatamente no horizonte
+        horizonSource: null     // 'tick' | 'kline' | 'late' (primeira observação após o horizonte)
     };
+}
+
+/**
+ * Aplica uma observação de preço ao caminho de uma decisão
+ * Observações fora de ordem ou anteriores à decisão são ignoradas
+ * @param {Object} decision - Decisão pendente
+ * @param {Object} observation - { time, high, low, close, source }
+ */
+function applyPathObservation(decision, observation) {
+    const path = decision.path;
+    const horizonEnd = decision.timestamp + decision.evaluationHorizon;
+    const { time, high, low, close, source } = observation;
+
+    if (path.horizonPrice !== null || time < path.lastTime || time <= decision.timestamp) return;
+
+    // Primeira observação após o horizonte: vale o último preço visto até ele
+    if (time > horizonEnd) {
+        if (path.samples > 0) {
+            path.horizonPrice = path.lastPrice;
+            path.horizonSource = path.lastSource;
+        } else {
+            path.horizonPrice = observation.open ?? close;
+            path.horizonSource = 'late';
+        }
+        return;
+    }
+
+    path.high = Math.max(path.high, high);
+    path.low = Math.min(path.low, low);
+    path.lastPrice = close;
+    path.lastTime = time;
+    path.lastSource = source;
+    path.samples++;
+
+    if (path.firstHit === null && decision.takeProfit !== null) {
+        const isBuy = decision.direction === 'BUY';
+        const tpHit = isBuy ? high >= decision.takeProfit : low <= decision.takeProfit;
+        const slHit = isBuy ? low <= decision.stopLoss : high >= decision.stopLoss;
+        if (slHit || tpHit) {
+            path.firstHit = slHit ? 'SL' : 'TP';
+            path.firstHitTime = time;
+            path.ambiguousHit = slHit && tpHit;
+        }
+    }
+
+    if (time === horizonEnd) {
+        path.horizonPrice = close;
+        path.horizonSource = source;
+    }
+}
+
+/**
+ * Decisões pendentes que aceitam observações do símbolo informado
+ */
+function getTrackedDecisions(symbol) {
+    return decisionHistory.filter(d =>
+        d.status !== 'evaluated' && d.path.horizonPrice === null &&
+        (!symbol || !d.symbol || d.symbol === symbol)
+    );
+}
+
+/**
+ * Registra um tick de preço no caminho de todas as decisões pendentes
+ * @param {number} price - Preço negociado
+ * @param {number} [timestamp] - Momento do tick em ms (padrão: agora)
+ * @param {string} [symbol] - Símbolo do tick (decisões de outros símbolos não são afetadas)
+ */
+function recordPriceTick(price, timestamp = Date.now(), symbol = null) {
+    if (!Number.isFinite(price)) return;
+
+    getTrackedDecisions(symbol).forEach(decision => {
+        applyPathObservation(decision, { time: timestamp, high: price, low: price, close: price, source: 'tick' });
+    });
+}
+
+/**
+ * Registra velas fechadas no caminho das decisões pendentes
+ * A abertura e o fechamento de cada vela contam como preços exatos naqueles instantes;
+ * máxima/mínima só contam quando a vela inteira está entre a decisão e o horizonte
+ * @param {Array} klines - Velas [timestamp, open, high, low, close, ...] em ordem cronológica
+ * @param {string|number} interval - Timeframe das velas ('1m', '5m', ...) ou duração em ms
+ * @param {string} [symbol] - Símbolo das velas
+ */
+function recordKlines(klines, interval, symbol = null) {
+    const intervalMs = typeof interval === 'number' ? interval : timeframeToMilliseconds(interval);
+    if (!intervalMs) throw new Error(`Intervalo inválido: "${interval}"`);
+
+    const tracked = getTrackedDecisions(symbol);
+    if (tracked.length === 0) return;
+
+    klines.forEach(kline => {
+        const [openTime, open, high, low, close] = kline.slice(0, 5).map(Number);
+        const closeTime = openTime + intervalMs;
+
+        tracked.forEach(decision => {
+            const horizonEnd = decision.timestamp + decision.evaluationHorizon;
+            if (closeTime <= decision.timestamp) return;
+
+            if (openTime > decision.timestamp) {
+                applyPathObservation(decision, { time: openTime, high: open, low: open, close: open, source: 'kline' });
+            }
+
+            if (openTime >= decision.timestamp && closeTime <= horizonEnd) {
+                applyPathObservation(decision, { time: closeTime, high, low, close, source: 'kline' });
+            } else {
+                // Vela parcial (contém a decisão ou o horizonte): só o fechamento é um preço exato
+                applyPathObservation(decision, { time: closeTime, high: close, low: close, close, open, source: 'kline' });
+            }
+        });
+    });
+}
+
+/**
+ * Converte timeframe ('1m', '4h', '1d') em milissegundos (mesma conversão do engine)
+ */
+function timeframeToMilliseconds(timeframe) {
+    return resolveMarketAnalysisEngine().timeframeToMs(timeframe || '');
+}
+
+/**
+ * Resume o caminho do preço: MFE/MAE em % a favor/contra a direção da decisão
+ * @param {Object} decision - Decisão
+ * @returns {Object} Métricas do caminho
+ */
+function summarizePath(decision) {
+    const { path, currentPrice } = decision;
+    const upMove = ((path.high - currentPrice) / currentPrice) * 100;
+    const downMove = ((currentPrice - path.low) / currentPrice) * 100;
+    const isSell = decision.direction === 'SELL';
 
-    return horizonMap[timeframe] || 5; // Padrão: 5 minutos
+    return {
+        highPrice: path.high,
+        lowPrice: path.low,
+        mfe: decision.direction === 'NEUTRAL' ? null : (isSell ? downMove : upMove),
+        mae: decision.direction === 'NEUTRAL' ? null : (isSell ? upMove : downMove),
+        firstHit: path.firstHit,
+        firstHitTime: path.firstHitTime,
+        ambiguousHit: path.ambiguousHit,
+        pathSamples: path.samples
+    };
 }
 
 /**
@@ -92,12 +484,11 @@ function isDecisionReady(decision, currentTime = Date.now()) {
 
 /**
  * Atualiza o status das decisões baseado no tempo decorrido
+ * @param {number} [now] - Tempo atual (padrão: Date.now())
  */
-function updateDecisionStatuses() {
-    const now = Date.now();
-
+function updateDecisionStatuses(now = Date.now()) {
     decisionHistory.forEach(decision => {
-        if (decision.status === 'pending' && isDecisionReady(decision, now)) {
+        if (decision.status === 'pending' && (isDecisionReady(decision, now) || decision.path.horizonPrice !== null)) {
             decision.status = 'ready';
         }
     });
@@ -105,6 +496,8 @@ function updateDecisionStatuses() {
 
 /**
  * Avalia se uma decisão foi correta baseada no movimento futuro do preço
+ * Usa o preço registrado exatamente no horizonte quando o caminho foi acompanhado;
+ * futurePrice só é usado quando não houve observação após o horizonte
  * @param {Object} decision - Decisão a ser avaliada
  * @param {number} futurePrice - Preço futuro após um intervalo de tempo
  * @returns {string|null} Resultado da avaliação: 'correct', 'incorrect', 'neutral', ou null se não estiver pronta
@@ -115,8 +508,10 @@ function evaluateDecision(decision, futurePrice) {
         return null; // Ainda não atingiu o horizonte mínimo
     }
 
-    const priceChange = ((futurePrice - decision.currentPrice) / decision.currentPrice) * 100;
-    const threshold = 0.1; // 0.1% de mudança mínima para considerar movimento significativo
+    const hasHorizonPrice = decision.path && decision.path.horizonPrice !== null;
+    const evaluationPrice = hasHorizonPrice ? decision.path.horizonPrice : futurePrice;
+    const priceChange = ((evaluationPrice - decision.currentPrice) / decision.currentPrice) * 100;
+    const threshold = EVALUATION_CONFIG.neutralThreshold;
 
     let result;
 
@@ -147,23 +542,22 @@ function evaluateDecision(decision, futurePrice) {
     decision.status = 'evaluated';
     decision.evaluation = {
         result: result,
-        futurePrice: futurePrice,
+        futurePrice: evaluationPrice,
         priceChange: priceChange,
+        horizonSource: hasHorizonPrice ? decision.path.horizonSource : 'spot',
+        ...(decision.path ? summarizePath(decision) : {}),
         evaluatedAt: Date.now()
     };
 
-    console.log(`🎯 Avaliação: ${decision.direction} → ${result} (${priceChange.toFixed(2)}% mudança após ${(decision.evaluationHorizon / 60000).toFixed(0)}min)`);
+    persistDecision(decision);
+
+    const hitInfo = decision.evaluation.firstHit ? `, ${decision.evaluation.firstHit} primeiro` : '';
+    console.log(`🎯 Avaliação: ${decision.direction} → ${result} (${priceChange.toFixed(2)}% mudança após ${(decision.evaluationHorizon / 60000).toFixed(0)}min${hitInfo})`);
 
     // Registrar no SystemState (monitor somente-leitura)
-    if (typeof window !== 'undefined' && window.SystemState) {
-        window.SystemState.recordDecision({
-            timeframe: decision.timeframe,
-            direction: decision.direction,
-            success: result === 'correct',
-            return: priceChange,
-            confidence: decision.confidence,
-            timestamp: Date.now()
-        });
+    const systemState = resolveSystemState();
+    if (systemState) {
+        systemState.recordDecision(toSystemStateEntry(decision));
         console.log(`📊 SystemState atualizado com decisão ${decision.direction}`);
     } else {
         console.warn('⚠️ SystemState não disponível');
@@ -173,18 +567,24 @@ function evaluateDecision(decision, futurePrice) {
 }
 
 /**
- * Avalia todas as decisões prontas usando o preço atual
+ * Avalia todas as decisões prontas usando o preço registrado no horizonte
+ * O preço atual também entra no caminho como um tick
  * @param {number} currentPrice - Preço atual do mercado
+ * @param {number} [currentTime] - Momento do preço (padrão: Date.now())
+ * @param {string} [symbol] - Símbolo do preço
  */
-function evaluatePendingDecisions(currentPrice) {
+function evaluatePendingDecisions(currentPrice, currentTime = Date.now(), symbol = null) {
+    recordPriceTick(currentPrice, currentTime, symbol);
+
     // Primeiro, atualizar status das decisões
-    updateDecisionStatuses();
+    updateDecisionStatuses(currentTime);
 
     // Depois, avaliar apenas as decisões prontas
     const readyDecisions = decisionHistory.filter(d => d.status === 'ready');
 
     let evaluatedCount = 0;
     readyDecisions.forEach(decision => {
+        if (symbol && decision.symbol && decision.symbol !== symbol) return;
         const result = evaluateDecision(decision, currentPrice);
         if (result !== null) {
             evaluatedCount++;
@@ -217,7 +617,11 @@ function getPerformanceStats() {
             incorrect: 0,
             neutral: 0,
             accuracy: 0,
-            winRate: 0
+            winRate: 0,
+            avgMfe: 0,
+            avgMae: 0,
+            takeProfitFirst: 0,
+            stopLossFirst: 0
         };
     }
 
@@ -232,6 +636,10 @@ function getPerformanceStats() {
     // Win rate incluindo neutras
     const winRate = (correct / evaluated.length) * 100;
 
+    // Excursões do caminho (apenas decisões direcionais acompanhadas)
+    const withPath = evaluated.filter(d => Number.isFinite(d.evaluation.mfe));
+    const average = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
     return {
         total: decisionHistory.length,
         pending: decisionHistory.filter(d => d.status === 'pending').length,
@@ -241,7 +649,11 @@ function getPerformanceStats() {
         incorrect: incorrect,
         neutral: neutral,
         accuracy: accuracy,
-        winRate: winRate
+        winRate: winRate,
+        avgMfe: average(withPath.map(d => d.evaluation.mfe)),
+        avgMae: average(withPath.map(d => d.evaluation.mae)),
+        takeProfitFirst: evaluated.filter(d => d.evaluation.firstHit === 'TP').length,
+        stopLossFirst: evaluated.filter(d => d.evaluation.firstHit === 'SL').length
     };
 }
 
@@ -303,6 +715,7 @@ function getTimeframeStats() {
  */
 function clearHistory() {
     decisionHistory = [];
+    samplingState = new Map();
     console.log('🗑️ Histórico de decisões limpo');
 }
 
@@ -310,15 +723,42 @@ function clearHistory() {
 // EXPORTAÇÃO PARA USO GLOBAL
 // ============================================
 
+// Exportar funções para uso no Node (CommonJS/ESM)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        recordDecision,
+        evaluateDecision,
+        evaluatePendingDecisions,
+        recordPriceTick,
+        recordKlines,
+        setDecisionStore,
+        restoreDecisions,
+        setSamplingPolicy,
+        getSamplingPolicy,
+        getPerformanceStats,
+        getDecisionHistory,
+        getTimeframeStats,
+        getEvaluationHorizon,
+        clearHistory
+    };
+}
+
 // Exportar funções para uso no navegador
 if (typeof window !== 'undefined') {
     window.DecisionEvaluator = {
         recordDecision,
         evaluateDecision,
         evaluatePendingDecisions,
+        recordPriceTick,
+        recordKlines,
+        setDecisionStore,
+        restoreDecisions,
+        setSamplingPolicy,
+        getSamplingPolicy,
         getPerformanceStats,
         getDecisionHistory,
         getTimeframeStats,
+        getEvaluationHorizon,
         clearHistory
     };
 }
\ No newline at end of file
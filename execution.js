@@ -0,0 +1,794 @@
+/**
+ * Execution - Conector de Execução de Ordens - ZingSignals
+ *
+ * Transforma sinais aceitos (trades rastreados já dimensionados pela gestão de risco) em ordens na
+ * Binance: margem isolada e alavancagem do sinal no símbolo, entrada a mercado ou limitada e proteção com
+ * TP/SL reduce-only (futuros USDⓈ-M) ou OCO (spot). Stop movido e saídas da gestão local (tradeManager.js)
+ * são repassados à exchange: TP/SL repostos e parciais reduce-only a mercado. As requisições são assinadas com HMAC-SHA256, os client order IDs são derivados do sinal
+ * (reenvios não duplicam ordens), a reconciliação compara as execuções locais com as posições e ordens
+ * abertas da exchange e o kill switch bloqueia novas entradas (e opcionalmente zera tudo).
+ * No modo dry-run nada é enviado nem assinado: as ordens são registradas e as respostas simuladas.
+ * Para testar o fluxo real sem rede, aponte baseUrl para o mockExchange.js.
+ */
+
+const Execution = (() => {
+    // =========================================================================
+    // CONFIGURAÇÃO
+    // =========================================================================
+    const DEFAULT_SETTINGS = {
+        market: 'futures',            // futures (USDⓈ-M, TP/SL reduce-only) | spot (OCO, só compras)
+        baseUrl: null,                // Padrão por mercado (BASE_URLS); ex.: http://127.0.0.1:8090 para o mock
+        apiKey: '',
+        apiSecret: '',
+        dryRun: true,                 // Registra as ordens sem enviar (dispensa API key e secret)
+        entryType: 'MARKET',          // MARKET | LIMIT
+        marginType: 'ISOLATED',       // Margem aplicada ao símbolo antes da entrada em futuros (ISOLATED | CROSSED)
+        limitOffset: 0.05,            // % a favor do preço de referência na entrada LIMIT
+        stopLimitSlippage: 0.1,       // % abaixo do stop para o preço limite da perna de stop da OCO
+        recvWindow: 5000,
+        clientOrderPrefix: 'zs',
+        maxConsecutiveErrors: 3,      // Erros seguidos que acionam o kill switch (só bloqueia novas entradas)
+        precision: {},                // { BTCUSDT: { price: 1, quantity: 3 } } (casas decimais de preço e quantidade)
+        maxDryRunLog: 200
+    };
+
+    const DEFAULT_PRECISION = { price: 2, quantity: 3 };
+
+    const BASE_URLS = {
+        futures: 'https://fapi.binance.com',
+        spot: 'https://api.binance.com'
+    };
+
+    const ENDPOINTS = {
+        futures: {
+            time: '/fapi/v1/time',
+            order: '/fapi/v1/order',
+            openOrders: '/fapi/v1/openOrders',
+            cancelAll: '/fapi/v1/allOpenOrders',
+            positions: '/fapi/v2/positionRisk',
+            leverage: '/fapi/v1/leverage',
+            marginType: '/fapi/v1/marginType'
+        },
+        spot: {
+            time: '/api/v3/time',
+            order: '/api/v3/order',
+            oco: '/api/v3/order/oco',
+            openOrders: '/api/v3/openOrders',
+            cancelAll: '/api/v3/openOrders'
+        }
+    };
+
+    // Códigos da Binance para client order ID repetido (futuros e spot)
+    const DUPLICATE_ORDER_CODES = [-4116, -2010];
+    const UNKNOWN_ORDER_CODE = -2013;
+    const CANCEL_REJECTED_CODES = [-2011, -2013]; // Ordem já executada, cancelada ou inexistente
+    const REDUCE_ONLY_REJECTED_CODE = -2022;      // Sem posição para reduzir
+    const MARGIN_TYPE_UNCHANGED_CODE = -4046;     // O símbolo já está no tipo de margem pedido
+
+    // Execuções que ainda têm (ou podem ter) posição na exchange
+    const ACTIVE_STATUSES = ['pending_entry', 'open', 'unprotected'];
+
+    // Execuções com posição aberta, cuja gestão (stop e saídas) é repassada à exchange
+    const MANAGED_STATUSES = ['open', 'unprotected'];
+
+    // =========================================================================
+    // FUNÇÕES PRIVADAS
+    // =========================================================================
+
+    const resolveFetch = (options) => {
+        const fetchFn = options.fetch || (typeof fetch === 'function' ? fetch : null);
+        if (!fetchFn) throw new Error('fetch indisponível: informe options.fetch');
+        return fetchFn;
+    };
+
+    const toHex = (buffer) => Array.from(new Uint8Array(buffer)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+    /**
+     * Assina um payload com HMAC-SHA256 (hex), como a Binance espera no parâmetro signature
+     * Node: módulo crypto; navegador: Web Crypto (crypto.subtle)
+     * @param {string} secret - API secret
+     * @param {string} payload - Query string a assinar
+     * @returns {Promise<string>} Assinatura em hexadecimal
+     */
+    const signPayload = async (secret, payload) => {
+        if (typeof window === 'undefined' && typeof require === 'function') {
+            return require('crypto').createHmac('sha256', secret).update(payload).digest('hex');
+        }
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        return toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(payload)));
+    };
+
+    const signalKey = (signal) => `${signal.symbol}_${signal.timeframe}_${signal.timestamp}`;
+
+    // FNV-1a de 32 bits em base 36 (curto e determinístico)
+    const hashKey = (text) => {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(36);
+    };
+
+    /**
+     * Client order ID determinístico: o mesmo sinal sempre gera o mesmo ID por papel da ordem
+     * (máx. 36 caracteres, [A-Za-z0-9_-], como a Binance exige)
+     * @param {Object} signal - { symbol, timeframe, timestamp }
+     * @param {string} role - en (entrada) | tp | sl | oco | tp1, sl1... (reposições) | rd1, rd2... (reduções)
+     * @param {string} [prefix] - Prefixo das ordens do app
+     * @returns {string}
+     */
+    const clientOrderId = (signal, role, prefix = DEFAULT_SETTINGS.clientOrderPrefix) => {
+        const readable = `${prefix}_${signalKey(signal)}_${role}`.replace(/[^A-Za-z0-9_-]/g, '');
+        if (readable.length <= 36) return readable;
+        // Símbolos longos: hash do sinal inteiro (símbolo + timeframe + timestamp) no lugar do texto
+        return `${prefix}_${hashKey(signalKey(signal))}_${signal.timestamp.toString(36)}_${role}`;
+    };
+
+    const oppositeSide = (side) => (side === 'BUY' ? 'SELL' : 'BUY');
+
+    const roundDown = (value, decimals) => Math.floor(value * 10 ** decimals + 1e-9) / 10 ** decimals;
+
+    const exchangeError = (status, body, path) => {
+        const error = new Error(`Erro ${status} em ${path}: ${body && body.msg ? body.msg : 'resposta inválida'}`);
+        error.status = status;
+        error.code = body && body.code;
+        return error;
+    };
+
+    // Falhas em que a ordem pode ter chegado à exchange (rede sem resposta ou erro do servidor);
+    // erros locais (assinatura, fetch ausente) nunca saíram da máquina
+    const isUncertain = (error) => error.network === true || error.status >= 500;
+
+    // =========================================================================
+    // CRIAÇÃO DO CONECTOR
+    // =========================================================================
+
+    /**
+     * Cria um conector de execução
+     * @param {Object} [options] - Sobrescreve DEFAULT_SETTINGS; options.fetch e options.onEvent opcionais
+     * @returns {Object} { execute, manage, reconcile, activateKillSwitch, releaseKillSwitch, getKillSwitch, syncTime,
+     *          getExecutions, getDryRunLog, updateSettings, getSettings }
+     */
+    const create = (options = {}) => {
+        let settings = { ...DEFAULT_SETTINGS, ...options };
+        delete settings.fetch;
+        delete settings.onEvent;
+        const onEvent = options.onEvent || (() => {});
+
+        const executions = new Map(); // signalKey → execução
+        const symbolSetup = new Map(); // símbolo → { leverage, marginType } já aplicados na exchange
+        const managementTargets = new Map(); // signalKey → { stopLoss, remaining } pedidos pela gestão local
+        const managing = new Map(); // signalKey → sincronização da gestão em andamento
+        const dryRunLog = [];
+        let killSwitch = { active: false, reason: null, time: null };
+        let consecutiveErrors = 0;
+        let timeOffset = 0; // Relógio da exchange - relógio local
+        let dryRunSequence = 0;
+
+        const endpoints = () => ENDPOINTS[settings.market];
+        const baseUrl = () => settings.baseUrl || BASE_URLS[settings.market];
+        const precisionOf = (symbol) => ({ ...DEFAULT_PRECISION, ...settings.precision[symbol] });
+        const formatPrice = (symbol, price) => price.toFixed(precisionOf(symbol).price);
+
+        const emit = (type, data) => {
+            try {
+                onEvent({ type, time: Date.now(), ...data });
+            } catch (error) {
+                console.error('❌ Execution: erro no onEvent:', error);
+            }
+        };
+
+        /**
+         * Requisição à API; assinada quando signed e houver secret (timestamp, recvWindow e signature na query string)
+         * No dry-run nada vai à rede nem é assinado: toda requisição devolve `simulated` e as que alteram
+         * estado (POST/DELETE) ficam registradas no log do dry-run
+         */
+        const send = async (method, path, params = {}, { signed = true, simulated = null } = {}) => {
+            const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined && value !== null));
+            if (signed) {
+                query.set('timestamp', String(Date.now() + timeOffset));
+                query.set('recvWindow', String(settings.recvWindow));
+            }
+
+            if (settings.dryRun) {
+                if (method !== 'GET') {
+                    dryRunLog.push({ time: Date.now(), method, path, params: { ...params }, query: query.toString() });
+                    if (dryRunLog.length > settings.maxDryRunLog) dryRunLog.shift();
+                }
+                return typeof simulated === 'function' ? simulated() : simulated;
+            }
+
+            // Sem secret a requisição vai sem assinatura e a exchange responde com o erro de autenticação
+            if (signed && settings.apiSecret) {
+                query.set('signature', await signPayload(settings.apiSecret, query.toString()));
+            }
+
+            const fetchFn = resolveFetch(options);
+            let response;
+            try {
+                response = await fetchFn(`${baseUrl()}${path}?${query.toString()}`, {
+                    method,
+                    headers: signed ? { 'X-MBX-APIKEY': settings.apiKey } : {}
+                });
+            } catch (error) {
+                error.network = true; // A requisição pode ter chegado: só a resposta faltou
+                throw error;
+            }
+            const body = await response.json().catch(() => null);
+            if (!response.ok) throw exchangeError(response.status, body, path);
+            return body;
+        };
+
+        const simulatedOrder = (params, referencePrice) => () => ({
+            orderId: `dry-${++dryRunSequence}`,
+            clientOrderId: params.newClientOrderId,
+            symbol: params.symbol,
+            side: params.side,
+            type: params.type,
+            status: params.type === 'MARKET' ? 'FILLED' : 'NEW',
+            origQty: params.quantity,
+            executedQty: params.type === 'MARKET' ? params.quantity : '0',
+            avgPrice: params.type === 'MARKET' ? String(referencePrice) : '0',
+            dryRun: true
+        });
+
+        const queryOrder = (symbol, origClientOrderId) => send('GET', endpoints().order, { symbol, origClientOrderId }, { simulated: null });
+
+        /**
+         * Envia uma ordem de forma idempotente: se o ID já existe na exchange, ou se a resposta se perdeu,
+         * consulta a ordem pelo client order ID em vez de enviar de novo
+         */
+        const placeOrder = async (path, params, referencePrice) => {
+            try {
+                return await send('POST', path, params, { simulated: simulatedOrder(params, referencePrice) });
+            } catch (error) {
+                const duplicate = DUPLICATE_ORDER_CODES.includes(error.code);
+                if (!duplicate && !isUncertain(error)) throw error;
+
+                const clientId = params.newClientOrderId || params.listClientOrderId;
+                console.warn(`⚠️ Execution: ${duplicate ? 'ID repetido' : 'resposta perdida'} em ${clientId}, consultando a ordem`);
+                if (path === endpoints().oco) {
+                    const open = await send('GET', endpoints().openOrders, { symbol: params.symbol });
+                    const legs = (open || []).filter(order => [params.limitClientOrderId, params.stopClientOrderId].includes(order.clientOrderId));
+                    if (legs.length > 0) return { listClientOrderId: clientId, orders: legs, recovered: true };
+                    throw error;
+                }
+                try {
+                    return { ...(await queryOrder(params.symbol, clientId)), recovered: true };
+                } catch (queryError) {
+                    if (queryError.code === UNKNOWN_ORDER_CODE) throw error; // Não chegou: o erro original vale
+                    throw queryError;
+                }
+            }
+        };
+
+        const recordError = (error, context) => {
+            consecutiveErrors++;
+            console.error(`❌ Execution: ${context}:`, error.message);
+            emit('error', { context, message: error.message, code: error.code });
+            if (consecutiveErrors >= settings.maxConsecutiveErrors && !killSwitch.active) {
+                activateKillSwitch({ reason: `${consecutiveErrors} erros seguidos (${error.message})`, flatten: false });
+            }
+        };
+
+        // =====================================================================
+        // PROTEÇÃO (TP/SL)
+        // =====================================================================
+
+        const protectionRoles = (execution) => {
+            const round = execution.protectionAttempts > 0 ? String(execution.protectionAttempts) : '';
+            return settings.market === 'spot'
+                ? { oco: `oco${round}`, tp: `tp${round}`, sl: `sl${round}` }
+                : { tp: `tp${round}`, sl: `sl${round}` };
+        };
+
+        const placeProtection = async (execution) => {
+            const { signal, quantity } = execution;
+            const exitSide = oppositeSide(execution.side);
+            const roles = protectionRoles(execution);
+            const ids = Object.fromEntries(Object.entries(roles).map(([key, role]) => [key, clientOrderId(signal, role, settings.clientOrderPrefix)]));
+            execution.protectionAttempts++;
+
+            if (settings.market === 'spot') {
+                const stopLimit = signal.stopLoss * (1 - settings.stopLimitSlippage / 100);
+                const params = {
+                    symbol: signal.symbol,
+                    side: exitSide,
+                    quantity,
+                    price: formatPrice(signal.symbol, signal.takeProfit),
+                    stopPrice: formatPrice(signal.symbol, signal.stopLoss),
+                    stopLimitPrice: formatPrice(signal.symbol, stopLimit),
+                    stopLimitTimeInForce: 'GTC',
+                    listClientOrderId: ids.oco,
+                    limitClientOrderId: ids.tp,
+                    stopClientOrderId: ids.sl
+                };
+                const response = await placeOrder(endpoints().oco, params, signal.entryPrice);
+                execution.orders.takeProfit = { clientOrderId: ids.tp, ...(response.orders || []).find(order => order.clientOrderId === ids.tp) };
+                execution.orders.stopLoss = { clientOrderId: ids.sl, ...(response.orders || []).find(order => order.clientOrderId === ids.sl) };
+                execution.orders.oco = { listClientOrderId: ids.oco, orderListId: response.orderListId };
+                return;
+            }
+
+            const protective = (type, role, stopPrice) => placeOrder(endpoints().order, {
+                symbol: signal.symbol,
+                side: exitSide,
+                type,
+                quantity,
+                stopPrice: formatPrice(signal.symbol, stopPrice),
+                reduceOnly: 'true',
+                workingType: 'MARK_PRICE',
+                newClientOrderId: ids[role]
+            }, stopPrice);
+
+            execution.orders.stopLoss = await protective('STOP_MARKET', 'sl', signal.stopLoss);
+            execution.orders.takeProfit = await protective('TAKE_PROFIT_MARKET', 'tp', signal.takeProfit);
+        };
+
+        // Cancela o TP e o SL atuais; ordem já executada ou cancelada na exchange não é erro
+        const cancelProtection = async (execution) => {
+            const ids = [execution.orders.takeProfit, execution.orders.stopLoss]
+                .filter(Boolean)
+                .map(order => order.clientOrderId);
+            for (const id of ids) {
+                try {
+                    await send('DELETE', endpoints().order, { symbol: execution.signal.symbol, origClientOrderId: id });
+                } catch (error) {
+                    if (!CANCEL_REJECTED_CODES.includes(error.code)) throw error;
+                }
+            }
+        };
+
+        /**
+         * Aplica margem isolada e a alavancagem do sinal ao símbolo antes da entrada (futuros)
+         * A gestão de risco limita a alavancagem para o stop ficar antes da liquidação; sem estas chamadas
+         * a ordem usaria a alavancagem que a conta já tivesse no símbolo
+         */
+        const prepareSymbol = async (signal) => {
+            if (settings.market !== 'futures' || !Number.isFinite(signal.leverage)) return;
+            const leverage = Math.max(1, Math.floor(signal.leverage));
+            const applied = symbolSetup.get(signal.symbol);
+            if (applied && applied.leverage === leverage && applied.marginType === settings.marginType) return;
+
+            try {
+                await send('POST', endpoints().marginType, { symbol: signal.symbol, marginType: settings.marginType }, { simulated: {} });
+            } catch (error) {
+                if (error.code !== MARGIN_TYPE_UNCHANGED_CODE) throw error;
+            }
+            await send('POST', endpoints().leverage, { symbol: signal.symbol, leverage }, { simulated: { symbol: signal.symbol, leverage } });
+            if (!settings.dryRun) symbolSetup.set(signal.symbol, { leverage, marginType: settings.marginType });
+        };
+
+        // =====================================================================
+        // EXECUÇÃO DE SINAIS
+        // =====================================================================
+
+        /**
+         * Envia a entrada e a proteção de um sinal aceito
+         * @param {Object} signal
+         * @param {string} signal.symbol - Ex.: BTCUSDT
+         * @param {string} signal.timeframe - Timeframe do sinal (compõe o client order ID)
+         * @param {number} signal.timestamp - Momento do sinal em ms (compõe o client order ID)
+         * @param {string} signal.prediction - COMPRA | VENDA
+         * @param {number} signal.entryPrice - Preço de referência
+         * @param {number} signal.quantity - Quantidade (positionSize da gestão de risco)
+         * @param {number} signal.stopLoss - Preço do stop
+         * @param {number} signal.takeProfit - Preço do alvo
+         * @param {number} [signal.leverage] - Alavancagem da gestão de risco (futuros; aplicada com margem isolada)
+         * @returns {Promise<Object>} Execução { key, status, side, quantity, orders, error, dryRun }
+         *          status: pending_entry | open | unprotected | rejected | blocked | failed | closed | cancelled | killed
+         */
+        const execute = async (signal) => {
+            const key = signalKey(signal);
+            const existing = executions.get(key);
+            if (existing && existing.status !== 'failed') return { ...existing }; // Idempotente: o mesmo sinal não gera outra entrada
+
+            if (killSwitch.active) {
+                return { key, status: 'blocked', error: `kill switch ativo: ${killSwitch.reason}`, orders: {} };
+            }
+
+            const long = signal.prediction !== 'VENDA';
+            const side = long ? 'BUY' : 'SELL';
+            const precision = precisionOf(signal.symbol);
+            const quantity = roundDown(signal.quantity, precision.quantity);
+            const validStops = long
+                ? signal.stopLoss < signal.entryPrice && signal.takeProfit > signal.entryPrice
+                : signal.stopLoss > signal.entryPrice && signal.takeProfit < signal.entryPrice;
+
+            let rejection = null;
+            if (!(quantity > 0)) rejection = 'quantidade abaixo do mínimo após arredondamento';
+            else if (!validStops) rejection = 'stop e alvo do lado errado da entrada';
+            else if (settings.market === 'spot' && !long) rejection = 'spot não permite venda a descoberto';
+            if (rejection) return { key, status: 'rejected', error: rejection, orders: {} };
+
+            const execution = {
+                key,
+                signal: { ...signal },
+                side,
+                quantity: quantity.toFixed(precision.quantity),
+                initialQuantity: quantity.toFixed(precision.quantity),
+                market: settings.market,
+                status: 'pending_entry',
+                orders: {},
+                protectionAttempts: 0,
+                reductions: 0,
+                createdAt: Date.now(),
+                dryRun: settings.dryRun,
+                error: null
+            };
+            executions.set(key, execution);
+
+            // 1. Entrada
+            const entryParams = {
+                symbol: signal.symbol,
+                side,
+                type: settings.entryType,
+                quantity: execution.quantity,
+                newClientOrderId: clientOrderId(signal, 'en', settings.clientOrderPrefix)
+            };
+            if (settings.entryType === 'LIMIT') {
+                const offset = (long ? -1 : 1) * settings.limitOffset / 100;
+                entryParams.price = formatPrice(signal.symbol, signal.entryPrice * (1 + offset));
+                entryParams.timeInForce = 'GTC';
+            }
+
+            try {
+                await prepareSymbol(signal);
+                execution.orders.entry = await placeOrder(endpoints().order, entryParams, signal.entryPrice);
+            } catch (error) {
+                execution.status = 'failed';
+                execution.error = error.message;
+                recordError(error, `entrada ${key}`);
+                emit('failed', { execution: { ...execution } });
+                return { ...execution };
+            }
+            consecutiveErrors = 0;
+
+            // 2. Proteção: reduce-only exige posição aberta, então entradas LIMIT são protegidas na reconciliação
+            if (execution.orders.entry.status === 'FILLED') {
+                try {
+                    await placeProtection(execution);
+                    execution.status = 'open';
+                } catch (error) {
+                    execution.status = 'unprotected';
+                    execution.error = error.message;
+                    recordError(error, `proteção ${key}`);
+                }
+            }
+
+            console.log(`⚡ Execution${settings.dryRun ? ' [dry-run]' : ''}: ${side} ${execution.quantity} ${signal.symbol} (${execution.status})`);
+            emit('executed', { execution: { ...execution } });
+            return { ...execution };
+        };
+
+        // =====================================================================
+        // GESTÃO (STOP MOVIDO E SAÍDAS)
+        // =====================================================================
+
+        /**
+         * Leva a posição e a proteção da exchange ao alvo pedido pela gestão local, uma rodada por vez:
+         * cancela TP/SL, reduz a mercado (reduce-only em futuros) e repõe TP/SL com o stop e a quantidade novos
+         */
+        const syncManagement = async (execution) => {
+            const symbol = execution.signal.symbol;
+            const precision = precisionOf(symbol);
+
+            while (MANAGED_STATUSES.includes(execution.status)) {
+                const target = managementTargets.get(execution.key);
+                const current = parseFloat(execution.quantity);
+                const targetQuantity = Number.isFinite(target.remaining)
+                    ? roundDown(parseFloat(execution.initialQuantity) * Math.max(0, target.remaining), precision.quantity)
+                    : current;
+                const reduceBy = roundDown(current - targetQuantity, precision.quantity);
+                const stopChanged = Number.isFinite(target.stopLoss) &&
+                    formatPrice(symbol, target.stopLoss) !== formatPrice(symbol, execution.signal.stopLoss);
+                if (reduceBy <= 0 && !stopChanged) return;
+
+                try {
+                    await cancelProtection(execution);
+                    if (stopChanged) execution.signal.stopLoss = target.stopLoss;
+
+                    let positionGone = false;
+                    if (reduceBy > 0) {
+                        execution.reductions++;
+                        const params = {
+                            symbol,
+                            side: oppositeSide(execution.side),
+                            type: 'MARKET',
+                            quantity: reduceBy.toFixed(precision.quantity),
+                            reduceOnly: settings.market === 'futures' ? 'true' : undefined,
+                            newClientOrderId: clientOrderId(execution.signal, `rd${execution.reductions}`, settings.clientOrderPrefix)
+                        };
+                        try {
+                            execution.orders[`reduce${execution.reductions}`] = await placeOrder(endpoints().order, params, null);
+                            execution.quantity = targetQuantity.toFixed(precision.quantity);
+                        } catch (error) {
+                            // TP/SL da exchange fechou a posição antes da saída local
+                            if (error.code !== REDUCE_ONLY_REJECTED_CODE) throw error;
+                            positionGone = true;
+                        }
+                    }
+
+                    if (positionGone || parseFloat(execution.quantity) <= 0) {
+                        execution.status = 'closed';
+                        execution.closedAt = Date.now();
+                        emit('closed', { execution: { ...execution } });
+                    } else {
+                        await placeProtection(execution);
+                        execution.status = 'open';
+                        execution.error = null;
+                    }
+                    consecutiveErrors = 0;
+                } catch (error) {
+                    // A reconciliação repõe TP/SL com o stop e a quantidade já atualizados
+                    execution.status = 'unprotected';
+                    execution.error = error.message;
+                    recordError(error, `gestão ${execution.key}`);
+                    return;
+                }
+            }
+        };
+
+        /**
+         * Repassa à exchange a gestão local de um trade executado (tradeManager.js): stop movido
+         * (zero a zero, stop móvel) e saídas parciais ou totais
+         * Chamadas seguidas só atualizam o alvo: a sincronização em andamento aplica o pedido mais recente
+         * @param {Object} signal - { symbol, timeframe, timestamp } do sinal executado
+         * @param {Object} update
+         * @param {number} [update.stopLoss] - Preço atual do stop
+         * @param {number} [update.remaining] - Fração da posição original ainda aberta (0 encerra)
+         * @returns {Promise<Object|null>} Execução atualizada, ou null se o sinal não tem posição aberta
+         */
+        const manage = async (signal, update = {}) => {
+            const key = signalKey(signal);
+            const execution = executions.get(key);
+            if (!execution || !MANAGED_STATUSES.includes(execution.status)) return null;
+
+            managementTargets.set(key, { ...managementTargets.get(key), ...update });
+            if (!managing.has(key)) {
+                managing.set(key, syncManagement(execution).finally(() => managing.delete(key)));
+            }
+            await managing.get(key);
+            return { ...execution };
+        };
+
+        // =====================================================================
+        // RECONCILIAÇÃO
+        // =====================================================================
+
+        /**
+         * Compara as execuções locais com a exchange e corrige o que for possível:
+         * protege entradas LIMIT preenchidas, repõe TP/SL ausentes, encerra execuções cuja posição sumiu
+         * (cancelando ordens órfãs) e aponta posições abertas fora do app e diferenças de tamanho
+         * @returns {Promise<Object>} { time, actions, untracked, mismatches, positions }
+         */
+        const reconcile = async () => {
+            const report = { time: Date.now(), actions: [], untracked: [], mismatches: [], positions: [] };
+            const active = [...executions.values()].filter(execution => ACTIVE_STATUSES.includes(execution.status));
+            if (settings.dryRun) {
+                report.positions = active.map(execution => ({ symbol: execution.signal.symbol, side: execution.side, quantity: execution.quantity, dryRun: true }));
+                return report;
+            }
+
+            try {
+                const symbols = [...new Set(active.map(execution => execution.signal.symbol))];
+                const openOrders = await send('GET', endpoints().openOrders, {});
+                const openIds = new Set((openOrders || []).map(order => order.clientOrderId));
+                const positions = settings.market === 'futures'
+                    ? (await send('GET', endpoints().positions, {})).filter(position => parseFloat(position.positionAmt) !== 0)
+                    : null;
+                report.positions = positions || [];
+
+                for (const execution of active) {
+                    const { signal } = execution;
+
+                    // Entrada ainda pendente: preenchida → proteger; cancelada/expirada → encerrar
+                    if (execution.status === 'pending_entry') {
+                        const entry = await queryOrder(signal.symbol, execution.orders.entry.clientOrderId);
+                        execution.orders.entry = entry;
+                        if (entry.status === 'FILLED') {
+                            await placeProtection(execution);
+                            execution.status = 'open';
+                            report.actions.push({ type: 'protect', key: execution.key });
+                        } else if (['CANCELED', 'EXPIRED', 'REJECTED'].includes(entry.status)) {
+                            execution.status = 'cancelled';
+                            report.actions.push({ type: 'entry_cancelled', key: execution.key });
+                        }
+                        continue;
+                    }
+
+                    const protectiveIds = [execution.orders.takeProfit, execution.orders.stopLoss]
+                        .filter(Boolean)
+                        .map(order => order.clientOrderId);
+                    const openProtective = protectiveIds.filter(id => openIds.has(id));
+
+                    // TP ou SL fora das abertas: executado encerra a execução; cancelado precisa ser reposto
+                    let protectionFilled = false;
+                    for (const id of protectiveIds.filter(id => !openIds.has(id))) {
+                        try {
+                            if ((await queryOrder(signal.symbol, id)).status === 'FILLED') protectionFilled = true;
+                        } catch (error) {
+                            if (error.code !== UNKNOWN_ORDER_CODE) throw error;
+                        }
+                    }
+                    const positionGone = protectionFilled || (positions !== null && !positions.some(item => item.symbol === signal.symbol));
+
+                    if (positionGone) {
+                        // TP/SL executado (ou posição zerada fora do app): cancelar o que sobrou
+                        for (const id of openProtective) {
+                            await send('DELETE', endpoints().order, { symbol: signal.symbol, origClientOrderId: id });
+                            report.actions.push({ type: 'cancel_orphan', key: execution.key, clientOrderId: id });
+                        }
+                        execution.status = 'closed';
+                        execution.closedAt = Date.now();
+                        report.actions.push({ type: 'closed', key: execution.key });
+                        emit('closed', { execution: { ...execution } });
+                        continue;
+                    }
+
+                    if (openProtective.length < 2) {
+                        // Posição sem TP e SL (ou as duas pernas da OCO) abertos: cancelar o que restou e repor
+                        for (const id of openProtective) {
+                            await send('DELETE', endpoints().order, { symbol: signal.symbol, origClientOrderId: id });
+                        }
+                        await placeProtection(execution);
+                        execution.status = 'open';
+                        execution.error = null;
+                        report.actions.push({ type: 'reprotect', key: execution.key });
+                    }
+                }
+
+                if (positions) {
+                    // Posições fora do app e tamanho líquido diferente do esperado (modo one-way soma as execuções)
+                    positions.forEach(position => {
+                        const tracked = active.filter(execution => execution.signal.symbol === position.symbol && execution.status !== 'closed');
+                        if (tracked.length === 0) {
+                            report.untracked.push({ symbol: position.symbol, positionAmt: parseFloat(position.positionAmt) });
+                            return;
+                        }
+                        const expected = tracked.reduce((sum, execution) => sum + (execution.side === 'BUY' ? 1 : -1) * parseFloat(execution.quantity), 0);
+                        const actual = parseFloat(position.positionAmt);
+                        if (Math.abs(expected - actual) > 1e-9) {
+                            report.mismatches.push({ symbol: position.symbol, expected, actual });
+                        }
+                    });
+                }
+
+                consecutiveErrors = 0;
+                if (symbols.length > 0 || report.untracked.length > 0) {
+                    console.log(`🔄 Execution: reconciliação - ${report.actions.length} ações, ${report.untracked.length} posições fora do app, ${report.mismatches.length} divergências`);
+                }
+            } catch (error) {
+                recordError(error, 'reconciliação');
+                report.error = error.message;
+            }
+
+            emit('reconciled', { report });
+            return report;
+        };
+
+        // =====================================================================
+        // KILL SWITCH
+        // =====================================================================
+
+        /**
+         * Bloqueia novas entradas; com flatten, cancela as ordens abertas e zera as posições a mercado
+         * @param {Object} [params] - { reason, flatten }
+         * @returns {Promise<Object>} { cancelled, flattened, errors }
+         */
+        const activateKillSwitch = async ({ reason = 'manual', flatten = true } = {}) => {
+            killSwitch = { active: true, reason, time: Date.now() };
+            console.warn(`🛑 Execution: kill switch ativado (${reason})`);
+            const result = { cancelled: [], flattened: [], errors: [] };
+
+            if (flatten) {
+                const active = [...executions.values()].filter(execution => ACTIVE_STATUSES.includes(execution.status));
+                const symbols = [...new Set(active.map(execution => execution.signal.symbol))];
+
+                for (const symbol of symbols) {
+                    try {
+                        await send('DELETE', endpoints().cancelAll, { symbol }, { simulated: {} });
+                        result.cancelled.push(symbol);
+
+                        const exits = settings.market === 'futures' && !settings.dryRun
+                            ? (await send('GET', endpoints().positions, { symbol }))
+                                .filter(position => parseFloat(position.positionAmt) !== 0)
+                                .map(position => ({ side: parseFloat(position.positionAmt) > 0 ? 'SELL' : 'BUY', quantity: String(Math.abs(parseFloat(position.positionAmt))) }))
+                            : active
+                                .filter(execution => execution.signal.symbol === symbol && execution.status !== 'pending_entry')
+                                .map(execution => ({ side: oppositeSide(execution.side), quantity: execution.quantity }));
+
+                        for (const [index, exit] of exits.entries()) {
+                            const params = {
+                                symbol,
+                                side: exit.side,
+                                type: 'MARKET',
+                                quantity: exit.quantity,
+                                reduceOnly: settings.market === 'futures' ? 'true' : undefined,
+                                newClientOrderId: `${settings.clientOrderPrefix}_kill_${killSwitch.time}_${index}`
+                            };
+                            await placeOrder(endpoints().order, params, null);
+                            result.flattened.push({ symbol, ...exit });
+                        }
+                        active.filter(execution => execution.signal.symbol === symbol).forEach(execution => {
+                            execution.status = 'killed';
+                            execution.closedAt = Date.now();
+                        });
+                    } catch (error) {
+                        console.error(`❌ Execution: falha ao zerar ${symbol}:`, error.message);
+                        result.errors.push({ symbol, message: error.message });
+                    }
+                }
+            }
+
+            emit('killSwitch', { killSwitch: { ...killSwitch }, result });
+            return result;
+        };
+
+        const releaseKillSwitch = () => {
+            killSwitch = { active: false, reason: null, time: null };
+            consecutiveErrors = 0;
+            console.log('✅ Execution: kill switch liberado');
+            emit('killSwitch', { killSwitch: { ...killSwitch } });
+        };
+
+        /**
+         * Ajusta o relógio das requisições assinadas ao da exchange (evita erro de timestamp/recvWindow)
+         * @returns {Promise<number>} Diferença em ms (exchange - local)
+         */
+        const syncTime = async () => {
+            if (settings.dryRun) return timeOffset;
+            const before = Date.now();
+            const { serverTime } = await send('GET', endpoints().time, {}, { signed: false });
+            timeOffset = serverTime - Math.round((before + Date.now()) / 2);
+            return timeOffset;
+        };
+
+        const updateSettings = (partial) => {
+            settings = { ...settings, ...partial };
+            delete settings.fetch;
+            delete settings.onEvent;
+            symbolSetup.clear(); // Outra conta ou exchange: margem e alavancagem são reaplicadas na próxima entrada
+            return getSettings();
+        };
+
+        // O secret nunca sai do conector
+        const getSettings = () => ({ ...settings, apiSecret: settings.apiSecret ? '***' : '' });
+
+        return {
+            execute,
+            manage,
+            reconcile,
+            activateKillSwitch,
+            releaseKillSwitch,
+            getKillSwitch: () => ({ ...killSwitch }),
+            syncTime,
+            getExecutions: () => [...executions.values()].map(execution => JSON.parse(JSON.stringify(execution))),
+            getDryRunLog: () => dryRunLog.map(entry => ({ ...entry })),
+            updateSettings,
+            getSettings
+        };
+    };
+
+    // =========================================================================
+    // EXPORTAR API
+    // =========================================================================
+    return {
+        create,
+        signPayload,
+        clientOrderId,
+        getDefaults: () => ({ ...DEFAULT_SETTINGS })
+    };
+})();
+
+// Exportar para uso no Node (CommonJS/ESM: import Execution from './execution.js')
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Execution;
+}
+
+// Expor globalmente
+if (typeof window !== 'undefined') {
+    window.Execution = Execution;
+}
@@ -0,0 +1,338 @@
+/**
+ * KlineHistory - Carregador de Histórico de Velas - ZingSignals
+ *
+ * Busca velas de qualquer intervalo de datas paginando para trás com startTime/endTime
+ * (1000 velas por requisição), remove duplicadas, verifica lacunas e guarda as velas
+ * fechadas em cache (IndexedDB no navegador, memória no Node) por símbolo/intervalo.
+ * O transporte é plugável: qualquer objeto com fetchKlines({ symbol, interval, startTime, endTime, limit })
+ * e, opcionalmente, maxLimit (velas por página), como os adaptadores do MarketData.
+ */
+
+const KlineHistory = (() => {
+    // =========================================================================
+    // CONFIGURAÇÃO
+    // =========================================================================
+    const PAGE_LIMIT = 1000; // Máximo de velas por requisição na Binance
+    const MAX_EMPTY_PAGES = 3; // Páginas vazias seguidas antes de concluir que não há histórico mais antigo
+    const DB_NAME = 'zing-signals-klines';
+    const STORE_NAME = 'klines';
+
+    // =========================================================================
+    // DEPENDÊNCIAS
+    // =========================================================================
+    const resolveEngine = () => {
+        if (typeof window !== 'undefined' && window.MarketAnalysisEngine) return window.MarketAnalysisEngine;
+        if (typeof require === 'function') return require('./engine.js');
+        throw new Error('MarketAnalysisEngine indisponível');
+    };
+
+    // =========================================================================
+    // FUNÇÕES PRIVADAS - VELAS
+    // =========================================================================
+
+    const intervalToMs = (interval) => {
+        const intervalMs = resolveEngine().timeframeToMs(interval);
+        if (!intervalMs) throw new Error(`Intervalo inválido: "${interval}"`);
+        return intervalMs;
+    };
+
+    // Velas semanais abrem na segunda-feira 00:00 UTC; o epoch (1970-01-01) foi uma quinta
+    const WEEK_OFFSET_MS = 4 * 24 * 60 * 60 * 1000;
+    const alignmentOffset = (interval) => (interval.endsWith('w') ? WEEK_OFFSET_MS : 0);
+
+    const alignDown = (time, intervalMs, offset) => Math.floor((time - offset) / intervalMs) * intervalMs + offset;
+    const alignUp = (time, intervalMs, offset) => Math.ceil((time - offset) / intervalMs) * intervalMs + offset;
+
+    const cacheKey = (symbol, interval) => `${symbol}_${interval}`;
+
+    // Mantém apenas [timestamp, open, high, low, close, volume] numéricos
+    const normalizeKline = (kline) => {
+        const values = kline.slice(0, 6).map(Number);
+        if (values.length < 6 || values.some(v => !Number.isFinite(v))) {
+            throw new Error(`Vela inválida recebida: ${JSON.stringify(kline)}`);
+        }
+        return values;
+    };
+
+    // Remove duplicadas por timestamp (a última ocorrência vence) e ordena
+    const dedupe = (klines) => {
+        const byTime = new Map();
+        klines.forEach(kline => byTime.set(kline[0], kline));
+        return [...byTime.values()].sort((a, b) => a[0] - b[0]);
+    };
+
+    /**
+     * Encontra lacunas entre velas consecutivas e nas bordas do intervalo pedido
+     * @returns {Array<Object>} Lacunas { from, to, missing } (from/to = timestamps das velas ausentes)
+     */
+    const findGaps = (klines, startTime, endTime, intervalMs) => {
+        const gaps = [];
+        let expected = startTime;
+
+        klines.forEach(kline => {
+            if (kline[0] > expected) {
+                gaps.push({ from: expected, to: kline[0] - intervalMs, missing: (kline[0] - expected) / intervalMs });
+            }
+            expected = Math.max(expected, kline[0] + intervalMs);
+        });
+
+        if (expected <= endTime) {
+            gaps.push({ from: expected, to: endTime, missing: Math.floor((endTime - expected) / intervalMs) + 1 });
+        }
+
+        return gaps;
+    };
+
+    // =========================================================================
+    // TRANSPORTE
+    // =========================================================================
+
+    /**
+     * Transporte HTTP compatível com a API de velas da Binance
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl] - URL base (ex.: servidor local de fixtures nos testes)
+     * @param {Function} [options.fetch] - Implementação de fetch (padrão: fetch global)
+     * @returns {Object} Transporte { fetchKlines }
+     */
+    const createBinanceTransport = (options = {}) => {
+        const baseUrl = (options.baseUrl || 'https://api.binance.com').replace(/\/$/, '');
+        const fetchFn = options.fetch || (typeof fetch === 'function' ? fetch : null);
+        if (!fetchFn) throw new Error('fetch indisponível: informe options.fetch');
+
+        return {
+            async fetchKlines({ symbol, interval, startTime, endTime, limit = PAGE_LIMIT }) {
+                const params = new URLSearchParams({ symbol, interval, limit: String(limit) });
+                if (startTime !== undefined) params.set('startTime', String(startTime));
+                if (endTime !== undefined) params.set('endTime', String(endTime));
+
+                const response = await fetchFn(`${baseUrl}/api/v3/klines?${params}`);
+                if (!response.ok) {
+                    throw new Error(`Erro ${response.status} ao buscar velas ${symbol} ${interval}`);
+                }
+                return response.json();
+            }
+        };
+    };
+
+    // =========================================================================
+    // CACHE
+    // =========================================================================
+
+    /**
+     * Cache em memória (Node, testes ou navegador sem IndexedDB)
+     * @returns {Object} Cache { get, put, clear }
+     */
+    const createMemoryCache = () => {
+        const series = new Map();
+
+        return {
+            async get(symbol, interval, startTime, endTime) {
+                const stored = series.get(cacheKey(symbol, interval));
+                if (!stored) return [];
+                return [...stored.values()]
+                    .filter(kline => kline[0] >= startTime && kline[0] <= endTime)
+                    .sort((a, b) => a[0] - b[0]);
+            },
+            async put(symbol, interval, klines) {
+                const key = cacheKey(symbol, interval);
+                if (!series.has(key)) series.set(key, new Map());
+                const stored = series.get(key);
+                klines.forEach(kline => stored.set(kline[0], kline));
+            },
+            async clear() {
+                series.clear();
+            }
+        };
+    };
+
+    /**
+     * Cache persistente em IndexedDB (uma entrada por vela, chave [símbolo_intervalo, timestamp])
+     * @param {Object} [options]
+     * @param {string} [options.dbName] - Nome do banco
+     * @returns {Object} Cache { get, put, clear }
+     */
+    const createIndexedDBCache = (options = {}) => {
+        const dbName = options.dbName || DB_NAME;
+        let dbPromise = null;
+
+        const openDB = () => {
+            if (!dbPromise) {
+                dbPromise = new Promise((resolve, reject) => {
+                    const request = indexedDB.open(dbName, 1);
+                    request.onupgradeneeded = () => {
+                        request.result.createObjectStore(STORE_NAME, { keyPath: ['key', 'time'] });
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            }
+            return dbPromise;
+        };
+
+        const runTransaction = async (mode, action) => {
+            const db = await openDB();
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(STORE_NAME, mode);
+                const result = action(tx.objectStore(STORE_NAME));
+                tx.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        };
+
+        return {
+            async get(symbol, interval, startTime, endTime) {
+                const key = cacheKey(symbol, interval);
+                const records = await runTransaction('readonly', store =>
+                    store.getAll(IDBKeyRange.bound([key, startTime], [key, endTime]))
+                );
+                return (records || []).map(record => record.kline);
+            },
+            async put(symbol, interval, klines) {
+                const key = cacheKey(symbol, interval);
+                await runTransaction('readwrite', store => {
+                    klines.forEach(kline => store.put({ key, time: kline[0], kline }));
+                });
+            },
+            async clear() {
+                await runTransaction('readwrite', store => store.clear());
+            }
+        };
+    };
+
+    // Cache padrão compartilhado: IndexedDB quando disponível
+    let defaultCache = null;
+    const getDefaultCache = () => {
+        if (!defaultCache) {
+            defaultCache = typeof indexedDB !== 'undefined' ? createIndexedDBCache() : createMemoryCache();
+        }
+        return defaultCache;
+    };
+
+    // =========================================================================
+    // API PÚBLICA
+    // =========================================================================
+
+    /**
+     * Busca um trecho ausente paginando para trás a partir do fim
+     * Cada página pede exatamente [endTime - (limit-1)×intervalo, endTime]
+     * (limit = transport.maxLimit quando o transporte tem página menor que a da Binance)
+     * Uma página vazia pode ser só uma parada da exchange: a busca segue para trás e para
+     * depois de MAX_EMPTY_PAGES páginas vazias seguidas
+     */
+    const fetchSegment = async (transport, symbol, interval, intervalMs, segment, onPage) => {
+        const klines = [];
+        const pageLimit = Math.min(PAGE_LIMIT, transport.maxLimit || PAGE_LIMIT);
+        let cursorEnd = segment.to;
+        let emptyPages = 0;
+
+        while (cursorEnd >= segment.from) {
+            const pageStart = Math.max(segment.from, cursorEnd - (pageLimit - 1) * intervalMs);
+            const page = await transport.fetchKlines({
+                symbol,
+                interval,
+                startTime: pageStart,
+                endTime: cursorEnd + intervalMs - 1,
+                limit: pageLimit
+            });
+
+            cursorEnd = pageStart - intervalMs;
+            if (!Array.isArray(page) || page.length === 0) {
+                emptyPages++;
+                if (emptyPages >= MAX_EMPTY_PAGES) break; // Sem histórico antes deste ponto
+                continue;
+            }
+
+            emptyPages = 0;
+            page.forEach(kline => klines.push(normalizeKline(kline)));
+            if (onPage) onPage(page.length);
+        }
+
+        return klines;
+    };
+
+    /**
+     * Carrega velas FECHADAS de um intervalo de datas, usando o cache e buscando só o que falta
+     * @param {Object} params
+     * @param {string} params.symbol - Símbolo (ex.: BTCUSDT)
+     * @param {string} params.interval - Intervalo das velas (ex.: 1m, 15m, 1h)
+     * @param {number} params.startTime - Início (ms)
+     * @param {number} [params.endTime] - Fim (ms, padrão: agora)
+     * @param {Object} [params.transport] - Transporte ou adaptador do MarketData (padrão: Binance)
+     * @param {Object|null} [params.cache] - Cache (padrão: IndexedDB/memória; null desativa)
+     * @param {Function} [params.onProgress] - Recebe { fetched, pages } a cada página baixada
+     * @returns {Promise<Object>} { klines, gaps, fromCache, fetched }
+     */
+    const load = async ({ symbol, interval, startTime, endTime = Date.now(), transport, cache, onProgress }) => {
+        const intervalMs = intervalToMs(interval);
+        const activeTransport = transport || createBinanceTransport();
+        const activeCache = cache === undefined ? getDefaultCache() : cache;
+        // Séries de outras exchanges ficam separadas no cache (Binance mantém a chave original)
+        const cacheSymbol = activeTransport.exchange && activeTransport.exchange !== 'binance'
+            ? `${activeTransport.exchange}:${symbol}`
+            : symbol;
+
+        // Alinhar ao início das velas (semanais na segunda-feira) e ignorar a vela ainda aberta
+        const offset = alignmentOffset(interval);
+        const alignedStart = alignUp(startTime, intervalMs, offset);
+        const lastClosedStart = alignDown(Math.min(endTime, Date.now()), intervalMs, offset) - intervalMs;
+        const alignedEnd = Math.min(alignDown(endTime, intervalMs, offset), lastClosedStart);
+
+        if (alignedEnd < alignedStart) {
+            return { klines: [], gaps: [], fromCache: 0, fetched: 0 };
+        }
+
+        const cached = activeCache ? await activeCache.get(cacheSymbol, interval, alignedStart, alignedEnd) : [];
+        const missing = findGaps(cached, alignedStart, alignedEnd, intervalMs);
+
+        let fetched = [];
+        let pages = 0;
+        for (const segment of missing) {
+            const segmentKlines = await fetchSegment(activeTransport, symbol, interval, intervalMs, segment, (count) => {
+                pages++;
+                if (onProgress) onProgress({ fetched: fetched.length + count, pages });
+            });
+            fetched = fetched.concat(segmentKlines);
+        }
+
+        // Guardar apenas velas fechadas dentro do intervalo pedido
+        fetched = dedupe(fetched).filter(kline => kline[0] >= alignedStart && kline[0] <= alignedEnd);
+        if (activeCache && fetched.length > 0) {
+            await activeCache.put(cacheSymbol, interval, fetched);
+        }
+
+        const klines = dedupe(cached.concat(fetched));
+        const gaps = findGaps(klines, alignedStart, alignedEnd, intervalMs);
+
+        if (fetched.length > 0) {
+            console.log(`📚 ${symbol} ${interval}: ${cached.length} velas do cache + ${fetched.length} baixadas (${pages} páginas)`);
+        }
+        if (gaps.length > 0) {
+            console.warn(`⚠️ ${symbol} ${interval}: ${gaps.length} lacuna(s) no histórico (${gaps.reduce((sum, g) => sum + g.missing, 0)} velas ausentes)`);
+        }
+
+        return { klines, gaps, fromCache: cached.length, fetched: fetched.length };
+    };
+
+    // =========================================================================
+    // EXPORTAR API
+    // =========================================================================
+    return {
+        load,
+        createBinanceTransport,
+        createMemoryCache,
+        createIndexedDBCache,
+        findGaps,
+        intervalToMs
+    };
+})();
+
+// Exportar para uso no Node (CommonJS/ESM: import KlineHistory from './klineHistory.js')
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KlineHistory;
+}
+
+// Expor globalmente
+if (typeof window !== 'undefined') {
+    window.KlineHistory = KlineHistory;
+}
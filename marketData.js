@@ -0,0 +1,829 @@
+/**
+ * MarketData - Adaptadores de Dados de Mercado - ZingSignals
+ *
+ * Interface comum para velas, ticker 24h e streams (mini-ticker e profundidade) de várias exchanges
+ * (Binance, Bybit, OKX, Coinbase) e um adaptador mock que reproduz dados gravados para testes offline.
+ *
+ * Formatos normalizados:
+ * - Vela:   [openTime, open, high, low, close, volume] (números, ordem cronológica; mesmo formato do prepareMarketData)
+ * - Ticker: { symbol, lastPrice, priceChangePercent, volume, highPrice, lowPrice }
+ * - Stream 'ticker': { type: 'ticker', symbol, price, time }
+ * - Stream 'depth':  { type: 'depth', symbol, time, snapshot, bids, asks, firstUpdateId, lastUpdateId, prevUpdateId }
+ *   (bids/asks = [[preço, quantidade]]; quantidade 0 remove o nível)
+ * - Stream 'trades': { type: 'trades', symbol, time, trades: [{ id, price, qty, side, time }] }
+ *   (side = lado agressor: 'buy' = compra a mercado, 'sell' = venda a mercado)
+ * - Símbolos (fetchSymbols): ['BTCUSDT', ...] negociáveis na cotação pedida, no formato da Binance
+ * - Snapshot REST de profundidade (fetchDepthSnapshot, só nas exchanges cujo stream não envia snapshot):
+ *   { symbol, time, lastUpdateId, bids, asks }
+ *
+ * Os adaptadores também servem de transporte para o KlineHistory (fetchKlines + maxLimit).
+ */
+
+const MarketData = (() => {
+    // =========================================================================
+    // CONFIGURAÇÃO
+    // =========================================================================
+    const DEFAULT_EXCHANGE = 'binance';
+    const QUOTE_ASSETS = ['USDT', 'USDC', 'BUSD', 'FDUSD', 'USD', 'EUR', 'BTC', 'ETH'];
+
+    // =========================================================================
+    // FUNÇÕES PRIVADAS - UTILITÁRIOS
+    // =========================================================================
+
+    const resolveFetch = (options) => {
+        const fetchFn = options.fetch || (typeof fetch === 'function' ? fetch : null);
+        if (!fetchFn) throw new Error('fetch indisponível: informe options.fetch');
+        return fetchFn;
+    };
+
+    const getJson = async (fetchFn, url, label) => {
+        const response = await fetchFn(url);
+        if (!response.ok) throw new Error(`Erro ${response.status} ao buscar ${label}`);
+        return response.json();
+    };
+
+    // BTCUSDT → { base: 'BTC', quote: 'USDT' }
+    const splitSymbol = (symbol) => {
+        const quote = QUOTE_ASSETS.find(q => symbol.endsWith(q) && symbol.length > q.length);
+        if (!quote) throw new Error(`Não foi possível separar base/cotação do símbolo "${symbol}"`);
+        return { base: symbol.slice(0, -quote.length), quote };
+    };
+
+    const mapInterval = (intervals, interval, exchange) => {
+        const mapped = intervals[interval];
+        if (mapped === undefined) throw new Error(`Intervalo "${interval}" não suportado pela ${exchange}`);
+        return mapped;
+    };
+
+    const toLevels = (levels) => (levels || []).map(([price, qty]) => [parseFloat(price), parseFloat(qty)]);
+
+    const sortKlines = (klines) => klines.sort((a, b) => a[0] - b[0]);
+
+    /**
+     * Agrega velas menores em velas de bucketMs (open da primeira, close da última, máxima/mínima/volume do grupo)
+     * @param {Array} klines - Velas em ordem cronológica
+     * @param {number} bucketMs - Duração da vela agregada
+     * @param {number} [originMs] - Deslocamento do início dos buckets (ex.: semanas começando na segunda)
+     */
+    const resampleKlines = (klines, bucketMs, originMs = 0) => {
+        const result = [];
+        klines.forEach(([time, open, high, low, close, volume]) => {
+            const bucket = Math.floor((time - originMs) / bucketMs) * bucketMs + originMs;
+            const last = result[result.length - 1];
+            if (last && last[0] === bucket) {
+                last[2] = Math.max(last[2], high);
+                last[3] = Math.min(last[3], low);
+                last[4] = close;
+                last[5] += volume;
+            } else {
+                result.push([bucket, open, high, low, close, volume]);
+            }
+        });
+        return result;
+    };
+
+    // =========================================================================
+    // BINANCE
+    // =========================================================================
+
+    /**
+     * Adaptador Binance (REST spot, mini-ticker spot e profundidade de futuros, como o dashboard original)
+     * @param {Object} [options] - { restBaseUrl, futuresRestBaseUrl, streamBaseUrl, futuresStreamBaseUrl, fetch }
+     */
+    const createBinanceAdapter = (options = {}) => {
+        const restBaseUrl = (options.restBaseUrl || 'https://api.binance.com').replace(/\/$/, '');
+        const futuresRestBaseUrl = (options.futuresRestBaseUrl || 'https://fapi.binance.com').replace(/\/$/, '');
+        const streamBaseUrl = (options.streamBaseUrl || 'wss://stream.binance.com:9443').replace(/\/$/, '');
+        const futuresStreamBaseUrl = (options.futuresStreamBaseUrl || 'wss://fstream.binance.com').replace(/\/$/, '');
+        const fetchFn = resolveFetch(options);
+
+        return {
+            exchange: 'binance',
+            maxLimit: 1000,
+            chartSymbol: (symbol) => `BINANCE:${symbol}`,
+
+            async fetchKlines({ symbol, interval, startTime, endTime, limit = 1000 }) {
+                const params = new URLSearchParams({ symbol, interval, limit: String(Math.min(limit, 1000)) });
+                if (startTime !== undefined) params.set('startTime', String(startTime));
+                if (endTime !== undefined) params.set('endTime', String(endTime));
+                const rows = await getJson(fetchFn, `${restBaseUrl}/api/v3/klines?${params}`, `velas ${symbol} ${interval}`);
+                return rows.map(k => k.slice(0, 6).map(Number));
+            },
+
+            async fetchTicker(symbol) {
+                const t = await getJson(fetchFn, `${restBaseUrl}/api/v3/ticker/24hr?symbol=${symbol}`, `ticker ${symbol}`);
+                return {
+                    symbol,
+                    lastPrice: parseFloat(t.lastPrice),
+                    priceChangePercent: parseFloat(t.priceChangePercent),
+                    volume: parseFloat(t.volume),
+                    highPrice: parseFloat(t.highPrice),
+                    lowPrice: parseFloat(t.lowPrice)
+                };
+            },
+
+            async fetchSymbols(quote = 'USDT') {
+                const info = await getJson(fetchFn, `${restBaseUrl}/api/v3/exchangeInfo?permissions=SPOT`, 'exchangeInfo');
+                return info.symbols
+                    .filter(s => s.status === 'TRADING' && s.quoteAsset === quote)
+                    .map(s => s.symbol)
+                    .sort();
+            },
+
+            // Snapshot do livro de futuros (mesmo mercado do depthStream) para sincronizar os diffs
+            async fetchDepthSnapshot(symbol, limit = 1000) {
+                const book = await getJson(fetchFn, `${futuresRestBaseUrl}/fapi/v1/depth?symbol=${symbol}&limit=${limit}`, `profundidade ${symbol}`);
+                return {
+                    symbol,
+                    time: book.E || Date.now(),
+                    lastUpdateId: book.lastUpdateId,
+                    bids: toLevels(book.bids),
+                    asks: toLevels(book.asks)
+                };
+            },
+
+            tickerStream(symbol) {
+                return {
+                    exchange: 'binance',
+                    channel: 'ticker',
+                    url: `${streamBaseUrl}/ws/${symbol.toLowerCase()}@miniTicker`,
+                    subscribe: null,
+                    parse: (msg) => (msg.e === '24hrMiniTicker'
+                        ? { type: 'ticker', symbol, price: parseFloat(msg.c), time: msg.E }
+                        : null)
+                };
+            },
+
+            depthStream(symbol) {
+                return {
+                    exchange: 'binance',
+                    channel: 'depth',
+                    url: `${futuresStreamBaseUrl}/ws/${symbol.toLowerCase()}@depth`,
+                    subscribe: null,
+                    parse: (msg) => (msg.e === 'depthUpdate'
+                        ? {
+                            type: 'depth',
+                            symbol,
+                            time: msg.E,
+                            snapshot: false,
+                            bids: toLevels(msg.b),
+                            asks: toLevels(msg.a),
+                            firstUpdateId: msg.U,
+                            lastUpdateId: msg.u,
+                            prevUpdateId: msg.pu ?? null
+                        }
+                        : null)
+                };
+            },
+
+            // aggTrade de futuros, mesmo mercado do depthStream (m = comprador é maker → agressor vendedor)
+            tradeStream(symbol) {
+                return {
+                    exchange: 'binance',
+                    channel: 'trades',
+                    url: `${futuresStreamBaseUrl}/ws/${symbol.toLowerCase()}@aggTrade`,
+                    subscribe: null,
+                    parse: (msg) => (msg.e === 'aggTrade'
+                        ? {
+                            type: 'trades',
+                            symbol,
+                            time: msg.E,
+                            trades: [{ id: msg.a, price: parseFloat(msg.p), qty: parseFloat(msg.q), side: msg.m ? 'sell' : 'buy', time: msg.T }]
+                        }
+                        : null)
+                };
+            }
+        };
+    };
+
+    // =========================================================================
+    // BYBIT (API v5, spot)
+    // =========================================================================
+
+    const BYBIT_INTERVALS = {
+        '1m': '1', '3m': '3', '5m': '5', '15m': '15', '30m': '30', '1h': '60', '2h': '120',
+        '4h': '240', '6h': '360', '12h': '720', '1d': 'D', '1w': 'W'
+    };
+
+    /**
+     * Adaptador Bybit (v5, categoria spot por padrão)
+     * @param {Object} [options] - { restBaseUrl, streamBaseUrl, category, fetch }
+     */
+    const createBybitAdapter = (options = {}) => {
+        const restBaseUrl = (options.restBaseUrl || 'https://api.bybit.com').replace(/\/$/, '');
+        const category = options.category || 'spot';
+        const streamUrl = options.streamBaseUrl || `wss://stream.bybit.com/v5/public/${category}`;
+        const fetchFn = resolveFetch(options);
+
+        const request = async (path, params, label) => {
+            const body = await getJson(fetchFn, `${restBaseUrl}${path}?${new URLSearchParams(params)}`, label);
+            if (body.retCode !== 0) throw new Error(`Bybit: ${body.retMsg} (${label})`);
+            return body.result;
+        };
+
+        return {
+            exchange: 'bybit',
+            maxLimit: 1000,
+            chartSymbol: (symbol) => `BYBIT:${symbol}`,
+
+            async fetchKlines({ symbol, interval, startTime, endTime, limit = 1000 }) {
+                const params = { category, symbol, interval: mapInterval(BYBIT_INTERVALS, interval, 'Bybit'), limit: String(Math.min(limit, 1000)) };
+                if (startTime !== undefined) params.start = String(startTime);
+                if (endTime !== undefined) params.end = String(endTime);
+                const result = await request('/v5/market/kline', params, `velas ${symbol} ${interval}`);
+                return sortKlines(result.list.map(k => k.slice(0, 6).map(Number)));
+            },
+
+            async fetchTicker(symbol) {
+                const result = await request('/v5/market/tickers', { category, symbol }, `ticker ${symbol}`);
+                const t = result.list[0];
+                return {
+                    symbol,
+                    lastPrice: parseFloat(t.lastPrice),
+                    priceChangePercent: parseFloat(t.price24hPcnt) * 100,
+                    volume: parseFloat(t.volume24h),
+                    highPrice: parseFloat(t.highPrice24h),
+                    lowPrice: parseFloat(t.lowPrice24h)
+                };
+            },
+
+            async fetchSymbols(quote = 'USDT') {
+                const result = await request('/v5/market/instruments-info', { category }, 'instrumentos');
+                return result.list
+                    .filter(i => i.status === 'Trading' && i.quoteCoin === quote)
+                    .map(i => i.symbol)
+                    .sort();
+            },
+
+            tickerStream(symbol) {
+                return {
+                    exchange: 'bybit',
+                    channel: 'ticker',
+                    url: streamUrl,
+                    subscribe: { op: 'subscribe', args: [`tickers.${symbol}`] },
+                    heartbeat: { intervalMs: 20000, message: { op: 'ping' } },
+                    parse: (msg) => (msg.topic === `tickers.${symbol}` && msg.data
+                        ? { type: 'ticker', symbol, price: parseFloat(msg.data.lastPrice), time: msg.ts }
+                        : null)
+                };
+            },
+
+            depthStream(symbol) {
+                const topic = `orderbook.50.${symbol}`;
+                return {
+                    exchange: 'bybit',
+                    channel: 'depth',
+                    url: streamUrl,
+                    subscribe: { op: 'subscribe', args: [topic] },
+                    heartbeat: { intervalMs: 20000, message: { op: 'ping' } },
+                    parse: (msg) => (msg.topic === topic && msg.data
+                        ? {
+                            type: 'depth',
+                            symbol,
+                            time: msg.ts,
+                            snapshot: msg.type === 'snapshot',
+                            bids: toLevels(msg.data.b),
+                            asks: toLevels(msg.data.a),
+                            firstUpdateId: msg.data.u,
+                            lastUpdateId: msg.data.u,
+                            prevUpdateId: null
+                        }
+                        : null)
+                };
+            },
+
+            tradeStream(symbol) {
+                const topic = `publicTrade.${symbol}`;
+                return {
+                    exchange: 'bybit',
+                    channel: 'trades',
+                    url: streamUrl,
+                    subscribe: { op: 'subscribe', args: [topic] },
+                    heartbeat: { intervalMs: 20000, message: { op: 'ping' } },
+                    parse: (msg) => (msg.topic === topic && msg.data
+                        ? {
+                            type: 'trades',
+                            symbol,
+                            time: msg.ts,
+                            trades: msg.data.map(t => ({ id: t.i, price: parseFloat(t.p), qty: parseFloat(t.v), side: t.S === 'Buy' ? 'buy' : 'sell', time: t.T }))
+                        }
+                        : null)
+                };
+            }
+        };
+    };
+
+    // =========================================================================
+    // OKX (API v5)
+    // =========================================================================
+
+    const OKX_INTERVALS = {
+        '1m': '1m', '3m': '3m', '5m': '5m', '15m': '15m', '30m': '30m', '1h': '1H', '2h': '2H',
+        '4h': '4H', '6h': '6Hutc', '12h': '12Hutc', '1d': '1Dutc', '1w': '1Wutc'
+    };
+
+    /**
+     * Adaptador OKX (v5, instrumentos spot BASE-QUOTE)
+     * Intervalos de datas usam history-candles (100 velas por requisição)
+     * @param {Object} [options] - { restBaseUrl, streamBaseUrl, fetch }
+     */
+    const createOkxAdapter = (options = {}) => {
+        const restBaseUrl = (options.restBaseUrl || 'https://www.okx.com').replace(/\/$/, '');
+        const streamUrl = options.streamBaseUrl || 'wss://ws.okx.com:8443/ws/v5/public';
+        const fetchFn = resolveFetch(options);
+
+        const toInstId = (symbol) => {
+            const { base, quote } = splitSymbol(symbol);
+            return `${base}-${quote}`;
+        };
+
+        const request = async (path, params, label) => {
+            const body = await getJson(fetchFn, `${restBaseUrl}${path}?${new URLSearchParams(params)}`, label);
+            if (body.code !== '0') throw new Error(`OKX: ${body.msg} (${label})`);
+            return body.data;
+        };
+
+        return {
+            exchange: 'okx',
+            maxLimit: 100,
+            chartSymbol: (symbol) => `OKX:${symbol}`,
+
+            async fetchKlines({ symbol, interval, startTime, endTime, limit = 100 }) {
+                const hasRange = startTime !== undefined || endTime !== undefined;
+                const params = {
+                    instId: toInstId(symbol),
+                    bar: mapInterval(OKX_INTERVALS, interval, 'OKX'),
+                    limit: String(Math.min(limit, hasRange ? 100 : 300))
+                };
+                // after/before são exclusivos: after = mais antigos que, before = mais novos que
+                if (endTime !== undefined) params.after = String(endTime + 1);
+                if (startTime !== undefined) params.before = String(startTime - 1);
+                const path = hasRange ? '/api/v5/market/history-candles' : '/api/v5/market/candles';
+                const data = await request(path, params, `velas ${symbol} ${interval}`);
+                return sortKlines(data.map(k => k.slice(0, 6).map(Number)));
+            },
+
+            async fetchTicker(symbol) {
+                const [t] = await request('/api/v5/market/ticker', { instId: toInstId(symbol) }, `ticker ${symbol}`);
+                const last = parseFloat(t.last);
+                const open = parseFloat(t.open24h);
+                return {
+                    symbol,
+                    lastPrice: last,
+                    priceChangePercent: open > 0 ? ((last - open) / open) * 100 : 0,
+                    volume: parseFloat(t.vol24h),
+                    highPrice: parseFloat(t.high24h),
+                    lowPrice: parseFloat(t.low24h)
+                };
+            },
+
+            async fetchSymbols(quote = 'USDT') {
+                const data = await request('/api/v5/public/instruments', { instType: 'SPOT' }, 'instrumentos');
+                return data
+                    .filter(i => i.state === 'live' && i.quoteCcy === quote)
+                    .map(i => `${i.baseCcy}${i.quoteCcy}`)
+                    .sort();
+            },
+
+            tickerStream(symbol) {
+                const instId = toInstId(symbol);
+                return {
+                    exchange: 'okx',
+                    channel: 'ticker',
+                    url: streamUrl,
+                    subscribe: { op: 'subscribe', args: [{ channel: 'tickers', instId }] },
+                    heartbeat: { intervalMs: 25000, message: 'ping' },
+                    parse: (msg) => (msg.arg && msg.arg.channel === 'tickers' && msg.data
+                        ? { type: 'ticker', symbol, price: parseFloat(msg.data[0].last), time: parseInt(msg.data[0].ts) }
+                        : null)
+                };
+            },
+
+            depthStream(symbol) {
+                const instId = toInstId(symbol);
+                return {
+                    exchange: 'okx',
+                    channel: 'depth',
+                    url: streamUrl,
+                    subscribe: { op: 'subscribe', args: [{ channel: 'books', instId }] },
+                    heartbeat: { intervalMs: 25000, message: 'ping' },
+                    parse: (msg) => {
+                        if (!msg.arg || msg.arg.channel !== 'books' || !msg.data) return null;
+                        const book = msg.data[0];
+                        return {
+                            type: 'depth',
+                            symbol,
+                            time: parseInt(book.ts),
+                            snapshot: msg.action === 'snapshot',
+                            bids: toLevels(book.bids),
+                            asks: toLevels(book.asks),
+                            firstUpdateId: book.seqId,
+                            lastUpdateId: book.seqId,
+                            prevUpdateId: book.prevSeqId ?? null
+                        };
+                    }
+                };
+            },
+
+            tradeStream(symbol) {
+                const instId = toInstId(symbol);
+                return {
+                    exchange: 'okx',
+                    channel: 'trades',
+                    url: streamUrl,
+                    subscribe: { op: 'subscribe', args: [{ channel: 'trades', instId }] },
+                    heartbeat: { intervalMs: 25000, message: 'ping' },
+                    parse: (msg) => (msg.arg && msg.arg.channel === 'trades' && msg.data
+                        ? {
+                            type: 'trades',
+                            symbol,
+                            time: parseInt(msg.data[0].ts),
+                            trades: msg.data.map(t => ({ id: t.tradeId, price: parseFloat(t.px), qty: parseFloat(t.sz), side: t.side, time: parseInt(t.ts) }))
+                        }
+                        : null)
+                };
+            }
+        };
+    };
+
+    // =========================================================================
+    // COINBASE (Exchange API)
+    // =========================================================================
+
+    const COINBASE_GRANULARITIES = { '1m': 60, '5m': 300, '15m': 900, '1h': 3600, '6h': 21600, '1d': 86400 };
+
+    // Intervalos sem granularidade nativa: agregados a partir de [intervalo base, velas por vela]
+    const COINBASE_RESAMPLED = { '3m': ['1m', 3], '30m': ['5m', 6], '2h': ['1h', 2], '4h': ['1h', 4], '1w': ['1d', 7] };
+    const WEEK_ORIGIN_MS = 4 * 86400 * 1000; // 1970-01-05 (segunda), mesmo início de semana da Binance
+
+    /**
+     * Adaptador Coinbase Exchange (produtos BASE-QUOTE, 300 velas por requisição)
+     * @param {Object} [options] - { restBaseUrl, streamBaseUrl, fetch }
+     */
+    const createCoinbaseAdapter = (options = {}) => {
+        const restBaseUrl = (options.restBaseUrl || 'https://api.exchange.coinbase.com').replace(/\/$/, '');
+        const streamUrl = options.streamBaseUrl || 'wss://ws-feed.exchange.coinbase.com';
+        const fetchFn = resolveFetch(options);
+
+        const toProductId = (symbol) => {
+            const { base, quote } = splitSymbol(symbol);
+            return `${base}-${quote}`;
+        };
+
+        // Velas das granularidades nativas
+        const fetchNativeKlines = async ({ symbol, interval, startTime, endTime, limit }) => {
+            const granularity = mapInterval(COINBASE_GRANULARITIES, interval, 'Coinbase');
+            const params = new URLSearchParams({ granularity: String(granularity) });
+            if (startTime !== undefined || endTime !== undefined) {
+                const end = endTime !== undefined ? endTime : Date.now();
+                const start = startTime !== undefined ? startTime : end - (Math.min(limit, 300) - 1) * granularity * 1000;
+                params.set('start', new Date(start).toISOString());
+                params.set('end', new Date(end).toISOString());
+            }
+            const rows = await getJson(fetchFn, `${restBaseUrl}/products/${toProductId(symbol)}/candles?${params}`, `velas ${symbol} ${interval}`);
+            // Coinbase: [time (s), low, high, open, close, volume], mais recentes primeiro
+            const klines = rows.map(([time, low, high, open, close, volume]) => [time * 1000, open, high, low, close, volume].map(Number));
+            return sortKlines(klines).slice(-limit);
+        };
+
+        // Busca o intervalo base em janelas de 300 velas e agrega (3m, 30m, 2h, 4h, 1w)
+        const fetchResampledKlines = async ({ symbol, interval, startTime, endTime, limit }) => {
+            const [baseInterval, factor] = COINBASE_RESAMPLED[interval];
+            const baseMs = COINBASE_GRANULARITIES[baseInterval] * 1000;
+            const bucketMs = baseMs * factor;
+            const originMs = interval === '1w' ? WEEK_ORIGIN_MS : 0;
+            const end = endTime !== undefined ? endTime : Date.now();
+            const alignedEnd = Math.floor((end - originMs) / bucketMs) * bucketMs + originMs;
+            const start = startTime !== undefined ? startTime : alignedEnd - (limit - 1) * bucketMs;
+
+            const base = [];
+            for (let from = start; from <= end; from += 300 * baseMs) {
+                const to = Math.min(from + 299 * baseMs, end);
+                base.push(...await fetchNativeKlines({ symbol, interval: baseInterval, startTime: from, endTime: to, limit: 300 }));
+            }
+            const unique = sortKlines(base).filter((k, i, all) => i === 0 || k[0] !== all[i - 1][0]);
+            return resampleKlines(unique, bucketMs, originMs).slice(-limit);
+        };
+
+        return {
+            exchange: 'coinbase',
+            maxLimit: 300,
+            chartSymbol: (symbol) => `COINBASE:${symbol}`,
+
+            async fetchKlines({ symbol, interval, startTime, endTime, limit = 300 }) {
+                const fetchCandles = COINBASE_RESAMPLED[interval] ? fetchResampledKlines : fetchNativeKlines;
+                return fetchCandles({ symbol, interval, startTime, endTime, limit });
+            },
+
+            async fetchTicker(symbol) {
+                const s = await getJson(fetchFn, `${restBaseUrl}/products/${toProductId(symbol)}/stats`, `ticker ${symbol}`);
+                const last = parseFloat(s.last);
+                const open = parseFloat(s.open);
+                return {
+                    symbol,
+                    lastPrice: last,
+                    priceChangePercent: open > 0 ? ((last - open) / open) * 100 : 0,
+                    volume: parseFloat(s.volume),
+                    highPrice: parseFloat(s.high),
+                    lowPrice: parseFloat(s.low)
+                };
+            },
+
+            async fetchSymbols(quote = 'USDT') {
+                const products = await getJson(fetchFn, `${restBaseUrl}/products`, 'produtos');
+                return products
+                    .filter(p => p.status === 'online' && !p.trading_disabled && p.quote_currency === quote)
+                    .map(p => `${p.base_currency}${p.quote_currency}`)
+                    .sort();
+            },
+
+            tickerStream(symbol) {
+                const productId = toProductId(symbol);
+                return {
+                    exchange: 'coinbase',
+                    channel: 'ticker',
+                    url: streamUrl,
+                    subscribe: { type: 'subscribe', product_ids: [productId], channels: ['ticker'] },
+                    parse: (msg) => (msg.type === 'ticker' && msg.product_id === productId
+                        ? { type: 'ticker', symbol, price: parseFloat(msg.price), time: Date.parse(msg.time) }
+                        : null)
+                };
+            },
+
+            depthStream(symbol) {
+                const productId = toProductId(symbol);
+                return {
+                    exchange: 'coinbase',
+                    channel: 'depth',
+                    url: streamUrl,
+                    subscribe: { type: 'subscribe', product_ids: [productId], channels: ['level2_batch'] },
+                    parse: (msg) => {
+                        if (msg.product_id !== productId) return null;
+                        if (msg.type === 'snapshot') {
+                            return { type: 'depth', symbol, time: Date.now(), snapshot: true, bids: toLevels(msg.bids), asks: toLevels(msg.asks), firstUpdateId: null, lastUpdateId: null, prevUpdateId: null };
+                        }
+                        if (msg.type !== 'l2update') return null;
+                        const side = (name) => msg.changes.filter(c => c[0] === name).map(([, price, size]) => [parseFloat(price), parseFloat(size)]);
+                        return { type: 'depth', symbol, time: Date.parse(msg.time), snapshot: false, bids: side('buy'), asks: side('sell'), firstUpdateId: null, lastUpdateId: null, prevUpdateId: null };
+                    }
+                };
+            },
+
+            // matches: side é o lado maker, o agressor é o oposto
+            tradeStream(symbol) {
+                const productId = toProductId(symbol);
+                return {
+                    exchange: 'coinbase',
+                    channel: 'trades',
+                    url: streamUrl,
+                    subscribe: { type: 'subscribe', product_ids: [productId], channels: ['matches'] },
+                    parse: (msg) => {
+                        if (msg.type !== 'match' || msg.product_id !== productId) return null;
+                        const time = Date.parse(msg.time);
+                        return {
+                            type: 'trades',
+                            symbol,
+                            time,
+                            trades: [{ id: msg.trade_id, price: parseFloat(msg.price), qty: parseFloat(msg.size), side: msg.side === 'buy' ? 'sell' : 'buy', time }]
+                        };
+                    }
+                };
+            }
+        };
+    };
+
+    // =========================================================================
+    // MOCK (REPRODUÇÃO DE DADOS GRAVADOS)
+    // =========================================================================
+
+    /**
+     * Adaptador mock para testes offline: serve velas/tickers gravados e reproduz mensagens de stream
+     * @param {Object} recording - { klines: { 'BTCUSDT_1m': [...] }, tickers: { BTCUSDT: {...} },
+     *                              depthSnapshots: { BTCUSDT: {...} }, symbols: ['BTCUSDT', ...],
+     *                              streams: { 'BTCUSDT_ticker': [...], 'BTCUSDT_depth': [...], 'BTCUSDT_trades': [...] } }
+     *                              (mensagens de stream já normalizadas, com time)
+     * @param {Object} [options] - { speed: multiplicador do tempo na reprodução (padrão 1; Infinity = imediato) }
+     */
+    const createMockAdapter = (recording = {}, options = {}) => {
+        const speed = options.speed === undefined ? 1 : options.speed;
+
+        const replayStream = (key, channel) => ({
+            exchange: 'mock',
+            channel,
+            url: null,
+            replay(onData) {
+                const messages = (recording.streams && recording.streams[key]) || [];
+                const timers = [];
+                const firstTime = messages.length > 0 ? messages[0].time : 0;
+                messages.forEach(message => {
+                    const delay = Number.isFinite(speed) ? (message.time - firstTime) / speed : 0;
+                    timers.push(setTimeout(() => onData(message), delay));
+                });
+                return { close: () => timers.forEach(clearTimeout) };
+            }
+        });
+
+        return {
+            exchange: 'mock',
+            maxLimit: 1000,
+            chartSymbol: (symbol) => `BINANCE:${symbol}`,
+
+            async fetchKlines({ symbol, interval, startTime, endTime, limit = 1000 }) {
+                const klines = ((recording.klines && recording.klines[`${symbol}_${interval}`]) || [])
+                    .filter(k => (startTime === undefined || k[0] >= startTime) && (endTime === undefined || k[0] <= endTime));
+                // Como a Binance: com startTime, as primeiras velas; sem, as mais recentes
+                return (startTime !== undefined ? klines.slice(0, limit) : klines.slice(-limit)).map(k => k.slice(0, 6).map(Number));
+            },
+
+            async fetchTicker(symbol) {
+                const ticker = recording.tickers && recording.tickers[symbol];
+                if (!ticker) throw new Error(`Mock: ticker de ${symbol} não gravado`);
+                return { ...ticker };
+            },
+
+            async fetchSymbols(quote = 'USDT') {
+                const symbols = recording.symbols || [...new Set(Object.keys(recording.klines || {}).map(key => key.split('_')[0]))];
+                return symbols.filter(symbol => symbol.endsWith(quote)).sort();
+            },
+
+            async fetchDepthSnapshot(symbol) {
+                const snapshot = recording.depthSnapshots && recording.depthSnapshots[symbol];
+                if (!snapshot) throw new Error(`Mock: snapshot de profundidade de ${symbol} não gravado`);
+                return JSON.parse(JSON.stringify(snapshot));
+            },
+
+            tickerStream: (symbol) => replayStream(`${symbol}_ticker`, 'ticker'),
+            depthStream: (symbol) => replayStream(`${symbol}_depth`, 'depth'),
+            tradeStream: (symbol) => replayStream(`${symbol}_trades`, 'trades')
+        };
+    };
+
+    /**
+     * Envolve um adaptador real e grava tudo o que ele retorna, no formato aceito por createMockAdapter
+     * @param {Object} adapter - Adaptador de origem
+     * @returns {Object} { adapter, record(streamKey, message), getRecording() }
+     */
+    const createRecorder = (adapter) => {
+        const recording = { klines: {}, tickers: {}, depthSnapshots: {}, streams: {} };
+
+        const recordedAdapter = {
+            ...adapter,
+            async fetchKlines(params) {
+                const klines = await adapter.fetchKlines(params);
+                const key = `${params.symbol}_${params.interval}`;
+                const byTime = new Map((recording.klines[key] || []).map(k => [k[0], k]));
+                klines.forEach(k => byTime.set(k[0], k));
+                recording.klines[key] = sortKlines([...byTime.values()]);
+                return klines;
+            },
+            async fetchTicker(symbol) {
+                const ticker = await adapter.fetchTicker(symbol);
+                recording.tickers[symbol] = ticker;
+                return ticker;
+            }
+        };
+
+        if (adapter.fetchDepthSnapshot) {
+            recordedAdapter.fetchDepthSnapshot = async (symbol, limit) => {
+                const snapshot = await adapter.fetchDepthSnapshot(symbol, limit);
+                recording.depthSnapshots[symbol] = snapshot;
+                return snapshot;
+            };
+        }
+
+        return {
+            adapter: recordedAdapter,
+            record(streamKey, message) {
+                if (!recording.streams[streamKey]) recording.streams[streamKey] = [];
+                recording.streams[streamKey].push(message);
+            },
+            getRecording: () => JSON.parse(JSON.stringify(recording))
+        };
+    };
+
+    // =========================================================================
+    // STREAMS
+    // =========================================================================
+
+    /**
+     * Abre um stream descrito por um adaptador e entrega as mensagens normalizadas
+     * @param {Object} stream - Descritor retornado por tickerStream/depthStream/tradeStream
+     * @param {Function} onData - Recebe cada mensagem normalizada
+     * @param {Object} [handlers] - { onOpen, onClose, onError, WebSocket }
+     * @returns {Object} { close }
+     */
+    const openStream = (stream, onData, handlers = {}) => {
+        if (stream.replay) {
+            if (handlers.onOpen) handlers.onOpen();
+            return stream.replay(onData);
+        }
+
+        const WebSocketImpl = handlers.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        if (!WebSocketImpl) throw new Error('WebSocket indisponível: informe handlers.WebSocket');
+
+        const socket = new WebSocketImpl(stream.url);
+        let heartbeat = null;
+        const send = (message) => socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+
+        socket.onopen = () => {
+            if (stream.subscribe) send(stream.subscribe);
+            if (stream.heartbeat) heartbeat = setInterval(() => send(stream.heartbeat.message), stream.heartbeat.intervalMs);
+            if (handlers.onOpen) handlers.onOpen();
+        };
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (e) {
+                return; // Respostas de heartbeat em texto puro (ex.: "pong")
+            }
+            const data = stream.parse(message);
+            if (data) onData(data);
+        };
+        socket.onerror = (error) => {
+            if (handlers.onError) handlers.onError(error);
+        };
+        socket.onclose = () => {
+            clearInterval(heartbeat);
+            if (handlers.onClose) handlers.onClose();
+        };
+
+        return {
+            close() {
+                socket.onclose = null;
+                clearInterval(heartbeat);
+                socket.close();
+            }
+        };
+    };
+
+    // =========================================================================
+    // API PÚBLICA
+    // =========================================================================
+
+    const FACTORIES = {
+        binance: createBinanceAdapter,
+        bybit: createBybitAdapter,
+        okx: createOkxAdapter,
+        coinbase: createCoinbaseAdapter
+    };
+
+    const adapters = new Map();
+
+    /**
+     * Retorna (e reutiliza) o adaptador de uma exchange
+     * @param {string} [exchange] - binance | bybit | okx | coinbase (padrão: binance)
+     * @param {Object} [options] - Opções do adaptador (só usadas na primeira criação)
+     */
+    const getAdapter = (exchange = DEFAULT_EXCHANGE, options = {}) => {
+        if (!adapters.has(exchange)) {
+            const factory = FACTORIES[exchange];
+            if (!factory) throw new Error(`Exchange não suportada: "${exchange}" (use ${Object.keys(FACTORIES).join(', ')})`);
+            adapters.set(exchange, factory(options));
+        }
+        return adapters.get(exchange);
+    };
+
+    /**
+     * Registra um adaptador pronto (ex.: mock) sob um nome
+     */
+    const registerAdapter = (exchange, adapter) => {
+        adapters.set(exchange, adapter);
+    };
+
+    /**
+     * Adaptador configurado para um símbolo
+     * @param {string} symbol - Símbolo (ex.: BTCUSDT)
+     * @param {Object} [sources] - Mapa símbolo → exchange (ex.: config.marketDataSources)
+     */
+    const getAdapterForSymbol = (symbol, sources = {}) => getAdapter(sources[symbol] || DEFAULT_EXCHANGE);
+
+    const getExchanges = () => Object.keys(FACTORIES);
+
+    // =========================================================================
+    // EXPORTAR API
+    // =========================================================================
+    return {
+        getAdapter,
+        getAdapterForSymbol,
+        registerAdapter,
+        getExchanges,
+        openStream,
+        createBinanceAdapter,
+        createBybitAdapter,
+        createOkxAdapter,
+        createCoinbaseAdapter,
+        createMockAdapter,
+        createRecorder
+    };
+})();
+
+// Exportar para uso no Node (CommonJS/ESM: import MarketData from './marketData.js')
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarketData;
+}
+
+// Expor globalmente
+if (typeof window !== 'undefined') {
+    window.MarketData = MarketData;
+}
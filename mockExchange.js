@@ -0,0 +1,492 @@
+#!/usr/bin/env node
+/**
+ * MockExchange - Exchange Simulada Local - ZingSignals
+ * Servidor HTTP com o subconjunto da API da Binance usado pelo execution.js (futuros USDⓈ-M e spot):
+ * ordens a mercado/limitadas, TP/SL reduce-only, OCO, ordens abertas, posições, cancelamentos,
+ * alavancagem e tipo de margem por símbolo, com
+ * verificação da assinatura HMAC e rejeição de client order IDs repetidos. O preço é movido pela rota
+ * de controle /mock/price, que executa as ordens atingidas. Nada sai da máquina.
+ *
+ * Uso:
+ *   node mockExchange.js [--port 8090] [--price BTCUSDT:65000] [--key mock-key] [--secret mock-secret]
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+// ============================================
+// CONFIGURAÇÃO PADRÃO
+// ============================================
+
+const DEFAULTS = {
+    host: '127.0.0.1',
+    port: 8090,
+    apiKey: 'mock-key',
+    apiSecret: 'mock-secret',
+    prices: { BTCUSDT: 65000 }
+};
+
+const USAGE = `Uso: node mockExchange.js [opções]
+
+Opções:
+  --port <n>                 Porta HTTP (padrão: ${DEFAULTS.port})
+  --price <símbolo>:<preço>  Preço inicial (repetível; padrão: BTCUSDT:${DEFAULTS.prices.BTCUSDT})
+  --key <api key>            API key aceita (padrão: ${DEFAULTS.apiKey})
+  --secret <api secret>      Secret usado na verificação da assinatura (padrão: ${DEFAULTS.apiSecret})
+  --help                     Mostra esta ajuda
+
+Rotas de controle (sem assinatura):
+  POST /mock/price?symbol=BTCUSDT&price=64000   Move o preço e executa as ordens atingidas
+  POST /mock/fail?count=1[&after=true]          Próximas N requisições assinadas respondem 503
+                                                (after=true: processa a ordem e perde a resposta)
+  GET  /mock/state                              Ordens, posições, preços e alavancagem por símbolo`;
+
+// Mesmos códigos de erro da Binance
+const ERRORS = {
+    invalidKey: { status: 401, code: -2015, msg: 'Invalid API-key, IP, or permissions for action.' },
+    invalidSignature: { status: 400, code: -1022, msg: 'Signature for this request is not valid.' },
+    timestamp: { status: 400, code: -1021, msg: 'Timestamp for this request is outside of the recvWindow.' },
+    unknownOrder: { status: 400, code: -2013, msg: 'Order does not exist.' },
+    duplicateFutures: { status: 400, code: -4116, msg: 'ClientOrderId is duplicated.' },
+    duplicateSpot: { status: 400, code: -2010, msg: 'Duplicate order sent.' },
+    reduceOnly: { status: 400, code: -2022, msg: 'ReduceOnly Order is rejected.' },
+    marginTypeUnchanged: { status: 400, code: -4046, msg: 'No need to change margin type.' },
+    badParams: { status: 400, code: -1102, msg: 'Mandatory parameter was not sent, was empty/null, or malformed.' },
+    notFound: { status: 404, code: -1000, msg: 'Endpoint não simulado.' },
+    unavailable: { status: 503, code: -1001, msg: 'Internal error; unable to process your request. Please try again.' }
+};
+
+class MockError extends Error {
+    constructor(type) {
+        super(ERRORS[type].msg);
+        this.type = type;
+    }
+}
+
+// ============================================
+// MOTOR DE ORDENS
+// ============================================
+
+/**
+ * Cria o estado da exchange simulada (ordens, posições de futuros e preços)
+ * @param {Object} options - { apiKey, apiSecret, prices }
+ * @returns {Object} { handle(method, path, params, headers, rawQuery), setPrice, getState }
+ */
+function createExchange(options) {
+    const prices = { ...options.prices };
+    const orders = new Map();       // orderId → ordem
+    const clientIds = new Map();    // mercado:símbolo:clientOrderId → orderId
+    const positions = new Map();    // símbolo → { amount, entryPrice } (futuros, modo one-way)
+    const symbolSettings = new Map(); // símbolo → { leverage, marginType } (futuros)
+    let nextOrderId = 1;
+    let nextListId = 1;
+    let failures = { count: 0, after: false };
+
+    const marketOf = (path) => (path.startsWith('/fapi') ? 'futures' : 'spot');
+    const clientKey = (market, symbol, clientOrderId) => `${market}:${symbol}:${clientOrderId}`;
+
+    const toResponse = (order) => ({
+        symbol: order.symbol,
+        orderId: order.orderId,
+        orderListId: order.orderListId,
+        clientOrderId: order.clientOrderId,
+        side: order.side,
+        type: order.type,
+        status: order.status,
+        price: String(order.price || 0),
+        stopPrice: String(order.stopPrice || 0),
+        origQty: String(order.origQty),
+        executedQty: String(order.executedQty),
+        avgPrice: String(order.avgPrice || 0),
+        reduceOnly: order.reduceOnly,
+        updateTime: order.updateTime
+    });
+
+    const positionOf = (symbol) => positions.get(symbol) || { amount: 0, entryPrice: 0 };
+
+    // Padrão da Binance para símbolos nunca configurados: 20x em margem cruzada
+    const settingsOf = (symbol) => symbolSettings.get(symbol) || { leverage: 20, marginType: 'CROSSED' };
+
+    // Aplica um preenchimento à posição de futuros (preço médio na mesma direção, realização no sentido oposto)
+    const applyFill = (order, price) => {
+        const signed = (order.side === 'BUY' ? 1 : -1) * order.origQty;
+        const position = positionOf(order.symbol);
+        const amount = position.amount + signed;
+        const sameDirection = position.amount === 0 || Math.sign(position.amount) === Math.sign(signed);
+        const entryPrice = sameDirection
+            ? (position.amount * position.entryPrice + signed * price) / amount
+            : Math.sign(amount) === Math.sign(position.amount) ? position.entryPrice : price;
+        positions.set(order.symbol, { amount: Math.abs(amount) < 1e-12 ? 0 : amount, entryPrice: Math.abs(amount) < 1e-12 ? 0 : entryPrice });
+
+        // Posição zerada: ordens reduce-only restantes expiram
+        if (Math.abs(amount) < 1e-12) {
+            orders.forEach(other => {
+                if (other.market === 'futures' && other.symbol === order.symbol && other.reduceOnly && other.status === 'NEW') {
+                    other.status = 'EXPIRED';
+                    other.updateTime = Date.now();
+                }
+            });
+        }
+    };
+
+    const fill = (order, price) => {
+        order.status = 'FILLED';
+        order.executedQty = order.origQty;
+        order.avgPrice = price;
+        order.updateTime = Date.now();
+        if (order.market === 'futures') applyFill(order, price);
+
+        // OCO: a outra perna expira
+        if (order.orderListId !== -1) {
+            orders.forEach(other => {
+                if (other.orderListId === order.orderListId && other.orderId !== order.orderId && other.status === 'NEW') {
+                    other.status = 'EXPIRED';
+                    other.updateTime = Date.now();
+                }
+            });
+        }
+        console.log(`✅ Mock: ${order.clientOrderId} ${order.side} ${order.origQty} ${order.symbol} @ ${price} (${order.type})`);
+    };
+
+    // Preço em que a ordem executa no preço atual, ou null se ainda não foi atingida
+    const triggerPrice = (order, price) => {
+        const buy = order.side === 'BUY';
+        switch (order.type) {
+            case 'MARKET':
+                return price;
+            case 'LIMIT':
+            case 'LIMIT_MAKER':
+                return (buy ? price <= order.price : price >= order.price) ? order.price : null;
+            case 'STOP_MARKET':
+            case 'STOP_LOSS_LIMIT':
+                return (buy ? price >= order.stopPrice : price <= order.stopPrice) ? price : null;
+            case 'TAKE_PROFIT_MARKET':
+                return (buy ? price <= order.stopPrice : price >= order.stopPrice) ? price : null;
+            default:
+                return null;
+        }
+    };
+
+    const createOrder = (market, params, orderListId = -1) => {
+        const symbol = params.symbol;
+        const quantity = parseFloat(params.quantity);
+        if (!symbol || !['BUY', 'SELL'].includes(params.side) || !params.type || !(quantity > 0)) throw new MockError('badParams');
+        if (!(symbol in prices)) throw new MockError('badParams');
+
+        const clientOrderId = params.newClientOrderId || `mock_${nextOrderId}`;
+        const existing = clientIds.get(clientKey(market, symbol, clientOrderId));
+        if (existing !== undefined && orders.get(existing).status === 'NEW') {
+            throw new MockError(market === 'futures' ? 'duplicateFutures' : 'duplicateSpot');
+        }
+
+        // Reduce-only exige posição no sentido oposto
+        const reduceOnly = params.reduceOnly === 'true';
+        if (market === 'futures' && reduceOnly) {
+            const position = positionOf(symbol);
+            const reduces = params.side === 'BUY' ? position.amount < 0 : position.amount > 0;
+            if (!reduces) throw new MockError('reduceOnly');
+        }
+
+        const order = {
+            market,
+            symbol,
+            orderId: nextOrderId++,
+            orderListId,
+            clientOrderId,
+            side: params.side,
+            type: params.type,
+            price: params.price ? parseFloat(params.price) : 0,
+            stopPrice: params.stopPrice ? parseFloat(params.stopPrice) : 0,
+            origQty: quantity,
+            executedQty: 0,
+            avgPrice: 0,
+            reduceOnly,
+            status: 'NEW',
+            updateTime: Date.now()
+        };
+        orders.set(order.orderId, order);
+        clientIds.set(clientKey(market, symbol, clientOrderId), order.orderId);
+
+        const price = triggerPrice(order, prices[symbol]);
+        const executesNow = order.type === 'MARKET' || (['LIMIT', 'LIMIT_MAKER'].includes(order.type) && price !== null);
+        if (executesNow) fill(order, price);
+        return order;
+    };
+
+    const findOrder = (market, params) => {
+        const orderId = params.orderId
+            ? parseInt(params.orderId)
+            : clientIds.get(clientKey(market, params.symbol, params.origClientOrderId));
+        const order = orders.get(orderId);
+        if (!order || order.market !== market || order.symbol !== params.symbol) throw new MockError('unknownOrder');
+        return order;
+    };
+
+    const openOrdersOf = (market, symbol) => [...orders.values()]
+        .filter(order => order.market === market && order.status === 'NEW' && (!symbol || order.symbol === symbol));
+
+    const cancel = (order) => {
+        order.status = 'CANCELED';
+        order.updateTime = Date.now();
+        return toResponse(order);
+    };
+
+    /**
+     * Move o preço de um símbolo e executa as ordens atingidas
+     * @returns {Array<Object>} Ordens executadas
+     */
+    const setPrice = (symbol, price) => {
+        prices[symbol] = price;
+        const filled = [];
+        openOrdersOf('futures', symbol).concat(openOrdersOf('spot', symbol)).forEach(order => {
+            if (order.status !== 'NEW') return; // Perna de OCO expirada nesta mesma passada
+            const executed = triggerPrice(order, price);
+            if (executed === null) return;
+            // Reduce-only sem posição para reduzir expira em vez de executar
+            if (order.reduceOnly && positionOf(symbol).amount === 0) {
+                order.status = 'EXPIRED';
+                return;
+            }
+            fill(order, executed);
+            filled.push(toResponse(order));
+        });
+        return filled;
+    };
+
+    const verify = (headers, rawQuery, params) => {
+        if (headers['x-mbx-apikey'] !== options.apiKey) throw new MockError('invalidKey');
+        const payload = rawQuery.replace(/&?signature=[^&]*/, '');
+        const expected = crypto.createHmac('sha256', options.apiSecret).update(payload).digest('hex');
+        if (params.signature !== expected) throw new MockError('invalidSignature');
+        const recvWindow = parseInt(params.recvWindow || '5000');
+        if (Math.abs(Date.now() - parseInt(params.timestamp)) > recvWindow) throw new MockError('timestamp');
+    };
+
+    // Rotas assinadas, sem o prefixo do mercado (/fapi/v1, /fapi/v2 ou /api/v3)
+    const routes = {
+        'POST /order': (market, params) => toResponse(createOrder(market, params)),
+        'GET /order': (market, params) => toResponse(findOrder(market, params)),
+        'DELETE /order': (market, params) => {
+            const order = findOrder(market, params);
+            if (order.status !== 'NEW') throw new MockError('unknownOrder');
+            return cancel(order);
+        },
+        'GET /openOrders': (market, params) => openOrdersOf(market, params.symbol).map(toResponse),
+        'DELETE /openOrders': (market, params) => openOrdersOf(market, params.symbol).map(cancel),
+        'DELETE /allOpenOrders': (market, params) => {
+            openOrdersOf(market, params.symbol).forEach(cancel);
+            return { code: 200, msg: 'The operation of cancel all open order is done.' };
+        },
+        'POST /order/oco': (market, params) => {
+            const orderListId = nextListId++;
+            const legs = [
+                createOrder(market, { symbol: params.symbol, side: params.side, type: 'LIMIT_MAKER', quantity: params.quantity, price: params.price, newClientOrderId: params.limitClientOrderId }, orderListId),
+                createOrder(market, { symbol: params.symbol, side: params.side, type: 'STOP_LOSS_LIMIT', quantity: params.quantity, price: params.stopLimitPrice, stopPrice: params.stopPrice, newClientOrderId: params.stopClientOrderId }, orderListId)
+            ];
+            return {
+                orderListId,
+                listClientOrderId: params.listClientOrderId,
+                orders: legs.map(leg => ({ symbol: leg.symbol, orderId: leg.orderId, clientOrderId: leg.clientOrderId })),
+                orderReports: legs.map(toResponse)
+            };
+        },
+        'GET /positionRisk': (market, params) => [...positions.entries()]
+            .filter(([symbol]) => !params.symbol || symbol === params.symbol)
+            .map(([symbol, position]) => ({
+                symbol,
+                positionAmt: String(position.amount),
+                entryPrice: String(position.entryPrice),
+                markPrice: String(prices[symbol]),
+                unRealizedProfit: String(position.amount * (prices[symbol] - position.entryPrice)),
+                leverage: String(settingsOf(symbol).leverage),
+                marginType: settingsOf(symbol).marginType.toLowerCase()
+            })),
+        'POST /leverage': (market, params) => {
+            const leverage = parseInt(params.leverage);
+            if (!(params.symbol in prices) || !(leverage >= 1 && leverage <= 125)) throw new MockError('badParams');
+            symbolSettings.set(params.symbol, { ...settingsOf(params.symbol), leverage });
+            return { symbol: params.symbol, leverage, maxNotionalValue: '1000000' };
+        },
+        'POST /marginType': (market, params) => {
+            if (!(params.symbol in prices) || !['ISOLATED', 'CROSSED'].includes(params.marginType)) throw new MockError('badParams');
+            if (settingsOf(params.symbol).marginType === params.marginType) throw new MockError('marginTypeUnchanged');
+            symbolSettings.set(params.symbol, { ...settingsOf(params.symbol), marginType: params.marginType });
+            return { code: 200, msg: 'success' };
+        }
+    };
+
+    /**
+     * Atende uma requisição
+     * @returns {Object} { status, body }
+     */
+    const handle = (method, path, params, headers, rawQuery) => {
+        try {
+            // Rotas de controle
+            if (path === '/mock/price') {
+                const price = parseFloat(params.price);
+                if (!params.symbol || !(price > 0)) throw new MockError('badParams');
+                return { status: 200, body: { symbol: params.symbol, price, filled: setPrice(params.symbol, price) } };
+            }
+            if (path === '/mock/fail') {
+                failures = { count: parseInt(params.count || '1'), after: params.after === 'true' };
+                return { status: 200, body: failures };
+            }
+            if (path === '/mock/state') return { status: 200, body: getState() };
+
+            if (method === 'GET' && ['/fapi/v1/time', '/api/v3/time'].includes(path)) {
+                return { status: 200, body: { serverTime: Date.now() } };
+            }
+
+            // Rotas assinadas: /fapi/v1/..., /fapi/v2/... e /api/v3/...
+            const match = path.match(/^\/(?:fapi\/v[12]|api\/v3)(\/.+)$/);
+            const route = match && routes[`${method} ${match[1]}`];
+            if (!route) throw new MockError('notFound');
+            verify(headers, rawQuery, params);
+
+            const failing = failures.count > 0;
+            if (failing) failures.count--;
+            if (failing && !failures.after) throw new MockError('unavailable');
+            const body = route(marketOf(path), params);
+            if (failing) throw new MockError('unavailable'); // Processada, mas a resposta se perde
+            return { status: 200, body };
+        } catch (error) {
+            if (!(error instanceof MockError)) {
+                console.error('❌ Mock:', error);
+                return { status: 500, body: { code: -1000, msg: error.message } };
+            }
+            const { status, code, msg } = ERRORS[error.type];
+            return { status, body: { code, msg } };
+        }
+    };
+
+    const getState = () => ({
+        prices: { ...prices },
+        orders: [...orders.values()].map(order => ({ market: order.market, ...toResponse(order) })),
+        positions: Object.fromEntries(positions),
+        symbols: Object.fromEntries(symbolSettings)
+    });
+
+    return { handle, setPrice, getState };
+}
+
+// ============================================
+// SERVIDOR HTTP
+// ============================================
+
+/**
+ * Sobe a exchange simulada
+ * @param {Object} [options] - { host, port (0 = porta livre), apiKey, apiSecret, prices }
+ * @returns {Promise<Object>} { url, port, exchange, close }
+ */
+function start(options = {}) {
+    const settings = { ...DEFAULTS, ...options, prices: { ...(options.prices || DEFAULTS.prices) } };
+    const exchange = createExchange(settings);
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const headers = { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Headers': 'X-MBX-APIKEY', 'Access-Control-Allow-Methods': 'GET, POST, DELETE' };
+            if (req.method === 'OPTIONS') {
+                // Preflight do navegador (dashboard apontando para o mock)
+                res.writeHead(204, headers);
+                res.end();
+                return;
+            }
+
+            const url = new URL(req.url, `http://${req.headers.host || settings.host}`);
+            const rawQuery = [url.search.slice(1), body].filter(Boolean).join('');
+            const params = Object.fromEntries(new URLSearchParams(rawQuery));
+            const result = exchange.handle(req.method, url.pathname, params, req.headers, rawQuery);
+            res.writeHead(result.status, headers);
+            res.end(JSON.stringify(result.body));
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(settings.port, settings.host, () => {
+            const { port } = server.address();
+            resolve({
+                url: `http://${settings.host}:${port}`,
+                port,
+                exchange,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+/**
+ * Interpreta os argumentos da linha de comando
+ * @param {Array<string>} argv - Argumentos (sem node e o script)
+ * @returns {Object} Opções do servidor
+ */
+function parseArgs(argv) {
+    const options = { prices: {}, help: false };
+
+    const next = (i, flag) => {
+        if (i + 1 >= argv.length) throw new Error(`Valor ausente para ${flag}`);
+        return argv[i + 1];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--port': {
+                const port = parseInt(next(i++, arg));
+                if (!Number.isInteger(port) || port < 0) throw new Error('--port deve ser um inteiro >= 0');
+                options.port = port;
+                break;
+            }
+            case '--price': {
+                const [symbol, price] = next(i++, arg).split(':');
+                if (!symbol || !(parseFloat(price) > 0)) throw new Error(`Formato inválido para --price (esperado <símbolo>:<preço>)`);
+                options.prices[symbol.toUpperCase()] = parseFloat(price);
+                break;
+            }
+            case '--key':
+                options.apiKey = next(i++, arg);
+                break;
+            case '--secret':
+                options.apiSecret = next(i++, arg);
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Argumento desconhecido: "${arg}"`);
+        }
+    }
+
+    if (Object.keys(options.prices).length === 0) delete options.prices;
+    return options;
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(`❌ ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (options.help) {
+        console.error(USAGE);
+        return 0;
+    }
+
+    const { url, exchange } = await start(options);
+    console.log(`🧪 Mock da exchange em ${url} (preços: ${JSON.stringify(exchange.getState().prices)})`);
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        if (code !== 0) process.exitCode = code;
+    });
+}
+
+module.exports = { createExchange, start, parseArgs, main };
@@ -0,0 +1,398 @@
+/**
+ * Optimizer - ZingSignals
+ *
+ * Busca em grade ou aleatória de parâmetros (score mínimo, thresholds dos modos, pesos dos
+ * indicadores e opções do backtest) sobre velas históricas usando o Backtester, com
+ * walk-forward (otimiza in-sample, testa out-of-sample), diagnósticos de overfitting e
+ * exportação do melhor conjunto como perfil aplicável à config do live.
+ */
+
+const Optimizer = (() => {
+    // =========================================================================
+    // CONFIGURAÇÃO
+    // =========================================================================
+    const DEFAULTS = {
+        method: 'grid',          // 'grid' | 'random'
+        iterations: 50,          // Amostras na busca aleatória
+        seed: 42,                // Semente da busca aleatória (resultados reproduzíveis)
+        objective: 'sharpe',     // Campo de stats do backtest ou função (stats) => número
+        minTrades: 10,           // Candidatos com menos trades são descartados
+        maxCombinations: 5000    // Proteção contra grades gigantes
+    };
+
+    const WALK_FORWARD_DEFAULTS = {
+        folds: 4,
+        inSampleRatio: 0.7,      // Fração de cada fold usada para otimizar
+        anchored: false          // true: in-sample sempre começa no início dos dados
+    };
+
+    const PROFILE_VERSION = 1;
+
+    // =========================================================================
+    // DEPENDÊNCIAS
+    // =========================================================================
+    const resolveBacktester = () => {
+        if (typeof window !== 'undefined' && window.Backtester) return window.Backtester;
+        if (typeof require === 'function') return require('./backtest.js');
+        throw new Error('Backtester indisponível');
+    };
+
+    // =========================================================================
+    // FUNÇÕES PRIVADAS - ESPAÇO DE PARÂMETROS
+    // =========================================================================
+
+    // Gerador pseudoaleatório determinístico (Park-Miller)
+    const createRandom = (seed) => {
+        let state = Math.max(1, Math.floor(Math.abs(seed)) % 2147483647);
+        return () => {
+            state = (state * 16807) % 2147483647;
+            return (state - 1) / 2147483646;
+        };
+    };
+
+    // Cada parâmetro é uma lista de valores ou uma faixa { min, max, step? }
+    const expandValues = (spec) => {
+        if (Array.isArray(spec)) return spec;
+        if (spec && Number.isFinite(spec.min) && Number.isFinite(spec.max) && spec.step > 0) {
+            const values = [];
+            for (let v = spec.min; v <= spec.max + spec.step / 1e9; v += spec.step) {
+                values.push(Number(v.toFixed(10)));
+            }
+            return values;
+        }
+        throw new Error(`Parâmetro da grade precisa de lista de valores ou { min, max, step }: ${JSON.stringify(spec)}`);
+    };
+
+    const gridCandidates = (space, maxCombinations) => {
+        const keys = Object.keys(space);
+        const valueLists = keys.map(key => expandValues(space[key]));
+        const total = valueLists.reduce((product, values) => product * values.length, 1);
+        if (total > maxCombinations) {
+            throw new Error(`Grade com ${total} combinações excede o limite (${maxCombinations}); use busca aleatória`);
+        }
+
+        let candidates = [{}];
+        keys.forEach((key, k) => {
+            candidates = candidates.flatMap(params => valueLists[k].map(value => ({ ...params, [key]: value })));
+        });
+        return candidates;
+    };
+
+    const randomCandidates = (space, iterations, seed) => {
+        const random = createRandom(seed);
+        const candidates = [];
+        for (let n = 0; n < iterations; n++) {
+            const params = {};
+            Object.entries(space).forEach(([key, spec]) => {
+                if (Array.isArray(spec)) {
+                    params[key] = spec[Math.floor(random() * spec.length)];
+                } else if (spec && Number.isFinite(spec.min) && Number.isFinite(spec.max)) {
+                    const value = spec.min + random() * (spec.max - spec.min);
+                    params[key] = spec.step > 0
+                        ? Number((spec.min + Math.round((value - spec.min) / spec.step) * spec.step).toFixed(10))
+                        : value;
+                } else {
+                    throw new Error(`Parâmetro inválido para busca aleatória: ${key}`);
+                }
+            });
+            candidates.push(params);
+        }
+        return candidates;
+    };
+
+    /**
+     * Aplica parâmetros às opções do backtest
+     * 'thresholds.<modo>' → config.thresholds, 'weights.<indicador>' → weights,
+     * demais chaves (minSignalStrength, takeProfitATR, ...) → opções do backtest
+     * Um threshold buscado remove config.backtestThreshold, que no engine tem prioridade sobre config.thresholds
+     */
+    const applyParams = (baseOptions, params) => {
+        const options = {
+            ...baseOptions,
+            config: { ...(baseOptions.config || {}), thresholds: { ...((baseOptions.config || {}).thresholds || {}) } },
+            weights: { ...(baseOptions.weights || {}) }
+        };
+
+        Object.entries(params).forEach(([key, value]) => {
+            if (key.startsWith('thresholds.')) {
+                options.config.thresholds[key.slice('thresholds.'.length)] = value;
+            } else if (key.startsWith('weights.')) {
+                options.weights[key.slice('weights.'.length)] = value;
+            } else {
+                options[key] = value;
+            }
+        });
+
+        // Thresholds do modo só influenciam trades se a direção do engine for exigida
+        if (Object.keys(params).some(key => key.startsWith('thresholds.'))) {
+            delete options.config.backtestThreshold;
+            options.requireDirection = true;
+        }
+
+        return options;
+    };
+
+    const scoreStats = (stats, settings) => {
+        if (stats.totalTrades < settings.minTrades) return -Infinity;
+        const value = typeof settings.objective === 'function' ? settings.objective(stats) : stats[settings.objective];
+        return Number.isFinite(value) ? value : (value === Infinity ? Number.MAX_VALUE : -Infinity);
+    };
+
+    const mean = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+    const median = (values) => {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    };
+
+    // =========================================================================
+    // FUNÇÕES PRIVADAS - EXECUÇÃO
+    // =========================================================================
+
+    // Executa o backtest de cada candidato num trecho [start, end) usando indicadores pré-calculados
+    const evaluateCandidates = (klines, series, start, end, candidates, settings) => {
+        const backtester = resolveBacktester();
+        const slice = klines.slice(start, end);
+        const seriesSlice = series.slice(start, end);
+
+        return candidates.map(params => {
+            const options = applyParams(settings.backtest || {}, params);
+            const result = backtester.run(slice, { ...options, warmup: 0, indicatorSeries: seriesSlice });
+            return { params, score: scoreStats(result.stats, settings), stats: result.stats };
+        }).sort((a, b) => b.score - a.score);
+    };
+
+    const prepareSeries = (klines, settings) => {
+        const backtester = resolveBacktester();
+        const backtestOptions = settings.backtest || {};
+        const warmup = Number.isFinite(backtestOptions.warmup) ? backtestOptions.warmup : backtester.getDefaults().warmup;
+        const series = backtester.computeIndicatorSeries(klines, { timeframe: backtestOptions.timeframe, warmup });
+        return { series, warmup };
+    };
+
+    const buildCandidates = (settings) => {
+        if (!settings.space || Object.keys(settings.space).length === 0) {
+            throw new Error('Informe o espaço de parâmetros (space)');
+        }
+        return settings.method === 'random'
+            ? randomCandidates(settings.space, settings.iterations, settings.seed)
+            : gridCandidates(settings.space, settings.maxCombinations);
+    };
+
+    /**
+     * Diagnósticos de overfitting do walk-forward
+     * - efficiency: média OOS / média IS do objetivo (walk-forward efficiency; null se IS <= 0)
+     * - oosPositiveRatio: fração de folds com objetivo OOS positivo
+     * - parameterStability: coeficiente de variação de cada parâmetro vencedor entre folds
+     */
+    const diagnoseWalkForward = (folds) => {
+        const valid = folds.filter(f => Number.isFinite(f.inSample.score) && Number.isFinite(f.outOfSample.score));
+        const isMean = mean(valid.map(f => f.inSample.score));
+        const oosMean = mean(valid.map(f => f.outOfSample.score));
+        const efficiency = isMean > 0 ? oosMean / isMean : null;
+        const oosPositiveRatio = valid.length > 0 ? valid.filter(f => f.outOfSample.score > 0).length / valid.length : 0;
+
+        const parameterStability = {};
+        const paramKeys = folds.length > 0 && folds[0].params ? Object.keys(folds[0].params) : [];
+        paramKeys.forEach(key => {
+            const values = folds.map(f => f.params[key]).filter(Number.isFinite);
+            const avg = mean(values);
+            const deviation = Math.sqrt(mean(values.map(v => (v - avg) ** 2)));
+            parameterStability[key] = avg !== 0 ? Math.abs(deviation / avg) : deviation;
+        });
+
+        const warnings = [];
+        if (valid.length < folds.length) {
+            warnings.push(`${folds.length - valid.length} fold(s) sem candidato válido (poucos trades).`);
+        }
+        if (valid.length > 0 && efficiency === null) {
+            warnings.push('Nenhum conjunto com objetivo positivo dentro da amostra: a estratégia não se mostrou lucrativa.');
+        } else if (valid.length > 0 && efficiency < 0.5) {
+            warnings.push(`Eficiência walk-forward baixa (${(efficiency * 100).toFixed(0)}%): o resultado fora da amostra é bem pior que dentro.`);
+        }
+        if (valid.length > 0 && oosPositiveRatio < 0.5) {
+            warnings.push(`Só ${(oosPositiveRatio * 100).toFixed(0)}% dos folds foram positivos fora da amostra.`);
+        }
+        Object.entries(parameterStability).forEach(([key, variation]) => {
+            if (variation > 0.5) warnings.push(`Parâmetro instável entre folds: ${key} (variação ${(variation * 100).toFixed(0)}%).`);
+        });
+
+        return {
+            inSampleMean: isMean,
+            outOfSampleMean: oosMean,
+            efficiency,
+            oosPositiveRatio,
+            parameterStability,
+            overfit: warnings.length > 0,
+            warnings
+        };
+    };
+
+    // =========================================================================
+    // API PÚBLICA
+    // =========================================================================
+
+    /**
+     * Otimiza parâmetros sobre todo o histórico informado
+     * @param {Array} klines - Velas em ordem cronológica (incluindo o warm-up)
+     * @param {Object} options - Opções (ver DEFAULTS), mais:
+     * @param {Object} options.space - Espaço de busca { 'minSignalStrength': [30, 50], 'weights.rsi': { min, max, step } }
+     * @param {Object} [options.backtest] - Opções base do Backtester (timeframe, leverage, taxas, ...)
+     * @returns {Object} { best, results, diagnostics }
+     */
+    const optimize = (klines, options = {}) => {
+        const settings = { ...DEFAULTS, ...options };
+        const candidates = buildCandidates(settings);
+        const { series, warmup } = prepareSeries(klines, settings);
+
+        const results = evaluateCandidates(klines, series, warmup, klines.length, candidates, settings);
+        const validScores = results.map(r => r.score).filter(Number.isFinite);
+        const best = results[0] && Number.isFinite(results[0].score) ? results[0] : null;
+
+        // Quanto o melhor se destaca da mediana: picos isolados sugerem sorte, não robustez
+        const diagnostics = {
+            candidates: results.length,
+            validCandidates: validScores.length,
+            bestScore: best ? best.score : null,
+            medianScore: median(validScores),
+            warnings: []
+        };
+        if (!best) diagnostics.warnings.push(`Nenhum candidato com pelo menos ${settings.minTrades} trades.`);
+        if (results.length > 1 && validScores.length > 0) {
+            diagnostics.warnings.push('Resultado apenas in-sample: valide com walkForward antes de usar no live.');
+        }
+
+        return { best, results, diagnostics };
+    };
+
+    /**
+     * Walk-forward: divide o histórico em folds consecutivos, otimiza no trecho in-sample
+     * de cada fold e testa os melhores parâmetros no trecho out-of-sample seguinte
+     * @param {Array} klines - Velas em ordem cronológica (incluindo o warm-up)
+     * @param {Object} options - Opções de optimize mais { folds, inSampleRatio, anchored }
+     * @returns {Object} { folds, diagnostics, recommended }
+     */
+    const walkForward = (klines, options = {}) => {
+        const settings = { ...DEFAULTS, ...WALK_FORWARD_DEFAULTS, ...options };
+        const candidates = buildCandidates(settings);
+        const { series, warmup } = prepareSeries(klines, settings);
+
+        const available = klines.length - warmup;
+        const foldSize = Math.floor(available / settings.folds);
+        const inSampleSize = Math.floor(foldSize * settings.inSampleRatio);
+        if (inSampleSize < 2 || foldSize - inSampleSize < 2) {
+            throw new Error(`Histórico insuficiente para ${settings.folds} folds (${available} velas após warm-up)`);
+        }
+
+        const folds = [];
+        for (let f = 0; f < settings.folds; f++) {
+            const foldStart = warmup + f * foldSize;
+            const isStart = settings.anchored ? warmup : foldStart;
+            const isEnd = foldStart + inSampleSize;
+            const oosEnd = f === settings.folds - 1 ? klines.length : foldStart + foldSize;
+
+            const ranked = evaluateCandidates(klines, series, isStart, isEnd, candidates, settings);
+            const best = ranked[0];
+            const outOfSample = evaluateCandidates(klines, series, isEnd, oosEnd, [best.params], settings)[0];
+
+            folds.push({
+                fold: f + 1,
+                inSampleRange: { start: parseInt(klines[isStart][0]), end: parseInt(klines[isEnd - 1][0]) },
+                outOfSampleRange: { start: parseInt(klines[isEnd][0]), end: parseInt(klines[oosEnd - 1][0]) },
+                params: best.params,
+                inSample: { score: best.score, stats: best.stats },
+                outOfSample: { score: outOfSample.score, stats: outOfSample.stats }
+            });
+
+            console.log(`🧪 Walk-forward fold ${f + 1}/${settings.folds}: IS ${best.score.toFixed(3)} → OOS ${outOfSample.score.toFixed(3)}`);
+        }
+
+        // Parâmetros do fold mais recente: ajustados aos dados mais próximos do presente
+        const lastValid = [...folds].reverse().find(f => Number.isFinite(f.inSample.score));
+
+        return {
+            folds,
+            diagnostics: diagnoseWalkForward(folds),
+            recommended: lastValid ? lastValid.params : null
+        };
+    };
+
+    /**
+     * Converte parâmetros vencedores num perfil aplicável à config do live
+     * Parâmetros que só existem no backtest (ex.: takeProfitATR) ficam em profile.backtest
+     * @param {Object} params - Parâmetros ({ minSignalStrength, 'thresholds.x', 'weights.x', ... })
+     * @param {Object} [meta] - Metadados (symbol, timeframe, objective, diagnostics, ...)
+     * @returns {Object} Perfil serializável em JSON
+     */
+    const exportProfile = (params, meta = {}) => {
+        const profile = {
+            version: PROFILE_VERSION,
+            createdAt: new Date().toISOString(),
+            ...meta,
+            config: {},
+            backtest: {}
+        };
+
+        Object.entries(params || {}).forEach(([key, value]) => {
+            if (key === 'minSignalStrength') {
+                profile.config.minSignalStrength = value;
+            } else if (key.startsWith('thresholds.')) {
+                profile.config.thresholds = profile.config.thresholds || {};
+                profile.config.thresholds[key.slice('thresholds.'.length)] = value;
+            } else if (key.startsWith('weights.')) {
+                profile.config.indicatorWeights = profile.config.indicatorWeights || {};
+                profile.config.indicatorWeights[key.slice('weights.'.length)] = value;
+            } else {
+                profile.backtest[key] = value;
+            }
+        });
+
+        return profile;
+    };
+
+    /**
+     * Valida um perfil e retorna a parte aplicável à config do live
+     * @param {Object|string} profile - Perfil (objeto ou JSON)
+     * @returns {Object} Campos de config { minSignalStrength?, thresholds?, indicatorWeights? }
+     */
+    const profileToConfig = (profile) => {
+        const parsed = typeof profile === 'string' ? JSON.parse(profile) : profile;
+        if (!parsed || parsed.version !== PROFILE_VERSION || typeof parsed.config !== 'object') {
+            throw new Error('Perfil inválido ou de versão incompatível');
+        }
+
+        const result = {};
+        const { minSignalStrength, thresholds, indicatorWeights } = parsed.config;
+        const onlyFinite = (map) => Object.fromEntries(Object.entries(map || {}).filter(([, v]) => Number.isFinite(v) && v >= 0));
+
+        if (Number.isFinite(minSignalStrength) && minSignalStrength >= 0) result.minSignalStrength = minSignalStrength;
+        if (thresholds) result.thresholds = onlyFinite(thresholds);
+        if (indicatorWeights) result.indicatorWeights = onlyFinite(indicatorWeights);
+        return result;
+    };
+
+    const getDefaults = () => ({ ...DEFAULTS, ...WALK_FORWARD_DEFAULTS });
+
+    // =========================================================================
+    // EXPORTAR API
+    // =========================================================================
+    return {
+        optimize,
+        walkForward,
+        exportProfile,
+        profileToConfig,
+        getDefaults
+    };
+})();
+
+// Exportar para uso no Node (CommonJS/ESM: import Optimizer from './optimizer.js')
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Optimizer;
+}
+
+// Expor globalmente
+if (typeof window !== 'undefined') {
+    window.Optimizer = Optimizer;
+}
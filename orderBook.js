@@ -0,0 +1,404 @@
+/**
+ * OrderBook - Livro de Ofertas Local - ZingSignals
+ *
+ * Reconstrói o livro a partir de um snapshot (REST ou enviado pelo próprio stream) mais os diffs
+ * normalizados do MarketData, validando a sequência de update IDs (U/u/pu) e ressincronizando
+ * quando há lacunas. As baleias são detectadas pela variação real da quantidade em repouso em cada
+ * nível (ordem adicionada, retirada ou executada) e alimentam uma pressão compra/venda com decaimento
+ * exponencial no tempo, consumida pelo calculateOverallConfidence.
+ */
+
+const OrderBook = (() => {
+    // =========================================================================
+    // CONFIGURAÇÃO
+    // =========================================================================
+    const DEFAULT_OPTIONS = {
+        whaleMinValue: 1000000,      // Variação mínima (USD) de um nível para contar como baleia
+        pressureHalfLifeMs: 60000,   // Meia-vida da pressão compra/venda
+        depthRangePercent: 1,        // Faixa (% do preço médio) da liquidez em repouso
+        pulledWeight: 0.5,           // Peso de ordens retiradas na pressão (sinal mais fraco que execução)
+        tradeMatchWindowMs: 2000,    // Janela para casar redução de nível com negócios registrados
+        maxBufferedEvents: 1000,     // Diffs guardados enquanto aguarda o snapshot
+        maxEvents: 200               // Eventos de baleia mantidos em memória
+    };
+
+    // =========================================================================
+    // FUNÇÕES PRIVADAS - LIVRO
+    // =========================================================================
+
+    const replaceLevels = (side, levels) => {
+        side.clear();
+        (levels || []).forEach(([price, qty]) => {
+            if (qty > 0) side.set(price, qty);
+        });
+    };
+
+    const bestPrice = (side, pick) => {
+        let best = null;
+        side.forEach((qty, price) => {
+            if (best === null || pick(price, best)) best = price;
+        });
+        return best;
+    };
+
+    const sortedLevels = (side, descending, depth) => [...side.entries()]
+        .sort((a, b) => (descending ? b[0] - a[0] : a[0] - b[0]))
+        .slice(0, depth);
+
+    /**
+     * Verifica se um diff continua exatamente a partir do último update aplicado
+     * - Com prevUpdateId (futuros Binance, OKX): pu deve ser o último u
+     * - Sem prevUpdateId (spot Binance, Bybit): U deve ser o último u + 1
+     * - Sem IDs (Coinbase): não há como validar, o diff é aceito
+     */
+    const isContinuous = (message, lastUpdateId) => {
+        if (lastUpdateId === null || message.lastUpdateId === null || message.lastUpdateId === undefined) return true;
+        if (message.prevUpdateId !== null && message.prevUpdateId !== undefined) {
+            return message.prevUpdateId === lastUpdateId;
+        }
+        return message.firstUpdateId === lastUpdateId + 1;
+    };
+
+    // =========================================================================
+    // CRIAÇÃO DO LIVRO
+    // =========================================================================
+
+    /**
+     * Cria um livro local para um símbolo
+     * @param {Object} [options]
+     * @param {string} [options.symbol] - Símbolo (só para logs)
+     * @param {Function} [options.fetchSnapshot] - async () => { lastUpdateId, bids, asks, time };
+     *        sem ele o livro aguarda um snapshot vindo do stream (Bybit, OKX, Coinbase)
+     * @param {Function} [options.onResync] - Chamado com { symbol, reason } ao detectar lacuna
+     * @param {Function} [options.onWhaleEvent] - Chamado com cada evento de baleia
+     * @param {Function} [options.now] - Relógio (padrão: Date.now)
+     * @returns {Object} Livro { handleMessage, applySnapshot, recordTrade, getPressure, ... }
+     */
+    const create = (options = {}) => {
+        const settings = { ...DEFAULT_OPTIONS, ...options };
+        const symbol = options.symbol || '';
+        const now = options.now || Date.now;
+
+        const bids = new Map();
+        const asks = new Map();
+        let synced = false;
+        let lastUpdateId = null;
+        let buffer = [];
+        let snapshotPending = null;
+        let resyncs = 0;
+        let events = [];
+        let trades = [];
+        let pressure = { buy: 0, sell: 0, time: null };
+
+        // ---------------------------------------------------------------------
+        // Pressão com decaimento exponencial
+        // ---------------------------------------------------------------------
+
+        const decayedPressure = (time) => {
+            if (pressure.time === null || time <= pressure.time) return { ...pressure };
+            const factor = Math.pow(0.5, (time - pressure.time) / settings.pressureHalfLifeMs);
+            return { buy: pressure.buy * factor, sell: pressure.sell * factor, time };
+        };
+
+        const addPressure = (event) => {
+            pressure = decayedPressure(event.time);
+            if (pressure.time === null) pressure.time = event.time;
+
+            // Compra: bids adicionados, asks executados (agressão compradora) e asks retirados
+            // Venda: asks adicionados, bids executados (agressão vendedora) e bids retirados
+            const weight = event.type === 'pulled' ? settings.pulledWeight : 1;
+            const buySide = event.type === 'pulled' || event.type === 'filled' ? event.side === 'sell' : event.side === 'buy';
+            if (buySide) pressure.buy += event.value * weight;
+            else pressure.sell += event.value * weight;
+        };
+
+        // ---------------------------------------------------------------------
+        // Classificação das variações de nível
+        // ---------------------------------------------------------------------
+
+        // Quantidade negociada no preço dentro da janela (registrada via recordTrade)
+        const tradedAt = (price, time) => trades
+            .filter(trade => trade.price === price && Math.abs(time - trade.time) <= settings.tradeMatchWindowMs)
+            .reduce((sum, trade) => sum + trade.qty, 0);
+
+        /**
+         * Redução de nível: executada quando há negócios no preço (ou, sem fita de negócios,
+         * quando o nível estava no topo do livro ou foi atravessado); caso contrário, retirada
+         */
+        const classifyRemoval = (isBid, price, qty, time, best) => {
+            if (trades.length > 0) {
+                return tradedAt(price, time) >= qty * 0.5 ? 'filled' : 'pulled';
+            }
+            if (best === null) return 'pulled';
+            return (isBid ? price >= best : price <= best) ? 'filled' : 'pulled';
+        };
+
+        const applySide = (isBid, levels, time, best, found) => {
+            const side = isBid ? bids : asks;
+
+            levels.forEach(([price, qty]) => {
+                const previous = side.get(price) || 0;
+                if (qty > 0) side.set(price, qty);
+                else side.delete(price);
+
+                const delta = qty - previous;
+                const value = Math.abs(delta) * price;
+                if (delta === 0 || value < settings.whaleMinValue) return;
+
+                found.push({
+                    type: delta > 0 ? 'added' : classifyRemoval(isBid, price, -delta, time, best),
+                    side: isBid ? 'buy' : 'sell',
+                    price,
+                    qty: Math.abs(delta),
+                    value,
+                    resting: qty,
+                    time
+                });
+            });
+        };
+
+        const applyDiff = (message) => {
+            const time = message.time || now();
+            const bestBid = bestPrice(bids, (a, b) => a > b);
+            const bestAsk = bestPrice(asks, (a, b) => a < b);
+            const found = [];
+
+            applySide(true, message.bids || [], time, bestBid, found);
+            applySide(false, message.asks || [], time, bestAsk, found);
+            if (message.lastUpdateId !== null && message.lastUpdateId !== undefined) {
+                lastUpdateId = message.lastUpdateId;
+            }
+
+            found.forEach(event => {
+                addPressure(event);
+                events.push(event);
+                if (settings.onWhaleEvent) settings.onWhaleEvent(event);
+            });
+            if (events.length > settings.maxEvents) events = events.slice(-settings.maxEvents);
+
+            return found;
+        };
+
+        // ---------------------------------------------------------------------
+        // Sincronização
+        // ---------------------------------------------------------------------
+
+        const resync = (reason) => {
+            synced = false;
+            lastUpdateId = null;
+            bids.clear();
+            asks.clear();
+            resyncs++;
+            console.warn(`⚠️ Livro ${symbol}: ${reason}, ressincronizando...`);
+            if (settings.onResync) settings.onResync({ symbol, reason });
+            requestSnapshot();
+        };
+
+        /**
+         * Aplica os diffs guardados após o snapshot
+         * Descarta os já contidos nele (u < lastUpdateId); o primeiro restante precisa cobrir lastUpdateId + 1
+         */
+        const replayBuffer = () => {
+            const pending = buffer.filter(message =>
+                message.lastUpdateId === null || message.lastUpdateId === undefined || message.lastUpdateId >= lastUpdateId
+            );
+            buffer = [];
+
+            if (pending.length > 0 && lastUpdateId !== null && pending[0].firstUpdateId !== null &&
+                pending[0].firstUpdateId !== undefined && pending[0].firstUpdateId > lastUpdateId + 1) {
+                buffer = pending;
+                resync('snapshot mais antigo que os diffs recebidos');
+                return [];
+            }
+
+            const found = [];
+            for (let i = 0; i < pending.length; i++) {
+                // O primeiro diff pode se sobrepor ao snapshot (quantidades absolutas, reaplicar é seguro)
+                if (i > 0 && !isContinuous(pending[i], lastUpdateId)) {
+                    buffer = pending.slice(i);
+                    resync('lacuna nos diffs guardados');
+                    return found;
+                }
+                found.push(...applyDiff(pending[i]));
+            }
+            return found;
+        };
+
+        /**
+         * Substitui o livro por um snapshot e aplica os diffs guardados
+         * @param {Object} snapshot - { lastUpdateId, bids, asks }
+         * @returns {Array<Object>} Eventos de baleia dos diffs reaplicados
+         */
+        const applySnapshot = (snapshot) => {
+            replaceLevels(bids, snapshot.bids);
+            replaceLevels(asks, snapshot.asks);
+            lastUpdateId = snapshot.lastUpdateId === undefined ? null : snapshot.lastUpdateId;
+            synced = true;
+            console.log(`📖 Livro ${symbol} sincronizado: ${bids.size} bids, ${asks.size} asks (update ${lastUpdateId})`);
+            return replayBuffer();
+        };
+
+        const requestSnapshot = () => {
+            if (!settings.fetchSnapshot || snapshotPending) return;
+
+            snapshotPending = Promise.resolve()
+                .then(() => settings.fetchSnapshot())
+                .then(snapshot => {
+                    snapshotPending = null;
+                    applySnapshot(snapshot);
+                })
+                .catch(error => {
+                    snapshotPending = null;
+                    console.error(`❌ Erro ao buscar snapshot do livro ${symbol}:`, error);
+                });
+        };
+
+        /**
+         * Processa uma mensagem 'depth' normalizada do MarketData
+         * @param {Object} message - { snapshot, bids, asks, firstUpdateId, lastUpdateId, prevUpdateId, time }
+         * @returns {Array<Object>} Eventos de baleia { type: added|pulled|filled, side, price, qty, value, resting, time }
+         */
+        const handleMessage = (message) => {
+            if (message.snapshot) {
+                buffer = [];
+                return applySnapshot({ ...message, lastUpdateId: message.lastUpdateId ?? null });
+            }
+
+            if (!synced) {
+                buffer.push(message);
+                if (buffer.length > settings.maxBufferedEvents) buffer = buffer.slice(-settings.maxBufferedEvents);
+                requestSnapshot();
+                return [];
+            }
+
+            if (!isContinuous(message, lastUpdateId)) {
+                buffer = [message];
+                resync(`lacuna de sequência (esperado após ${lastUpdateId}, recebido ${message.firstUpdateId}-${message.lastUpdateId})`);
+                return [];
+            }
+
+            return applyDiff(message);
+        };
+
+        /**
+         * Registra um negócio executado para distinguir ordens executadas de retiradas
+         * @param {number} price - Preço
+         * @param {number} qty - Quantidade
+         * @param {number} [time] - Timestamp (ms)
+         */
+        const recordTrade = (price, qty, time = now()) => {
+            trades.push({ price, qty, time });
+            trades = trades.filter(trade => time - trade.time <= settings.tradeMatchWindowMs);
+        };
+
+        // ---------------------------------------------------------------------
+        // Leitura
+        // ---------------------------------------------------------------------
+
+        /**
+         * Pressão compra/venda das baleias com decaimento e liquidez em repouso perto do preço
+         * @param {number} [time] - Momento da leitura (padrão: agora)
+         * @returns {Object} { buy, sell, buyPressure (0-1), restingBid, restingAsk, depthImbalance (-1 a 1), synced }
+         */
+        const getPressure = (time = now()) => {
+            const current = decayedPressure(time);
+            const total = current.buy + current.sell;
+            const mid = getMidPrice();
+
+            let restingBid = 0;
+            let restingAsk = 0;
+            if (mid !== null) {
+                const range = mid * settings.depthRangePercent / 100;
+                bids.forEach((qty, price) => { if (price >= mid - range) restingBid += qty * price; });
+                asks.forEach((qty, price) => { if (price <= mid + range) restingAsk += qty * price; });
+            }
+            const resting = restingBid + restingAsk;
+
+            return {
+                buy: current.buy,
+                sell: current.sell,
+                buyPressure: total > 0 ? current.buy / total : 0.5,
+                restingBid,
+                restingAsk,
+                depthImbalance: resting > 0 ? (restingBid - restingAsk) / resting : 0,
+                synced
+            };
+        };
+
+        const getBestBid = () => bestPrice(bids, (a, b) => a > b);
+        const getBestAsk = () => bestPrice(asks, (a, b) => a < b);
+
+        const getMidPrice = () => {
+            const bid = getBestBid();
+            const ask = getBestAsk();
+            if (bid === null || ask === null) return null;
+            return (bid + ask) / 2;
+        };
+
+        /**
+         * Melhores níveis de cada lado
+         * @param {number} [depth] - Níveis por lado (padrão 20)
+         * @returns {Object} { bids: [[preço, qtd]] decrescente, asks: [[preço, qtd]] crescente }
+         */
+        const getLevels = (depth = 20) => ({
+            bids: sortedLevels(bids, true, depth),
+            asks: sortedLevels(asks, false, depth)
+        });
+
+        const getEvents = (limit = settings.maxEvents) => events.slice(-limit);
+
+        const getStatus = () => ({
+            symbol,
+            synced,
+            lastUpdateId,
+            resyncs,
+            buffered: buffer.length,
+            bidLevels: bids.size,
+            askLevels: asks.size
+        });
+
+        const setWhaleMinValue = (value) => {
+            settings.whaleMinValue = value;
+        };
+
+        // Zera pressão e eventos, mantendo o livro sincronizado (ex.: filtro de baleias alterado)
+        const resetActivity = () => {
+            events = [];
+            pressure = { buy: 0, sell: 0, time: null };
+        };
+
+        return {
+            handleMessage,
+            applySnapshot,
+            recordTrade,
+            getPressure,
+            getBestBid,
+            getBestAsk,
+            getMidPrice,
+            getLevels,
+            getEvents,
+            getStatus,
+            setWhaleMinValue,
+            resetActivity
+        };
+    };
+
+    // =========================================================================
+    // EXPORTAR API
+    // =========================================================================
+    return {
+        create,
+        isContinuous,
+        getDefaults: () => ({ ...DEFAULT_OPTIONS })
+    };
+})();
+
+// Exportar para uso no Node (CommonJS/ESM: import OrderBook from './orderBook.js')
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderBook;
+}
+
+// Expor globalmente
+if (typeof window !== 'undefined') {
+    window.OrderBook = OrderBook;
+}
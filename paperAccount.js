@@ -0,0 +1,329 @@
+/**
+ * PaperAccount - Conta Simulada (Paper Trading) - ZingSignals
+ *
+ * Executa os sinais rastreados contra uma conta virtual por símbolo: saldo, margem isolada por
+ * posição, taxa de execução sobre o nocional, funding a cada 8h e liquidação pelo preço marcado.
+ * Guarda as posições abertas, as fechadas e a curva de patrimônio; o estado é serializável
+ * (toJSON / restore) para persistir entre sessões.
+ */
+
+const PaperAccount = (() => {
+    // =========================================================================
+    // CONFIGURAÇÃO
+    // =========================================================================
+    const DEFAULT_SETTINGS = {
+        initialBalance: 10000,                   // Saldo inicial (USD)
+        takerFee: 0.04,                          // % do nocional por execução (entrada e cada saída)
+        fundingRate: 0.01,                       // % do nocional por período; positivo = comprados pagam vendidos
+        fundingIntervalMs: 8 * 60 * 60 * 1000,   // Funding às 00h, 08h e 16h UTC
+        equityIntervalMs: 5 * 60 * 1000,         // Intervalo mínimo entre pontos da curva no preço marcado
+        maxEquityPoints: 2000,                   // Acima disso os pontos mais antigos são rarefeitos
+        maxClosedPositions: 500                  // Posições fechadas mantidas no histórico
+    };
+
+    const EPSILON = 1e-9;
+
+    // =========================================================================
+    // FUNÇÕES PRIVADAS
+    // =========================================================================
+
+    const directionSign = (position) => (position.side === 'VENDA' ? -1 : 1);
+
+    const unrealizedOf = (position, price) => directionSign(position) * position.remainingSize * (price - position.entryPrice);
+
+    // Liquidação atingida pelo preço marcado (posições sem alavancagem não liquidam)
+    const isLiquidated = (position, price) => {
+        if (!Number.isFinite(position.liquidationPrice)) return false;
+        return position.side === 'VENDA' ? price >= position.liquidationPrice : price <= position.liquidationPrice;
+    };
+
+    // Mantém a curva inteira com resolução menor: metade mais antiga perde um ponto a cada dois
+    const thinCurve = (curve, maxPoints) => {
+        if (curve.length <= maxPoints) return curve;
+        const keepFrom = curve.length - Math.floor(maxPoints / 2);
+        return curve.filter((_, index) => index >= keepFrom || index % 2 === 0);
+    };
+
+    const createEmptyState = (symbol, settings, now) => ({
+        symbol,
+        balance: settings.initialBalance,
+        initialBalance: settings.initialBalance,
+        realizedPnL: 0,
+        feesPaid: 0,
+        fundingPaid: 0,
+        positions: [],
+        closedPositions: [],
+        equityCurve: [{ time: now, equity: settings.initialBalance, balance: settings.initialBalance }],
+        lastFundingTime: now,
+        createdAt: now
+    });
+
+    // =========================================================================
+    // CRIAÇÃO DA CONTA
+    // =========================================================================
+
+    /**
+     * Cria uma conta simulada
+     * @param {Object} [options] - Sobrescreve DEFAULT_SETTINGS; options.symbol identifica a conta
+     * @param {Object} [saved] - Estado salvo por toJSON (restaura saldo, posições e curva)
+     * @returns {Object} { openPosition, closePosition, markPrice, getSnapshot, getPosition, getEquityCurve,
+     *          getClosedPositions, updateSettings, getSettings, reset, toJSON }
+     */
+    const create = (options = {}, saved = null) => {
+        let settings = { ...DEFAULT_SETTINGS, ...options };
+        delete settings.symbol;
+        const symbol = options.symbol || (saved && saved.symbol) || '';
+
+        let account = saved
+            ? { ...createEmptyState(symbol, settings, Date.now()), ...JSON.parse(JSON.stringify(saved)), symbol }
+            : createEmptyState(symbol, settings, Date.now());
+
+        const usedMargin = () => account.positions.reduce((sum, position) => sum + position.margin, 0);
+
+        const equityAt = (price) => account.balance + (Number.isFinite(price)
+            ? account.positions.reduce((sum, position) => sum + unrealizedOf(position, price), 0)
+            : 0);
+
+        const recordEquity = (time, price) => {
+            account.equityCurve.push({ time, equity: equityAt(price), balance: account.balance });
+            account.equityCurve = thinCurve(account.equityCurve, settings.maxEquityPoints);
+        };
+
+        const getPosition = (id) => account.positions.find(position => position.id === id) || null;
+
+        /**
+         * Abre uma posição (cobra a taxa de entrada e reserva a margem)
+         * @param {Object} params
+         * @param {string} params.id - Identificador (ex.: timeframe + timestamp do trade)
+         * @param {string} params.side - COMPRA | VENDA
+         * @param {number} params.price - Preço de execução
+         * @param {number} params.size - Quantidade do ativo
+         * @param {number} [params.leverage] - Alavancagem (margem = nocional / alavancagem)
+         * @param {number} [params.liquidationPrice] - Preço de liquidação (null = sem liquidação)
+         * @param {number} [params.time] - Momento da execução em ms
+         * @param {Object} [params.meta] - Dados livres guardados na posição (timeframe, stop, alvo, origem)
+         * @returns {Object} { opened, reason, position }
+         */
+        const openPosition = ({ id, side, price, size, leverage = 1, liquidationPrice = null, time = Date.now(), meta = {} }) => {
+            if (getPosition(id)) return { opened: false, reason: 'posição já aberta', position: null };
+            if (!(price > 0) || !(size > 0)) return { opened: false, reason: 'preço ou quantidade inválidos', position: null };
+
+            const notional = size * price;
+            const margin = notional / Math.max(1, leverage);
+            const fee = notional * settings.takerFee / 100;
+            const available = account.balance - usedMargin();
+            if (margin + fee > available) {
+                return { opened: false, reason: `margem insuficiente ($${available.toFixed(2)} disponível)`, position: null };
+            }
+
+            account.balance -= fee;
+            account.feesPaid += fee;
+
+            const position = {
+                id,
+                side,
+                entryPrice: price,
+                size,
+                remainingSize: size,
+                leverage: Math.max(1, leverage),
+                margin,
+                liquidationPrice: Number.isFinite(liquidationPrice) ? liquidationPrice : null,
+                openedAt: time,
+                fees: fee,
+                funding: 0,
+                realizedPnL: 0,
+                exits: [],
+                ...meta
+            };
+            account.positions.push(position);
+            recordEquity(time, price);
+            return { opened: true, reason: null, position: { ...position } };
+        };
+
+        /**
+         * Fecha uma posição inteira ou parte dela
+         * @param {string} id - Identificador da posição
+         * @param {Object} params
+         * @param {number} params.price - Preço de execução
+         * @param {number} [params.fraction] - Fração do tamanho ORIGINAL (padrão: todo o restante)
+         * @param {number} [params.time] - Momento da execução em ms
+         * @param {string} [params.reason] - Motivo (takeProfit, stopLoss, trailingStop, time, liquidation, manual...)
+         * @returns {Object|null} { pnl, fee, closed, position } ou null se a posição não existir
+         *          (fechada por completo, position traz exitPrice, exitReason e netPnL)
+         */
+        const closePosition = (id, { price, fraction = 1, time = Date.now(), reason = 'manual' }) => {
+            const position = getPosition(id);
+            if (!position || !(price > 0)) return null;
+
+            const quantity = Math.min(position.size * fraction, position.remainingSize);
+            const pnl = directionSign(position) * quantity * (price - position.entryPrice);
+            const fee = quantity * price * settings.takerFee / 100;
+            const releasedMargin = position.margin * (quantity / position.remainingSize);
+
+            account.balance += pnl - fee;
+            account.realizedPnL += pnl;
+            account.feesPaid += fee;
+
+            position.remainingSize -= quantity;
+            position.margin -= releasedMargin;
+            position.fees += fee;
+            position.realizedPnL += pnl;
+            position.exits.push({ time, price, quantity, pnl, fee, reason });
+
+            const closed = position.remainingSize <= position.size * EPSILON;
+            let record = { ...position };
+            if (closed) {
+                account.positions = account.positions.filter(open => open.id !== id);
+                const exitQuantity = position.exits.reduce((sum, exit) => sum + exit.quantity, 0);
+                record = {
+                    ...position,
+                    remainingSize: 0,
+                    margin: 0,
+                    exitPrice: position.exits.reduce((sum, exit) => sum + exit.price * exit.quantity, 0) / exitQuantity,
+                    exitReason: reason,
+                    closedAt: time,
+                    netPnL: position.realizedPnL - position.fees - position.funding
+                };
+                account.closedPositions.push(record);
+                if (account.closedPositions.length > settings.maxClosedPositions) account.closedPositions.shift();
+            }
+
+            recordEquity(time, price);
+            return { pnl, fee, closed, position: { ...record } };
+        };
+
+        /**
+         * Marca a conta a um novo preço: cobra funding dos períodos vencidos, liquida posições e
+         * grava um ponto na curva de patrimônio (no máximo um a cada equityIntervalMs)
+         * @param {number} price - Preço atual do símbolo
+         * @param {number} [time] - Momento em ms
+         * @returns {Object} { funding, liquidated: [posições], recorded }
+         */
+        const markPrice = (price, time = Date.now()) => {
+            if (!(price > 0)) return { funding: 0, liquidated: [], recorded: false };
+
+            // Funding: cada fechamento de período entre a última marcação e agora, para posições abertas antes dele
+            let funding = 0;
+            const interval = settings.fundingIntervalMs;
+            for (let boundary = (Math.floor(account.lastFundingTime / interval) + 1) * interval; boundary <= time; boundary += interval) {
+                account.positions.forEach(position => {
+                    if (position.openedAt >= boundary) return;
+                    const payment = directionSign(position) * position.remainingSize * price * settings.fundingRate / 100;
+                    position.funding += payment;
+                    account.balance -= payment;
+                    account.fundingPaid += payment;
+                    funding += payment;
+                });
+            }
+            account.lastFundingTime = Math.max(account.lastFundingTime, time);
+
+            // Liquidação: o restante sai no preço de liquidação (margem isolada perdida)
+            const liquidated = account.positions
+                .filter(position => isLiquidated(position, price))
+                .map(position => closePosition(position.id, { price: position.liquidationPrice, time, reason: 'liquidation' }).position);
+
+            const last = account.equityCurve[account.equityCurve.length - 1];
+            const recorded = funding !== 0 || liquidated.length > 0 || !last || time - last.time >= settings.equityIntervalMs;
+            if (recorded && liquidated.length === 0) recordEquity(time, price);
+
+            return { funding, liquidated, recorded };
+        };
+
+        /**
+         * Resumo da conta no preço informado
+         * @param {number} [price] - Preço atual (sem preço, o PnL não realizado é zero)
+         * @returns {Object} { symbol, balance, equity, unrealizedPnL, realizedPnL, usedMargin, availableBalance,
+         *          feesPaid, fundingPaid, returnPercent, positions, closedCount, winRate }
+         */
+        const getSnapshot = (price) => {
+            const positions = account.positions.map(position => {
+                const unrealizedPnL = Number.isFinite(price) ? unrealizedOf(position, price) : 0;
+                return {
+                    ...position,
+                    markPrice: price,
+                    unrealizedPnL,
+                    roe: position.margin > 0 ? (unrealizedPnL / position.margin) * 100 : 0
+                };
+            });
+            const unrealizedPnL = positions.reduce((sum, position) => sum + position.unrealizedPnL, 0);
+            const margin = usedMargin();
+            const equity = account.balance + unrealizedPnL;
+            const closed = account.closedPositions;
+
+            return {
+                symbol: account.symbol,
+                balance: account.balance,
+                equity,
+                unrealizedPnL,
+                realizedPnL: account.realizedPnL,
+                usedMargin: margin,
+                availableBalance: account.balance - margin + Math.min(0, unrealizedPnL),
+                feesPaid: account.feesPaid,
+                fundingPaid: account.fundingPaid,
+                returnPercent: ((equity - account.initialBalance) / account.initialBalance) * 100,
+                positions,
+                closedCount: closed.length,
+                winRate: closed.length > 0 ? (closed.filter(position => position.netPnL > 0).length / closed.length) * 100 : null
+            };
+        };
+
+        /**
+         * Zera a conta (novo saldo inicial, sem posições nem curva)
+         * @param {number} [initialBalance] - Novo saldo inicial
+         */
+        const reset = (initialBalance = settings.initialBalance, now = Date.now()) => {
+            settings = { ...settings, initialBalance };
+            account = createEmptyState(account.symbol, settings, now);
+        };
+
+        const updateSettings = (partial) => {
+            settings = { ...settings, ...partial };
+            delete settings.symbol;
+            return { ...settings };
+        };
+
+        return {
+            openPosition,
+            closePosition,
+            markPrice,
+            getSnapshot,
+            getPosition: (id) => {
+                const position = getPosition(id);
+                return position ? { ...position } : null;
+            },
+            getEquityCurve: () => account.equityCurve.map(point => ({ ...point })),
+            getClosedPositions: () => account.closedPositions.map(position => ({ ...position })),
+            updateSettings,
+            getSettings: () => ({ ...settings }),
+            reset,
+            toJSON: () => JSON.parse(JSON.stringify(account))
+        };
+    };
+
+    /**
+     * Recria uma conta a partir do estado salvo
+     * @param {Object} saved - Resultado de toJSON
+     * @param {Object} [options] - Configurações (taxas, funding, limites)
+     * @returns {Object} Conta (mesma API de create)
+     */
+    const restore = (saved, options = {}) => create({ ...options, symbol: options.symbol || saved.symbol }, saved);
+
+    // =========================================================================
+    // EXPORTAR API
+    // =========================================================================
+    return {
+        create,
+        restore,
+        getDefaults: () => ({ ...DEFAULT_SETTINGS })
+    };
+})();
+
+// Exportar para uso no Node (CommonJS/ESM: import PaperAccount from './paperAccount.js')
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PaperAccount;
+}
+
+// Expor globalmente
+if (typeof window !== 'undefined') {
+    window.PaperAccount = PaperAccount;
+}
@@ -7,12 +7,19 @@
 // HELPERS
 // ================================
 
+function resolveDecisionEvaluator() {
+    if (typeof window !== 'undefined' && window.DecisionEvaluator) return window.DecisionEvaluator;
+    if (typeof require === 'function') return require('./evaluation.js');
+    return null;
+}
+
 function getEvaluatedDecisions(limit = 1000) {
-    if (typeof window === 'undefined' || !window.DecisionEvaluator) {
+    const evaluator = resolveDecisionEvaluator();
+    if (!evaluator) {
         return [];
     }
 
-    const history = window.DecisionEvaluator.getDecisionHistory(limit) || [];
+    const history = evaluator.getDecisionHistory(limit) || [];
     return history.filter(d => d.status === 'evaluated' && d.evaluation);
 }
 
@@ -47,23 +54,31 @@ function updateBucket(bucket, decision) {
 // RELATÓRIOS
 // ================================
 
+// Regimes do classificador do engine (MarketAnalysisEngine.getMarketRegimes)
+const MARKET_REGIMES = ['strong_trend', 'weak_trend', 'range', 'high_vol_breakout', 'squeeze'];
+
+/**
+ * Performance por regime de mercado (marketContext.marketRegime)
+ * Decisões antigas com o regime de tendência das EMAs (uptrend/downtrend/sideways) ganham buckets próprios
+ */
 function getPerformanceByMarketRegime(limit = 1000) {
     const evaluated = getEvaluatedDecisions(limit);
 
-    const buckets = {
-        uptrend: initBucket('uptrend'),
-        downtrend: initBucket('downtrend'),
-        sideways: initBucket('sideways'),
-        unknown: initBucket('unknown')
-    };
+    const buckets = {};
+    MARKET_REGIMES.forEach(regime => {
+        buckets[regime] = initBucket(regime);
+    });
 
     evaluated.forEach(decision => {
-        const regime = decision.marketContext?.marketRegime || 'unknown';
-        const key = buckets[regime] ? regime : 'unknown';
+        const regime = decision.marketContext?.marketRegime;
+        const key = typeof regime === 'string' && regime ? regime : 'unknown';
+        if (!buckets[key]) buckets[key] = initBucket(key);
         updateBucket(buckets[key], decision);
     });
 
-    return Object.values(buckets).map(finalizeBucket);
+    if (!buckets.unknown) buckets.unknown = initBucket('unknown');
+    const { unknown, ...known } = buckets;
+    return [...Object.values(known), unknown].map(finalizeBucket);
 }
 
 function getPerformanceByVolatilityRange(limit = 1000) {
@@ -131,6 +146,15 @@ function getAllPerformanceReports(limit = 1000) {
 // EXPORTAÇÃO
 // ================================
 
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getPerformanceByMarketRegime,
+        getPerformanceByVolatilityRange,
+        getPerformanceByConfidenceRange,
+        getAllPerformanceReports
+    };
+}
+
 if (typeof window !== 'undefined') {
     window.PerformanceAnalysis = {
         getPerformanceByMarketRegime,
@@ -0,0 +1,306 @@
+/**
+ * RiskManager - Dimensionamento de Posição e Limites de Risco - ZingSignals
+ *
+ * Dimensiona cada trade a partir do patrimônio da conta e do risco por trade (% do patrimônio perdido
+ * se o stop for atingido), limita a alavancagem pela distância até a liquidação (o stop precisa vir
+ * antes dela, com folga), bloqueia novas entradas após a perda diária máxima ou com posições demais
+ * abertas entre todos os timeframes, e calcula o PnL em moeda no fechamento.
+ * O estado da conta vem de um livro próprio (persistível com toJSON), comum a todos os símbolos:
+ * trocar de símbolo ou descartar trades antigos do histórico não zera perda diária, posições nem PnL.
+ */
+
+const RiskManager = (() => {
+    // =========================================================================
+    // CONFIGURAÇÃO
+    // =========================================================================
+    const DEFAULT_SETTINGS = {
+        accountEquity: 10000,        // Patrimônio inicial da conta (USD)
+        riskPerTrade: 1,             // % do patrimônio arriscado até o stop
+        maxLeverage: 20,             // Teto absoluto de alavancagem
+        maintenanceMargin: 0.5,      // % de margem de manutenção (margem isolada)
+        liquidationBuffer: 1.5,      // A liquidação precisa ficar a pelo menos 1.5× a distância do stop
+        dailyLossLimit: 3,           // % do patrimônio do início do dia (UTC) que pode ser perdido no dia
+        maxConcurrentPositions: 3    // Posições abertas somando todos os timeframes
+    };
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const CLOSED_RETENTION_MS = 2 * DAY_MS; // Fechamentos guardados para a perda diária
+
+    // =========================================================================
+    // FUNÇÕES PRIVADAS
+    // =========================================================================
+
+    const isSized = (trade) => Number.isFinite(trade.positionSize) && trade.positionSize > 0;
+
+    const directionSign = (trade) => (trade.prediction === 'VENDA' || trade.direction === 'SELL' ? -1 : 1);
+
+    /**
+     * Chave de uma posição no livro da conta
+     * @param {string} symbol - Símbolo
+     * @param {string} timeframe - Timeframe
+     * @param {Object} trade - Trade (timestamp de entrada)
+     * @returns {string} Chave
+     */
+    const positionKey = (symbol, timeframe, trade) => `${symbol}_${timeframe}_${trade.timestamp}`;
+
+    // Livro: PnL realizado acumulado, fechamentos recentes, posições abertas e símbolos já migrados
+    const createLedger = (saved = {}) => ({
+        realizedPnL: Number.isFinite(saved.realizedPnL) ? saved.realizedPnL : 0,
+        closed: Array.isArray(saved.closed) ? saved.closed.map(entry => ({ ...entry })) : [],
+        open: { ...(saved.open || {}) },
+        symbols: Array.isArray(saved.symbols) ? [...saved.symbols] : []
+    });
+
+    // =========================================================================
+    // CRIAÇÃO DO GERENCIADOR
+    // =========================================================================
+
+    /**
+     * Cria um gerenciador de risco
+     * @param {Object} [options] - Sobrescreve DEFAULT_SETTINGS
+     * @param {Object} [savedLedger] - Livro da conta salvo com toJSON()
+     * @returns {Object} { sizePosition, evaluateEntry, settleTrade, openPosition, closePosition, syncPositions,
+     *          getAccountState, getMaxLeverage, updateSettings, getSettings, toJSON }
+     */
+    const create = (options = {}, savedLedger = null) => {
+        let settings = { ...DEFAULT_SETTINGS, ...options };
+        const ledger = createLedger(savedLedger || {});
+
+        const markSymbol = (symbol) => {
+            if (!ledger.symbols.includes(symbol)) ledger.symbols.push(symbol);
+        };
+
+        const recordClose = (key, pnl, closedAt) => {
+            ledger.realizedPnL += pnl;
+            ledger.closed.push({ key, pnl, closedAt });
+            ledger.closed = ledger.closed.filter(entry => closedAt - entry.closedAt <= CLOSED_RETENTION_MS);
+        };
+
+        /**
+         * Alavancagem máxima para que o stop seja atingido antes da liquidação
+         * Liquidação (margem isolada) a 1/L - manutenção do preço de entrada: 1/L - mm ≥ distância do stop × folga
+         * @param {number} entryPrice - Preço de entrada
+         * @param {number} stopLoss - Preço do stop
+         * @returns {number} Alavancagem máxima (≥ 1, limitada por maxLeverage)
+         */
+        const getMaxLeverage = (entryPrice, stopLoss) => {
+            const stopDistance = Math.abs(entryPrice - stopLoss) / entryPrice;
+            const required = stopDistance * settings.liquidationBuffer + settings.maintenanceMargin / 100;
+            const byLiquidation = required > 0 ? Math.floor(1 / required) : settings.maxLeverage;
+            return Math.max(1, Math.min(settings.maxLeverage, byLiquidation));
+        };
+
+        /**
+         * Dimensiona uma posição pelo risco até o stop
+         * @param {Object} params
+         * @param {number} params.entryPrice - Preço de entrada
+         * @param {number} params.stopLoss - Preço do stop
+         * @param {number} [params.leverage] - Alavancagem desejada (limitada pela liquidação)
+         * @param {number} [params.equity] - Patrimônio atual (padrão: accountEquity)
+         * @param {string} [params.prediction] - COMPRA | VENDA (preço de liquidação)
+         * @returns {Object|null} { positionSize, notional, margin, leverage, maxLeverage, liquidationPrice,
+         *          riskAmount, riskPercent, stopDistance, capped } ou null se o stop for inválido
+         */
+        const sizePosition = ({ entryPrice, stopLoss, leverage = 1, equity = settings.accountEquity, prediction = 'COMPRA' }) => {
+            const stopDistance = Math.abs(entryPrice - stopLoss);
+            if (!(entryPrice > 0) || !(stopDistance > 0) || !(equity > 0)) return null;
+
+            const maxLeverage = getMaxLeverage(entryPrice, stopLoss);
+            const effectiveLeverage = Math.max(1, Math.min(leverage, maxLeverage));
+
+            // Quantidade que perde riskPerTrade% do patrimônio no stop, limitada pela margem disponível
+            let positionSize = (equity * settings.riskPerTrade / 100) / stopDistance;
+            const maxSize = (equity * effectiveLeverage) / entryPrice;
+            const capped = positionSize > maxSize;
+            if (capped) positionSize = maxSize;
+
+            const notional = positionSize * entryPrice;
+            const riskAmount = positionSize * stopDistance;
+            const liquidationDistance = 1 / effectiveLeverage - settings.maintenanceMargin / 100;
+            const sign = prediction === 'VENDA' ? -1 : 1;
+
+            return {
+                positionSize,
+                notional,
+                margin: notional / effectiveLeverage,
+                leverage: effectiveLeverage,
+                maxLeverage,
+                liquidationPrice: effectiveLeverage > 1 ? entryPrice * (1 - sign * liquidationDistance) : null,
+                riskAmount,
+                riskPercent: (riskAmount / equity) * 100,
+                stopDistance: (stopDistance / entryPrice) * 100,
+                capped
+            };
+        };
+
+        /**
+         * Estado da conta a partir do livro (todos os símbolos)
+         * @param {number} [now] - Momento atual em ms
+         * @returns {Object} { equity, realizedPnL, dailyPnL, dayStartEquity, openPositions, dailyLossLimitHit }
+         */
+        const getAccountState = (now = Date.now()) => {
+            const dayStart = Math.floor(now / DAY_MS) * DAY_MS;
+            const dailyPnL = ledger.closed
+                .filter(entry => entry.closedAt >= dayStart)
+                .reduce((sum, entry) => sum + entry.pnl, 0);
+
+            const equity = settings.accountEquity + ledger.realizedPnL;
+            const dayStartEquity = equity - dailyPnL;
+
+            return {
+                equity,
+                realizedPnL: ledger.realizedPnL,
+                dailyPnL,
+                dayStartEquity,
+                openPositions: Object.keys(ledger.open).length,
+                dailyLossLimitHit: dailyPnL < 0 && dailyPnL <= -(dayStartEquity * settings.dailyLossLimit / 100)
+            };
+        };
+
+        /**
+         * Verifica os limites e dimensiona uma nova entrada
+         * @param {Object} params - { entryPrice, stopLoss, leverage, prediction, now }
+         * @returns {Object} { allowed, reason, position, account }
+         */
+        const evaluateEntry = ({ entryPrice, stopLoss, leverage, prediction, now }) => {
+            const account = getAccountState(now);
+
+            if (account.equity <= 0) {
+                return { allowed: false, reason: 'patrimônio esgotado', position: null, account };
+            }
+            if (account.dailyLossLimitHit) {
+                return { allowed: false, reason: `perda diária de ${settings.dailyLossLimit}% atingida`, position: null, account };
+            }
+            if (account.openPositions >= settings.maxConcurrentPositions) {
+                return { allowed: false, reason: `${account.openPositions} posições abertas (máximo ${settings.maxConcurrentPositions})`, position: null, account };
+            }
+
+            const position = sizePosition({ entryPrice, stopLoss, leverage, equity: account.equity, prediction });
+            if (!position) {
+                return { allowed: false, reason: 'stop inválido para dimensionar a posição', position: null, account };
+            }
+            return { allowed: true, reason: null, position, account };
+        };
+
+        /**
+         * PnL em moeda de um trade dimensionado
+         * @param {Object} trade - Trade com positionSize, entryPrice e prediction
+         * @param {number} exitPrice - Preço de saída
+         * @param {number} [closedAt] - Momento do fechamento em ms
+         * @returns {Object|null} { pnl, pnlPercent (% do patrimônio na entrada), closedAt } ou null se o trade não foi dimensionado
+         */
+        const settleTrade = (trade, exitPrice, closedAt = Date.now()) => {
+            if (!isSized(trade)) return null;
+            const pnl = directionSign(trade) * trade.positionSize * (exitPrice - trade.entryPrice);
+            return {
+                pnl,
+                pnlPercent: trade.riskAmount > 0 ? (pnl / trade.riskAmount) * trade.riskPercent : null,
+                closedAt
+            };
+        };
+
+        /**
+         * Registra no livro uma posição aberta
+         * @param {string} symbol - Símbolo
+         * @param {string} timeframe - Timeframe
+         * @param {Object} trade - Trade dimensionado
+         * @returns {boolean} Se a posição foi registrada (trades sem tamanho não entram no livro)
+         */
+        const openPosition = (symbol, timeframe, trade) => {
+            if (!isSized(trade)) return false;
+            markSymbol(symbol);
+            ledger.open[positionKey(symbol, timeframe, trade)] = { symbol, timeframe, openedAt: trade.timestamp };
+            return true;
+        };
+
+        /**
+         * Registra no livro o fechamento de uma posição (use depois de settleTrade)
+         * @param {string} symbol - Símbolo
+         * @param {string} timeframe - Timeframe
+         * @param {Object} trade - Trade com pnl e closedAt
+         * @returns {boolean} Se o PnL foi contabilizado
+         */
+        const closePosition = (symbol, timeframe, trade) => {
+            const key = positionKey(symbol, timeframe, trade);
+            delete ledger.open[key];
+            if (!Number.isFinite(trade.pnl) || ledger.closed.some(entry => entry.key === key)) return false;
+            markSymbol(symbol);
+            recordClose(key, trade.pnl, trade.closedAt || Date.now());
+            return true;
+        };
+
+        /**
+         * Alinha as posições abertas de um símbolo com seu histórico de trades
+         * Posições que sumiram do histórico (histórico limpo) saem do livro; na primeira vez que o símbolo
+         * é visto, o PnL dos trades já fechados (histórico anterior ao livro) é importado
+         * @param {string} symbol - Símbolo
+         * @param {Object} tradeHistory - Trades do símbolo por timeframe ({ '1m': [...] })
+         * @param {number} [now] - Momento atual em ms
+         * @returns {Object} { open, imported } posições abertas do símbolo e fechamentos importados
+         */
+        const syncPositions = (symbol, tradeHistory, now = Date.now()) => {
+            const firstSync = !ledger.symbols.includes(symbol);
+            markSymbol(symbol);
+
+            Object.keys(ledger.open)
+                .filter(key => ledger.open[key].symbol === symbol)
+                .forEach(key => delete ledger.open[key]);
+
+            let imported = 0;
+            Object.entries(tradeHistory || {}).forEach(([timeframe, trades]) => {
+                (trades || []).filter(isSized).forEach(trade => {
+                    if (!trade.validated) {
+                        openPosition(symbol, timeframe, trade);
+                    } else if (firstSync && Number.isFinite(trade.pnl)) {
+                        const closedAt = trade.closedAt || trade.timestamp;
+                        ledger.realizedPnL += trade.pnl;
+                        if (now - closedAt <= CLOSED_RETENTION_MS) {
+                            ledger.closed.push({ key: positionKey(symbol, timeframe, trade), pnl: trade.pnl, closedAt });
+                        }
+                        imported++;
+                    }
+                });
+            });
+
+            return { open: Object.values(ledger.open).filter(position => position.symbol === symbol).length, imported };
+        };
+
+        const updateSettings = (partial) => {
+            settings = { ...settings, ...partial };
+            return { ...settings };
+        };
+
+        return {
+            sizePosition,
+            evaluateEntry,
+            settleTrade,
+            openPosition,
+            closePosition,
+            syncPositions,
+            getAccountState,
+            getMaxLeverage,
+            updateSettings,
+            getSettings: () => ({ ...settings }),
+            toJSON: () => createLedger(ledger)
+        };
+    };
+
+    // =========================================================================
+    // EXPORTAR API
+    // =========================================================================
+    return {
+        create,
+        positionKey,
+        getDefaults: () => ({ ...DEFAULT_SETTINGS })
+    };
+})();
+
+// Exportar para uso no Node (CommonJS/ESM: import RiskManager from './riskManager.js')
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RiskManager;
+}
+
+// Expor globalmente
+if (typeof window !== 'undefined') {
+    window.RiskManager = RiskManager;
+}
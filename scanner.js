@@ -0,0 +1,174 @@
+/**
+ * Scanner - Watchlist Multi-Símbolo - ZingSignals
+ *
+ * Roda o engine (analyzeMarket) em todos os timeframes de uma lista de símbolos, com
+ * concorrência limitada, e classifica o resultado por força do score, confiança ou
+ * confluência entre timeframes. As velas vêm de qualquer adaptador do MarketData.
+ */
+
+const Scanner = (() => {
+    // =========================================================================
+    // CONFIGURAÇÃO
+    // =========================================================================
+    const DEFAULTS = {
+        timeframes: ['1m', '5m', '15m', '1h'],
+        limit: 200,        // Velas por timeframe (mesmo seed do dashboard)
+        concurrency: 4     // Símbolos analisados em paralelo
+    };
+
+    const SORT_KEYS = ['strength', 'score', 'confidence', 'confluence', 'symbol'];
+
+    // =========================================================================
+    // DEPENDÊNCIAS
+    // =========================================================================
+    const resolveEngine = () => {
+        if (typeof window !== 'undefined' && window.MarketAnalysisEngine) return window.MarketAnalysisEngine;
+        if (typeof require === 'function') return require('./engine.js');
+        throw new Error('MarketAnalysisEngine indisponível');
+    };
+
+    // =========================================================================
+    // FUNÇÕES PRIVADAS
+    // =========================================================================
+
+    /**
+     * Consolida as análises dos timeframes de um símbolo
+     * Direção = maioria entre COMPRA/VENDA; confluência = fração dos timeframes nessa direção
+     */
+    const summarize = (symbol, exchange, analyses) => {
+        const entries = Object.values(analyses);
+        const bullish = entries.filter(a => a.direction === 'BUY').length;
+        const bearish = entries.filter(a => a.direction === 'SELL').length;
+        const direction = bullish > bearish ? 'BUY' : bearish > bullish ? 'SELL' : 'NEUTRAL';
+        const agreeing = direction === 'BUY' ? bullish : direction === 'SELL' ? bearish : 0;
+
+        return {
+            symbol,
+            exchange,
+            price: entries.length > 0 ? entries[0].price : null,
+            direction,
+            score: entries.reduce((sum, a) => sum + a.score, 0) / entries.length,
+            confidence: entries.reduce((sum, a) => sum + a.confidence, 0) / entries.length,
+            confluence: agreeing / entries.length,
+            bullish,
+            bearish,
+            timeframes: analyses,
+            error: null
+        };
+    };
+
+    const analyzeSymbol = async (engine, symbol, adapter, options) => {
+        const analyses = {};
+
+        for (const timeframe of options.timeframes) {
+            const klines = await adapter.fetchKlines({ symbol, interval: timeframe, limit: options.limit });
+            if (!Array.isArray(klines) || klines.length < 2) {
+                throw new Error(`sem velas suficientes em ${timeframe}`);
+            }
+            const result = engine.analyzeMarket({
+                klines,
+                timeframe,
+                config: options.config,
+                weights: options.weights
+            });
+            analyses[timeframe] = {
+                direction: result.direction,
+                score: result.totalScore,
+                confidence: result.confidence,
+                price: result.indicators.currentPrice
+            };
+        }
+
+        return summarize(symbol, adapter.exchange, analyses);
+    };
+
+    // =========================================================================
+    // API PÚBLICA
+    // =========================================================================
+
+    /**
+     * Analisa uma watchlist inteira
+     * @param {Object} params
+     * @param {Array<string>} params.symbols - Símbolos (ex.: ['BTCUSDT', 'ETHUSDT'])
+     * @param {Object} params.config - Config da análise (tradingMode, divergenceDetection, ...)
+     * @param {Function|Object} params.adapter - Adaptador do MarketData ou (symbol) => adaptador
+     * @param {Array<string>} [params.timeframes] - Timeframes analisados
+     * @param {Object} [params.weights] - Pesos por indicador
+     * @param {number} [params.limit] - Velas por timeframe
+     * @param {number} [params.concurrency] - Símbolos em paralelo
+     * @param {Function} [params.onProgress] - Recebe { done, total, symbol }
+     * @returns {Promise<Array<Object>>} Resultados ordenados por força (erros por símbolo ficam em error)
+     */
+    const scan = async (params) => {
+        const engine = resolveEngine();
+        const options = { ...DEFAULTS, ...params };
+        const symbols = [...new Set(params.symbols)];
+        const getAdapter = typeof params.adapter === 'function' ? params.adapter : () => params.adapter;
+
+        const results = [];
+        let next = 0;
+        let done = 0;
+
+        // Pool simples: cada worker pega o próximo símbolo até a lista acabar
+        const worker = async () => {
+            while (next < symbols.length) {
+                const symbol = symbols[next++];
+                const adapter = getAdapter(symbol);
+                try {
+                    results.push(await analyzeSymbol(engine, symbol, adapter, options));
+                } catch (error) {
+                    console.warn(`⚠️ Scanner: falha em ${symbol}:`, error.message);
+                    results.push({ symbol, exchange: adapter && adapter.exchange, error: error.message });
+                }
+                done++;
+                if (params.onProgress) params.onProgress({ done, total: symbols.length, symbol });
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(options.concurrency, symbols.length) }, worker));
+        return rank(results);
+    };
+
+    /**
+     * Ordena os resultados (símbolos com erro sempre no fim)
+     * @param {Array<Object>} results - Resultados de scan
+     * @param {Object} [options]
+     * @param {string} [options.sortBy] - strength (|score|) | score | confidence | confluence | symbol
+     * @param {string} [options.order] - desc | asc (padrão: desc; asc para symbol)
+     * @returns {Array<Object>} Nova lista ordenada
+     */
+    const rank = (results, options = {}) => {
+        const sortBy = SORT_KEYS.includes(options.sortBy) ? options.sortBy : 'strength';
+        const order = options.order || (sortBy === 'symbol' ? 'asc' : 'desc');
+        const sign = order === 'asc' ? 1 : -1;
+
+        const valueOf = (result) => {
+            if (sortBy === 'strength') return Math.abs(result.score);
+            return result[sortBy];
+        };
+
+        return [...results].sort((a, b) => {
+            if (a.error || b.error) return (a.error ? 1 : 0) - (b.error ? 1 : 0);
+            if (sortBy === 'symbol') return sign * a.symbol.localeCompare(b.symbol);
+            const diff = valueOf(a) - valueOf(b);
+            // Desempate: confluência e depois força
+            return sign * (diff || (a.confluence - b.confluence) || (Math.abs(a.score) - Math.abs(b.score)));
+        });
+    };
+
+    return {
+        scan,
+        rank,
+        getDefaults: () => ({ ...DEFAULTS })
+    };
+})();
+
+// Exportar para uso no Node (CommonJS/ESM: import Scanner from './scanner.js')
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Scanner;
+}
+
+// Expor globalmente
+if (typeof window !== 'undefined') {
+    window.Scanner = Scanner;
+}
@@ -3,6 +3,12 @@
  * Gera insights estratégicos a partir dos relatórios de performance (somente leitura)
  */
 
+function resolvePerformanceAnalysis() {
+    if (typeof window !== 'undefined' && window.PerformanceAnalysis) return window.PerformanceAnalysis;
+    if (typeof require === 'function') return require('./performanceAnalysis.js');
+    return null;
+}
+
 function buildInsightsFromReports(reports) {
     if (!reports) {
         return {
@@ -45,7 +51,8 @@ function buildInsightsFromReports(reports) {
 }
 
 function generateStrategyInsights(limit = 1000) {
-    if (typeof window === 'undefined' || !window.PerformanceAnalysis) {
+    const performanceAnalysis = resolvePerformanceAnalysis();
+    if (!performanceAnalysis) {
         return {
             summary: 'PerformanceAnalysis indisponível.',
             positives: [],
@@ -54,10 +61,17 @@ function generateStrategyInsights(limit = 1000) {
         };
     }
 
-    const reports = window.PerformanceAnalysis.getAllPerformanceReports(limit);
+    const reports = performanceAnalysis.getAllPerformanceReports(limit);
     return buildInsightsFromReports(reports);
 }
 
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        generateStrategyInsights,
+        buildInsightsFromReports
+    };
+}
+
 if (typeof window !== 'undefined') {
     window.StrategyInsights = {
         generateStrategyInsights,
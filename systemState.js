@@ -88,6 +88,15 @@ const SystemState = (() => {
         };
     };
 
+    const normalizeEntry = (data) => ({
+        timeframe: data.timeframe || 'unknown',
+        direction: data.direction || 'NEUTRAL',
+        success: data.success,
+        return: data.return || 0,
+        confidence: data.confidence || 0,
+        timestamp: data.timestamp || Date.now()
+    });
+
     // =========================================================================
     // API PÚBLICA
     // =========================================================================
@@ -102,14 +111,7 @@ const SystemState = (() => {
             return;
         }
 
-        decisionWindow.push({
-            timeframe: data.timeframe || 'unknown',
-            direction: data.direction || 'NEUTRAL',
-            success: data.success,
-            return: data.return || 0,
-            confidence: data.confidence || 0,
-            timestamp: data.timestamp || Date.now()
-        });
+        decisionWindow.push(normalizeEntry(data));
 
         // Manter apenas últimas N decisões
         if (decisionWindow.length > WINDOW_SIZE) {
@@ -162,6 +164,18 @@ const SystemState = (() => {
      */
     const getWindow = () => [...decisionWindow];
 
+    /**
+     * Reconstrói a janela a partir de decisões avaliadas persistidas (ex.: após recarregar a página)
+     * @param {Array<Object>} entries - Mesmo formato de recordDecision, em ordem cronológica
+     */
+    const restore = (entries) => {
+        decisionWindow = (entries || [])
+            .filter(data => data && data.success !== undefined)
+            .slice(-WINDOW_SIZE)
+            .map(normalizeEntry);
+        console.log(`📊 SystemState restaurado: ${decisionWindow.length}/${WINDOW_SIZE} decisões monitoradas`);
+    };
+
     /**
      * Limpa o estado (útil ao trocar de símbolo)
      */
@@ -178,10 +192,16 @@ const SystemState = (() => {
         getSnapshot,
         getRecentMetrics,
         getWindow,
+        restore,
         reset
     };
 })();
 
+// Exportar para uso no Node (CommonJS/ESM: import SystemState from './systemState.js')
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SystemState;
+}
+
 // Expor globalmente
 if (typeof window !== 'undefined') {
     window.SystemState = SystemState;
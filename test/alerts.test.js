@@ -0,0 +1,117 @@
+/**
+ * Testes do Alerts: transições, cooldown e entrega contra um servidor HTTP local
+ * Executar: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const Alerts = require('../alerts.js');
+
+// Servidor que registra cada POST; caminhos com "fail" respondem 500
+const startServer = async (t) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, path: req.url, body: JSON.parse(body || '{}') });
+            res.statusCode = req.url.includes('fail') ? 500 : 200;
+            res.end('{}');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return { baseUrl: `http://127.0.0.1:${server.address().port}`, requests };
+};
+
+const context = (timestamp, { confidence = 75, rsi = 50, symbol = 'BTCUSDT' } = {}) => ({
+    symbol,
+    price: 100,
+    timestamp,
+    analyses: {
+        '5m': { direction: 'COMPRA', confidence, indicators: { rsi: { value: 50 } } },
+        '1h': { direction: 'VENDA', confidence: 60, indicators: { rsi: { value: rsi } } }
+    },
+    whale: { buyPressure: 70 },
+    system: { consecutiveErrors: 0 }
+});
+
+const silentChannels = { browser: { enabled: false } };
+
+test('parseConditions entende && e "e" e recusa operadores inválidos', () => {
+    assert.deepStrictEqual(Alerts.parseConditions('5m.direction = compra e 1h.rsi < 25'), [
+        { metric: '5m.direction', op: '=', value: 'COMPRA' },
+        { metric: '1h.rsi', op: '<', value: 25 }
+    ]);
+    assert.throws(() => Alerts.parseConditions('rsi ~ 3'), /Condição inválida/);
+});
+
+test('dispara só na transição falso → verdadeiro', async () => {
+    const alerts = Alerts.create({ channels: silentChannels, cooldownMs: 0, rules: [{ id: 'rsi', expression: '1h.rsi < 25' }] });
+
+    assert.deepStrictEqual((await alerts.evaluate(context(0, { rsi: 20 }))).map(a => a.ruleId), ['rsi']);
+    assert.strictEqual((await alerts.evaluate(context(1000, { rsi: 18 }))).length, 0, 'condição continua verdadeira');
+    assert.strictEqual((await alerts.evaluate(context(2000, { rsi: 40 }))).length, 0);
+    assert.deepStrictEqual((await alerts.evaluate(context(3000, { rsi: 20 }))).map(a => a.ruleId), ['rsi'], 'nova transição');
+});
+
+test('respeita o cooldown por regra e por símbolo', async () => {
+    const alerts = Alerts.create({
+        channels: silentChannels,
+        cooldownMs: 60000,
+        rules: [{ id: 'conf', expression: '5m.direction = COMPRA && 5m.confidence > 70' }]
+    });
+
+    assert.strictEqual((await alerts.evaluate(context(0))).length, 1);
+    await alerts.evaluate(context(10000, { confidence: 50 }));
+    assert.strictEqual((await alerts.evaluate(context(20000))).length, 0, 'transição dentro do cooldown');
+    assert.strictEqual((await alerts.evaluate(context(20000, { symbol: 'ETHUSDT' }))).length, 1, 'outro símbolo tem seu próprio cooldown');
+
+    await alerts.evaluate(context(61000, { confidence: 50 }));
+    assert.strictEqual((await alerts.evaluate(context(62000))).length, 1, 'transição depois do cooldown');
+    assert.strictEqual(alerts.getHistory().length, 3);
+});
+
+test('entrega em webhook, Telegram e Discord e registra as falhas sem parar os outros canais', async (t) => {
+    const { baseUrl, requests } = await startServer(t);
+    const alerts = Alerts.create({
+        cooldownMs: 0,
+        channels: {
+            browser: { enabled: false },
+            webhook: { enabled: true, url: `${baseUrl}/hook` },
+            telegram: { enabled: true, botToken: 'TOKEN', chatId: '42', apiBaseUrl: baseUrl },
+            discord: { enabled: true, webhookUrl: `${baseUrl}/discord/fail` }
+        },
+        rules: [
+            { id: 'whale', name: 'Baleias compradoras', expression: 'whale.buyPressure > 65' },
+            { id: 'hook-only', expression: '5m.confidence >= 75', channels: ['webhook'] }
+        ]
+    });
+
+    const fired = await alerts.evaluate(context(0));
+    const whale = fired.find(alert => alert.ruleId === 'whale');
+    const hookOnly = fired.find(alert => alert.ruleId === 'hook-only');
+
+    assert.deepStrictEqual(whale.deliveries.map(d => [d.channel, d.ok]), [['webhook', true], ['telegram', true], ['discord', false]]);
+    assert.deepStrictEqual(hookOnly.deliveries.map(d => d.channel), ['webhook']);
+
+    const telegram = requests.find(request => request.path === '/botTOKEN/sendMessage');
+    assert.strictEqual(telegram.body.chat_id, '42');
+    assert.match(telegram.body.text, /BTCUSDT: Baleias compradoras/);
+    assert.match(telegram.body.text, /whale\.buyPressure > 65 \(atual: 70\)/);
+
+    const hooks = requests.filter(request => request.path === '/hook');
+    assert.strictEqual(hooks.length, 2);
+    assert.deepStrictEqual(hooks.map(request => request.body.rule.id).sort(), ['hook-only', 'whale']);
+    assert.strictEqual(hooks[0].body.symbol, 'BTCUSDT');
+});
+
+test('sendTest ignora regras e cooldown', async (t) => {
+    const { baseUrl, requests } = await startServer(t);
+    const alerts = Alerts.create({ channels: { browser: { enabled: false }, webhook: { enabled: true, url: `${baseUrl}/hook` } } });
+
+    const alert = await alerts.sendTest('webhook');
+    assert.deepStrictEqual(alert.deliveries, [{ channel: 'webhook', ok: true }]);
+    assert.strictEqual(requests.length, 1);
+});
@@ -0,0 +1,141 @@
+/**
+ * Testes do Backtester: saídas dentro da vela, taxas, slippage, funding, liquidação e métricas
+ * O engine é substituído por um roteiro de scores para que as entradas sejam conhecidas
+ * Executar: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Backtester = require('../backtest.js');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+// Engine roteirizado: a n-ésima decisão do backtest tem score scores[n] (0 = sem sinal) e ATR fixo
+const useScriptedEngine = (t, scores, atr = 1) => {
+    let decision = 0;
+    const pipeline = {
+        seed: () => pipeline,
+        pushCandle: () => true,
+        updatePrice: () => {},
+        analyze: () => {
+            const totalScore = scores[decision++] || 0;
+            return {
+                totalScore,
+                direction: totalScore > 0 ? 'BUY' : totalScore < 0 ? 'SELL' : 'NEUTRAL',
+                indicators: { atr },
+                scores: {},
+                contributions: {}
+            };
+        }
+    };
+    global.window = { MarketAnalysisEngine: { createIndicatorPipeline: () => pipeline } };
+    t.after(() => { delete global.window; });
+};
+
+// Velas horárias [timestamp, open, high, low, close, volume]; a primeira é o warm-up
+const bars = (...ohlc) => [[100, 100, 100, 100], ...ohlc].map(([open, high, low, close], i) => [START + i * HOUR, open, high, low, close, 10]);
+
+const OPTIONS = { warmup: 1, horizonCandles: 0, initialCapital: 1000, makerFee: 0.0002, takerFee: 0.0004, slippage: 0.0005 };
+
+const near = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message || ''} ${actual} ≠ ${expected}`);
+
+test('alvo atingido dentro da vela sai no preço do TP, sem slippage e com taxa maker', (t) => {
+    useScriptedEngine(t, [80]);
+    const { trades, stats } = Backtester.run(bars([100, 104, 99.5, 103]), OPTIONS);
+
+    const [trade] = trades;
+    const entry = 100 * 1.0005;
+    const quantity = 1000 / entry;
+    assert.strictEqual(trade.exitReason, 'TP');
+    assert.strictEqual(trade.result, 'TP_HIT');
+    near(trade.entryPrice, entry, 'entrada com slippage');
+    near(trade.endPrice, entry + 3);
+    near(trade.fees, 1000 * 0.0004 + quantity * (entry + 3) * 0.0002, 'taker na entrada, maker no alvo');
+    near(stats.finalCapital, 1000 + quantity * 3 - trade.fees);
+});
+
+test('com alvo e stop na mesma vela o stop prevalece, a mercado com slippage', (t) => {
+    useScriptedEngine(t, [80]);
+    const { trades } = Backtester.run(bars([100, 105, 98, 101]), OPTIONS);
+
+    const stop = 100 * 1.0005 - 1.5;
+    assert.strictEqual(trades[0].exitReason, 'SL');
+    near(trades[0].endPrice, stop * (1 - 0.0005));
+});
+
+test('gap na abertura além do stop sai na abertura', (t) => {
+    useScriptedEngine(t, [-80]);
+    const { trades } = Backtester.run(bars([100, 100.5, 99.8, 100.2], [103, 103.5, 102.5, 103]), OPTIONS);
+
+    assert.strictEqual(trades[0].prediction, 'VENDA');
+    assert.strictEqual(trades[0].exitReason, 'SL');
+    near(trades[0].endPrice, 103 * 1.0005, 'venda recompra na abertura do gap');
+});
+
+test('funding é cobrado a cada fronteira de intervalo cruzada e sai do capital', (t) => {
+    useScriptedEngine(t, [80]);
+    const flat = [100, 100.2, 99.8, 100];
+    const { trades, stats } = Backtester.run(bars(flat, flat, flat, flat), {
+        ...OPTIONS,
+        horizonCandles: 3,
+        fundingRate: 0.0001,
+        fundingIntervalMs: HOUR
+    });
+
+    const quantity = 1000 / (100 * 1.0005);
+    assert.strictEqual(trades[0].exitReason, 'HORIZON');
+    near(trades[0].funding, 2 * quantity * 100 * 0.0001, 'comprado paga nas duas fronteiras');
+    near(stats.totalFunding, trades[0].funding);
+    near(trades[0].netPnl, trades[0].grossPnl - trades[0].fees - trades[0].funding);
+});
+
+test('com stop além da liquidação a posição alavancada é liquidada e perde a margem', (t) => {
+    useScriptedEngine(t, [80]);
+    const { trades, stats } = Backtester.run(bars([100, 100.5, 90, 91]), {
+        ...OPTIONS,
+        leverage: 10,
+        stopLossATR: 20,
+        maintenanceMargin: 0.005
+    });
+
+    const entry = 100 * 1.0005;
+    const [trade] = trades;
+    assert.strictEqual(trade.exitReason, 'LIQUIDATION');
+    assert.strictEqual(trade.result, 'LIQUIDATED');
+    near(trade.liquidationPrice, entry * (1 - 0.1 + 0.005));
+    near(trade.grossPnl, -1000);
+    assert.strictEqual(stats.liquidations, 1);
+    near(stats.finalCapital, -1000 * 10 * 0.0004, 'sobra só a taxa de entrada paga');
+});
+
+test('métricas: profit factor, expectativa, múltiplos de R, drawdown e exposição', (t) => {
+    useScriptedEngine(t, [80, 80, 0, 0]);
+    const { trades, stats, equityCurve, drawdownCurve } = Backtester.run(bars(
+        [100, 104, 99.5, 103],     // Entra e sai no alvo
+        [103, 103.2, 102.9, 103],  // Nova entrada
+        [103, 103.1, 101, 101.2],  // Stop
+        [101.2, 101.3, 101.1, 101.2]
+    ), OPTIONS);
+
+    const [win, loss] = trades;
+    assert.deepStrictEqual(trades.map(trade => trade.exitReason), ['TP', 'SL']);
+    near(stats.profitFactor, win.netPnl / -loss.netPnl);
+    near(stats.expectancy, (win.netPnl + loss.netPnl) / 2);
+    near(loss.initialRisk, loss.quantity * 1.5, '1R = quantidade × distância do stop');
+    near(loss.rMultiple, loss.netPnl / loss.initialRisk);
+    assert.ok(loss.rMultiple < -1, 'taxas e slippage pioram a perda além de 1R');
+    near(stats.expectancyR, (win.rMultiple + loss.rMultiple) / 2);
+    assert.strictEqual(stats.longestLosingStreak, 1);
+    near(stats.exposure, 75, '3 de 4 velas com posição');
+
+    let peak = OPTIONS.initialCapital;
+    const expectedDrawdown = Math.min(0, ...equityCurve.map(point => {
+        peak = Math.max(peak, point.equity);
+        return (point.equity / peak - 1) * 100;
+    }));
+    assert.ok(expectedDrawdown < 0);
+    near(stats.maxDrawdown, expectedDrawdown);
+    assert.strictEqual(drawdownCurve.length, equityCurve.length);
+    assert.strictEqual(stats.maxDrawdownDurationBars, 3, 'abaixo do topo desde a taxa da segunda entrada');
+});
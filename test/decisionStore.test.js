@@ -0,0 +1,95 @@
+/**
+ * Testes do DecisionStore: retenção, gravação de trades e exportação/importação
+ * Executar: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const DecisionStore = require('../decisionStore.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 5, 1);
+
+const createStore = (retention) => DecisionStore.create({ adapter: DecisionStore.createMemoryAdapter(), retention });
+
+const decision = (id, symbol, timestamp, status = 'evaluated') => ({ id, symbol, timestamp, timeframe: '5m', status });
+
+test('a retenção remove registros antigos, mas nunca decisões pendentes', async () => {
+    const store = createStore({ maxAgeMs: 7 * DAY, checkEvery: Infinity });
+    await store.saveDecisions([
+        decision('old', 'BTCUSDT', NOW - 10 * DAY),
+        decision('old-pending', 'BTCUSDT', NOW - 10 * DAY, 'pending'),
+        decision('recent', 'BTCUSDT', NOW - DAY)
+    ]);
+
+    const removed = await store.applyRetention(NOW);
+
+    assert.deepStrictEqual(removed, { decisions: 1, trades: 0 });
+    assert.deepStrictEqual((await store.loadDecisions('BTCUSDT')).map(d => d.id), ['old-pending', 'recent']);
+});
+
+test('a retenção limita maxRecords por símbolo, removendo os mais antigos', async () => {
+    const store = createStore({ maxRecords: 2, checkEvery: Infinity });
+    await store.saveDecisions([
+        decision('btc-1', 'BTCUSDT', NOW - 3000),
+        decision('btc-2', 'BTCUSDT', NOW - 2000),
+        decision('btc-3', 'BTCUSDT', NOW - 1000),
+        decision('eth-1', 'ETHUSDT', NOW - 5000)
+    ]);
+
+    await store.applyRetention(NOW);
+
+    assert.deepStrictEqual((await store.loadDecisions('BTCUSDT')).map(d => d.id), ['btc-2', 'btc-3']);
+    assert.deepStrictEqual((await store.loadDecisions('ETHUSDT')).map(d => d.id), ['eth-1']);
+});
+
+test('a retenção roda sozinha a cada checkEvery gravações', async () => {
+    const store = createStore({ maxRecords: 3, checkEvery: 5 });
+    const start = Date.now(); // A retenção automática usa o relógio atual
+    for (let i = 0; i < 4; i++) await store.saveDecisions(decision(`d${i}`, 'BTCUSDT', start + i));
+    assert.strictEqual((await store.loadDecisions('BTCUSDT')).length, 4, 'abaixo de checkEvery nada é removido');
+
+    await store.saveDecisions(decision('d4', 'BTCUSDT', start + 4));
+    assert.deepStrictEqual((await store.loadDecisions('BTCUSDT')).map(d => d.id), ['d2', 'd3', 'd4']);
+});
+
+test('saveTrades só grava ou atualiza: trades fora do histórico em memória continuam no store', async () => {
+    const store = createStore({ checkEvery: Infinity });
+    await store.saveTrades('BTCUSDT', { '5m': [{ timestamp: 1, result: null }, { timestamp: 2, result: null }] });
+    await store.saveTrades('BTCUSDT', { '5m': [{ timestamp: 2, result: 'WIN' }] });
+
+    const trades = await store.loadTrades('BTCUSDT');
+    assert.deepStrictEqual(trades['5m'], [{ timestamp: 1, result: null }, { timestamp: 2, result: 'WIN' }]);
+    assert.deepStrictEqual((await store.loadTrades('BTCUSDT', { limit: 1 }))['5m'], [{ timestamp: 2, result: 'WIN' }]);
+
+    assert.strictEqual(await store.removeTrades('BTCUSDT', '5m'), 2);
+    assert.deepStrictEqual(await store.loadTrades('BTCUSDT'), {});
+});
+
+test('a exportação CSV volta sem perder tipos', async () => {
+    const original = {
+        ...decision('csv', 'BTCUSDT', NOW),
+        note: '123',
+        code: '007',
+        price: '1.50',
+        flag: 'true',
+        empty: '',
+        quoted: '"x"',
+        text: 'a, "b"\nc',
+        evaluation: { mfe: 1.5, hit: false, path: [], extra: null }
+    };
+    const source = createStore({ checkEvery: Infinity });
+    await source.saveDecisions(original);
+
+    const target = createStore({ checkEvery: Infinity });
+    const imported = await target.importData(await source.exportData({ format: 'csv' }));
+
+    assert.deepStrictEqual(imported, { decisions: 1, trades: 0 });
+    assert.deepStrictEqual(await target.loadDecisions('BTCUSDT'), [original]);
+});
+
+test('a exportação JSON é recusada em versão incompatível', async () => {
+    const store = createStore({ checkEvery: Infinity });
+    const exported = JSON.parse(await store.exportData());
+    await assert.rejects(() => store.importData(JSON.stringify({ ...exported, version: 99 })), /versão incompatível/);
+});
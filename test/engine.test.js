@@ -0,0 +1,44 @@
+/**
+ * Testes do engine: registro de indicadores e pontuação com histórico curto
+ * Executar: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const engine = require('../engine.js');
+
+const CONFIG = { tradingMode: 'balanced', divergenceDetection: false, trendFilter: false };
+
+// Alta constante: preço acima da EMA20 desde as primeiras velas
+const uptrend = (count) => Array.from({ length: count }, (_, i) => {
+    const close = 100 + i + (i % 3 === 0 ? -0.4 : 0.3);
+    return [Date.UTC(2024, 0, 1) + i * 60000, close - 0.5, close + 0.5, close - 1, close, 100 + (i % 5) * 10];
+});
+
+test('indicadores padrão pontuam com histórico curto, como antes do registro', () => {
+    const analysis = engine.analyzeMarket({ klines: uptrend(31), timeframe: '1m', config: CONFIG });
+
+    ['rsi', 'macd', 'stochRsi', 'mfi', 'trend', 'occ', 'stcCci'].forEach(id => {
+        assert.ok(Number.isFinite(analysis.scores[id].score), `${id} sem score com 30 velas`);
+    });
+    assert.strictEqual(analysis.indicators.trend.value, 'uptrend');
+    assert.strictEqual(analysis.scores.trend.score, 30);
+});
+
+test('um indicador registrado fica fora da média até completar o warmup', () => {
+    engine.registerIndicator({
+        id: 'testClose',
+        weight: 1,
+        warmup: 40,
+        compute: (marketInfo) => ({ value: marketInfo.closes[marketInfo.closes.length - 1] }),
+        score: () => 100
+    });
+
+    const short = engine.analyzeMarket({ klines: uptrend(31), timeframe: '1m', config: CONFIG });
+    const long = engine.analyzeMarket({ klines: uptrend(61), timeframe: '1m', config: CONFIG });
+
+    assert.strictEqual(short.scores.testClose.score, null);
+    assert.strictEqual(long.scores.testClose.score, 100);
+    assert.ok(long.contributions.testClose > 0);
+    assert.ok(engine.getIndicators().some(indicator => indicator.id === 'testClose' && indicator.warmup === 40));
+});
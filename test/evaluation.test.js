@@ -0,0 +1,137 @@
+/**
+ * Testes do DecisionEvaluator: caminho do preço até o horizonte (MFE/MAE, primeiro TP/SL)
+ * e políticas de amostragem
+ * Executar: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Evaluator = require('../evaluation.js');
+
+const MINUTE = 60 * 1000;
+const T = Date.UTC(2024, 0, 1, 12);
+
+const near = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message || ''} ${actual} ≠ ${expected}`);
+
+// Histórico limpo e logs fora da saída do runner
+const setup = (t) => {
+    ['log', 'warn'].forEach(method => t.mock.method(console, method, () => {}));
+    Evaluator.clearHistory();
+};
+
+// Decisão com ATR 1 (TP/SL a 3 e 1.5 do preço) e horizonte de 15 minutos; null se não amostrada
+const record = (direction, extra = {}) => Evaluator.recordDecision({
+    direction,
+    confidence: 70,
+    currentPrice: 100,
+    indicators: { atr: 1 },
+    timeframe: '5m',
+    explanation: 'teste',
+    marketContext: {},
+    symbol: 'BTCUSDT',
+    timestamp: T,
+    evaluationHorizon: 15 * MINUTE,
+    ...extra
+});
+
+test('ticks: MFE/MAE, TP primeiro e preço no horizonte em vez do preço da avaliação', (t) => {
+    setup(t);
+    const decision = record('BUY');
+
+    Evaluator.recordPriceTick(99, T + MINUTE, 'BTCUSDT');
+    Evaluator.recordPriceTick(90, T + 2 * MINUTE, 'ETHUSDT'); // Outro símbolo: ignorado
+    Evaluator.recordPriceTick(103.5, T + 3 * MINUTE, 'BTCUSDT');
+    Evaluator.recordPriceTick(101, T + 10 * MINUTE, 'BTCUSDT');
+    Evaluator.evaluatePendingDecisions(95, T + 16 * MINUTE, 'BTCUSDT');
+
+    const { evaluation } = decision;
+    assert.strictEqual(decision.status, 'evaluated');
+    assert.strictEqual(evaluation.result, 'correct', 'vale o preço vigente no horizonte (101), não o de 95');
+    assert.strictEqual(evaluation.futurePrice, 101);
+    assert.strictEqual(evaluation.horizonSource, 'tick');
+    near(evaluation.mfe, 3.5);
+    near(evaluation.mae, 1);
+    assert.strictEqual(evaluation.firstHit, 'TP');
+    assert.strictEqual(evaluation.firstHitTime, T + 3 * MINUTE);
+    assert.strictEqual(evaluation.pathSamples, 3);
+});
+
+test('velas: TP e SL na mesma vela contam como SL primeiro e o fechamento no horizonte é o preço avaliado', (t) => {
+    setup(t);
+    const decision = record('SELL');
+
+    Evaluator.recordKlines([
+        [T, 100, 100.5, 99.5, 100],
+        [T + 5 * MINUTE, 100, 102, 96.5, 99],
+        [T + 10 * MINUTE, 99, 99.5, 98, 98.5]
+    ], '5m', 'BTCUSDT');
+    Evaluator.evaluatePendingDecisions(104, T + 20 * MINUTE, 'BTCUSDT');
+
+    const { evaluation } = decision;
+    assert.strictEqual(evaluation.result, 'correct');
+    assert.strictEqual(evaluation.futurePrice, 98.5);
+    assert.strictEqual(evaluation.horizonSource, 'kline');
+    near(evaluation.mfe, 3.5, 'venda: a favor é a queda até 96.5');
+    near(evaluation.mae, 2);
+    assert.strictEqual(evaluation.firstHit, 'SL');
+    assert.strictEqual(evaluation.ambiguousHit, true);
+
+    const stats = Evaluator.getPerformanceStats();
+    assert.strictEqual(stats.stopLossFirst, 1);
+    near(stats.avgMfe, 3.5);
+});
+
+test('sem observações até o horizonte, vale a primeira depois dele (late)', (t) => {
+    setup(t);
+    const decision = record('BUY');
+
+    Evaluator.evaluatePendingDecisions(99, T + 20 * MINUTE, 'BTCUSDT');
+
+    assert.strictEqual(decision.evaluation.horizonSource, 'late');
+    assert.strictEqual(decision.evaluation.result, 'incorrect');
+    assert.strictEqual(decision.evaluation.firstHit, null);
+    assert.strictEqual(decision.evaluation.pathSamples, 0);
+});
+
+// Política ativa só durante o teste (o módulo é compartilhado pelo arquivo)
+const usePolicy = (t, policy) => {
+    Evaluator.setSamplingPolicy(policy);
+    t.after(() => Evaluator.setSamplingPolicy('every'));
+};
+
+test('amostragem candle: uma decisão por vela de cada símbolo/timeframe', (t) => {
+    setup(t);
+    usePolicy(t, 'candle');
+
+    assert.ok(record('BUY'));
+    assert.strictEqual(record('SELL', { timestamp: T + MINUTE }), null, 'mesma vela de 5m');
+    assert.ok(record('BUY', { timestamp: T + MINUTE, timeframe: '1m' }), 'outro timeframe');
+    assert.ok(record('BUY', { timestamp: T + MINUTE, symbol: 'ETHUSDT' }), 'outro símbolo');
+    assert.ok(record('SELL', { timestamp: T + 5 * MINUTE }), 'vela seguinte');
+    assert.ok(record('SELL', { timestamp: T + 5 * MINUTE + 1, candleTime: T + 10 * MINUTE }), 'candleTime informado prevalece');
+    assert.strictEqual(Evaluator.getDecisionHistory().length, 5);
+});
+
+test('amostragem direction: só quando a direção muda', (t) => {
+    setup(t);
+    usePolicy(t, 'direction');
+
+    const directions = ['BUY', 'BUY', 'NEUTRAL', 'NEUTRAL', 'BUY', 'SELL'];
+    const recorded = directions.filter((direction, i) => record(direction, { timestamp: T + i * MINUTE }) !== null);
+
+    assert.deepStrictEqual(recorded, ['BUY', 'NEUTRAL', 'BUY', 'SELL']);
+});
+
+test('amostragem gated: só decisões que passaram pelos filtros do trackTrade', (t) => {
+    setup(t);
+    usePolicy(t, 'gated');
+
+    assert.strictEqual(record('BUY'), null);
+    assert.strictEqual(record('BUY', { passedGates: false }), null);
+    const decision = record('BUY', { passedGates: true });
+
+    assert.strictEqual(decision.samplingPolicy, 'gated');
+    assert.deepStrictEqual(Evaluator.getDecisionHistory(), [decision]);
+    assert.throws(() => Evaluator.setSamplingPolicy('hourly'), /Política de amostragem inválida/);
+    assert.strictEqual(Evaluator.getSamplingPolicy(), 'gated');
+});
@@ -0,0 +1,199 @@
+/**
+ * Testes do Execution: dry-run e fluxo de ordens contra a exchange simulada (mockExchange.js)
+ * Executar: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Execution = require('../execution.js');
+const MockExchange = require('../mockExchange.js');
+
+const SIGNAL = {
+    symbol: 'BTCUSDT',
+    timeframe: '5m',
+    timestamp: 1700000000000,
+    prediction: 'COMPRA',
+    entryPrice: 100,
+    quantity: 1.23456,
+    stopLoss: 98,
+    takeProfit: 104
+};
+
+// Logs do conector e da exchange simulada ficam fora da saída do runner
+const silenceLogs = (t) => ['log', 'warn', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+
+// Sobe a exchange simulada numa porta livre e registra as requisições do conector
+const startMock = async (t) => {
+    silenceLogs(t);
+    const mock = await MockExchange.start({ port: 0, prices: { BTCUSDT: 100 } });
+    t.after(() => mock.close());
+    const requests = [];
+    const recordingFetch = (url, init = {}) => {
+        const { pathname } = new URL(url);
+        requests.push(`${init.method || 'GET'} ${pathname}`);
+        return fetch(url, init);
+    };
+    const control = (path) => fetch(`${mock.url}${path}`, { method: 'POST' }).then(response => response.json());
+    return { mock, requests, fetch: recordingFetch, control };
+};
+
+const createLive = (mock, options = {}) => Execution.create({
+    dryRun: false,
+    baseUrl: mock.url,
+    apiKey: 'mock-key',
+    apiSecret: 'mock-secret',
+    ...options
+});
+
+test('clientOrderId inclui o símbolo e cabe em 36 caracteres', () => {
+    const id = Execution.clientOrderId(SIGNAL, 'en');
+    assert.strictEqual(id, 'zs_BTCUSDT_5m_1700000000000_en');
+    assert.notStrictEqual(id, Execution.clientOrderId({ ...SIGNAL, symbol: 'ETHUSDT' }, 'en'));
+
+    const long = Execution.clientOrderId({ ...SIGNAL, symbol: '1000SHIBUSDT', timeframe: '15m' }, 'tp');
+    assert.ok(long.length <= 36, long);
+    assert.notStrictEqual(long, Execution.clientOrderId({ ...SIGNAL, symbol: '1000PEPEUSDT', timeframe: '15m' }, 'tp'));
+});
+
+test('dry-run registra as ordens sem assinar nem enviar, mesmo sem API key e secret', async (t) => {
+    const { mock, requests, fetch: recordingFetch } = await startMock(t);
+    const dry = Execution.create({ baseUrl: mock.url, fetch: recordingFetch });
+
+    const execution = await dry.execute(SIGNAL);
+
+    assert.strictEqual(execution.status, 'open');
+    assert.strictEqual(execution.dryRun, true);
+    const log = dry.getDryRunLog();
+    assert.deepStrictEqual(log.map(entry => entry.params.type), ['MARKET', 'STOP_MARKET', 'TAKE_PROFIT_MARKET']);
+    assert.ok(log.every(entry => !entry.query.includes('signature=')));
+    assert.deepStrictEqual(requests, [], 'nada chega à exchange');
+    assert.strictEqual(mock.exchange.getState().orders.length, 0);
+});
+
+test('executa entrada, stop e alvo e não duplica ao repetir o sinal', async (t) => {
+    const { mock } = await startMock(t);
+    const live = createLive(mock);
+
+    const execution = await live.execute(SIGNAL);
+    assert.strictEqual(execution.status, 'open');
+    assert.strictEqual(execution.orders.entry.status, 'FILLED');
+    assert.strictEqual(execution.orders.stopLoss.type, 'STOP_MARKET');
+    assert.strictEqual(execution.orders.takeProfit.clientOrderId, 'zs_BTCUSDT_5m_1700000000000_tp');
+    assert.strictEqual(mock.exchange.getState().orders.length, 3);
+
+    await live.execute(SIGNAL);
+    assert.strictEqual(mock.exchange.getState().orders.length, 3, 'mesmo sinal, mesmas ordens');
+});
+
+test('aplica margem isolada e a alavancagem do sinal antes da entrada, uma vez por símbolo', async (t) => {
+    const { mock, requests, fetch: recordingFetch } = await startMock(t);
+    const live = createLive(mock, { fetch: recordingFetch });
+
+    await live.execute({ ...SIGNAL, leverage: 5.7 });
+
+    assert.deepStrictEqual(requests.slice(0, 3), ['POST /fapi/v1/marginType', 'POST /fapi/v1/leverage', 'POST /fapi/v1/order']);
+    assert.deepStrictEqual(mock.exchange.getState().symbols.BTCUSDT, { leverage: 5, marginType: 'ISOLATED' });
+
+    requests.length = 0;
+    await live.execute({ ...SIGNAL, timestamp: SIGNAL.timestamp + 1, leverage: 5 });
+    assert.ok(!requests.some(request => request.endsWith('/leverage') || request.endsWith('/marginType')), 'já aplicadas');
+
+    await live.execute({ ...SIGNAL, timestamp: SIGNAL.timestamp + 2, leverage: 3 });
+    assert.strictEqual(mock.exchange.getState().symbols.BTCUSDT.leverage, 3, 'margem já isolada não impede a troca');
+});
+
+test('stop movido e saídas da gestão local são repassados à exchange', async (t) => {
+    const { mock } = await startMock(t);
+    const live = createLive(mock);
+    await live.execute(SIGNAL);
+    const openOrders = () => mock.exchange.getState().orders.filter(order => order.status === 'NEW');
+
+    // Zero a zero: TP/SL repostos com o stop novo
+    await live.manage(SIGNAL, { stopLoss: 100 });
+    assert.deepStrictEqual(openOrders().map(order => [order.clientOrderId, order.stopPrice, order.origQty]), [
+        ['zs_BTCUSDT_5m_1700000000000_sl1', '100', '1.234'],
+        ['zs_BTCUSDT_5m_1700000000000_tp1', '104', '1.234']
+    ]);
+
+    // Parcial de 50%: reduce-only a mercado e proteção com a quantidade restante
+    const partial = await live.manage(SIGNAL, { stopLoss: 100, remaining: 0.5 });
+    assert.strictEqual(partial.quantity, '0.617');
+    assert.strictEqual(mock.exchange.getState().positions.BTCUSDT.amount, 0.617);
+    assert.ok(openOrders().every(order => order.origQty === '0.617' && order.reduceOnly));
+
+    // Saída por tempo: zera a posição e não deixa ordens abertas
+    const closed = await live.manage(SIGNAL, { remaining: 0 });
+    assert.strictEqual(closed.status, 'closed');
+    assert.strictEqual(mock.exchange.getState().positions.BTCUSDT.amount, 0);
+    assert.deepStrictEqual(openOrders(), []);
+    assert.strictEqual(await live.manage(SIGNAL, { remaining: 0 }), null);
+});
+
+test('a saída local depois do stop da exchange encerra a execução sem erro', async (t) => {
+    const { mock, control } = await startMock(t);
+    const live = createLive(mock);
+    await live.execute(SIGNAL);
+
+    await control('/mock/price?symbol=BTCUSDT&price=97');
+    const closed = await live.manage(SIGNAL, { remaining: 0 });
+
+    assert.strictEqual(closed.status, 'closed');
+    assert.strictEqual(closed.error, null);
+    assert.strictEqual(live.getKillSwitch().active, false);
+});
+
+test('resposta perdida (5xx) é recuperada consultando a ordem pelo client order ID', async (t) => {
+    const { mock, control } = await startMock(t);
+    const live = createLive(mock);
+
+    await control('/mock/fail?count=1&after=true');
+    const execution = await live.execute(SIGNAL);
+
+    assert.strictEqual(execution.status, 'open');
+    assert.strictEqual(execution.orders.entry.recovered, true);
+    assert.strictEqual(mock.exchange.getState().orders.filter(order => order.type === 'MARKET').length, 1);
+});
+
+test('erro 4xx não é tratado como resposta perdida e erros seguidos acionam o kill switch', async (t) => {
+    const { mock, requests, fetch: recordingFetch } = await startMock(t);
+    const live = createLive(mock, { apiSecret: 'segredo-errado', maxConsecutiveErrors: 2, fetch: recordingFetch });
+
+    const first = await live.execute(SIGNAL);
+    assert.match(first.error, /Signature for this request is not valid/);
+    assert.ok(!requests.some(request => request.startsWith('GET') && request.endsWith('/order')), 'sem consulta de recuperação');
+    assert.strictEqual(live.getKillSwitch().active, false);
+
+    await live.execute({ ...SIGNAL, timestamp: SIGNAL.timestamp + 1 });
+    assert.strictEqual(live.getKillSwitch().active, true);
+});
+
+test('a reconciliação encerra a execução quando o alvo é executado', async (t) => {
+    const { mock, control } = await startMock(t);
+    const live = createLive(mock);
+    await live.execute(SIGNAL);
+
+    const { filled } = await control('/mock/price?symbol=BTCUSDT&price=105');
+    assert.deepStrictEqual(filled.map(order => order.clientOrderId), ['zs_BTCUSDT_5m_1700000000000_tp']);
+
+    const report = await live.reconcile();
+    assert.deepStrictEqual(report.actions.map(action => action.type), ['closed']);
+    assert.deepStrictEqual(live.getExecutions().map(execution => execution.status), ['closed']);
+    assert.strictEqual(mock.exchange.getState().positions.BTCUSDT.amount, 0);
+});
+
+test('o kill switch cancela ordens, zera a posição e bloqueia novas entradas', async (t) => {
+    const { mock } = await startMock(t);
+    const live = createLive(mock);
+    await live.execute(SIGNAL);
+
+    const result = await live.activateKillSwitch({ reason: 'teste' });
+
+    assert.deepStrictEqual(result.cancelled, ['BTCUSDT']);
+    assert.strictEqual(result.flattened.length, 1);
+    assert.deepStrictEqual(result.errors, []);
+    assert.strictEqual(mock.exchange.getState().positions.BTCUSDT.amount, 0);
+    assert.strictEqual((await live.execute({ ...SIGNAL, timestamp: 1 })).status, 'blocked');
+
+    live.releaseKillSwitch();
+    assert.strictEqual((await live.execute({ ...SIGNAL, timestamp: 2 })).status, 'open');
+});
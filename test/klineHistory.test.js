@@ -0,0 +1,133 @@
+/**
+ * Testes do KlineHistory: paginação, lacunas e cache contra um transporte de fixtures
+ * Executar: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const KlineHistory = require('../klineHistory.js');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const WEEK = 7 * 24 * HOUR;
+const START = Date.UTC(2024, 0, 1); // Segunda-feira
+
+const candle = (time) => [time, '100', '101', '99', '100.5', '10'];
+
+// Transporte em memória que responde como a Binance (velas em [startTime, endTime], até limit)
+const createFixtureTransport = (times, maxLimit) => {
+    const requests = [];
+    return {
+        maxLimit,
+        requests,
+        async fetchKlines({ startTime, endTime, limit }) {
+            requests.push({ startTime, endTime, limit });
+            return times.filter(time => time >= startTime && time <= endTime).slice(0, limit).map(candle);
+        }
+    };
+};
+
+const series = (from, count, stepMs, skip = () => false) => {
+    const times = [];
+    for (let i = 0; i < count; i++) {
+        if (!skip(i)) times.push(from + i * stepMs);
+    }
+    return times;
+};
+
+test('pagina para trás em páginas de maxLimit velas e devolve as velas em ordem', async () => {
+    const transport = createFixtureTransport(series(START, 250, MINUTE), 100);
+    const result = await KlineHistory.load({
+        symbol: 'BTCUSDT', interval: '1m', startTime: START, endTime: START + 250 * MINUTE, transport, cache: null
+    });
+
+    assert.strictEqual(result.klines.length, 250);
+    assert.deepStrictEqual(result.gaps, []);
+    assert.strictEqual(transport.requests.length, 3);
+    assert.ok(transport.requests.every(request => request.limit === 100));
+    assert.ok(transport.requests[0].startTime > transport.requests[1].startTime, 'primeira página é a mais recente');
+    assert.ok(result.klines.every((kline, i) => i === 0 || kline[0] - result.klines[i - 1][0] === MINUTE));
+    assert.ok(result.klines.every(kline => kline.every(Number.isFinite)), 'velas normalizadas em números');
+});
+
+test('aponta lacunas do histórico sem parar a paginação', async () => {
+    // 25 velas ausentes no meio, mais que uma página de 10
+    const transport = createFixtureTransport(series(START, 100, MINUTE, i => i >= 20 && i < 45), 10);
+    const result = await KlineHistory.load({
+        symbol: 'BTCUSDT', interval: '1m', startTime: START, endTime: START + 100 * MINUTE, transport, cache: null
+    });
+
+    assert.strictEqual(result.klines.length, 75);
+    assert.deepStrictEqual(result.gaps, [{ from: START + 20 * MINUTE, to: START + 44 * MINUTE, missing: 25 }]);
+    assert.strictEqual(result.klines[0][0], START, 'velas antes da parada também são carregadas');
+});
+
+test('para depois de páginas vazias seguidas quando não há histórico mais antigo', async () => {
+    const listedAt = START + 500 * MINUTE;
+    const transport = createFixtureTransport(series(listedAt, 100, MINUTE), 10);
+    const result = await KlineHistory.load({
+        symbol: 'BTCUSDT', interval: '1m', startTime: START, endTime: listedAt + 100 * MINUTE, transport, cache: null
+    });
+
+    assert.strictEqual(result.klines.length, 100);
+    assert.strictEqual(transport.requests.length, 10 + 3, '10 páginas com velas e 3 vazias');
+    assert.deepStrictEqual(result.gaps, [{ from: START, to: listedAt - MINUTE, missing: 500 }]);
+});
+
+test('alinha velas semanais à segunda-feira sem lacunas falsas', async () => {
+    const transport = createFixtureTransport(series(START, 52, WEEK), 1000);
+    const result = await KlineHistory.load({
+        symbol: 'BTCUSDT', interval: '1w', startTime: START - 2 * 24 * HOUR, endTime: START + 40 * WEEK, transport, cache: null
+    });
+
+    assert.strictEqual(result.klines[0][0], START);
+    assert.strictEqual(result.klines.length, 40);
+    assert.deepStrictEqual(result.gaps, []);
+});
+
+test('usa o cache e busca só o trecho que falta', async () => {
+    const transport = createFixtureTransport(series(START, 300, HOUR), 100);
+    const cache = KlineHistory.createMemoryCache();
+
+    const first = await KlineHistory.load({
+        symbol: 'BTCUSDT', interval: '1h', startTime: START + 100 * HOUR, endTime: START + 200 * HOUR, transport, cache
+    });
+    assert.strictEqual(first.fromCache, 0);
+    assert.strictEqual(first.fetched, 100);
+
+    transport.requests.length = 0;
+    const second = await KlineHistory.load({
+        symbol: 'BTCUSDT', interval: '1h', startTime: START + 50 * HOUR, endTime: START + 200 * HOUR, transport, cache
+    });
+    assert.strictEqual(second.fromCache, 100);
+    assert.strictEqual(second.fetched, 50);
+    assert.strictEqual(second.klines.length, 150);
+    assert.ok(transport.requests.every(request => request.endTime < START + 100 * HOUR), 'não busca o que está no cache');
+});
+
+test('o transporte Binance pagina contra um servidor HTTP local', async (t) => {
+    const times = series(START, 2500, HOUR, i => i >= 1500 && i < 1503);
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://127.0.0.1');
+        requests.push(url.pathname);
+        const startTime = Number(url.searchParams.get('startTime'));
+        const endTime = Number(url.searchParams.get('endTime'));
+        const limit = Number(url.searchParams.get('limit'));
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(times.filter(time => time >= startTime && time <= endTime).slice(0, limit).map(candle)));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const transport = KlineHistory.createBinanceTransport({ baseUrl: `http://127.0.0.1:${server.address().port}` });
+    const result = await KlineHistory.load({
+        symbol: 'BTCUSDT', interval: '1h', startTime: START, endTime: START + 2500 * HOUR, transport, cache: null
+    });
+
+    assert.strictEqual(result.klines.length, 2497);
+    assert.deepStrictEqual(result.gaps, [{ from: START + 1500 * HOUR, to: START + 1502 * HOUR, missing: 3 }]);
+    assert.strictEqual(requests.length, 3);
+    assert.ok(requests.every(path => path === '/api/v3/klines'));
+});
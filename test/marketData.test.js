@@ -0,0 +1,88 @@
+/**
+ * Testes do MarketData: adaptador Coinbase (granularidades nativas e agregadas) e adaptador mock
+ * Executar: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const MarketData = require('../marketData.js');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const START = Date.UTC(2024, 0, 1); // Segunda-feira
+
+// fetch de fixtures no formato da Coinbase: [time (s), low, high, open, close, volume], mais recentes primeiro
+const createCoinbaseFetch = () => {
+    const requests = [];
+    const fetchFn = async (url) => {
+        const { pathname, searchParams } = new URL(url);
+        const granularity = Number(searchParams.get('granularity'));
+        const start = Date.parse(searchParams.get('start'));
+        const end = Date.parse(searchParams.get('end'));
+        requests.push({ pathname, granularity, start, end });
+
+        const rows = [];
+        for (let time = Math.ceil(start / (granularity * 1000)) * granularity * 1000; time <= end; time += granularity * 1000) {
+            const index = (time - START) / (granularity * 1000);
+            rows.unshift([time / 1000, 100 + index - 1, 100 + index + 1, 100 + index, 100 + index + 0.5, 10]);
+        }
+        if (rows.length > 300) throw new Error(`Coinbase devolve no máximo 300 velas (pedido de ${rows.length})`);
+        return { ok: true, status: 200, json: async () => rows };
+    };
+    return { fetchFn, requests };
+};
+
+test('Coinbase: velas nativas convertidas para [timestamp, open, high, low, close, volume] em ordem', async () => {
+    const { fetchFn, requests } = createCoinbaseFetch();
+    const adapter = MarketData.createCoinbaseAdapter({ fetch: fetchFn });
+
+    const klines = await adapter.fetchKlines({ symbol: 'BTCUSDT', interval: '1h', startTime: START, endTime: START + 9 * HOUR });
+
+    assert.strictEqual(requests[0].pathname, '/products/BTC-USDT/candles');
+    assert.strictEqual(requests[0].granularity, 3600);
+    assert.strictEqual(klines.length, 10);
+    assert.deepStrictEqual(klines[0], [START, 100, 101, 99, 100.5, 10]);
+    assert.ok(klines.every((kline, i) => i === 0 || kline[0] > klines[i - 1][0]));
+});
+
+test('Coinbase: 4h é agregado de 1h, inclusive com o método desacoplado do adaptador', async () => {
+    const { fetchFn, requests } = createCoinbaseFetch();
+    const { fetchKlines } = MarketData.createCoinbaseAdapter({ fetch: fetchFn });
+
+    const klines = await fetchKlines({ symbol: 'BTCUSDT', interval: '4h', startTime: START, endTime: START + 2 * DAY - 1 });
+
+    assert.ok(requests.every(request => request.granularity === 3600));
+    assert.strictEqual(klines.length, 12);
+    assert.deepStrictEqual(klines[0], [START, 100, 104, 99, 103.5, 40]);
+    assert.strictEqual(klines[1][0], START + 4 * HOUR);
+});
+
+test('Coinbase: 1w agrega 1d em semanas que começam na segunda-feira', async () => {
+    const { fetchFn, requests } = createCoinbaseFetch();
+    const adapter = MarketData.createCoinbaseAdapter({ fetch: fetchFn });
+
+    const klines = await adapter.fetchKlines({ symbol: 'BTCUSDT', interval: '1w', startTime: START, endTime: START + 28 * DAY - 1 });
+
+    assert.ok(requests.every(request => request.granularity === 86400));
+    assert.deepStrictEqual(klines.map(kline => kline[0]), [0, 1, 2, 3].map(week => START + week * 7 * DAY));
+    assert.ok(klines.every(kline => new Date(kline[0]).getUTCDay() === 1));
+    assert.strictEqual(klines[0][5], 70);
+});
+
+test('Coinbase: intervalo sem granularidade nem agregação é recusado', async () => {
+    const { fetchFn } = createCoinbaseFetch();
+    const adapter = MarketData.createCoinbaseAdapter({ fetch: fetchFn });
+    await assert.rejects(() => adapter.fetchKlines({ symbol: 'BTCUSDT', interval: '12h' }), /Coinbase/);
+});
+
+test('mock: devolve as velas gravadas como a Binance (com startTime, as primeiras; sem, as mais recentes)', async () => {
+    const recorded = Array.from({ length: 5 }, (_, i) => [START + i * HOUR, '1', '2', '0.5', '1.5', '10']);
+    const adapter = MarketData.createMockAdapter({ klines: { BTCUSDT_1h: recorded } });
+
+    const first = await adapter.fetchKlines({ symbol: 'BTCUSDT', interval: '1h', startTime: START, limit: 2 });
+    const latest = await adapter.fetchKlines({ symbol: 'BTCUSDT', interval: '1h', limit: 2 });
+
+    assert.deepStrictEqual(first.map(kline => kline[0]), [START, START + HOUR]);
+    assert.deepStrictEqual(latest.map(kline => kline[0]), [START + 3 * HOUR, START + 4 * HOUR]);
+    assert.deepStrictEqual(latest[0], [START + 3 * HOUR, 1, 2, 0.5, 1.5, 10]);
+});
@@ -0,0 +1,52 @@
+/**
+ * Testes do Optimizer: aplicação dos parâmetros buscados e perfis exportados
+ * Executar: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Optimizer = require('../optimizer.js');
+
+// Velas sintéticas determinísticas (passeio aleatório com ciclo lento)
+const generateKlines = (count, seed = 7) => {
+    let state = seed;
+    const random = () => {
+        state = (state * 16807) % 2147483647;
+        return state / 2147483647;
+    };
+    const klines = [];
+    let price = 100;
+    for (let i = 0; i < count; i++) {
+        const open = price;
+        const close = open * (1 + (random() - 0.5) * 0.01 + Math.sin(i / 30) * 0.001);
+        const high = Math.max(open, close) * (1 + random() * 0.003);
+        const low = Math.min(open, close) * (1 - random() * 0.003);
+        klines.push([Date.UTC(2024, 0, 1) + i * 5 * 60 * 1000, open, high, low, close, 100 + random() * 900]);
+        price = close;
+    }
+    return klines;
+};
+
+test('o threshold buscado prevalece sobre o backtestThreshold da config base', () => {
+    const { results } = Optimizer.optimize(generateKlines(700), {
+        space: { 'thresholds.balanced': [5, 50] },
+        minTrades: 0,
+        backtest: { timeframe: '5m', minSignalStrength: 0, config: { backtestThreshold: 5 } }
+    });
+
+    const tradesByThreshold = Object.fromEntries(results.map(r => [r.params['thresholds.balanced'], r.stats.totalTrades]));
+    assert.ok(tradesByThreshold[5] > 0);
+    assert.ok(tradesByThreshold[50] < tradesByThreshold[5], JSON.stringify(tradesByThreshold));
+});
+
+test('o perfil exportado volta como config do live', () => {
+    const profile = Optimizer.exportProfile({ minSignalStrength: 40, 'thresholds.balanced': 20, 'weights.rsi': 1.5, takeProfitATR: 2 });
+
+    assert.deepStrictEqual(profile.backtest, { takeProfitATR: 2 });
+    assert.deepStrictEqual(Optimizer.profileToConfig(JSON.stringify(profile)), {
+        minSignalStrength: 40,
+        thresholds: { balanced: 20 },
+        indicatorWeights: { rsi: 1.5 }
+    });
+    assert.throws(() => Optimizer.profileToConfig({ ...profile, version: 99 }), /versão incompatível/);
+});
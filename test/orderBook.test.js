@@ -0,0 +1,117 @@
+/**
+ * Testes do OrderBook: validação da sequência de update IDs, ressincronização e baleias
+ * Executar: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const OrderBook = require('../orderBook.js');
+
+const T = Date.UTC(2024, 0, 1);
+
+// O snapshot é buscado numa cadeia de promises: espera ela terminar
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// Livro com snapshots REST roteirizados (um por busca) e registro das ressincronizações
+const createBook = (t, snapshots, options = {}) => {
+    ['log', 'warn'].forEach(method => t.mock.method(console, method, () => {}));
+    const resyncs = [];
+    let fetches = 0;
+    const book = OrderBook.create({
+        symbol: 'BTCUSDT',
+        fetchSnapshot: async () => snapshots[fetches++],
+        onResync: ({ reason }) => resyncs.push(reason),
+        now: () => T,
+        ...options
+    });
+    return { book, resyncs, fetches: () => fetches };
+};
+
+test('diffs anteriores ao snapshot são descartados e os seguintes reaplicados (pu = último u)', async (t) => {
+    const { book } = createBook(t, [{ lastUpdateId: 100, bids: [[99, 5]], asks: [[101, 5]] }]);
+
+    book.handleMessage({ bids: [[99, 1]], asks: [], firstUpdateId: 90, lastUpdateId: 95, prevUpdateId: 89 });
+    book.handleMessage({ bids: [[99, 7]], asks: [], firstUpdateId: 96, lastUpdateId: 102, prevUpdateId: 95 });
+    book.handleMessage({ bids: [], asks: [[101, 0], [101.5, 2]], firstUpdateId: 103, lastUpdateId: 104, prevUpdateId: 102 });
+    assert.strictEqual(book.getStatus().synced, false);
+    assert.strictEqual(book.getStatus().buffered, 3);
+
+    await flush();
+
+    assert.deepStrictEqual(book.getLevels(), { bids: [[99, 7]], asks: [[101.5, 2]] });
+    assert.deepStrictEqual(book.getStatus(), {
+        symbol: 'BTCUSDT', synced: true, lastUpdateId: 104, resyncs: 0, buffered: 0, bidLevels: 1, askLevels: 1
+    });
+
+    book.handleMessage({ bids: [[98, 3]], asks: [], firstUpdateId: 105, lastUpdateId: 106, prevUpdateId: 104 });
+    assert.strictEqual(book.getStatus().lastUpdateId, 106);
+    assert.strictEqual(book.getBestBid(), 99);
+});
+
+test('lacuna de sequência limpa o livro e ressincroniza com novo snapshot', async (t) => {
+    const { book, resyncs, fetches } = createBook(t, [
+        { lastUpdateId: 100, bids: [[99, 5]], asks: [[101, 5]] },
+        { lastUpdateId: 120, bids: [[98, 1]], asks: [[102, 1]] }
+    ]);
+    book.handleMessage({ bids: [], asks: [], firstUpdateId: 101, lastUpdateId: 101, prevUpdateId: 100 });
+    await flush();
+
+    const events = book.handleMessage({ bids: [[99, 0]], asks: [], firstUpdateId: 110, lastUpdateId: 112, prevUpdateId: 108 });
+
+    assert.deepStrictEqual(events, []);
+    assert.strictEqual(resyncs.length, 1);
+    assert.match(resyncs[0], /lacuna de sequência \(esperado após 101, recebido 110-112\)/);
+    assert.deepStrictEqual(book.getLevels(), { bids: [], asks: [] });
+    assert.strictEqual(book.getStatus().synced, false);
+
+    await flush();
+
+    assert.strictEqual(fetches(), 2);
+    assert.deepStrictEqual(book.getLevels(), { bids: [[98, 1]], asks: [[102, 1]] }, 'diff guardado já contido no snapshot');
+    assert.deepStrictEqual([book.getStatus().synced, book.getStatus().resyncs], [true, 1]);
+});
+
+test('snapshot mais antigo que o primeiro diff guardado é buscado de novo', async (t) => {
+    const { book, resyncs } = createBook(t, [
+        { lastUpdateId: 50, bids: [[99, 5]], asks: [[101, 5]] },
+        { lastUpdateId: 65, bids: [[99, 6]], asks: [[101, 6]] }
+    ]);
+
+    book.handleMessage({ bids: [[99, 8]], asks: [], firstUpdateId: 60, lastUpdateId: 70, prevUpdateId: 59 });
+    await flush();
+    assert.match(resyncs[0], /snapshot mais antigo/);
+
+    await flush();
+    assert.deepStrictEqual(book.getLevels().bids, [[99, 8]]);
+    assert.strictEqual(book.getStatus().lastUpdateId, 70);
+});
+
+test('snapshot do stream e continuidade sem pu (U = último u + 1); sem IDs o diff é aceito', (t) => {
+    const { book, resyncs } = createBook(t, [], { fetchSnapshot: undefined });
+
+    book.handleMessage({ snapshot: true, bids: [[99, 5]], asks: [[101, 5]], lastUpdateId: 10 });
+    book.handleMessage({ bids: [[99, 6]], asks: [], firstUpdateId: 11, lastUpdateId: 12 });
+    book.handleMessage({ bids: [[99, 7]], asks: [], firstUpdateId: 14, lastUpdateId: 15 });
+
+    assert.strictEqual(resyncs.length, 1);
+    assert.strictEqual(book.getStatus().buffered, 1, 'sem fetchSnapshot aguarda o próximo snapshot do stream');
+    assert.strictEqual(OrderBook.isContinuous({ firstUpdateId: null, lastUpdateId: null }, 15), true);
+    assert.strictEqual(OrderBook.isContinuous({ firstUpdateId: 16, lastUpdateId: 18, prevUpdateId: 14 }, 15), false);
+});
+
+test('baleias: adicionada, executada (casada com negócio) e retirada alimentam a pressão', (t) => {
+    const { book } = createBook(t, [], { fetchSnapshot: undefined, whaleMinValue: 1000 });
+    book.handleMessage({ snapshot: true, bids: [[100, 50]], asks: [[101, 50]], lastUpdateId: null });
+
+    book.recordTrade(101, 30, T);
+    const events = book.handleMessage({ bids: [[100, 70]], asks: [[101, 20]], time: T });
+    const pulled = book.handleMessage({ bids: [[100, 40]], asks: [], time: T });
+
+    assert.deepStrictEqual(events.map(event => [event.type, event.side, event.value]), [['added', 'buy', 2000], ['filled', 'sell', 3030]]);
+    assert.deepStrictEqual(pulled.map(event => [event.type, event.side, event.value]), [['pulled', 'buy', 3000]]);
+
+    const pressure = book.getPressure(T);
+    assert.strictEqual(pressure.buy, 2000 + 3030);
+    assert.strictEqual(pressure.sell, 3000 * 0.5, 'retirada pesa metade');
+    assert.strictEqual(book.getPressure(T + 60000).buy, (2000 + 3030) / 2, 'meia-vida de 1 minuto');
+});
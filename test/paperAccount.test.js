@@ -0,0 +1,90 @@
+/**
+ * Testes do PaperAccount: taxas, saídas parciais, funding, liquidação e persistência
+ * Executar: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const PaperAccount = require('../paperAccount.js');
+
+const HOUR = 60 * 60 * 1000;
+const T = Date.UTC(2024, 0, 1);
+
+const near = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message || ''} ${actual} ≠ ${expected}`);
+
+// Conta de 10000 com taxa de 0.04% e funding de 0.01% a cada 8h, começando em T (00h UTC)
+const createAccount = (options = {}) => {
+    const account = PaperAccount.create({ symbol: 'BTCUSDT', ...options });
+    account.reset(undefined, T);
+    return account;
+};
+
+test('taxa sobre o nocional em cada execução, parcial pela fração do tamanho original e margem liberada', () => {
+    const account = createAccount();
+    account.openPosition({ id: 'a', side: 'COMPRA', price: 100, size: 10, leverage: 5, time: T });
+    near(account.getSnapshot(100).balance, 10000 - 0.4);
+    near(account.getSnapshot(100).usedMargin, 200);
+
+    const partial = account.closePosition('a', { price: 110, fraction: 0.5, time: T + HOUR, reason: 'partial' });
+    assert.strictEqual(partial.closed, false);
+    near(partial.pnl, 50);
+    near(account.getPosition('a').margin, 100);
+
+    const final = account.closePosition('a', { price: 90, time: T + 2 * HOUR, reason: 'stopLoss' });
+    assert.strictEqual(final.closed, true);
+    near(final.position.exitPrice, 100);
+    near(final.position.netPnL, -(0.4 + 0.22 + 0.18), 'só as taxas');
+    assert.strictEqual(final.position.exitReason, 'stopLoss');
+
+    const snapshot = account.getSnapshot(90);
+    near(snapshot.balance, 10000 - 0.8);
+    assert.strictEqual(snapshot.usedMargin, 0);
+    assert.strictEqual(snapshot.winRate, 0);
+    assert.strictEqual(account.closePosition('a', { price: 90 }), null);
+});
+
+test('funding a cada fronteira de 8h para as posições abertas antes dela; vendidos recebem', () => {
+    const account = createAccount();
+    account.openPosition({ id: 'long', side: 'COMPRA', price: 100, size: 10, time: T + HOUR });
+    account.openPosition({ id: 'short', side: 'VENDA', price: 100, size: 5, time: T + 9 * HOUR });
+
+    near(account.markPrice(100, T + 8 * HOUR).funding, 0.1, 'só o comprado estava aberto às 08h');
+    near(account.markPrice(100, T + 24 * HOUR).funding, 2 * (0.1 - 0.05), '16h e 24h');
+    near(account.markPrice(100, T + 25 * HOUR).funding, 0);
+
+    const snapshot = account.getSnapshot(100);
+    near(snapshot.fundingPaid, 0.2);
+    near(account.getPosition('long').funding, 0.3);
+    near(account.getPosition('short').funding, -0.1);
+    near(account.closePosition('short', { price: 100, time: T + 26 * HOUR }).position.netPnL, 0.1 - 0.2 - 0.2, 'funding recebido menos as taxas');
+});
+
+test('liquidação pelo preço marcado fecha no preço de liquidação e perde a margem isolada', () => {
+    const account = createAccount();
+    account.openPosition({ id: 'a', side: 'COMPRA', price: 100, size: 10, leverage: 10, liquidationPrice: 90.5, time: T });
+
+    assert.deepStrictEqual(account.markPrice(95, T + HOUR).liquidated, []);
+    const { liquidated } = account.markPrice(89, T + 2 * HOUR);
+
+    assert.strictEqual(liquidated.length, 1);
+    assert.strictEqual(liquidated[0].exitReason, 'liquidation');
+    assert.strictEqual(liquidated[0].exitPrice, 90.5);
+    near(liquidated[0].realizedPnL, -95);
+    near(account.getSnapshot(89).balance, 10000 - 0.4 - 95 - 0.362);
+    assert.strictEqual(account.getSnapshot(89).positions.length, 0);
+});
+
+test('margem insuficiente recusa a entrada e o estado volta com restore', () => {
+    const account = createAccount({ initialBalance: 1000 });
+
+    assert.match(account.openPosition({ id: 'big', side: 'COMPRA', price: 100, size: 20, time: T }).reason, /margem insuficiente/);
+    assert.strictEqual(account.openPosition({ id: 'a', side: 'VENDA', price: 100, size: 20, leverage: 4, time: T }).opened, true);
+    assert.strictEqual(account.openPosition({ id: 'a', side: 'VENDA', price: 100, size: 1, time: T }).reason, 'posição já aberta');
+
+    const restored = PaperAccount.restore(JSON.parse(JSON.stringify(account)));
+    const snapshot = restored.getSnapshot(95);
+    assert.strictEqual(snapshot.symbol, 'BTCUSDT');
+    near(snapshot.unrealizedPnL, 100);
+    near(snapshot.equity, 1000 - 0.8 + 100);
+    assert.deepStrictEqual(restored.getEquityCurve(), account.getEquityCurve());
+});
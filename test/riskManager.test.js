@@ -0,0 +1,96 @@
+/**
+ * Testes do RiskManager: dimensionamento pelo risco, teto de alavancagem pela liquidação e limites da conta
+ * Executar: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RiskManager = require('../riskManager.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 0, 2, 12);
+
+const near = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message || ''} ${actual} ≠ ${expected}`);
+
+test('a quantidade perde riskPerTrade% do patrimônio no stop, limitada pela margem', () => {
+    const risk = RiskManager.create({ accountEquity: 10000, riskPerTrade: 1 });
+
+    const position = risk.sizePosition({ entryPrice: 100, stopLoss: 98 });
+    assert.strictEqual(position.positionSize, 50);
+    assert.strictEqual(position.notional, 5000);
+    assert.strictEqual(position.riskAmount, 100);
+    assert.strictEqual(position.capped, false);
+    assert.strictEqual(position.liquidationPrice, null, 'sem alavancagem não há liquidação');
+
+    // Stop a 0.5: 200 unidades precisariam de 2× o patrimônio
+    const capped = risk.sizePosition({ entryPrice: 100, stopLoss: 99.5 });
+    assert.strictEqual(capped.positionSize, 100);
+    assert.strictEqual(capped.capped, true);
+    assert.strictEqual(capped.riskPercent, 0.5);
+
+    assert.strictEqual(risk.sizePosition({ entryPrice: 100, stopLoss: 100 }), null);
+});
+
+test('a alavancagem é limitada para o stop vir antes da liquidação, com folga', () => {
+    const risk = RiskManager.create({ maxLeverage: 20, maintenanceMargin: 0.5, liquidationBuffer: 1.5 });
+
+    // Stop a 5%: 1/L - 0.5% ≥ 7.5% → L ≤ 12
+    assert.strictEqual(risk.getMaxLeverage(100, 95), 12);
+    assert.strictEqual(risk.getMaxLeverage(100, 99.5), 20, 'teto absoluto');
+    assert.strictEqual(risk.getMaxLeverage(100, 50), 1);
+
+    const short = risk.sizePosition({ entryPrice: 100, stopLoss: 105, leverage: 50, prediction: 'VENDA' });
+    assert.strictEqual(short.leverage, 12);
+    assert.strictEqual(short.maxLeverage, 12);
+    near(short.liquidationPrice, 100 * (1 + 1 / 12 - 0.005));
+    assert.ok(short.liquidationPrice - 100 >= 5 * 1.5, 'stop antes da liquidação');
+    near(short.margin, short.notional / 12);
+});
+
+test('entradas bloqueadas por posições abertas e pela perda diária, que vira no dia seguinte (UTC)', () => {
+    const risk = RiskManager.create({ accountEquity: 10000, maxConcurrentPositions: 2, dailyLossLimit: 3 });
+    const entry = { entryPrice: 100, stopLoss: 98, now: NOW };
+    const trade = (timestamp) => ({ timestamp, positionSize: 50, entryPrice: 100, prediction: 'VENDA', riskAmount: 100, riskPercent: 1 });
+
+    risk.openPosition('BTCUSDT', '5m', trade(1));
+    risk.openPosition('ETHUSDT', '1h', trade(2));
+    assert.match(risk.evaluateEntry(entry).reason, /2 posições abertas \(máximo 2\)/);
+
+    // Venda fechada 6 acima: -300, exatamente 3% do patrimônio do início do dia
+    const settled = risk.settleTrade(trade(1), 106, NOW);
+    assert.deepStrictEqual(settled, { pnl: -300, pnlPercent: -3, closedAt: NOW });
+    risk.closePosition('BTCUSDT', '5m', { ...trade(1), ...settled });
+    assert.strictEqual(risk.closePosition('BTCUSDT', '5m', { ...trade(1), ...settled }), false, 'fechamento contado uma vez');
+
+    const blocked = risk.evaluateEntry(entry);
+    assert.strictEqual(blocked.allowed, false);
+    assert.match(blocked.reason, /perda diária de 3% atingida/);
+    assert.strictEqual(blocked.account.equity, 9700);
+
+    const nextDay = risk.evaluateEntry({ ...entry, now: NOW + DAY });
+    assert.strictEqual(nextDay.allowed, true);
+    near(nextDay.position.riskAmount, 97, 'dimensionado pelo patrimônio atual');
+});
+
+test('o livro da conta sobrevive a toJSON e importa uma única vez o histórico de um símbolo', () => {
+    const risk = RiskManager.create();
+    const history = {
+        '5m': [
+            { timestamp: NOW - 1000, positionSize: 1, entryPrice: 100, validated: true, pnl: 40, closedAt: NOW - 500 },
+            { timestamp: NOW, positionSize: 1, entryPrice: 100, validated: false },
+            { timestamp: NOW, validated: false } // Sem tamanho: fora do livro
+        ]
+    };
+
+    assert.deepStrictEqual(risk.syncPositions('BTCUSDT', history, NOW), { open: 1, imported: 1 });
+    assert.deepStrictEqual(risk.syncPositions('BTCUSDT', history, NOW), { open: 1, imported: 0 });
+
+    const restored = RiskManager.create({}, JSON.parse(JSON.stringify(risk)));
+    const account = restored.getAccountState(NOW);
+    assert.strictEqual(account.realizedPnL, 40);
+    assert.strictEqual(account.dailyPnL, 40);
+    assert.strictEqual(account.openPositions, 1);
+
+    restored.syncPositions('BTCUSDT', {}, NOW);
+    assert.strictEqual(restored.getAccountState(NOW).openPositions, 0, 'histórico limpo fecha as posições no livro');
+});
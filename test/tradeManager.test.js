@@ -0,0 +1,75 @@
+/**
+ * Testes do TradeManager: zero a zero, stop móvel, parciais, alvo e saída por tempo
+ * Executar: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const TradeManager = require('../tradeManager.js');
+
+const T = Date.UTC(2024, 0, 1);
+const MINUTE = 60 * 1000;
+
+// Compra a 100 com stop a 97 (1R = 3) e ATR 2: stop móvel a 3 do melhor preço
+const longTrade = () => ({ prediction: 'COMPRA', entryPrice: 100, stopLoss: 97, takeProfit: 109, timestamp: T });
+
+const feed = (manager, trade, prices) => prices.map((price, i) => manager.onPrice(trade, price, T + (i + 1) * 1000, { atr: 2 }));
+
+test('em +1R realiza a parcial e leva o stop para a entrada; a volta fecha no zero a zero', () => {
+    const manager = TradeManager.create();
+    const trade = longTrade();
+
+    const [, atOneR, back] = feed(manager, trade, [101, 103, 100]);
+
+    assert.deepStrictEqual(atOneR.adjustments.map(entry => entry.type), ['partial', 'breakEven']);
+    assert.strictEqual(trade.management.trailingActive, false, 'stop móvel em 100 não melhora o zero a zero');
+    assert.strictEqual(back.closed, true);
+    assert.strictEqual(back.reason, 'breakEven');
+    assert.strictEqual(trade.endPrice, 101.5, 'metade em 103, metade em 100');
+    assert.strictEqual(trade.partialExits, 1);
+    assert.deepStrictEqual(TradeManager.summarizeExit(trade), { result: 'BREAK_EVEN', success: true, baseReturn: 1.5 });
+});
+
+test('o stop móvel segue o melhor preço a N×ATR, em um registro só por sequência', () => {
+    const manager = TradeManager.create();
+    const trade = longTrade();
+
+    const results = feed(manager, trade, [103, 105, 106, 104, 103]);
+
+    const trailing = trade.adjustments.filter(entry => entry.type === 'trailing');
+    assert.strictEqual(trailing.length, 1);
+    assert.deepStrictEqual([trailing[0].from, trailing[0].to, trailing[0].moves], [100, 103, 2]);
+    assert.strictEqual(results[3].closed, false);
+    assert.strictEqual(results[4].reason, 'trailingStop');
+    assert.strictEqual(trade.endPrice, 103);
+    assert.strictEqual(TradeManager.summarizeExit(trade).result, 'TRAILING_STOP');
+});
+
+test('venda com duas parciais e o restante no alvo final', () => {
+    const manager = TradeManager.create({
+        takeProfits: [{ r: 1, fraction: 0.25 }, { r: 2, fraction: 0.25 }],
+        breakEven: { enabled: false },
+        trailingStop: { enabled: false }
+    });
+    const trade = { prediction: 'VENDA', entryPrice: 100, stopLoss: 102, takeProfit: 94, timestamp: T };
+
+    const results = feed(manager, trade, [98, 96, 99, 94]);
+
+    assert.deepStrictEqual(results.map(result => result.closed), [false, false, false, true]);
+    assert.strictEqual(trade.stopLoss, 102, 'stop inalterado com as regras desligadas');
+    assert.deepStrictEqual(trade.management.exits, [{ price: 98, fraction: 0.25 }, { price: 96, fraction: 0.25 }, { price: 94, fraction: 0.5 }]);
+    assert.strictEqual(trade.endPrice, 95.5);
+    assert.strictEqual(TradeManager.summarizeExit(trade).result, 'TP_HIT');
+});
+
+test('saída por tempo depois de maxCandles velas do timeframe', () => {
+    const manager = TradeManager.create({ timeExit: { maxCandles: 2 } });
+    const trade = manager.initTrade(longTrade(), { timeframeMs: MINUTE });
+
+    assert.strictEqual(manager.onPrice(trade, 101, T + MINUTE).closed, false);
+    const expired = manager.onPrice(trade, 101.5, T + 2 * MINUTE);
+
+    assert.strictEqual(expired.reason, 'time');
+    assert.strictEqual(trade.exitTime, T + 2 * MINUTE);
+    assert.deepStrictEqual(TradeManager.summarizeExit(trade), { result: 'PROFIT', success: true, baseReturn: 1.5 });
+});
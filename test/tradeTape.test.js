@@ -0,0 +1,64 @@
+/**
+ * Testes do TradeTape: CVD por vela (inclusive com negócios atrasados) e negócios grandes
+ * Executar: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const TradeTape = require('../tradeTape.js');
+
+const MINUTE = 60 * 1000;
+const T = Date.UTC(2024, 0, 1);
+
+const summary = (tape, timeframe) => tape.getCandles(timeframe).map(c => [(c.time - T) / MINUTE, c.delta, c.cvdOpen, c.cvd]);
+
+test('delta e CVD por vela, com velas vazias nas lacunas', () => {
+    const tape = TradeTape.create({ timeframes: ['1m', '5m'] });
+
+    tape.handleMessage({ trades: [
+        { price: 100, qty: 2, side: 'buy', time: T },
+        { price: 100, qty: 0.5, side: 'sell', time: T + 30000 },
+        { price: 101, qty: 1, side: 'buy', time: T + 3 * MINUTE }
+    ] });
+
+    // [minuto, delta, cvdOpen, cvd]
+    assert.deepStrictEqual(summary(tape, '1m'), [[0, 1.5, 0, 1.5], [1, 0, 1.5, 1.5], [2, 0, 1.5, 1.5], [3, 1, 1.5, 2.5]]);
+    assert.deepStrictEqual(summary(tape, '5m'), [[0, 2.5, 0, 2.5]]);
+    assert.strictEqual(tape.getStatus().cvd, 2.5);
+});
+
+test('negócio atrasado entra na sua vela e desloca o CVD das seguintes', () => {
+    const tape = TradeTape.create({ timeframes: ['1m'] });
+    tape.handleTrade({ price: 100, qty: 2, side: 'buy', time: T });
+    tape.handleTrade({ price: 100, qty: 1, side: 'buy', time: T + 3 * MINUTE });
+
+    tape.handleTrade({ price: 100, qty: 1.5, side: 'sell', time: T + MINUTE + 10000 });
+
+    assert.deepStrictEqual(summary(tape, '1m'), [[0, 2, 0, 2], [1, -1.5, 2, 0.5], [2, 0, 0.5, 0.5], [3, 1, 0.5, 1.5]]);
+    const flow = tape.getOrderFlow('1m', { lookback: 4, window: 3 });
+    assert.strictEqual(flow.cvd, 1.5);
+    assert.strictEqual(flow.cvdChange, 1.5);
+    assert.strictEqual(flow.cvdVolume, 4.5);
+    assert.strictEqual(flow.imbalance, (1 - 1.5) / 2.5, 'janela das 3 últimas velas');
+    assert.deepStrictEqual(flow.series.map(point => point.cvd), [2, 0.5, 0.5, 1.5]);
+});
+
+test('negócios acima do valor mínimo são sinalizados; entradas inválidas são ignoradas', () => {
+    const largeTrades = [];
+    const tape = TradeTape.create({ timeframes: ['1m'], largeTradeValue: 1000, onLargeTrade: trade => largeTrades.push(trade) });
+
+    const found = tape.handleMessage({ trades: [
+        { price: 100, qty: 5, side: 'buy', time: T },
+        { price: 100, qty: 12, side: 'sell', time: T + 1000 },
+        { price: 100, qty: 0, side: 'sell', time: T + 2000 },
+        { price: NaN, qty: 50, side: 'buy', time: T + 3000 }
+    ] });
+
+    assert.deepStrictEqual(found, [{ type: 'market', side: 'sell', price: 100, qty: 12, value: 1200, time: T + 1000 }]);
+    assert.deepStrictEqual(largeTrades, found);
+    assert.deepStrictEqual(tape.getStatus(), { symbol: '', trades: 2, cvd: -7, largeTrades: 1 });
+    assert.strictEqual(tape.getOrderFlow('5m'), null, 'timeframe não acompanhado');
+
+    tape.reset();
+    assert.deepStrictEqual(tape.getCandles('1m'), []);
+});
@@ -0,0 +1,256 @@
+/**
+ * TradeManager - Gestão de Trades Abertos - ZingSignals
+ *
+ * Acompanha cada trade rastreado tick a tick (mini-ticker) e aplica as regras de gestão: stop móvel
+ * por ATR, stop no zero a zero (break-even) depois de 1R, saídas parciais em vários alvos e saída por
+ * tempo. Toda alteração de stop e toda saída ficam registradas em trade.adjustments; ao fechar, o
+ * trade recebe o preço médio de saída e o motivo (exitReason).
+ */
+
+const TradeManager = (() => {
+    // =========================================================================
+    // CONFIGURAÇÃO
+    // =========================================================================
+    // Distâncias em R (risco inicial por unidade = |entrada - stop inicial|)
+    const DEFAULT_RULES = {
+        trailingStop: { enabled: true, atrMultiplier: 1.5, activateAtR: 1 }, // Segue o melhor preço a N×ATR depois de +1R
+        breakEven: { enabled: true, triggerR: 1, offsetR: 0 },                // Stop na entrada (+ offset) depois de +1R
+        takeProfits: [{ r: 1, fraction: 0.5 }],                               // Parciais; o restante sai no takeProfit do trade
+        timeExit: { enabled: true, maxCandles: 1 }                            // Encerra após N velas do timeframe
+    };
+
+    const EXIT_RESULTS = {
+        takeProfit: 'TP_HIT',
+        stopLoss: 'SL_HIT',
+        trailingStop: 'TRAILING_STOP',
+        breakEven: 'BREAK_EVEN'
+    };
+
+    // =========================================================================
+    // FUNÇÕES PRIVADAS
+    // =========================================================================
+
+    const isLong = (trade) => trade.prediction !== 'VENDA';
+
+    // Variação a favor do trade, em % do preço de entrada
+    const favorableReturn = (trade, price) => (isLong(trade) ? 1 : -1) * ((price - trade.entryPrice) / trade.entryPrice) * 100;
+
+    // Preço a N R a favor (negativo = contra) da entrada
+    const priceAtR = (trade, r, riskPerUnit) => trade.entryPrice + (isLong(trade) ? 1 : -1) * r * riskPerUnit;
+
+    const reached = (trade, price, level) => (isLong(trade) ? price >= level : price <= level);
+
+    // Stop novo só vale se for mais protetor que o atual
+    const tighter = (trade, candidate) => (isLong(trade) ? candidate > trade.stopLoss : candidate < trade.stopLoss);
+
+    const log = (trade, entry) => {
+        trade.adjustments.push(entry);
+    };
+
+    // =========================================================================
+    // CRIAÇÃO DO GERENCIADOR
+    // =========================================================================
+
+    /**
+     * Cria um gerenciador de trades
+     * @param {Object} [rules] - Sobrescreve DEFAULT_RULES (por regra)
+     * @returns {Object} { initTrade, onPrice, closeTrade, getRules, updateRules }
+     */
+    const create = (rules = {}) => {
+        let settings = {};
+
+        const updateRules = (partial = {}) => {
+            settings = {
+                trailingStop: { ...DEFAULT_RULES.trailingStop, ...settings.trailingStop, ...partial.trailingStop },
+                breakEven: { ...DEFAULT_RULES.breakEven, ...settings.breakEven, ...partial.breakEven },
+                takeProfits: (partial.takeProfits || settings.takeProfits || DEFAULT_RULES.takeProfits).map(level => ({ ...level })),
+                timeExit: { ...DEFAULT_RULES.timeExit, ...settings.timeExit, ...partial.timeExit }
+            };
+            return getRules();
+        };
+
+        const getRules = () => JSON.parse(JSON.stringify(settings));
+
+        /**
+         * Prepara um trade para a gestão (trades antigos são preparados no primeiro tick)
+         * @param {Object} trade - Trade com entryPrice, stopLoss, takeProfit, prediction e timestamp
+         * @param {Object} [params]
+         * @param {number} [params.atr] - ATR na entrada (padrão: distância do stop / 1.5, a regra do trackTrade)
+         * @param {number} [params.timeframeMs] - Duração de uma vela do timeframe (saída por tempo)
+         * @returns {Object} O próprio trade, com management e adjustments
+         */
+        const initTrade = (trade, params = {}) => {
+            const riskPerUnit = Math.abs(trade.entryPrice - trade.stopLoss);
+            const atr = Number.isFinite(params.atr) && params.atr > 0 ? params.atr : riskPerUnit / 1.5;
+
+            trade.management = {
+                initialStop: trade.stopLoss,
+                riskPerUnit,
+                atr,
+                bestPrice: trade.entryPrice,
+                remaining: 1,
+                exits: [], // { price, fraction }
+                breakEvenDone: false,
+                trailingActive: false,
+                takeProfits: settings.takeProfits
+                    .filter(level => level.fraction > 0 && level.fraction < 1)
+                    .map(level => ({ r: level.r, fraction: level.fraction, price: priceAtR(trade, level.r, riskPerUnit), filled: false })),
+                expiresAt: settings.timeExit.enabled && Number.isFinite(params.timeframeMs)
+                    ? trade.timestamp + settings.timeExit.maxCandles * params.timeframeMs
+                    : null
+            };
+            trade.adjustments = trade.adjustments || [];
+            return trade;
+        };
+
+        const exitPortion = (trade, price, time, fraction, type) => {
+            const management = trade.management;
+            const portion = Math.min(fraction, management.remaining);
+            management.exits.push({ price, fraction: portion });
+            management.remaining = Math.max(0, management.remaining - portion);
+            log(trade, { type, time, price, fraction: portion, remaining: management.remaining });
+        };
+
+        /**
+         * Fecha o que resta do trade e consolida o preço médio de saída
+         * @param {Object} trade - Trade em gestão
+         * @param {number} price - Preço de saída
+         * @param {number} time - Momento da saída em ms
+         * @param {string} reason - takeProfit | stopLoss | trailingStop | breakEven | time | manual
+         * @returns {Object} O próprio trade com endPrice, exitReason, exitTime e partialExits
+         */
+        const closeTrade = (trade, price, time, reason) => {
+            if (!trade.management) initTrade(trade);
+            const management = trade.management;
+            if (management.remaining > 0) exitPortion(trade, price, time, management.remaining, 'exit');
+            trade.adjustments[trade.adjustments.length - 1].reason = reason;
+
+            const filled = management.exits.reduce((sum, exit) => sum + exit.fraction, 0);
+            trade.endPrice = management.exits.reduce((sum, exit) => sum + exit.price * exit.fraction, 0) / filled;
+            trade.exitReason = reason;
+            trade.exitTime = time;
+            trade.partialExits = management.exits.length - 1;
+            return trade;
+        };
+
+        /**
+         * Aplica as regras a um novo preço
+         * @param {Object} trade - Trade pendente (não validado)
+         * @param {number} price - Preço do tick
+         * @param {number} [time] - Momento do tick em ms
+         * @param {Object} [params] - { atr, timeframeMs } para trades ainda não preparados
+         * @returns {Object} { closed, reason, adjustments } - adjustments: registros novos deste tick
+         */
+        const onPrice = (trade, price, time = Date.now(), params = {}) => {
+            if (!trade.management) initTrade(trade, params);
+            const management = trade.management;
+            const logged = trade.adjustments.length;
+
+            // 1. Stop (inicial, zero a zero ou móvel) atingido
+            const stopHit = isLong(trade) ? price <= trade.stopLoss : price >= trade.stopLoss;
+            if (stopHit) {
+                const reason = trade.stopLoss === management.initialStop ? 'stopLoss'
+                    : management.trailingActive ? 'trailingStop' : 'breakEven';
+                closeTrade(trade, price, time, reason);
+                return { closed: true, reason, adjustments: trade.adjustments.slice(logged) };
+            }
+
+            // 2. Alvo final
+            if (reached(trade, price, trade.takeProfit)) {
+                closeTrade(trade, price, time, 'takeProfit');
+                return { closed: true, reason: 'takeProfit', adjustments: trade.adjustments.slice(logged) };
+            }
+
+            // 3. Saídas parciais
+            management.takeProfits.forEach(level => {
+                if (level.filled || !reached(trade, price, level.price)) return;
+                level.filled = true;
+                exitPortion(trade, price, time, level.fraction, 'partial');
+            });
+
+            if (reached(trade, price, management.bestPrice)) management.bestPrice = price;
+            const excursionR = management.riskPerUnit > 0
+                ? Math.abs(management.bestPrice - trade.entryPrice) / management.riskPerUnit
+                : 0;
+
+            // 4. Zero a zero depois de triggerR
+            const breakEven = settings.breakEven;
+            if (breakEven.enabled && !management.breakEvenDone && excursionR >= breakEven.triggerR) {
+                management.breakEvenDone = true;
+                const target = priceAtR(trade, breakEven.offsetR, management.riskPerUnit);
+                if (tighter(trade, target)) {
+                    log(trade, { type: 'breakEven', time, price, from: trade.stopLoss, to: target });
+                    trade.stopLoss = target;
+                }
+            }
+
+            // 5. Stop móvel a N×ATR do melhor preço depois de activateAtR (movimentos seguidos viram um registro só)
+            const trailing = settings.trailingStop;
+            if (trailing.enabled && excursionR >= trailing.activateAtR) {
+                const distance = trailing.atrMultiplier * management.atr;
+                const target = isLong(trade) ? management.bestPrice - distance : management.bestPrice + distance;
+                if (tighter(trade, target)) {
+                    const last = trade.adjustments[trade.adjustments.length - 1];
+                    if (last && last.type === 'trailing') {
+                        last.to = target;
+                        last.time = time;
+                        last.price = price;
+                        last.moves = (last.moves || 1) + 1;
+                    } else {
+                        log(trade, { type: 'trailing', time, price, from: trade.stopLoss, to: target });
+                    }
+                    trade.stopLoss = target;
+                    management.trailingActive = true; // Só quando o stop móvel de fato moveu o stop (motivo da saída)
+                }
+            }
+
+            // 6. Saída por tempo
+            if (management.expiresAt !== null && time >= management.expiresAt) {
+                closeTrade(trade, price, time, 'time');
+                return { closed: true, reason: 'time', adjustments: trade.adjustments.slice(logged) };
+            }
+
+            return { closed: false, reason: null, adjustments: trade.adjustments.slice(logged) };
+        };
+
+        updateRules(rules);
+
+        return {
+            initTrade,
+            onPrice,
+            closeTrade,
+            getRules,
+            updateRules
+        };
+    };
+
+    /**
+     * Resultado do trade fechado no formato do histórico (TP_HIT, SL_HIT, TRAILING_STOP, BREAK_EVEN, PROFIT, LOSS)
+     * @param {Object} trade - Trade com exitReason e endPrice
+     * @returns {Object} { result, success, baseReturn }
+     */
+    const summarizeExit = (trade) => {
+        const baseReturn = favorableReturn(trade, trade.endPrice);
+        const result = EXIT_RESULTS[trade.exitReason] || (baseReturn > 0 ? 'PROFIT' : 'LOSS');
+        return { result, success: baseReturn > 0, baseReturn };
+    };
+
+    // =========================================================================
+    // EXPORTAR API
+    // =========================================================================
+    return {
+        create,
+        summarizeExit,
+        getDefaults: () => JSON.parse(JSON.stringify(DEFAULT_RULES))
+    };
+})();
+
+// Exportar para uso no Node (CommonJS/ESM: import TradeManager from './tradeManager.js')
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TradeManager;
+}
+
+// Expor globalmente
+if (typeof window !== 'undefined') {
+    window.TradeManager = TradeManager;
+}
@@ -0,0 +1,222 @@
+/**
+ * TradeTape - Fita de Negócios - ZingSignals
+ *
+ * Consome o stream 'trades' normalizado do MarketData (aggTrade na Binance), sinaliza negócios
+ * a mercado acima de um valor mínimo e acumula o fluxo agressor por vela de cada timeframe:
+ * volume comprador/vendedor, delta e CVD (cumulative volume delta). getOrderFlow devolve o
+ * resumo que o engine pontua como os indicadores 'cvd' e 'flowImbalance'.
+ */
+
+const TradeTape = (() => {
+    // =========================================================================
+    // CONFIGURAÇÃO
+    // =========================================================================
+    const DEFAULT_OPTIONS = {
+        timeframes: ['1m', '5m', '15m', '1h'],
+        largeTradeValue: 1000000,   // Valor mínimo (USD) de um negócio a mercado para ser sinalizado
+        maxCandles: 200,            // Velas de fluxo mantidas por timeframe
+        maxLargeTrades: 100,        // Negócios grandes mantidos em memória
+        cvdLookback: 20,            // Velas na variação do CVD
+        imbalanceWindow: 3          // Velas (incluindo a aberta) no desequilíbrio compra/venda
+    };
+
+    // =========================================================================
+    // DEPENDÊNCIAS
+    // =========================================================================
+    const resolveEngine = () => {
+        if (typeof window !== 'undefined' && window.MarketAnalysisEngine) return window.MarketAnalysisEngine;
+        if (typeof require === 'function') return require('./engine.js');
+        throw new Error('MarketAnalysisEngine indisponível');
+    };
+
+    // =========================================================================
+    // FUNÇÕES PRIVADAS
+    // =========================================================================
+
+    const intervalToMs = (interval) => {
+        const intervalMs = resolveEngine().timeframeToMs(interval);
+        if (!intervalMs) throw new Error(`Intervalo inválido: "${interval}"`);
+        return intervalMs;
+    };
+
+    const emptyCandle = (time, cvd) => ({ time, buyVolume: 0, sellVolume: 0, delta: 0, cvdOpen: cvd, cvd, trades: 0 });
+
+    // =========================================================================
+    // CRIAÇÃO DA FITA
+    // =========================================================================
+
+    /**
+     * Cria uma fita de negócios para um símbolo
+     * @param {Object} [options]
+     * @param {string} [options.symbol] - Símbolo (só para logs)
+     * @param {Array<string>} [options.timeframes] - Timeframes do fluxo por vela
+     * @param {number} [options.largeTradeValue] - Valor mínimo (USD) de um negócio grande
+     * @param {Function} [options.onLargeTrade] - Chamado com cada negócio grande
+     * @returns {Object} Fita { handleMessage, handleTrade, getOrderFlow, getCandles, getLargeTrades, ... }
+     */
+    const create = (options = {}) => {
+        const settings = { ...DEFAULT_OPTIONS, ...options };
+        const symbol = options.symbol || '';
+
+        let series = new Map();
+        let largeTrades = [];
+        let cvd = 0;
+        let tradeCount = 0;
+
+        const reset = () => {
+            series = new Map(settings.timeframes.map(tf => [tf, { intervalMs: intervalToMs(tf), candles: [] }]));
+            largeTrades = [];
+            cvd = 0;
+            tradeCount = 0;
+        };
+
+        /**
+         * Soma o negócio na vela do timeframe (cria velas vazias nas lacunas para manter a contagem)
+         */
+        const addToSeries = (entry, trade, delta) => {
+            const candleTime = Math.floor(trade.time / entry.intervalMs) * entry.intervalMs;
+            const candles = entry.candles;
+            const last = candles[candles.length - 1];
+
+            if (!last || candleTime > last.time) {
+                if (last) {
+                    const gap = Math.min((candleTime - last.time) / entry.intervalMs - 1, settings.maxCandles);
+                    for (let i = gap; i >= 1; i--) {
+                        candles.push(emptyCandle(candleTime - i * entry.intervalMs, last.cvd));
+                    }
+                }
+                candles.push(emptyCandle(candleTime, last ? last.cvd : cvd - delta));
+                if (candles.length > settings.maxCandles) candles.splice(0, candles.length - settings.maxCandles);
+            }
+
+            // Negócio atrasado: entra na sua vela e desloca o CVD das velas seguintes
+            let index = candles.length - 1;
+            while (index > 0 && candles[index].time > candleTime) index--;
+            if (candles[index].time !== candleTime) return;
+
+            const candle = candles[index];
+            if (trade.side === 'buy') candle.buyVolume += trade.qty;
+            else candle.sellVolume += trade.qty;
+            candle.delta += delta;
+            candle.trades++;
+            for (let i = index; i < candles.length; i++) {
+                if (i > index) candles[i].cvdOpen += delta;
+                candles[i].cvd += delta;
+            }
+        };
+
+        /**
+         * Processa um negócio normalizado
+         * @param {Object} trade - { price, qty, side: 'buy'|'sell' (agressor), time }
+         * @returns {Object|null} Negócio grande { type: 'market', side, price, qty, value, time } ou null
+         */
+        const handleTrade = (trade) => {
+            if (!Number.isFinite(trade.price) || !Number.isFinite(trade.qty) || trade.qty <= 0) return null;
+
+            const delta = trade.side === 'buy' ? trade.qty : -trade.qty;
+            cvd += delta;
+            tradeCount++;
+            series.forEach(entry => addToSeries(entry, trade, delta));
+
+            const value = trade.price * trade.qty;
+            if (value < settings.largeTradeValue) return null;
+
+            const largeTrade = { type: 'market', side: trade.side, price: trade.price, qty: trade.qty, value, time: trade.time };
+            largeTrades.push(largeTrade);
+            if (largeTrades.length > settings.maxLargeTrades) largeTrades = largeTrades.slice(-settings.maxLargeTrades);
+            if (settings.onLargeTrade) settings.onLargeTrade(largeTrade);
+            return largeTrade;
+        };
+
+        /**
+         * Processa uma mensagem 'trades' do MarketData
+         * @param {Object} message - { trades: [{ price, qty, side, time }] }
+         * @returns {Array<Object>} Negócios grandes da mensagem
+         */
+        const handleMessage = (message) => (message.trades || [])
+            .map(handleTrade)
+            .filter(Boolean);
+
+        /**
+         * Resumo do fluxo agressor de um timeframe (entrada orderFlow do engine)
+         * @param {string} timeframe - Timeframe (ex.: 5m)
+         * @param {Object} [params] - { lookback, window } (padrão: cvdLookback, imbalanceWindow)
+         * @returns {Object|null} { timeframe, candles, cvd, delta, cvdChange, cvdVolume, buyVolume, sellVolume, imbalance, series }
+         *          ou null sem negócios no timeframe
+         */
+        const getOrderFlow = (timeframe, params = {}) => {
+            const entry = series.get(timeframe);
+            if (!entry || entry.candles.length === 0) return null;
+
+            const lookback = params.lookback || settings.cvdLookback;
+            const window = params.window || settings.imbalanceWindow;
+            const candles = entry.candles;
+            const last = candles[candles.length - 1];
+
+            const lookbackCandles = candles.slice(-lookback);
+            const cvdVolume = lookbackCandles.reduce((sum, c) => sum + c.buyVolume + c.sellVolume, 0);
+
+            const windowCandles = candles.slice(-window);
+            const buyVolume = windowCandles.reduce((sum, c) => sum + c.buyVolume, 0);
+            const sellVolume = windowCandles.reduce((sum, c) => sum + c.sellVolume, 0);
+            const windowVolume = buyVolume + sellVolume;
+
+            return {
+                timeframe,
+                candles: lookbackCandles.length,
+                cvd: last.cvd,
+                delta: last.delta,
+                cvdChange: last.cvd - lookbackCandles[0].cvdOpen,
+                cvdVolume,
+                buyVolume,
+                sellVolume,
+                imbalance: windowVolume > 0 ? (buyVolume - sellVolume) / windowVolume : 0,
+                series: lookbackCandles.map(c => ({ time: c.time, delta: c.delta, cvd: c.cvd }))
+            };
+        };
+
+        const getCandles = (timeframe) => {
+            const entry = series.get(timeframe);
+            return entry ? entry.candles.map(c => ({ ...c })) : [];
+        };
+
+        const getLargeTrades = (limit = settings.maxLargeTrades) => largeTrades.slice(-limit);
+
+        const getStatus = () => ({ symbol, trades: tradeCount, cvd, largeTrades: largeTrades.length });
+
+        const setLargeTradeValue = (value) => {
+            settings.largeTradeValue = value;
+        };
+
+        reset();
+
+        return {
+            handleMessage,
+            handleTrade,
+            getOrderFlow,
+            getCandles,
+            getLargeTrades,
+            getStatus,
+            setLargeTradeValue,
+            reset
+        };
+    };
+
+    // =========================================================================
+    // EXPORTAR API
+    // =========================================================================
+    return {
+        create,
+        getDefaults: () => ({ ...DEFAULT_OPTIONS })
+    };
+})();
+
+// Exportar para uso no Node (CommonJS/ESM: import TradeTape from './tradeTape.js')
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TradeTape;
+}
+
+// Expor globalmente
+if (typeof window !== 'undefined') {
+    window.TradeTape = TradeTape;
+}